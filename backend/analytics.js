@@ -1,27 +1,57 @@
 const { dbGet, dbAll } = require('./database');
+const { buildAccountFilter, buildScopeFilter } = require('./transactionFilters');
+const transactionSearch = require('./transactionSearch');
+const budgets = require('./budgets');
+const cashFlowForecast = require('./cashFlowForecast');
+const subscriptions = require('./subscriptions');
+const netWorth = require('./netWorth');
+const anomalies = require('./anomalies');
+const periodComparison = require('./periodComparison');
+const taxReport = require('./taxReport');
+const locations = require('./locations');
+const spendingPatterns = require('./spendingPatterns');
 
 /**
  * Analytics Functions - Deterministic calculations for financial insights
  * These functions are called by the AI to get accurate data
+ *
+ * Every function but getNetWorth takes an optional trailing `filters` object
+ * ({ accountId, account, institution, accountType }) to narrow it
+ * to one account or institution - see transactionFilters.js.
+ * Functions over transactions also accept `tag`, and leave out transfers
+ * between the user's own accounts (a checking to savings move, a card
+ * payment - see transfers.js) unless `includeTransfers` is set.
+ *
+ * Aggregations read the transaction_lines view (see database.js): its category
+ * is the effective one (a manual category wins over Plaid's), and a split
+ * transaction appears as one line per split with the split's category and amount.
+ * Counts are of transactions, not lines. Merchants are reported by their
+ * canonical name (see merchants.js), falling back to the bank's merchant name.
  */
 
 // 1. Get spending by category
-async function getSpendingByCategory(category, startDate, endDate) {
+async function getSpendingByCategory(category, startDate, endDate, filters = {}) {
+  const accountFilter = buildScopeFilter(filters);
+  // Per transaction, so a split one counts once with its in-category amount
   const sql = `
     SELECT
       SUM(amount) as total,
       COUNT(*) as count,
-      AVG(amount) as average,
+      SUM(amount) / COUNT(*) as average,
       MIN(amount) as min,
       MAX(amount) as max,
       GROUP_CONCAT(transaction_id) as transaction_ids
-    FROM transactions
-    WHERE amount > 0
-      AND category LIKE ?
-      AND date BETWEEN ? AND ?
+    FROM (
+      SELECT transaction_id, SUM(amount) as amount
+      FROM transaction_lines
+      WHERE amount > 0
+        AND category LIKE ?
+        AND date BETWEEN ? AND ?${accountFilter.clause}
+      GROUP BY transaction_id
+    )
   `;
 
-  const result = await dbGet(sql, [`%${category}%`, startDate, endDate]);
+  const result = await dbGet(sql, [`%${category}%`, startDate, endDate, ...accountFilter.params]);
 
   if (!result || result.count === 0) {
     return { total: 0, count: 0, message: 'No transactions found' };
@@ -41,19 +71,20 @@ async function getSpendingByCategory(category, startDate, endDate) {
 }
 
 // 2. Get total spending in a date range
-async function getTotalSpending(startDate, endDate) {
+async function getTotalSpending(startDate, endDate, filters = {}) {
+  const accountFilter = buildScopeFilter(filters);
   const sql = `
     SELECT
       SUM(amount) as total,
-      COUNT(*) as count,
-      AVG(amount) as average
-    FROM transactions
+      COUNT(DISTINCT transaction_id) as count,
+      SUM(amount) / COUNT(DISTINCT transaction_id) as average
+    FROM transaction_lines
     WHERE amount > 0
       AND date BETWEEN ? AND ?
-      AND pending = 0
+      AND pending = 0${accountFilter.clause}
   `;
 
-  const result = await dbGet(sql, [startDate, endDate]);
+  const result = await dbGet(sql, [startDate, endDate, ...accountFilter.params]);
 
   return {
     startDate,
@@ -65,27 +96,32 @@ async function getTotalSpending(startDate, endDate) {
 }
 
 // 3. Get top merchants by spending
-async function getTopMerchants(limit = 10, startDate, endDate) {
+async function getTopMerchants(limit = 10, startDate, endDate, filters = {}) {
+  const accountFilter = buildScopeFilter(filters);
   const sql = `
     SELECT
-      merchant_name,
+      merchant_id,
+      merchant,
+      merchant_logo_url,
       SUM(amount) as total,
-      COUNT(*) as count,
-      AVG(amount) as average,
+      COUNT(DISTINCT transaction_id) as count,
+      SUM(amount) / COUNT(DISTINCT transaction_id) as average,
       category
-    FROM transactions
+    FROM transaction_lines
     WHERE amount > 0
-      AND merchant_name IS NOT NULL
-      AND date BETWEEN ? AND ?
-    GROUP BY merchant_name
+      AND merchant IS NOT NULL
+      AND date BETWEEN ? AND ?${accountFilter.clause}
+    GROUP BY COALESCE(merchant_id, merchant)
     ORDER BY total DESC
     LIMIT ?
   `;
 
-  const results = await dbAll(sql, [startDate, endDate, limit]);
+  const results = await dbAll(sql, [startDate, endDate, ...accountFilter.params, limit]);
 
   return results.map(r => ({
-    merchant: r.merchant_name,
+    merchant: r.merchant,
+    merchantId: r.merchant_id,
+    logoUrl: r.merchant_logo_url,
     total: parseFloat(r.total.toFixed(2)),
     count: r.count,
     average: parseFloat(r.average.toFixed(2)),
@@ -94,21 +130,22 @@ async function getTopMerchants(limit = 10, startDate, endDate) {
 }
 
 // 4. Get spending trend by month
-async function getMonthlySpendingTrend(months = 6) {
+async function getMonthlySpendingTrend(months = 6, filters = {}) {
+  const accountFilter = buildScopeFilter(filters);
   const sql = `
     SELECT
       strftime('%Y-%m', date) as month,
       SUM(amount) as total,
-      COUNT(*) as count,
-      AVG(amount) as average
-    FROM transactions
+      COUNT(DISTINCT transaction_id) as count,
+      SUM(amount) / COUNT(DISTINCT transaction_id) as average
+    FROM transaction_lines
     WHERE amount > 0
-      AND date >= date('now', '-${months} months')
+      AND date >= date('now', '-${months} months')${accountFilter.clause}
     GROUP BY month
     ORDER BY month ASC
   `;
 
-  const results = await dbAll(sql);
+  const results = await dbAll(sql, accountFilter.params);
 
   return results.map(r => ({
     month: r.month,
@@ -119,22 +156,26 @@ async function getMonthlySpendingTrend(months = 6) {
 }
 
 // 5. Get category breakdown
-async function getCategoryBreakdown(startDate, endDate) {
+async function getCategoryBreakdown(startDate, endDate, filters = {}) {
+  const accountFilter = buildScopeFilter(filters);
   const sql = `
     SELECT
       category,
       SUM(amount) as total,
-      COUNT(*) as count,
-      ROUND((SUM(amount) * 100.0 / (SELECT SUM(amount) FROM transactions WHERE amount > 0 AND date BETWEEN ? AND ?)), 2) as percentage
-    FROM transactions
+      COUNT(DISTINCT transaction_id) as count,
+      ROUND((SUM(amount) * 100.0 / (SELECT SUM(amount) FROM transaction_lines WHERE amount > 0 AND date BETWEEN ? AND ?${accountFilter.clause})), 2) as percentage
+    FROM transaction_lines
     WHERE amount > 0
       AND category IS NOT NULL
-      AND date BETWEEN ? AND ?
+      AND date BETWEEN ? AND ?${accountFilter.clause}
     GROUP BY category
     ORDER BY total DESC
   `;
 
-  const results = await dbAll(sql, [startDate, endDate, startDate, endDate]);
+  const results = await dbAll(sql, [
+    startDate, endDate, ...accountFilter.params,
+    startDate, endDate, ...accountFilter.params
+  ]);
 
   return results.map(r => ({
     category: r.category,
@@ -145,19 +186,20 @@ async function getCategoryBreakdown(startDate, endDate) {
 }
 
 // 6. Get total income
-async function getTotalIncome(startDate, endDate) {
+async function getTotalIncome(startDate, endDate, filters = {}) {
+  const accountFilter = buildScopeFilter(filters);
   const sql = `
     SELECT
       SUM(ABS(amount)) as total,
-      COUNT(*) as count,
-      AVG(ABS(amount)) as average
-    FROM transactions
+      COUNT(DISTINCT transaction_id) as count,
+      SUM(ABS(amount)) / COUNT(DISTINCT transaction_id) as average
+    FROM transaction_lines
     WHERE amount < 0
       AND date BETWEEN ? AND ?
-      AND pending = 0
+      AND pending = 0${accountFilter.clause}
   `;
 
-  const result = await dbGet(sql, [startDate, endDate]);
+  const result = await dbGet(sql, [startDate, endDate, ...accountFilter.params]);
 
   return {
     startDate,
@@ -169,9 +211,9 @@ async function getTotalIncome(startDate, endDate) {
 }
 
 // 7. Calculate savings rate
-async function getSavingsRate(startDate, endDate) {
-  const income = await getTotalIncome(startDate, endDate);
-  const spending = await getTotalSpending(startDate, endDate);
+async function getSavingsRate(startDate, endDate, filters = {}) {
+  const income = await getTotalIncome(startDate, endDate, filters);
+  const spending = await getTotalSpending(startDate, endDate, filters);
 
   if (income.total === 0) {
     return {
@@ -195,113 +237,81 @@ async function getSavingsRate(startDate, endDate) {
   };
 }
 
-// 8. Compare month over month
-async function compareMonthOverMonth(currentMonth, previousMonth) {
-  const currentSpending = await getTotalSpending(
-    `${currentMonth}-01`,
-    `${currentMonth}-31`
-  );
-
-  const previousSpending = await getTotalSpending(
-    `${previousMonth}-01`,
-    `${previousMonth}-31`
-  );
-
-  const difference = currentSpending.total - previousSpending.total;
-  const percentageChange = previousSpending.total > 0
-    ? ((difference / previousSpending.total) * 100)
-    : 0;
+// 8. Compare month over month (a month-sized comparePeriods, see periodComparison.js)
+async function compareMonthOverMonth(currentMonth, previousMonth, filters = {}) {
+  const comparison = await periodComparison.comparePeriods({
+    startDate: currentMonth,
+    previousStartDate: previousMonth,
+    ...filters
+  });
 
   return {
     currentMonth,
     previousMonth,
-    currentTotal: currentSpending.total,
-    previousTotal: previousSpending.total,
-    difference: parseFloat(difference.toFixed(2)),
-    percentageChange: parseFloat(percentageChange.toFixed(2)),
-    trend: difference > 0 ? 'increased' : difference < 0 ? 'decreased' : 'unchanged'
+    currentTotal: comparison.current.total,
+    previousTotal: comparison.previous.total,
+    difference: comparison.difference,
+    percentageChange: comparison.percentageChange || 0,
+    trend: comparison.trend,
+    biggestIncreases: comparison.biggestIncreases,
+    biggestDecreases: comparison.biggestDecreases
   };
 }
 
-// 9. Search transactions
-async function searchTransactions(query, limit = 50) {
-  const sql = `
-    SELECT *
-    FROM transactions
-    WHERE (name LIKE ? OR merchant_name LIKE ? OR category LIKE ?)
-    ORDER BY date DESC
-    LIMIT ?
-  `;
-
-  const searchPattern = `%${query}%`;
-  const results = await dbAll(sql, [searchPattern, searchPattern, searchPattern, limit]);
-
-  return results.map(txn => ({
-    id: txn.transaction_id,
-    date: txn.date,
-    name: txn.name,
-    merchant: txn.merchant_name,
-    amount: parseFloat(txn.amount),
-    category: txn.category
-  }));
-}
-
-// 10. Get unusual spending (anomaly detection)
-async function getUnusualSpending(category, threshold = 2.0) {
-  // Get average and standard deviation
-  const statsSql = `
-    SELECT
-      AVG(amount) as avg,
-      COUNT(*) as count
-    FROM transactions
-    WHERE amount > 0
-      AND category LIKE ?
-  `;
-
-  const stats = await dbGet(statsSql, [`%${category}%`]);
-
-  if (!stats || stats.count < 5) {
-    return { message: 'Not enough data for anomaly detection' };
-  }
-
-  // Get transactions above threshold
-  const anomaliesSql = `
-    SELECT *
-    FROM transactions
-    WHERE amount > 0
-      AND category LIKE ?
-      AND amount > ? * ?
-    ORDER BY amount DESC
-    LIMIT 20
-  `;
-
-  const anomalies = await dbAll(anomaliesSql, [`%${category}%`, stats.avg, threshold]);
+// 9. Search transactions (full-text, ranked - see transactionSearch.js)
+async function searchTransactions(query, limit = 50, filters = {}) {
+  const result = await transactionSearch.searchTransactions(query, { filters, limit });
 
   return {
-    category,
-    average: parseFloat(stats.avg.toFixed(2)),
-    threshold: threshold,
-    anomalies: anomalies.map(txn => ({
+    query: result.query,
+    correctedQuery: result.correctedQuery,
+    count: result.transactions.length,
+    transactions: result.transactions.map(txn => ({
       id: txn.transaction_id,
       date: txn.date,
       name: txn.name,
-      merchant: txn.merchant_name,
+      merchant: txn.merchant,
       amount: parseFloat(txn.amount),
-      timesAboveAverage: parseFloat((txn.amount / stats.avg).toFixed(2))
+      category: txn.effective_category,
+      match: txn.snippet
+    }))
+  };
+}
+
+// 10. Anomalies: amounts far above the merchant's or category's usual (median/MAD), likely duplicate
+// charges, large first charges at new merchants and charges far from usual places (see anomalies.js).
+// Only reads the alerts - the scan runs after every sync; status defaults to open alerts.
+async function getAnomalies(type, status = 'open', filters = {}) {
+  const results = await anomalies.listAnomalies({ type, status, limit: 25, ...filters });
+
+  if (results.length === 0) {
+    return { message: 'Nothing unusual found' };
+  }
+  return {
+    count: results.length,
+    anomalies: results.map(anomaly => ({
+      type: anomaly.type,
+      message: anomaly.message,
+      status: anomaly.status,
+      date: anomaly.transaction.date,
+      merchant: anomaly.transaction.merchant || anomaly.transaction.name,
+      amount: anomaly.transaction.amount,
+      account: anomaly.transaction.accountName
     }))
   };
 }
 
 // 11. Get recurring transactions from DB
-async function getRecurringTransactions() {
+async function getRecurringTransactions(filters = {}) {
+  const accountFilter = buildAccountFilter(filters);
   const sql = `
     SELECT *
     FROM recurring_streams
-    WHERE is_active = 1
+    WHERE is_active = 1${accountFilter.clause}
     ORDER BY average_amount DESC
   `;
 
-  const results = await dbAll(sql);
+  const results = await dbAll(sql, accountFilter.params);
 
   return {
     inflow: results.filter(r => r.type === 'inflow'),
@@ -309,29 +319,223 @@ async function getRecurringTransactions() {
   };
 }
 
-// 12. Get transactions by date range (for context)
-async function getTransactionsByDateRange(startDate, endDate, limit = 100) {
+// 12. Get transactions by date range (for context). Transfers are listed too, marked as such.
+async function getTransactionsByDateRange(startDate, endDate, limit = 100, filters = {}) {
+  const accountFilter = buildScopeFilter({ ...filters, includeTransfers: true });
   const sql = `
-    SELECT *
-    FROM transactions
-    WHERE date BETWEEN ? AND ?
-    ORDER BY date DESC
+    SELECT t.*, COALESCE(t.user_category, t.category) as effective_category, COALESCE(m.name, t.merchant_name) as merchant
+    FROM transactions t
+    LEFT JOIN merchants m ON m.id = t.merchant_id
+    WHERE t.date BETWEEN ? AND ?${accountFilter.clause}
+    ORDER BY t.date DESC
     LIMIT ?
   `;
 
-  const results = await dbAll(sql, [startDate, endDate, limit]);
+  const results = await dbAll(sql, [startDate, endDate, ...accountFilter.params, limit]);
 
   return results.map(txn => ({
     id: txn.transaction_id,
     date: txn.date,
     name: txn.name,
-    merchant: txn.merchant_name,
+    merchant: txn.merchant,
     amount: parseFloat(txn.amount),
-    category: txn.category,
-    pending: txn.pending === 1
+    category: txn.effective_category,
+    accountId: txn.account_id,
+    pending: txn.pending === 1,
+    isTransfer: txn.transfer_id !== null
   }));
 }
 
+// 13. List linked accounts (so the AI can resolve "my Chase card" to a filter)
+async function getAccounts(filters = {}) {
+  const accountFilter = buildAccountFilter(filters, 'a.account_id');
+  const sql = `
+    SELECT a.*, COALESCE(u.institution_name, a.institution_name) AS institution_name
+    FROM accounts a
+    LEFT JOIN user_data u ON u.item_id = a.item_id
+    WHERE 1 = 1${accountFilter.clause}
+    ORDER BY institution_name, a.name
+  `;
+
+  const results = await dbAll(sql, accountFilter.params);
+
+  return results.map(account => ({
+    accountId: account.account_id,
+    institution: account.institution_name,
+    name: account.name,
+    officialName: account.official_name,
+    mask: account.mask,
+    type: account.type,
+    subtype: account.subtype,
+    currentBalance: account.current_balance,
+    availableBalance: account.available_balance
+  }));
+}
+
+// 14. Budget status: spent, remaining and projected per budgeted category (see budgets.js).
+// Filters narrow the spending counted against each budget, e.g. just the joint card or a tag.
+async function getBudgetStatus(category, month, filters = {}) {
+  const status = await budgets.getBudgetStatus({ category, month, ...filters });
+
+  if (status.budgets.length === 0) {
+    return { month: status.month, message: category ? `No budget set for ${category}` : 'No budgets set' };
+  }
+  return status;
+}
+
+// 15. Cash-flow forecast: projected balances from recurring streams and a spending baseline
+// (see cashFlowForecast.js). Returns checkpoints and low-balance dips rather than every day.
+// It projects account balances, so the account filters apply but a tag has nothing to narrow.
+async function getCashFlowForecast(days = 30, floor, filters = {}) {
+  const forecast = await cashFlowForecast.getCashFlowForecast({ days, floor, ...filters });
+
+  if (forecast.accounts.length === 0) {
+    return { message: 'No checking, savings or credit card accounts to forecast' };
+  }
+
+  return {
+    startDate: forecast.startDate,
+    endDate: forecast.endDate,
+    floor: forecast.floor,
+    startingCash: forecast.daily[0].cashBalance,
+    endingCash: forecast.daily[forecast.daily.length - 1].cashBalance,
+    checkpoints: forecast.checkpoints,
+    accounts: forecast.accounts,
+    lowBalanceAlerts: forecast.lowBalanceAlerts,
+    upcoming: forecast.daily.flatMap(day => day.events).slice(0, 25)
+  };
+}
+
+// 16. Subscriptions: recurring charges with their monthly and annual cost, the user's
+// keep/cancel decisions and alerts (price increases, trials that converted, charges after cancelling).
+// A subscription is a recurring stream on one account, so the account filters apply but tags don't.
+async function getSubscriptions(status, filters = {}) {
+  const result = await subscriptions.getSubscriptions({ status, ...filters });
+
+  return {
+    totals: result.totals,
+    alerts: result.alerts,
+    subscriptions: result.subscriptions.map(subscription => ({
+      name: subscription.name,
+      status: subscription.status,
+      frequency: subscription.frequency,
+      price: subscription.price,
+      monthlyCost: subscription.monthlyCost,
+      annualCost: subscription.annualCost,
+      lastCharge: subscription.lastCharge,
+      nextCharge: subscription.nextCharge
+    }))
+  };
+}
+
+// 17. Net worth across Plaid, Increase, Unit and Locus (see netWorth.js): today's total with
+// breakdowns, the change between the dates and monthly history. It takes no filters: net worth is the
+// total of everything, and Increase, Unit and Locus balances aren't in the accounts table the filters match.
+async function getNetWorth(startDate, endDate) {
+  const result = await netWorth.getNetWorth({ startDate, endDate, interval: 'month' });
+  const { accounts, ...current } = result.current;
+
+  if (result.historyStartsOn && result.historyStartsOn > result.startDate) {
+    result.note = `History only goes back to ${result.historyStartsOn}, when net worth tracking started`;
+  }
+  return { ...result, current };
+}
+
+// 18. Compare spending between two date ranges - the previous period, the same dates last year or
+// any other range - with per-category and per-merchant changes and the biggest movers (see periodComparison.js)
+async function comparePeriods(startDate, endDate, compareTo, previousStartDate, previousEndDate, category, merchant, filters = {}) {
+  const comparison = await periodComparison.comparePeriods({
+    startDate,
+    endDate,
+    compareTo: compareTo || undefined,
+    previousStartDate,
+    previousEndDate,
+    category,
+    merchant,
+    ...filters
+  });
+
+  // The movers carry the story; the full lists are capped to keep the reply small
+  return {
+    ...comparison,
+    categories: comparison.categories.slice(0, 15),
+    merchants: comparison.merchants.slice(0, 15)
+  };
+}
+
+// 19. Tax-relevant spending for a tax year by tax type, from the user's tax flags plus Locus
+// charity donations (see taxReport.js). taxType narrows the itemized list; filters narrow the whole report
+async function getTaxReport(year, taxType, filters = {}) {
+  const report = await taxReport.getTaxReport({ year: year || undefined, ...filters });
+  const items = taxType ? report.items.filter(item => item.taxType === taxType) : report.items;
+
+  return {
+    year: report.year,
+    summary: report.summary,
+    total: report.total,
+    itemCount: items.length,
+    items: items.slice(0, 50),
+    note: items.length > 50 ? `Showing the first 50 of ${items.length} items; the full list is in the tax report export` : undefined
+  };
+}
+
+// 20. Spending by place - cities, regions and nearby areas - from transaction locations,
+// narrowed to a place ("Denver") when given, with the trips there (see locations.js)
+async function getSpendingByLocation(startDate, endDate, place, filters = {}) {
+  const spending = await locations.getLocationSpending({ startDate, endDate, place, ...filters });
+  const result = {
+    ...spending,
+    places: spending.places.slice(0, 20),
+    regions: spending.regions.slice(0, 10),
+    clusters: spending.clusters.slice(0, 10)
+  };
+
+  // "How much did I spend in Denver?" also counts what was spent online or unlocated during the trip
+  if (place) {
+    const { trips, total } = await locations.getTrips({ startDate, endDate, place, ...filters });
+    result.trips = trips.map(({ destinations, ...trip }) => trip);
+    result.spentDuringTrips = total;
+  }
+  return result;
+}
+
+// 21. Travel: periods of in-store spending away from home with what was spent on each trip (see locations.js)
+async function getTravelPeriods(startDate, endDate, place, filters = {}) {
+  const result = await locations.getTrips({ startDate, endDate, place, ...filters });
+  return { ...result, trips: result.trips.slice(0, 20) };
+}
+
+// 22. When discretionary spending happens: by weekday, week of month and day of month (see spendingPatterns.js)
+async function getSpendingPatterns(startDate, endDate, category, filters = {}) {
+  const { byDayOfMonth, heatmap, paydayCycle, ...patterns } = await spendingPatterns.getSpendingPatterns({ startDate, endDate, category, ...filters });
+
+  // The per-day series are for charts; the busiest days of the month tell the story
+  return {
+    ...patterns,
+    busiestDaysOfMonth: [...byDayOfMonth].sort((a, b) => b.averagePerDay - a.averagePerDay).slice(0, 5),
+    paydayWindowShare: paydayCycle ? paydayCycle.windowShare : null
+  };
+}
+
+// 23. Discretionary spending relative to paydays detected from recurring income (see spendingPatterns.js)
+async function getPaydayCycle(startDate, endDate, category, filters = {}) {
+  const patterns = await spendingPatterns.getSpendingPatterns({ startDate, endDate, category, ...filters });
+  if (!patterns.paydayCycle) {
+    return { startDate: patterns.startDate, endDate: patterns.endDate, paydayCycle: null, note: patterns.paydayNote };
+  }
+
+  const { byDaysAfterPayday, ...cycle } = patterns.paydayCycle;
+  return {
+    startDate: patterns.startDate,
+    endDate: patterns.endDate,
+    category: patterns.category,
+    total: patterns.total,
+    ...cycle,
+    byDaysAfterPayday: byDaysAfterPayday.map(({ day, total, averagePerDay, share }) => ({ day, total, averagePerDay, share })),
+    insight: patterns.insights[patterns.insights.length - 1]
+  };
+}
+
 module.exports = {
   getSpendingByCategory,
   getTotalSpending,
@@ -342,7 +546,18 @@ module.exports = {
   getSavingsRate,
   compareMonthOverMonth,
   searchTransactions,
-  getUnusualSpending,
+  getAnomalies,
   getRecurringTransactions,
-  getTransactionsByDateRange
+  getTransactionsByDateRange,
+  getAccounts,
+  getBudgetStatus,
+  getCashFlowForecast,
+  getSubscriptions,
+  getNetWorth,
+  comparePeriods,
+  getTaxReport,
+  getSpendingByLocation,
+  getTravelPeriods,
+  getSpendingPatterns,
+  getPaydayCycle
 };
@@ -0,0 +1,51 @@
+/**
+ * Analytics Helpers
+ *
+ * Date and money helpers shared by budgets, forecasts, reports and the other
+ * analytics modules. Dates are YYYY-MM-DD strings worked on in UTC, so adding
+ * a day never lands on the same date across a daylight saving change.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Money to the cent
+const round = value => parseFloat(value.toFixed(2));
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function addDays(value, days) {
+  const date = new Date(`${value}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Whole days from start to end, negative when end comes first
+function daysBetween(start, end) {
+  return Math.round((new Date(`${end}T00:00:00Z`) - new Date(`${start}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Check a startDate/endDate pair. Without an end the range ends today; without
+ * a start it covers defaultDays days up to and including the end.
+ */
+function resolveRange(startDate, endDate, defaultDays) {
+  const end = endDate || today();
+  const start = startDate || addDays(end, -defaultDays + 1);
+  for (const [name, value] of [['startDate', start], ['endDate', end]]) {
+    if (!DATE_PATTERN.test(value)) {
+      throw new Error(`${name} must be in YYYY-MM-DD format`);
+    }
+  }
+  if (start > end) {
+    throw new Error('startDate must be on or before endDate');
+  }
+  return { startDate: start, endDate: end };
+}
+
+module.exports = {
+  round,
+  today,
+  addDays,
+  daysBetween,
+  resolveRange
+};
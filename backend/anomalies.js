@@ -0,0 +1,400 @@
+const { dbRun, dbAll } = require('./database');
+const { buildAccountFilter, buildTagFilter } = require('./transactionFilters');
+const { round, today, addDays } = require('./analyticsHelpers');
+
+/**
+ * Anomalies
+ *
+ * Scores new spending against the user's own history and keeps what stands
+ * out in an alerts feed:
+ * - unusual_amount: far above what the merchant usually charges (or, without
+ *   enough history at the merchant, what the category usually costs)
+ * - duplicate: the same amount from the same merchant on the same account within hours
+ * - new_merchant: a large first charge from a merchant never seen before
+ * - unusual_location: an in-store charge far from everywhere the user shops
+ *
+ * Amounts are compared with the median and the median absolute deviation
+ * (MAD) rather than the average, so a few big past charges don't hide a new
+ * one: the modified z-score 0.6745 * (amount - median) / MAD is flagged above 3.5.
+ *
+ * Each posted transaction is scanned once, if it is from the last SCAN_DAYS
+ * (a first sync of years of history shouldn't flood the feed). Transfers
+ * between the user's accounts are skipped. Marking an alert expected feeds
+ * back into scoring: amounts like it at that merchant, repeat charges from
+ * that merchant and purchases around that place stop being flagged.
+ */
+
+const TYPES = ['unusual_amount', 'duplicate', 'new_merchant', 'unusual_location'];
+const STATUSES = ['open', 'expected', 'dismissed'];
+
+const SCAN_DAYS = 30;
+const HISTORY_DAYS = 365;
+const MODIFIED_Z_THRESHOLD = 3.5;
+const MIN_MERCHANT_HISTORY = 4;
+const MIN_CATEGORY_HISTORY = 8;
+const MIN_SPREAD_SHARE = 0.05; // of the median, so identical past amounts don't make cents look extreme
+const MIN_EXCESS_AMOUNT = 20; // over the median - a $12 coffee isn't worth an alert
+const EXPECTED_AMOUNT_TOLERANCE = 0.1;
+const DUPLICATE_WINDOW_HOURS = 6;
+const NEW_MERCHANT_MIN_AMOUNT = 200;
+const NEW_MERCHANT_PERCENTILE = 0.9;
+const NEW_MERCHANT_MIN_HISTORY_DAYS = 90;
+const LOCATION_DISTANCE_KM = 150;
+const MIN_LOCATED_HISTORY = 10;
+
+// Same merchant: the canonical one when assigned, the bank's name otherwise
+const MERCHANT_KEY = `COALESCE('id:' || t.merchant_id, 'name:' || LOWER(COALESCE(t.merchant_name, t.name)))`;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function percentile(values, share) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(Math.floor(sorted.length * share), sorted.length - 1)];
+}
+
+function distanceKm(a, b) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+const placeName = row => [row.city, row.region].filter(Boolean).join(', ');
+const placeKey = row => placeName(row).toLowerCase();
+
+// ===== HISTORY =====
+
+/**
+ * The user's posted spending since a date, oldest first, with the merchant key,
+ * effective category, place and (when Plaid sent one) the time of day
+ */
+async function loadSpending(userId, since) {
+  const rows = await dbAll(`
+    SELECT t.transaction_id, t.account_id, t.date, t.amount, t.name, t.payment_channel,
+      ${MERCHANT_KEY} AS merchant_key,
+      COALESCE(m.name, t.merchant_name, t.name) AS merchant,
+      COALESCE(t.user_category, t.category) AS category,
+      t.location_city AS city, t.location_region AS region, t.location_lat AS lat, t.location_lon AS lon,
+      COALESCE(json_extract(t.raw_data, '$.datetime'), json_extract(t.raw_data, '$.authorized_datetime')) AS datetime,
+      t.anomaly_scanned_at
+    FROM transactions t
+    JOIN accounts a ON a.account_id = t.account_id
+    LEFT JOIN merchants m ON m.id = t.merchant_id
+    WHERE a.user_id = ? AND t.pending = 0 AND t.amount > 0 AND t.transfer_id IS NULL AND t.date >= ?
+    ORDER BY t.date ASC, t.transaction_id ASC
+  `, [userId, since]);
+
+  return rows.map(row => ({ ...row, time: row.datetime ? new Date(row.datetime).getTime() : null }));
+}
+
+// First date each merchant was seen, across all of the user's history
+async function loadFirstSeen(userId) {
+  const rows = await dbAll(`
+    SELECT ${MERCHANT_KEY} AS merchant_key, MIN(t.date) AS first_date
+    FROM transactions t
+    JOIN accounts a ON a.account_id = t.account_id
+    WHERE a.user_id = ?
+    GROUP BY merchant_key
+  `, [userId]);
+  return new Map(rows.map(row => [row.merchant_key, row.first_date]));
+}
+
+/**
+ * What the user has said is normal, from alerts marked expected:
+ * amounts per merchant, merchants that charge twice, and places
+ */
+async function loadExpected(userId) {
+  const rows = await dbAll(`
+    SELECT type, details FROM transaction_anomalies WHERE user_id = ? AND status = 'expected'
+  `, [userId]);
+
+  const expected = { amounts: new Map(), duplicateMerchants: new Set(), places: [] };
+  for (const row of rows) {
+    const details = JSON.parse(row.details || '{}');
+    if (row.type === 'unusual_amount' || row.type === 'new_merchant') {
+      if (!expected.amounts.has(details.merchantKey)) expected.amounts.set(details.merchantKey, []);
+      expected.amounts.get(details.merchantKey).push(details.amount);
+    } else if (row.type === 'duplicate') {
+      expected.duplicateMerchants.add(details.merchantKey);
+    } else if (row.type === 'unusual_location') {
+      expected.places.push(details.place);
+    }
+  }
+  return expected;
+}
+
+// ===== SCORING =====
+
+/**
+ * Median, MAD and modified z-score of an amount against past amounts,
+ * or null with too little history
+ */
+function scoreAmount(amount, history, minHistory) {
+  if (history.length < minHistory) return null;
+
+  const amounts = history.map(row => row.amount);
+  const typical = median(amounts);
+  const mad = median(amounts.map(value => Math.abs(value - typical)));
+  const spread = Math.max(mad, typical * MIN_SPREAD_SHARE, 1);
+  return { median: round(typical), mad: round(mad), score: round((0.6745 * (amount - typical)) / spread), count: history.length };
+}
+
+function checkAmount(txn, history, expected) {
+  const expectedAmounts = expected.amounts.get(txn.merchant_key) || [];
+  if (expectedAmounts.some(amount => Math.abs(txn.amount - amount) <= amount * EXPECTED_AMOUNT_TOLERANCE)) return null;
+
+  const merchantStats = scoreAmount(txn.amount, history.filter(row => row.merchant_key === txn.merchant_key), MIN_MERCHANT_HISTORY);
+  const categoryStats = txn.category
+    ? scoreAmount(txn.amount, history.filter(row => row.category === txn.category), MIN_CATEGORY_HISTORY)
+    : null;
+
+  // The merchant's own history is the better yardstick when there is enough of it
+  const basis = merchantStats ? 'merchant' : 'category';
+  const stats = merchantStats || categoryStats;
+  if (!stats || stats.score <= MODIFIED_Z_THRESHOLD || txn.amount - stats.median < MIN_EXCESS_AMOUNT) return null;
+
+  const where = basis === 'merchant' ? `at ${txn.merchant}` : `for ${txn.category}`;
+  return {
+    type: 'unusual_amount',
+    score: stats.score,
+    message: `$${txn.amount.toFixed(2)} at ${txn.merchant} is far above the usual $${stats.median.toFixed(2)} ${where}`,
+    details: { basis, merchant: merchantStats, category: categoryStats }
+  };
+}
+
+/**
+ * Whether an earlier charge is within the duplicate window of a later one:
+ * DUPLICATE_WINDOW_HOURS when both have a time, the same day otherwise.
+ * Ties go by transaction_id, so only the later charge of a pair is flagged.
+ */
+function isDuplicateOf(txn, row) {
+  if (row.time !== null && txn.time !== null) {
+    const earlier = row.time < txn.time || (row.time === txn.time && row.transaction_id < txn.transaction_id);
+    return earlier && txn.time - row.time <= DUPLICATE_WINDOW_HOURS * 3600000;
+  }
+  return row.date === txn.date && row.transaction_id < txn.transaction_id;
+}
+
+function checkDuplicate(txn, recent, expected) {
+  if (expected.duplicateMerchants.has(txn.merchant_key)) return null;
+
+  const original = recent.find(row => row.account_id === txn.account_id
+    && row.merchant_key === txn.merchant_key
+    && Math.abs(row.amount - txn.amount) < 0.005
+    && isDuplicateOf(txn, row));
+  if (!original) return null;
+
+  const hours = original.time !== null && txn.time !== null ? round((txn.time - original.time) / 3600000) : null;
+  return {
+    type: 'duplicate',
+    score: null,
+    message: `Possible duplicate: ${txn.merchant} charged $${txn.amount.toFixed(2)} twice ${hours !== null ? `within ${Math.max(Math.ceil(hours), 1)} hours` : `on ${txn.date}`}`,
+    details: { duplicateOf: original.transaction_id, hoursApart: hours }
+  };
+}
+
+function checkNewMerchant(txn, history, firstSeen, expected) {
+  if (firstSeen.get(txn.merchant_key) !== txn.date || history.length === 0) return null;
+  if (history[0].date > addDays(txn.date, -NEW_MERCHANT_MIN_HISTORY_DAYS)) return null;
+  if ((expected.amounts.get(txn.merchant_key) || []).length > 0) return null;
+
+  const large = Math.max(NEW_MERCHANT_MIN_AMOUNT, percentile(history.map(row => row.amount), NEW_MERCHANT_PERCENTILE));
+  if (txn.amount < large) return null;
+
+  return {
+    type: 'new_merchant',
+    score: round(txn.amount / large),
+    message: `First charge from ${txn.merchant}: $${txn.amount.toFixed(2)}`,
+    details: { threshold: round(large) }
+  };
+}
+
+function checkLocation(txn, history, expected) {
+  if (txn.payment_channel === 'online' || (!txn.city && (txn.lat === null || txn.lon === null))) return null;
+
+  const inStore = history.filter(row => row.payment_channel !== 'online');
+  const places = [...inStore.filter(row => row.city || (row.lat !== null && row.lon !== null)), ...expected.places];
+  if (places.length < MIN_LOCATED_HISTORY) return null;
+  if (txn.city && places.some(place => place.city && placeKey(place) === placeKey(txn))) return null;
+
+  let nearest = null;
+  if (txn.lat !== null && txn.lon !== null) {
+    const distances = places.filter(place => place.lat !== null && place.lon !== null).map(place => distanceKm(place, txn));
+    if (distances.length > 0) {
+      nearest = Math.min(...distances);
+      if (nearest <= LOCATION_DISTANCE_KM) return null;
+    }
+  }
+  if (nearest === null && !txn.city) return null;
+
+  const where = placeName(txn) || 'an unfamiliar place';
+  return {
+    type: 'unusual_location',
+    score: nearest !== null ? Math.round(nearest) : null,
+    message: nearest !== null
+      ? `$${txn.amount.toFixed(2)} at ${txn.merchant} in ${where}, ${Math.round(nearest)} km from where you usually shop`
+      : `$${txn.amount.toFixed(2)} at ${txn.merchant} in ${where}, somewhere you haven't shopped before`,
+    details: { nearestKm: nearest !== null ? Math.round(nearest) : null }
+  };
+}
+
+// ===== SCAN =====
+
+/**
+ * Score transactions from the last SCAN_DAYS that haven't been scanned yet and
+ * record what stands out (run after every sync and on POST /api/anomalies/scan).
+ * Resolves with { scanned, found } - found being the new alerts.
+ */
+async function scanTransactions(userId = 'default_user') {
+  const scanFrom = addDays(today(), -SCAN_DAYS);
+  const spending = await loadSpending(userId, addDays(scanFrom, -HISTORY_DAYS));
+  const candidates = spending.filter(row => row.date >= scanFrom && !row.anomaly_scanned_at);
+  if (candidates.length === 0) return { scanned: 0, found: [] };
+
+  const firstSeen = await loadFirstSeen(userId);
+  const expected = await loadExpected(userId);
+  const found = [];
+
+  for (const txn of candidates) {
+    const since = addDays(txn.date, -HISTORY_DAYS);
+    const history = spending.filter(row => row.date >= since && row.date < txn.date);
+    const recent = spending.filter(row => row.transaction_id !== txn.transaction_id
+      && row.date >= addDays(txn.date, -1) && row.date <= txn.date);
+
+    const anomalies = [
+      checkAmount(txn, history, expected),
+      checkDuplicate(txn, recent, expected),
+      checkNewMerchant(txn, history, firstSeen, expected),
+      checkLocation(txn, history, expected)
+    ].filter(Boolean);
+
+    for (const anomaly of anomalies) {
+      // What "mark as expected" remembers about this transaction
+      const details = {
+        ...anomaly.details,
+        merchantKey: txn.merchant_key,
+        amount: txn.amount,
+        place: { city: txn.city, region: txn.region, lat: txn.lat, lon: txn.lon }
+      };
+      const result = await dbRun(`
+        INSERT OR IGNORE INTO transaction_anomalies (user_id, transaction_id, type, score, message, details)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [userId, txn.transaction_id, anomaly.type, anomaly.score, anomaly.message, JSON.stringify(details)]);
+
+      if (result.changes > 0) {
+        found.push({ id: result.lastID, transactionId: txn.transaction_id, type: anomaly.type, message: anomaly.message });
+      }
+    }
+  }
+
+  await dbRun(`
+    UPDATE transactions SET anomaly_scanned_at = CURRENT_TIMESTAMP
+    WHERE transaction_id IN (${candidates.map(() => '?').join(', ')})
+  `, candidates.map(row => row.transaction_id));
+
+  return { scanned: candidates.length, found };
+}
+
+// ===== FEED =====
+
+/**
+ * Alerts, newest transaction first. status defaults to open; type narrows to
+ * one kind; the account and tag filters apply to the transaction.
+ */
+async function listAnomalies({ status = 'open', type = null, startDate = null, endDate = null, limit = 100, userId = 'default_user', ...filters } = {}) {
+  if (status && !STATUSES.includes(status)) {
+    throw new Error(`Status must be one of: ${STATUSES.join(', ')}`);
+  }
+  if (type && !TYPES.includes(type)) {
+    throw new Error(`Type must be one of: ${TYPES.join(', ')}`);
+  }
+
+  const accountFilter = buildAccountFilter(filters, 't.account_id');
+  const tagFilter = buildTagFilter(filters, 't.transaction_id');
+  const conditions = ['an.user_id = ?'];
+  const params = [userId];
+  if (status) {
+    conditions.push('an.status = ?');
+    params.push(status);
+  }
+  if (type) {
+    conditions.push('an.type = ?');
+    params.push(type);
+  }
+  if (startDate) {
+    conditions.push('t.date >= ?');
+    params.push(startDate);
+  }
+  if (endDate) {
+    conditions.push('t.date <= ?');
+    params.push(endDate);
+  }
+
+  const rows = await dbAll(`
+    SELECT an.*, t.date, t.name, t.amount, t.account_id,
+      COALESCE(m.name, t.merchant_name) AS merchant, a.name AS account_name
+    FROM transaction_anomalies an
+    JOIN transactions t ON t.transaction_id = an.transaction_id
+    LEFT JOIN merchants m ON m.id = t.merchant_id
+    LEFT JOIN accounts a ON a.account_id = t.account_id
+    WHERE ${conditions.join(' AND ')}${accountFilter.clause}${tagFilter.clause}
+    ORDER BY t.date DESC, an.id DESC
+    LIMIT ?
+  `, [...params, ...accountFilter.params, ...tagFilter.params, parseInt(limit, 10) || 100]);
+
+  return rows.map(row => {
+    const { merchantKey, amount, place, ...details } = JSON.parse(row.details || '{}');
+    return {
+      id: row.id,
+      type: row.type,
+      status: row.status,
+      score: row.score,
+      message: row.message,
+      details,
+      transaction: {
+        id: row.transaction_id,
+        date: row.date,
+        name: row.name,
+        merchant: row.merchant,
+        amount: row.amount,
+        accountId: row.account_id,
+        accountName: row.account_name
+      },
+      createdAt: row.created_at,
+      resolvedAt: row.resolved_at
+    };
+  });
+}
+
+/**
+ * Mark an alert expected (it becomes part of what's normal), dismissed, or open again
+ */
+async function setAnomalyStatus(anomalyId, status, userId = 'default_user') {
+  if (!STATUSES.includes(status)) {
+    throw new Error(`Status must be one of: ${STATUSES.join(', ')}`);
+  }
+
+  const result = await dbRun(`
+    UPDATE transaction_anomalies
+    SET status = ?, resolved_at = CASE WHEN ? = 'open' THEN NULL ELSE CURRENT_TIMESTAMP END
+    WHERE id = ? AND user_id = ?
+  `, [status, status, anomalyId, userId]);
+  if (result.changes === 0) {
+    throw new Error('Alert not found');
+  }
+  return { id: Number(anomalyId), status };
+}
+
+module.exports = {
+  TYPES,
+  scoreAmount,
+  checkAmount,
+  scanTransactions,
+  listAnomalies,
+  setAnomalyStatus
+};
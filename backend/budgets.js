@@ -0,0 +1,343 @@
+const { dbRun, dbGet, dbAll } = require('./database');
+const { buildScopeFilter } = require('./transactionFilters');
+const { round, today } = require('./analyticsHelpers');
+
+/**
+ * Budgets
+ *
+ * Monthly spending limits per category. Spending is the net of the month's
+ * transaction_lines in the category (so splits count, refunds reduce it and
+ * pending charges are included), matched on the effective category ignoring case.
+ * Transfers between the user's own accounts are not spending (see transfers.js).
+ * The account and tag filters narrow which spending counts toward a budget.
+ *
+ * With rollover on, whatever was left unspent in a month is added to the
+ * next one, starting from the budget's first month; overspending does not
+ * carry over.
+ *
+ * Alerts fire once per budget, month and threshold (percent of the amount
+ * available) - checked after every sync and whenever alerts are listed.
+ */
+
+const DEFAULT_ALERT_THRESHOLDS = [80, 100];
+
+// ===== MONTHS =====
+
+function currentMonth() {
+  return today().slice(0, 7);
+}
+
+function parseMonth(month) {
+  const value = month || currentMonth();
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(value)) {
+    throw new Error('Month must be in YYYY-MM format');
+  }
+  return value;
+}
+
+function daysInMonth(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+}
+
+function nextMonth(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const date = new Date(Date.UTC(year, monthNumber, 1));
+  return date.toISOString().slice(0, 7);
+}
+
+// ===== BUDGETS =====
+
+function parseThresholds(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_ALERT_THRESHOLDS;
+
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const thresholds = list.map(item => parseFloat(item)).filter(item => !Number.isNaN(item));
+  if (thresholds.some(item => item <= 0)) {
+    throw new Error('Alert thresholds must be positive percentages');
+  }
+  return [...new Set(thresholds)].sort((a, b) => a - b);
+}
+
+function formatBudget(row) {
+  return {
+    id: row.id,
+    category: row.category,
+    monthlyLimit: row.monthly_limit,
+    rollover: row.rollover === 1,
+    alertThresholds: JSON.parse(row.alert_thresholds),
+    startMonth: row.start_month,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Turn API input (camelCase) into budget columns, rejecting budgets that can't work
+ */
+function toBudgetColumns(input) {
+  const columns = {
+    category: String(input.category || '').trim(),
+    monthly_limit: parseFloat(input.monthlyLimit),
+    rollover: input.rollover === true || input.rollover === 1 || input.rollover === 'true' ? 1 : 0,
+    alert_thresholds: JSON.stringify(parseThresholds(input.alertThresholds)),
+    start_month: parseMonth(input.startMonth)
+  };
+
+  if (!columns.category) {
+    throw new Error('Budget category is required');
+  }
+  if (Number.isNaN(columns.monthly_limit) || columns.monthly_limit <= 0) {
+    throw new Error('Monthly limit must be a positive amount');
+  }
+  return columns;
+}
+
+async function getBudgetRow(budgetId, userId) {
+  const row = await dbGet(`SELECT * FROM budgets WHERE id = ? AND user_id = ?`, [budgetId, userId]);
+  if (!row) {
+    throw new Error('Budget not found');
+  }
+  return row;
+}
+
+async function listBudgets(userId = 'default_user') {
+  const rows = await dbAll(`SELECT * FROM budgets WHERE user_id = ? ORDER BY category ASC`, [userId]);
+  return rows.map(formatBudget);
+}
+
+async function createBudget(input, userId = 'default_user') {
+  const columns = toBudgetColumns(input);
+
+  const existing = await dbGet(`
+    SELECT id FROM budgets WHERE user_id = ? AND category = ? COLLATE NOCASE
+  `, [userId, columns.category]);
+  if (existing) {
+    throw new Error(`There is already a budget for ${columns.category}`);
+  }
+
+  const names = Object.keys(columns);
+  const result = await dbRun(`
+    INSERT INTO budgets (user_id, ${names.join(', ')})
+    VALUES (?, ${names.map(() => '?').join(', ')})
+  `, [userId, ...Object.values(columns)]);
+
+  return formatBudget(await getBudgetRow(result.lastID, userId));
+}
+
+/**
+ * Change a budget (fields not sent keep their current value)
+ */
+async function updateBudget(budgetId, input, userId = 'default_user') {
+  const current = formatBudget(await getBudgetRow(budgetId, userId));
+  const columns = toBudgetColumns({ ...current, ...input });
+  const names = Object.keys(columns);
+
+  await dbRun(`
+    UPDATE budgets
+    SET ${names.map(name => `${name} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND user_id = ?
+  `, [...Object.values(columns), budgetId, userId]);
+
+  return formatBudget(await getBudgetRow(budgetId, userId));
+}
+
+async function deleteBudget(budgetId, userId = 'default_user') {
+  await getBudgetRow(budgetId, userId);
+  await dbRun(`DELETE FROM budget_alerts WHERE budget_id = ?`, [budgetId]);
+  await dbRun(`DELETE FROM budgets WHERE id = ? AND user_id = ?`, [budgetId, userId]);
+  return { id: Number(budgetId), deleted: true };
+}
+
+// ===== TRACKING =====
+
+// Net spending per month in a category, from the first month up to and including the last
+async function getMonthlySpending(category, firstMonth, lastMonth, filters = {}) {
+  const scopeFilter = buildScopeFilter(filters);
+  const rows = await dbAll(`
+    SELECT strftime('%Y-%m', date) AS month, SUM(amount) AS spent
+    FROM transaction_lines
+    WHERE category = ? COLLATE NOCASE
+      AND date BETWEEN ? AND ?${scopeFilter.clause}
+    GROUP BY month
+  `, [category, `${firstMonth}-01`, `${lastMonth}-31`, ...scopeFilter.params]);
+
+  return new Map(rows.map(row => [row.month, Math.max(row.spent, 0)]));
+}
+
+/**
+ * Where one budget stands in a month. The projection extrapolates the
+ * current month's pace to its last day; past months project what was spent.
+ */
+async function getBudgetProgress(budget, month, filters = {}) {
+  const firstMonth = budget.rollover && budget.startMonth < month ? budget.startMonth : month;
+  const spending = await getMonthlySpending(budget.category, firstMonth, month, filters);
+
+  // Unspent amounts from earlier months, carried forward one month at a time
+  let carryover = 0;
+  if (budget.rollover) {
+    for (let m = budget.startMonth; m < month; m = nextMonth(m)) {
+      carryover = Math.max(budget.monthlyLimit + carryover - (spending.get(m) || 0), 0);
+    }
+  }
+
+  const available = budget.monthlyLimit + carryover;
+  const spent = spending.get(month) || 0;
+  const totalDays = daysInMonth(month);
+  const thisMonth = currentMonth();
+
+  let daysElapsed = totalDays;
+  if (month === thisMonth) {
+    daysElapsed = parseInt(today().slice(8, 10), 10);
+  } else if (month > thisMonth) {
+    daysElapsed = 0;
+  }
+
+  const projected = daysElapsed > 0 ? (spent / daysElapsed) * totalDays : 0;
+  const percentUsed = available > 0 ? (spent / available) * 100 : 0;
+
+  let status = 'on_track';
+  if (spent > available) {
+    status = 'over';
+  } else if (projected > available) {
+    status = 'at_risk';
+  }
+
+  return {
+    budgetId: budget.id,
+    category: budget.category,
+    month,
+    monthlyLimit: budget.monthlyLimit,
+    rollover: budget.rollover,
+    carryover: round(carryover),
+    available: round(available),
+    spent: round(spent),
+    remaining: round(available - spent),
+    projected: round(projected),
+    percentUsed: round(percentUsed),
+    daysElapsed,
+    daysInMonth: totalDays,
+    status,
+    alertThresholds: budget.alertThresholds
+  };
+}
+
+/**
+ * Spent, remaining and projected for every budget in a month (default: this one).
+ * category narrows to budgets whose category contains it ("dining" finds "Dining Out").
+ */
+async function getBudgetStatus({ month = null, category = null, userId = 'default_user', ...filters } = {}) {
+  const targetMonth = parseMonth(month);
+  let budgets = await listBudgets(userId);
+  if (category) {
+    budgets = budgets.filter(budget => budget.category.toLowerCase().includes(String(category).toLowerCase()));
+  }
+
+  const progress = [];
+  for (const budget of budgets) {
+    progress.push(await getBudgetProgress(budget, targetMonth, filters));
+  }
+
+  const totals = progress.reduce((sum, item) => ({
+    available: sum.available + item.available,
+    spent: sum.spent + item.spent,
+    projected: sum.projected + item.projected
+  }), { available: 0, spent: 0, projected: 0 });
+
+  return {
+    month: targetMonth,
+    budgets: progress,
+    totals: {
+      available: round(totals.available),
+      spent: round(totals.spent),
+      remaining: round(totals.available - totals.spent),
+      projected: round(totals.projected)
+    },
+    overBudget: progress.filter(item => item.status === 'over').map(item => item.category),
+    atRisk: progress.filter(item => item.status === 'at_risk').map(item => item.category)
+  };
+}
+
+// ===== ALERTS =====
+
+function alertMessage(progress, threshold) {
+  const daysLeft = progress.daysInMonth - progress.daysElapsed;
+  const used = threshold >= 100 && progress.spent > progress.available
+    ? `over budget by $${(progress.spent - progress.available).toFixed(2)}`
+    : `${Math.floor(progress.percentUsed)}% of the $${progress.available.toFixed(2)} budget used`;
+  return `${progress.category}: ${used} ($${progress.spent.toFixed(2)} spent, ${daysLeft} days left)`;
+}
+
+/**
+ * Record alerts for thresholds this month's spending has crossed. Each one
+ * fires once per month, so re-checking is cheap and safe. Resolves with the new alerts.
+ */
+async function checkBudgetAlerts(userId = 'default_user') {
+  const status = await getBudgetStatus({ userId });
+  const fired = [];
+
+  for (const progress of status.budgets) {
+    for (const threshold of progress.alertThresholds) {
+      if (progress.percentUsed < threshold) continue;
+
+      const message = alertMessage(progress, threshold);
+      const result = await dbRun(`
+        INSERT OR IGNORE INTO budget_alerts (budget_id, month, threshold, spent, available, message)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [progress.budgetId, status.month, threshold, progress.spent, progress.available, message]);
+
+      if (result.changes > 0) {
+        fired.push({ id: result.lastID, budgetId: progress.budgetId, category: progress.category, threshold, message });
+      }
+    }
+  }
+
+  return fired;
+}
+
+/**
+ * Alerts the user hasn't dismissed, newest first
+ */
+async function listAlerts(userId = 'default_user') {
+  const rows = await dbAll(`
+    SELECT a.*, b.category
+    FROM budget_alerts a
+    JOIN budgets b ON b.id = a.budget_id
+    WHERE b.user_id = ? AND a.dismissed_at IS NULL
+    ORDER BY a.created_at DESC, a.id DESC
+  `, [userId]);
+
+  return rows.map(row => ({
+    id: row.id,
+    budgetId: row.budget_id,
+    category: row.category,
+    month: row.month,
+    threshold: row.threshold,
+    spent: row.spent,
+    available: row.available,
+    message: row.message,
+    createdAt: row.created_at
+  }));
+}
+
+async function dismissAlert(alertId, userId = 'default_user') {
+  const result = await dbRun(`
+    UPDATE budget_alerts SET dismissed_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND budget_id IN (SELECT id FROM budgets WHERE user_id = ?)
+  `, [alertId, userId]);
+  if (result.changes === 0) {
+    throw new Error('Alert not found');
+  }
+  return { id: Number(alertId), dismissed: true };
+}
+
+module.exports = {
+  listBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getBudgetStatus,
+  checkBudgetAlerts,
+  listAlerts,
+  dismissAlert
+};
@@ -0,0 +1,365 @@
+const { dbAll, dbEach } = require('./database');
+const { buildAccountFilter } = require('./transactionFilters');
+const { getUserSettings, updateUserSettings } = require('./rewardsManager');
+const { round, addDays, daysBetween } = require('./analyticsHelpers');
+
+/**
+ * Cash-Flow Forecast
+ *
+ * Projects each account's balance day by day for the next 30/60/90 days:
+ * - starts from the balances of the last sync (available balance when Plaid gives one)
+ * - adds every expected payment of the active recurring streams (see
+ *   syncRecurringStreams), using Plaid's predicted next date or the last
+ *   date plus the stream's frequency, for its average amount
+ * - spends a daily discretionary baseline: the average of the last 90 days'
+ *   spending that isn't part of a recurring stream or a transfer
+ *
+ * Credit cards are projected as what you have on them (the negative of what
+ * you owe), so a charge lowers the balance on either kind of account.
+ * Checking and savings accounts, and the cash they hold together, are
+ * flagged whenever they dip below the user's balance floor.
+ */
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+const CHECKPOINTS = [30, 60, 90];
+const BASELINE_DAYS = 90;
+
+const FORECAST_ACCOUNT_TYPES = ['depository', 'credit'];
+
+// Money moving between the user's own accounts or paying down debt isn't discretionary spending
+const NON_DISCRETIONARY_CATEGORIES = ['Transfer In', 'Transfer Out', 'Loan Payments'];
+
+// ===== DATES =====
+
+const toDate = value => new Date(`${value}T00:00:00Z`);
+const toDateString = date => date.toISOString().slice(0, 10);
+
+// Same day of the month, clamped to the month's length (Jan 31 -> Feb 28)
+function addMonths(value, months, day = toDate(value).getUTCDate()) {
+  const date = toDate(value);
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return toDateString(target);
+}
+
+/**
+ * The two days of the month a semi-monthly stream is paid on, from one of its dates:
+ * the 15th and the last day, or the day and 15 days later (later days clamp to the month's length)
+ */
+function semiMonthlyDays(anchor) {
+  const date = toDate(anchor);
+  const day = date.getUTCDate();
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+
+  if (day === 15 || day === lastDay) return [15, 31];
+  return day < 15 ? [day, day + 15] : [day - 15, day];
+}
+
+/**
+ * The occurrence after `value` for a Plaid stream frequency, or null when
+ * the frequency is UNKNOWN. Monthly streams keep `anchor`'s day (the
+ * stream's last date) and semi-monthly ones the same two days every month,
+ * so they don't drift as occurrences are chained (Jan 31 -> Feb 28 -> Mar 31).
+ */
+function nextOccurrence(value, frequency, anchor = value) {
+  switch (frequency) {
+    case 'WEEKLY':
+      return addDays(value, 7);
+    case 'BIWEEKLY':
+      return addDays(value, 14);
+    case 'SEMI_MONTHLY': {
+      const days = semiMonthlyDays(anchor);
+      const sameMonth = days.map(day => addMonths(value, 0, day)).find(date => date > value);
+      return sameMonth || addMonths(value, 1, days[0]);
+    }
+    case 'MONTHLY':
+      return addMonths(value, 1, toDate(anchor).getUTCDate());
+    case 'ANNUALLY':
+      return addMonths(value, 12, toDate(anchor).getUTCDate());
+    default:
+      return null;
+  }
+}
+
+// ===== BALANCE FLOOR =====
+
+async function getBalanceFloor(userId = 'default_user') {
+  const settings = await getUserSettings(userId);
+  return settings.balance_floor ?? 0;
+}
+
+async function setBalanceFloor(floor, userId = 'default_user') {
+  const value = parseFloat(floor);
+  if (Number.isNaN(value)) {
+    throw new Error('Balance floor must be an amount');
+  }
+
+  await getUserSettings(userId);
+  await updateUserSettings(userId, { balance_floor: value });
+  return { floor: value };
+}
+
+// ===== INPUTS =====
+
+async function loadAccounts(userId, filters) {
+  const accountFilter = buildAccountFilter(filters, 'a.account_id');
+  const rows = await dbAll(`
+    SELECT a.account_id, a.name, a.mask, a.type, a.subtype, a.current_balance, a.available_balance
+    FROM accounts a
+    WHERE a.user_id = ?
+      AND a.type IN (${FORECAST_ACCOUNT_TYPES.map(() => '?').join(', ')})${accountFilter.clause}
+    ORDER BY a.type = 'credit', a.subtype != 'checking', a.current_balance DESC
+  `, [userId, ...FORECAST_ACCOUNT_TYPES, ...accountFilter.params]);
+
+  return rows.map(row => ({
+    accountId: row.account_id,
+    name: row.mask ? `${row.name} (...${row.mask})` : row.name,
+    type: row.type,
+    subtype: row.subtype,
+    startingBalance: row.type === 'credit'
+      ? -(row.current_balance || 0)
+      : row.available_balance ?? row.current_balance ?? 0
+  }));
+}
+
+// recurring_streams has no user_id, so streams are the user's through their account
+// (ones from older syncs have no account and are kept, as before)
+async function loadStreams(userId) {
+  const rows = await dbAll(`
+    SELECT stream_id, type, account_id, description, merchant_name, frequency,
+      last_date, average_amount, last_amount, raw_data
+    FROM recurring_streams
+    WHERE is_active = 1
+      AND (account_id IS NULL OR account_id IN (SELECT account_id FROM accounts WHERE user_id = ?))
+  `, [userId]);
+
+  return rows.map(row => {
+    const raw = row.raw_data ? JSON.parse(row.raw_data) : {};
+    return { ...row, predictedNextDate: raw.predicted_next_date || null, transactionIds: raw.transaction_ids || [] };
+  });
+}
+
+/**
+ * Expected payments of a stream between startDate and endDate (inclusive).
+ * Dates already covered by the stream's last transaction are skipped, so a
+ * payment that posted today isn't counted twice.
+ */
+function streamOccurrences(stream, startDate, endDate) {
+  const amount = Math.abs(stream.average_amount ?? stream.last_amount ?? 0);
+  if (!amount || !stream.last_date) return [];
+
+  let date = stream.predictedNextDate || nextOccurrence(stream.last_date, stream.frequency);
+  const dates = [];
+  while (date && date <= endDate) {
+    if (date >= startDate && date > stream.last_date) {
+      dates.push(date);
+    }
+    date = nextOccurrence(date, stream.frequency, stream.last_date);
+  }
+
+  return dates.map(occurrence => ({
+    date: occurrence,
+    accountId: stream.account_id,
+    description: stream.merchant_name || stream.description,
+    frequency: stream.frequency,
+    amount: stream.type === 'inflow' ? amount : -amount
+  }));
+}
+
+/**
+ * Average daily discretionary spending per account over the last BASELINE_DAYS
+ * (or since the account's first transaction, if that's more recent)
+ */
+async function getDiscretionaryBaseline(accountIds, streams, today) {
+  const baseline = new Map();
+  if (accountIds.length === 0) return baseline;
+
+  const recurringIds = new Set(streams.flatMap(stream => stream.transactionIds));
+  const since = addDays(today, -BASELINE_DAYS);
+  const placeholders = accountIds.map(() => '?').join(', ');
+
+  const totals = new Map();
+  await dbEach(`
+    SELECT transaction_id, account_id, amount
+    FROM transactions
+    WHERE account_id IN (${placeholders})
+      AND amount > 0
+      AND transfer_id IS NULL
+      AND date >= ? AND date < ?
+      AND COALESCE(user_category, category, '') NOT IN (${NON_DISCRETIONARY_CATEGORIES.map(() => '?').join(', ')})
+  `, [...accountIds, since, today, ...NON_DISCRETIONARY_CATEGORIES], row => {
+    if (!recurringIds.has(row.transaction_id)) {
+      totals.set(row.account_id, (totals.get(row.account_id) || 0) + row.amount);
+    }
+  });
+
+  const firstDates = await dbAll(`
+    SELECT account_id, MIN(date) AS first_date
+    FROM transactions
+    WHERE account_id IN (${placeholders})
+    GROUP BY account_id
+  `, accountIds);
+
+  for (const { account_id: accountId, first_date: firstDate } of firstDates) {
+    const days = Math.min(BASELINE_DAYS, Math.max(daysBetween(firstDate, today), 1));
+    baseline.set(accountId, (totals.get(accountId) || 0) / days);
+  }
+  return baseline;
+}
+
+// ===== FORECAST =====
+
+// Consecutive days below the floor, as { startDate, endDate, lowestBalance, lowestDate }
+function findDips(points, floor) {
+  const dips = [];
+  let current = null;
+
+  for (const { date, balance } of points) {
+    if (balance < floor) {
+      if (!current) {
+        current = { startDate: date, endDate: date, lowestBalance: balance, lowestDate: date };
+        dips.push(current);
+      }
+      current.endDate = date;
+      if (balance < current.lowestBalance) {
+        current.lowestBalance = balance;
+        current.lowestDate = date;
+      }
+    } else {
+      current = null;
+    }
+  }
+
+  return dips.map(dip => ({ ...dip, lowestBalance: round(dip.lowestBalance) }));
+}
+
+/**
+ * Daily balances for the next `days` days (today included as day 0).
+ * floor defaults to the user's saved balance floor. The account filters pick
+ * the accounts; tag and transfer filters are ignored, as balances aren't per transaction.
+ */
+async function getCashFlowForecast({ days = DEFAULT_DAYS, floor = null, userId = 'default_user', ...filters } = {}) {
+  const horizon = parseInt(days, 10) || DEFAULT_DAYS;
+  if (horizon < 1 || horizon > MAX_DAYS) {
+    throw new Error(`Forecast days must be between 1 and ${MAX_DAYS}`);
+  }
+
+  const balanceFloor = floor !== null && floor !== undefined && floor !== ''
+    ? parseFloat(floor)
+    : await getBalanceFloor(userId);
+  if (Number.isNaN(balanceFloor)) {
+    throw new Error('Balance floor must be an amount');
+  }
+
+  const today = toDateString(new Date());
+  const endDate = addDays(today, horizon);
+
+  const accounts = await loadAccounts(userId, filters);
+  const accountIds = accounts.map(account => account.accountId);
+  const streams = await loadStreams(userId);
+  const baseline = await getDiscretionaryBaseline(accountIds, streams, today);
+
+  // Streams without an account (older syncs) are paid from the main checking account (listed first)
+  const primaryAccount = accounts.find(account => account.type === 'depository');
+  const events = streams
+    .map(stream => ({ ...stream, account_id: stream.account_id || (primaryAccount && primaryAccount.accountId) }))
+    .filter(stream => accountIds.includes(stream.account_id))
+    .flatMap(stream => streamOccurrences(stream, today, endDate))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.amount - b.amount);
+
+  const balances = new Map(accounts.map(account => [account.accountId, account.startingBalance]));
+  const series = new Map(accounts.map(account => [account.accountId, []]));
+  const isCash = new Set(accounts.filter(account => account.type === 'depository').map(account => account.accountId));
+  const daily = [];
+  let eventIndex = 0;
+
+  for (let day = 0; day <= horizon; day++) {
+    const date = addDays(today, day);
+    const dayEvents = [];
+    while (eventIndex < events.length && events[eventIndex].date === date) {
+      dayEvents.push(events[eventIndex++]);
+    }
+
+    // Today's discretionary spending is already in the synced balance
+    let discretionary = 0;
+    if (day > 0) {
+      for (const accountId of accountIds) {
+        const spend = baseline.get(accountId) || 0;
+        balances.set(accountId, balances.get(accountId) - spend);
+        discretionary += spend;
+      }
+    }
+    for (const event of dayEvents) {
+      balances.set(event.accountId, balances.get(event.accountId) + event.amount);
+    }
+
+    let cash = 0;
+    const accountBalances = {};
+    for (const accountId of accountIds) {
+      const balance = balances.get(accountId);
+      series.get(accountId).push({ date, balance });
+      accountBalances[accountId] = round(balance);
+      if (isCash.has(accountId)) cash += balance;
+    }
+
+    daily.push({
+      date,
+      cashBalance: round(cash),
+      inflow: round(dayEvents.filter(event => event.amount > 0).reduce((sum, event) => sum + event.amount, 0)),
+      outflow: round(dayEvents.filter(event => event.amount < 0).reduce((sum, event) => sum - event.amount, 0)),
+      discretionary: round(discretionary),
+      balances: accountBalances,
+      events: dayEvents.map(event => ({ ...event, amount: round(event.amount) }))
+    });
+  }
+
+  const lowBalanceAlerts = [];
+  for (const account of accounts.filter(item => isCash.has(item.accountId))) {
+    for (const dip of findDips(series.get(account.accountId), balanceFloor)) {
+      lowBalanceAlerts.push({ accountId: account.accountId, name: account.name, ...dip });
+    }
+  }
+  if (isCash.size > 1) {
+    for (const dip of findDips(daily.map(point => ({ date: point.date, balance: point.cashBalance })), balanceFloor)) {
+      lowBalanceAlerts.push({ accountId: null, name: 'All cash accounts', ...dip });
+    }
+  }
+  lowBalanceAlerts.sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+  const checkpoints = {};
+  for (const checkpoint of CHECKPOINTS.filter(value => value <= horizon)) {
+    checkpoints[checkpoint] = daily[checkpoint].cashBalance;
+  }
+
+  return {
+    startDate: today,
+    endDate,
+    days: horizon,
+    floor: balanceFloor,
+    accounts: accounts.map(account => {
+      const points = series.get(account.accountId);
+      const lowest = points.reduce((min, point) => (point.balance < min.balance ? point : min), points[0]);
+      return {
+        ...account,
+        startingBalance: round(account.startingBalance),
+        endingBalance: round(points[points.length - 1].balance),
+        lowestBalance: round(lowest.balance),
+        lowestDate: lowest.date,
+        dailyDiscretionary: round(baseline.get(account.accountId) || 0)
+      };
+    }),
+    checkpoints,
+    lowBalanceAlerts,
+    daily
+  };
+}
+
+module.exports = {
+  NON_DISCRETIONARY_CATEGORIES,
+  nextOccurrence,
+  getCashFlowForecast,
+  getBalanceFloor,
+  setBalanceFloor
+};
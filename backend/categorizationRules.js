@@ -0,0 +1,363 @@
+const { dbRun, dbGet, dbAll, dbEach, normalizeTags, addTransactionTags } = require('./database');
+const { resolveMerchant } = require('./merchants');
+
+/**
+ * Categorization Rules
+ *
+ * User-defined rules that fix recurring categorization mistakes, e.g. Venmo
+ * payments of $1,800 to the landlord showing up as "Transfer Out" instead of
+ * "Rent".
+ *
+ * Conditions (all optional, combined with AND - at least one is required):
+ * - merchantPattern / namePattern: case-insensitive regular expressions on Plaid's merchant and name
+ * - minAmount / maxAmount: absolute amount range
+ * - direction: 'spending' or 'income'
+ * - accountId, startDate, endDate
+ *
+ * Actions (at least one): setCategory, setMerchant (merchant alias), addTags.
+ *
+ * Rules run inside saveTransaction on every sync and import, in priority order
+ * (lowest first). The first matching rule that sets a category or merchant wins;
+ * tags from every matching rule are added. Plaid's original values stay in raw_data,
+ * and a manual category (user_category) still takes precedence over rules.
+ * Transactions are not stored per user, so every enabled rule applies at ingest.
+ */
+
+let cachedRules = null;
+
+// ===== VALIDATION =====
+
+function compilePattern(pattern, label) {
+  if (!pattern) return null;
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(`Invalid ${label} pattern: ${error.message}`);
+  }
+}
+
+function optionalNumber(value, label) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseFloat(value);
+  if (Number.isNaN(number)) {
+    throw new Error(`${label} must be a number`);
+  }
+  return number;
+}
+
+/**
+ * Turn API input (camelCase) into rule columns, rejecting rules that can't work
+ */
+function toRuleColumns(input) {
+  const columns = {
+    name: String(input.name || '').trim(),
+    priority: input.priority === undefined || input.priority === '' ? 100 : parseInt(input.priority, 10),
+    enabled: input.enabled === false || input.enabled === 0 ? 0 : 1,
+    merchant_pattern: input.merchantPattern || null,
+    name_pattern: input.namePattern || null,
+    min_amount: optionalNumber(input.minAmount, 'Minimum amount'),
+    max_amount: optionalNumber(input.maxAmount, 'Maximum amount'),
+    direction: input.direction || null,
+    account_id: input.accountId || null,
+    start_date: input.startDate || null,
+    end_date: input.endDate || null,
+    set_category: input.setCategory ? String(input.setCategory).trim() : null,
+    set_merchant: input.setMerchant ? String(input.setMerchant).trim() : null,
+    add_tags: normalizeTags(input.addTags)
+  };
+
+  if (!columns.name) {
+    throw new Error('Rule name is required');
+  }
+  if (Number.isNaN(columns.priority)) {
+    throw new Error('Priority must be a number');
+  }
+  if (columns.direction && !['spending', 'income'].includes(columns.direction)) {
+    throw new Error("Direction must be 'spending' or 'income'");
+  }
+
+  compilePattern(columns.merchant_pattern, 'merchant');
+  compilePattern(columns.name_pattern, 'name');
+
+  const hasCondition = columns.merchant_pattern || columns.name_pattern || columns.min_amount !== null ||
+    columns.max_amount !== null || columns.direction || columns.account_id || columns.start_date || columns.end_date;
+  if (!hasCondition) {
+    throw new Error('A rule needs at least one condition');
+  }
+  if (!columns.set_category && !columns.set_merchant && columns.add_tags.length === 0) {
+    throw new Error('A rule needs a category, merchant or tags to set');
+  }
+
+  columns.add_tags = columns.add_tags.length > 0 ? JSON.stringify(columns.add_tags) : null;
+  return columns;
+}
+
+function formatRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    priority: row.priority,
+    enabled: row.enabled === 1,
+    merchantPattern: row.merchant_pattern,
+    namePattern: row.name_pattern,
+    minAmount: row.min_amount,
+    maxAmount: row.max_amount,
+    direction: row.direction,
+    accountId: row.account_id,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    setCategory: row.set_category,
+    setMerchant: row.set_merchant,
+    addTags: row.add_tags ? JSON.parse(row.add_tags) : [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// ===== MATCHING =====
+
+// Rule with its patterns compiled once, for matching many transactions
+function compileRule(row) {
+  return {
+    ...formatRule(row),
+    merchantRegex: compilePattern(row.merchant_pattern, 'merchant'),
+    nameRegex: compilePattern(row.name_pattern, 'name')
+  };
+}
+
+/**
+ * Does a rule match a transaction ({ name, merchant_name, amount, account_id, date })?
+ */
+function matchesRule(rule, transaction) {
+  const amount = Math.abs(transaction.amount);
+
+  if (rule.merchantRegex && !rule.merchantRegex.test(transaction.merchant_name || '')) return false;
+  if (rule.nameRegex && !rule.nameRegex.test(transaction.name || '')) return false;
+  if (rule.minAmount !== null && amount < rule.minAmount) return false;
+  if (rule.maxAmount !== null && amount > rule.maxAmount) return false;
+  if (rule.direction === 'spending' && !(transaction.amount > 0)) return false;
+  if (rule.direction === 'income' && !(transaction.amount < 0)) return false;
+  if (rule.accountId && transaction.account_id !== rule.accountId) return false;
+  if (rule.startDate && transaction.date < rule.startDate) return false;
+  if (rule.endDate && transaction.date > rule.endDate) return false;
+
+  return true;
+}
+
+/**
+ * Combine the actions of every matching rule (rules must be sorted by priority)
+ */
+function applyRules(rules, transaction) {
+  const result = { category: null, merchantName: null, tags: [], ruleIds: [] };
+
+  for (const rule of rules) {
+    if (!matchesRule(rule, transaction)) continue;
+
+    result.ruleIds.push(rule.id);
+    if (rule.setCategory && !result.category) result.category = rule.setCategory;
+    if (rule.setMerchant && !result.merchantName) result.merchantName = rule.setMerchant;
+    for (const tag of rule.addTags) {
+      if (!result.tags.some(existing => existing.tag === tag)) {
+        result.tags.push({ tag, ruleId: rule.id });
+      }
+    }
+  }
+
+  return result;
+}
+
+async function loadActiveRules() {
+  if (!cachedRules) {
+    const rows = await dbAll(`
+      SELECT * FROM categorization_rules WHERE enabled = 1 ORDER BY priority ASC, id ASC
+    `);
+    cachedRules = rows.map(compileRule);
+  }
+  return cachedRules;
+}
+
+/**
+ * Rule actions for a transaction about to be saved (called by saveTransaction).
+ * The transaction carries Plaid's values plus the flattened category.
+ */
+async function applyRulesToTransaction(transaction) {
+  const rules = await loadActiveRules();
+  return applyRules(rules, transaction);
+}
+
+// ===== CRUD =====
+
+async function listRules(userId = 'default_user') {
+  const rows = await dbAll(`
+    SELECT * FROM categorization_rules WHERE user_id = ? ORDER BY priority ASC, id ASC
+  `, [userId]);
+  return rows.map(formatRule);
+}
+
+async function getRuleRow(ruleId, userId) {
+  const row = await dbGet(`
+    SELECT * FROM categorization_rules WHERE id = ? AND user_id = ?
+  `, [ruleId, userId]);
+
+  if (!row) {
+    throw new Error('Rule not found');
+  }
+  return row;
+}
+
+async function createRule(input, userId = 'default_user') {
+  const columns = toRuleColumns(input);
+  const names = Object.keys(columns);
+
+  const result = await dbRun(`
+    INSERT INTO categorization_rules (user_id, ${names.join(', ')})
+    VALUES (?, ${names.map(() => '?').join(', ')})
+  `, [userId, ...Object.values(columns)]);
+
+  cachedRules = null;
+  return formatRule(await getRuleRow(result.lastID, userId));
+}
+
+/**
+ * Replace a rule's conditions and actions (fields not sent keep their current value)
+ */
+async function updateRule(ruleId, input, userId = 'default_user') {
+  const current = formatRule(await getRuleRow(ruleId, userId));
+  const columns = toRuleColumns({ ...current, ...input });
+  const names = Object.keys(columns);
+
+  await dbRun(`
+    UPDATE categorization_rules
+    SET ${names.map(name => `${name} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND user_id = ?
+  `, [...Object.values(columns), ruleId, userId]);
+
+  cachedRules = null;
+  return formatRule(await getRuleRow(ruleId, userId));
+}
+
+/**
+ * Delete a rule. Changes it already made to transactions stay.
+ */
+async function deleteRule(ruleId, userId = 'default_user') {
+  await getRuleRow(ruleId, userId);
+  await dbRun(`DELETE FROM categorization_rules WHERE id = ? AND user_id = ?`, [ruleId, userId]);
+  cachedRules = null;
+  return { id: Number(ruleId), deleted: true };
+}
+
+// ===== APPLY TO HISTORY =====
+
+/**
+ * Walk stored transactions the rule matches and work out what it would change.
+ * Patterns match Plaid's original merchant (kept in raw_data), so re-running
+ * a rule after an earlier alias still finds the same rows.
+ */
+async function findRuleChanges(rule) {
+  const conditions = [];
+  const params = [];
+
+  // Narrow in SQL where we can; regular expressions are checked per row
+  if (rule.minAmount !== null) { conditions.push('ABS(t.amount) >= ?'); params.push(rule.minAmount); }
+  if (rule.maxAmount !== null) { conditions.push('ABS(t.amount) <= ?'); params.push(rule.maxAmount); }
+  if (rule.direction === 'spending') conditions.push('t.amount > 0');
+  if (rule.direction === 'income') conditions.push('t.amount < 0');
+  if (rule.accountId) { conditions.push('t.account_id = ?'); params.push(rule.accountId); }
+  if (rule.startDate) { conditions.push('t.date >= ?'); params.push(rule.startDate); }
+  if (rule.endDate) { conditions.push('t.date <= ?'); params.push(rule.endDate); }
+
+  const changes = [];
+  let matched = 0;
+
+  await dbEach(`
+    SELECT
+      t.transaction_id,
+      t.date,
+      t.name,
+      t.amount,
+      t.account_id,
+      t.category,
+      t.user_category,
+      t.merchant_name,
+      COALESCE(json_extract(t.raw_data, '$.merchant_name'), t.merchant_name) AS original_merchant_name,
+      (SELECT GROUP_CONCAT(tag) FROM transaction_tags WHERE transaction_id = t.transaction_id) AS tags
+    FROM transactions t
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY t.date DESC, t.transaction_id DESC
+  `, params, (row) => {
+    if (!matchesRule(rule, { ...row, merchant_name: row.original_merchant_name })) return;
+    matched++;
+
+    const currentTags = row.tags ? row.tags.split(',') : [];
+    const newTags = rule.addTags.filter(tag => !currentTags.includes(tag));
+    const category = rule.setCategory || row.category;
+    const merchantName = rule.setMerchant || row.merchant_name;
+
+    if (category === row.category && merchantName === row.merchant_name && newTags.length === 0) return;
+
+    changes.push({
+      transactionId: row.transaction_id,
+      date: row.date,
+      name: row.name,
+      amount: row.amount,
+      before: { category: row.category, merchantName: row.merchant_name, tags: currentTags },
+      after: { category, merchantName, tags: [...currentTags, ...newTags] },
+      // A manual category still wins over the rule's
+      categoryOverridden: Boolean(row.user_category) && category !== row.category
+    });
+  });
+
+  return { matched, changes };
+}
+
+/**
+ * Preview which stored transactions a rule would change, without changing them
+ */
+async function previewRule(ruleId, userId = 'default_user', limit = 100) {
+  const row = await getRuleRow(ruleId, userId);
+  const { matched, changes } = await findRuleChanges(compileRule(row));
+
+  return {
+    rule: formatRule(row),
+    matched,
+    changed: changes.length,
+    transactions: changes.slice(0, limit)
+  };
+}
+
+/**
+ * Apply a rule to every stored transaction it matches
+ */
+async function applyRuleToHistory(ruleId, userId = 'default_user') {
+  const rule = compileRule(await getRuleRow(ruleId, userId));
+  const { matched, changes } = await findRuleChanges(rule);
+
+  for (const change of changes) {
+    await dbRun(`
+      UPDATE transactions SET category = ?, merchant_name = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE transaction_id = ?
+    `, [change.after.category, change.after.merchantName, change.transactionId]);
+
+    // A renamed merchant may now resolve to a different canonical merchant
+    if (change.after.merchantName !== change.before.merchantName) {
+      const merchant = await resolveMerchant({ merchantName: change.after.merchantName, name: change.name });
+      await dbRun(`UPDATE transactions SET merchant_id = ? WHERE transaction_id = ?`, [merchant ? merchant.id : null, change.transactionId]);
+    }
+
+    await addTransactionTags(change.transactionId, rule.addTags, 'rule', rule.id);
+  }
+
+  return { ruleId: rule.id, matched, updated: changes.length };
+}
+
+module.exports = {
+  compileRule,
+  applyRules,
+  applyRulesToTransaction,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  previewRule,
+  applyRuleToHistory
+};
@@ -0,0 +1,165 @@
+/**
+ * Category Model
+ *
+ * Multinomial naive Bayes over a transaction's name and merchant words, its
+ * canonical merchant, direction and a log-scale amount bucket. Pure functions
+ * with no database access, so scripts/evaluateCategorizer.js can score it
+ * against fixtures; learnedCategorizer.js trains it on stored corrections.
+ */
+
+// Suggestions at or above this confidence are applied; below it they go to review
+const CONFIDENT_THRESHOLD = 0.8;
+
+// Below this the model stays quiet - a handful of corrections isn't a habit yet
+const MIN_TRAINING_EXAMPLES = 10;
+const MIN_CATEGORIES = 2;
+
+// ===== FEATURES =====
+
+/**
+ * Feature tokens for a transaction ({ name, merchant_name, merchant, amount })
+ */
+function tokenize(transaction) {
+  const tokens = [];
+  const words = text => (String(text || '').toLowerCase().match(/\p{L}{2,}/gu) || []);
+
+  for (const word of words(transaction.name)) tokens.push(`w:${word}`);
+  for (const word of words(transaction.merchant_name)) tokens.push(`w:${word}`);
+  if (transaction.merchant) {
+    tokens.push(`m:${transaction.merchant.toLowerCase()}`);
+  }
+
+  const amount = parseFloat(transaction.amount);
+  if (!Number.isNaN(amount)) {
+    tokens.push(amount > 0 ? 'dir:out' : 'dir:in');
+    tokens.push(`amt:${Math.floor(Math.log2(Math.abs(amount) + 1))}`);
+  }
+
+  return tokens;
+}
+
+// ===== MODEL =====
+
+/**
+ * Train a model from examples ({ name, merchant_name, merchant, amount, category })
+ */
+function trainModel(examples) {
+  const classes = new Map();
+  const vocabulary = new Set();
+
+  for (const example of examples) {
+    if (!example.category) continue;
+
+    if (!classes.has(example.category)) {
+      classes.set(example.category, { documents: 0, tokens: new Map(), tokenTotal: 0 });
+    }
+    const stats = classes.get(example.category);
+    stats.documents++;
+
+    for (const token of tokenize(example)) {
+      vocabulary.add(token);
+      stats.tokens.set(token, (stats.tokens.get(token) || 0) + 1);
+      stats.tokenTotal++;
+    }
+  }
+
+  const documents = [...classes.values()].reduce((sum, stats) => sum + stats.documents, 0);
+  return { classes, vocabulary, documents };
+}
+
+/**
+ * Most likely category with its probability, or null while the model
+ * doesn't have enough corrections to go on
+ */
+function predictCategory(model, transaction) {
+  if (!model || model.documents < MIN_TRAINING_EXAMPLES || model.classes.size < MIN_CATEGORIES) {
+    return null;
+  }
+
+  // Tokens the model never saw carry no information
+  const tokens = tokenize(transaction).filter(token => model.vocabulary.has(token));
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  const vocabularySize = model.vocabulary.size;
+  const scores = [];
+  for (const [category, stats] of model.classes) {
+    // Laplace smoothing so one unseen token doesn't zero a category out
+    let score = Math.log((stats.documents + 1) / (model.documents + model.classes.size));
+    for (const token of tokens) {
+      score += Math.log(((stats.tokens.get(token) || 0) + 1) / (stats.tokenTotal + vocabularySize));
+    }
+    scores.push({ category, score });
+  }
+
+  // Log scores to probabilities, shifted by the best score to stay in range
+  const best = Math.max(...scores.map(entry => entry.score));
+  const total = scores.reduce((sum, entry) => sum + Math.exp(entry.score - best), 0);
+  const winner = scores.find(entry => entry.score === best);
+
+  return {
+    category: winner.category,
+    confidence: parseFloat((1 / total).toFixed(4))
+  };
+}
+
+/**
+ * Train on one set of labelled examples and score another.
+ * accuracy covers every prediction; confidentAccuracy and coverage the ones
+ * at or above the threshold (what would be applied without review).
+ */
+function evaluateModel(trainingExamples, testExamples, { threshold = CONFIDENT_THRESHOLD } = {}) {
+  const model = trainModel(trainingExamples);
+  const byCategory = {};
+  let correct = 0;
+  let confident = 0;
+  let confidentCorrect = 0;
+  const mistakes = [];
+
+  for (const example of testExamples) {
+    const prediction = predictCategory(model, example);
+    const isCorrect = Boolean(prediction) && prediction.category === example.category;
+
+    byCategory[example.category] = byCategory[example.category] || { total: 0, correct: 0 };
+    byCategory[example.category].total++;
+
+    if (isCorrect) {
+      correct++;
+      byCategory[example.category].correct++;
+    } else {
+      mistakes.push({ name: example.name, expected: example.category, predicted: prediction ? prediction.category : null });
+    }
+
+    if (prediction && prediction.confidence >= threshold) {
+      confident++;
+      if (isCorrect) confidentCorrect++;
+    }
+  }
+
+  const ratio = (part, whole) => (whole > 0 ? parseFloat((part / whole).toFixed(4)) : 0);
+
+  return {
+    trainingExamples: model.documents,
+    testExamples: testExamples.length,
+    accuracy: ratio(correct, testExamples.length),
+    threshold,
+    coverage: ratio(confident, testExamples.length),
+    confidentAccuracy: ratio(confidentCorrect, confident),
+    byCategory: Object.fromEntries(Object.entries(byCategory).map(([category, stats]) => [
+      category,
+      { ...stats, accuracy: ratio(stats.correct, stats.total) }
+    ])),
+    mistakes
+  };
+}
+
+module.exports = {
+  CONFIDENT_THRESHOLD,
+  MIN_TRAINING_EXAMPLES,
+  MIN_CATEGORIES,
+  tokenize,
+  trainModel,
+  predictCategory,
+  evaluateModel
+};
@@ -1,20 +1,101 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 
-const DB_PATH = path.join(__dirname, 'transactions.db');
+// DATABASE_PATH points elsewhere, e.g. a throwaway file for the tests
+const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, 'transactions.db');
+
+// Resolves once the tables exist; queries made before then can run ahead of the schema
+let markReady;
+let markFailed;
+const ready = new Promise((resolve, reject) => {
+  markReady = resolve;
+  markFailed = reject;
+});
+ready.catch(() => {});
 
 // Initialize database with read-write-create mode
 const db = new sqlite3.Database(DB_PATH, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, (err) => {
   if (err) {
     console.error('Error opening database:', err);
+    markFailed(err);
   } else {
     console.log('Connected to SQLite database');
     initializeDatabase();
   }
 });
 
-// Create tables if they don't exist
+const USER_DATA_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS user_data (
+    item_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL DEFAULT 'default_user',
+    access_token TEXT NOT NULL,
+    institution_id TEXT,
+    institution_name TEXT,
+    sync_cursor TEXT,
+    last_synced_at TIMESTAMP,
+    last_sync_added INTEGER DEFAULT 0,
+    last_sync_modified INTEGER DEFAULT 0,
+    last_sync_removed INTEGER DEFAULT 0,
+    needs_reauth INTEGER DEFAULT 0,
+    reauth_reason TEXT,
+    last_webhook_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+// Older databases keyed user_data by user_id, which only allowed one Plaid item.
+// Rebuild the table keyed by item_id, keeping any rows already stored, then call done.
+function migrateUserDataTable(done) {
+  db.all(`PRAGMA table_info(user_data)`, (err, columns) => {
+    if (err) {
+      done(err);
+      return;
+    }
+
+    const userIdColumn = columns.find(column => column.name === 'user_id');
+    if (!userIdColumn || userIdColumn.pk !== 1) {
+      done(null);
+      return;
+    }
+
+    console.log('Migrating user_data to one row per Plaid item...');
+    db.serialize(() => {
+      db.run(`ALTER TABLE user_data RENAME TO user_data_legacy`);
+      db.run(USER_DATA_SCHEMA);
+      db.run(`
+        INSERT INTO user_data (item_id, user_id, access_token, institution_id, created_at, updated_at)
+        SELECT COALESCE(item_id, user_id), user_id, access_token, institution_id, created_at, updated_at
+        FROM user_data_legacy
+      `);
+      db.run(`DROP TABLE user_data_legacy`, done);
+    });
+  });
+}
+
+// Add a column to an existing table (SQLite has no ADD COLUMN IF NOT EXISTS)
+function addColumnIfMissing(table, column, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      console.error(`Error adding column ${table}.${column}:`, err);
+    }
+  });
+}
+
+// Migrate user_data first, so no other statement sees it mid-rebuild, then create the rest
 function initializeDatabase() {
+  migrateUserDataTable((err) => {
+    if (err) {
+      console.error('Error migrating user_data:', err);
+      markFailed(err);
+      return;
+    }
+    createTables();
+  });
+}
+
+// Create tables if they don't exist
+function createTables() {
   db.serialize(() => {
     // Transactions table
     db.run(`
@@ -58,6 +139,76 @@ function initializeDatabase() {
     db.run(`CREATE INDEX IF NOT EXISTS idx_merchant ON transactions(merchant_name)`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_account ON transactions(account_id)`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_amount ON transactions(amount)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_date_id ON transactions(date, transaction_id)`);
+
+    // User edits - kept across re-syncs and carried over when a pending charge posts
+    addColumnIfMissing('transactions', 'user_category', 'TEXT');
+    addColumnIfMissing('transactions', 'notes', 'TEXT');
+    db.run(`CREATE INDEX IF NOT EXISTS idx_pending_transaction ON transactions(pending_transaction_id)`);
+
+    // Where a row came from ('plaid', or the statement format it was imported from)
+    addColumnIfMissing('transactions', 'source', "TEXT DEFAULT 'plaid'");
+    addColumnIfMissing('transactions', 'import_batch_id', 'TEXT');
+    db.run(`CREATE INDEX IF NOT EXISTS idx_import_batch ON transactions(import_batch_id)`);
+
+    // Canonical merchant (see merchants.js)
+    addColumnIfMissing('transactions', 'merchant_id', 'INTEGER');
+    db.run(`CREATE INDEX IF NOT EXISTS idx_merchant_id ON transactions(merchant_id)`);
+
+    // Category the learned categorizer suggests, and when the user reviewed it (see learnedCategorizer.js)
+    addColumnIfMissing('transactions', 'suggested_category', 'TEXT');
+    addColumnIfMissing('transactions', 'suggestion_confidence', 'REAL');
+    addColumnIfMissing('transactions', 'reviewed_at', 'TIMESTAMP');
+
+    // Set when the transaction is one side of a transfer between the user's accounts (see transfers.js)
+    addColumnIfMissing('transactions', 'transfer_id', 'INTEGER');
+    db.run(`CREATE INDEX IF NOT EXISTS idx_transfer_id ON transactions(transfer_id)`);
+
+    // When the anomaly scan looked at the transaction (see anomalies.js)
+    addColumnIfMissing('transactions', 'anomaly_scanned_at', 'TIMESTAMP');
+
+    // Full-text search index over the searchable text of each transaction (see transactionSearch.js).
+    // Rows share the transaction's rowid; category is the effective one (user_category first).
+    db.run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS transactions_fts USING fts5(
+        name,
+        merchant_name,
+        original_description,
+        category,
+        notes,
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      )
+    `);
+    db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS transactions_fts_vocab USING fts5vocab(transactions_fts, 'row')`);
+
+    db.run(`
+      CREATE TRIGGER IF NOT EXISTS transactions_fts_insert AFTER INSERT ON transactions BEGIN
+        INSERT INTO transactions_fts (rowid, name, merchant_name, original_description, category, notes)
+        VALUES (new.rowid, new.name, new.merchant_name, new.original_description, COALESCE(new.user_category, new.category), new.notes);
+      END
+    `);
+    db.run(`
+      CREATE TRIGGER IF NOT EXISTS transactions_fts_delete AFTER DELETE ON transactions BEGIN
+        DELETE FROM transactions_fts WHERE rowid = old.rowid;
+      END
+    `);
+    db.run(`
+      CREATE TRIGGER IF NOT EXISTS transactions_fts_update
+      AFTER UPDATE OF name, merchant_name, original_description, category, user_category, notes ON transactions BEGIN
+        DELETE FROM transactions_fts WHERE rowid = old.rowid;
+        INSERT INTO transactions_fts (rowid, name, merchant_name, original_description, category, notes)
+        VALUES (new.rowid, new.name, new.merchant_name, new.original_description, COALESCE(new.user_category, new.category), new.notes);
+      END
+    `);
+
+    // Index rows stored before the search table existed
+    db.run(`
+      INSERT INTO transactions_fts (rowid, name, merchant_name, original_description, category, notes)
+      SELECT rowid, name, merchant_name, original_description, COALESCE(user_category, category), notes
+      FROM transactions
+      WHERE rowid NOT IN (SELECT rowid FROM transactions_fts)
+    `);
 
     // Recurring transactions table
     db.run(`
@@ -79,19 +230,291 @@ function initializeDatabase() {
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
+    addColumnIfMissing('recurring_streams', 'account_id', 'TEXT');
+
+    // Plaid items table (one row per linked item, with its sync cursor)
+    db.run(USER_DATA_SCHEMA);
+
+    // Item health flags set by Plaid webhooks
+    addColumnIfMissing('user_data', 'needs_reauth', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('user_data', 'reauth_reason', 'TEXT');
+    addColumnIfMissing('user_data', 'last_webhook_at', 'TIMESTAMP');
+    addColumnIfMissing('user_data', 'institution_name', 'TEXT');
+
+    // Accounts table (every account of every linked item, refreshed on sync)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS accounts (
+        account_id TEXT PRIMARY KEY,
+        item_id TEXT NOT NULL,
+        user_id TEXT NOT NULL DEFAULT 'default_user',
+        name TEXT,
+        official_name TEXT,
+        mask TEXT,
+        type TEXT,
+        subtype TEXT,
+        current_balance REAL,
+        available_balance REAL,
+        iso_currency_code TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_accounts_item ON accounts(item_id)`);
+
+    // Manual accounts for statement imports (banks Plaid can't reach) have no Plaid item
+    addColumnIfMissing('accounts', 'source', "TEXT DEFAULT 'plaid'");
+    addColumnIfMissing('accounts', 'institution_name', 'TEXT');
+
+    // User categorization rules, applied on every save (see categorizationRules.js)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS categorization_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL DEFAULT 'default_user',
+        name TEXT NOT NULL,
+        priority INTEGER DEFAULT 100,
+        enabled INTEGER DEFAULT 1,
+        merchant_pattern TEXT,
+        name_pattern TEXT,
+        min_amount REAL,
+        max_amount REAL,
+        direction TEXT,
+        account_id TEXT,
+        start_date TEXT,
+        end_date TEXT,
+        set_category TEXT,
+        set_merchant TEXT,
+        add_tags TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Tags on transactions, added by rules (source 'rule') or by hand (source 'user')
+    db.run(`
+      CREATE TABLE IF NOT EXISTS transaction_tags (
+        transaction_id TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        source TEXT DEFAULT 'user',
+        rule_id INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (transaction_id, tag)
+      )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_transaction_tags_tag ON transaction_tags(tag)`);
+    db.run(`
+      CREATE TRIGGER IF NOT EXISTS transaction_tags_cleanup AFTER DELETE ON transactions BEGIN
+        DELETE FROM transaction_tags WHERE transaction_id = old.transaction_id;
+      END
+    `);
+
+    // Splits of one transaction across categories (see transactionSplits.js)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS transaction_splits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        transaction_id TEXT NOT NULL,
+        category TEXT NOT NULL,
+        amount REAL NOT NULL,
+        note TEXT,
+        position INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_transaction_splits ON transaction_splits(transaction_id)`);
+    db.run(`
+      CREATE TRIGGER IF NOT EXISTS transaction_splits_cleanup AFTER DELETE ON transactions BEGIN
+        DELETE FROM transaction_splits WHERE transaction_id = old.transaction_id;
+      END
+    `);
+
+    // Canonical merchants and the names and patterns that resolve to them (see merchants.js)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS merchants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        logo_url TEXT,
+        default_category TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    db.run(`
+      CREATE TABLE IF NOT EXISTS merchant_aliases (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        merchant_id INTEGER NOT NULL,
+        alias TEXT NOT NULL,
+        is_pattern INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (alias, is_pattern)
+      )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_merchant_aliases ON merchant_aliases(merchant_id)`);
+
+    // One row per split of a split transaction, one row per transaction otherwise.
+    // Splits only count while they add up to the transaction's amount, so a bank
+    // changing the amount later falls back to the whole transaction.
+    // Recreated on start so changes to its columns reach existing databases.
+    db.run(`DROP VIEW IF EXISTS transaction_lines`);
+    db.run(`
+      CREATE VIEW transaction_lines AS
+      SELECT
+        t.transaction_id,
+        t.account_id,
+        t.date,
+        t.name,
+        t.merchant_name,
+        t.merchant_id,
+        COALESCE(m.name, t.merchant_name) AS merchant,
+        m.logo_url AS merchant_logo_url,
+        t.pending,
+        t.payment_channel,
+        t.iso_currency_code,
+        t.amount AS transaction_amount,
+        t.transfer_id,
+        s.id AS split_id,
+        s.note AS split_note,
+        COALESCE(s.category, t.user_category, t.category) AS category,
+        COALESCE(s.amount, t.amount) AS amount
+      FROM transactions t
+      LEFT JOIN transaction_splits s
+        ON s.transaction_id = t.transaction_id
+        AND (SELECT ROUND(SUM(amount), 2) FROM transaction_splits WHERE transaction_id = t.transaction_id) = ROUND(t.amount, 2)
+      LEFT JOIN merchants m ON m.id = t.merchant_id
+    `);
+
+    // Monthly category budgets and the alerts they fired (see budgets.js)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS budgets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL DEFAULT 'default_user',
+        category TEXT NOT NULL,
+        monthly_limit REAL NOT NULL,
+        rollover INTEGER DEFAULT 0,
+        alert_thresholds TEXT NOT NULL DEFAULT '[80,100]',
+        start_month TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    db.run(`
+      CREATE TABLE IF NOT EXISTS budget_alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        budget_id INTEGER NOT NULL,
+        month TEXT NOT NULL,
+        threshold REAL NOT NULL,
+        spent REAL,
+        available REAL,
+        message TEXT,
+        dismissed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (budget_id, month, threshold)
+      )
+    `);
 
-    // User metadata table (for future multi-user support)
+    // The user's decision about a recurring outflow (see subscriptions.js), keyed by recurring_streams.stream_id
     db.run(`
-      CREATE TABLE IF NOT EXISTS user_data (
-        user_id TEXT PRIMARY KEY,
-        access_token TEXT NOT NULL,
-        item_id TEXT,
-        institution_id TEXT,
+      CREATE TABLE IF NOT EXISTS subscription_statuses (
+        stream_id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL DEFAULT 'default_user',
+        status TEXT NOT NULL CHECK (status IN ('keep', 'cancel', 'cancelled')),
+        cancelled_on TEXT,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
+    // Daily balance of every account across Plaid, Increase, Unit and Locus (see netWorth.js)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS net_worth_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL DEFAULT 'default_user',
+        snapshot_date TEXT NOT NULL,
+        source TEXT NOT NULL,
+        account_key TEXT NOT NULL,
+        name TEXT,
+        institution TEXT,
+        account_type TEXT,
+        kind TEXT NOT NULL CHECK (kind IN ('asset', 'liability')),
+        balance REAL NOT NULL,
+        value REAL NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, snapshot_date, source, account_key)
+      )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_net_worth_date ON net_worth_snapshots(user_id, snapshot_date)`);
+
+    // Unusual transactions found by the anomaly scan (see anomalies.js). details holds what the
+    // score was based on; alerts marked expected teach the scan what is normal.
+    db.run(`
+      CREATE TABLE IF NOT EXISTS transaction_anomalies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL DEFAULT 'default_user',
+        transaction_id TEXT NOT NULL,
+        type TEXT NOT NULL CHECK (type IN ('unusual_amount', 'duplicate', 'new_merchant', 'unusual_location')),
+        score REAL,
+        message TEXT NOT NULL,
+        details TEXT,
+        status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'expected', 'dismissed')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        resolved_at TIMESTAMP,
+        UNIQUE (transaction_id, type)
+      )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_anomalies_status ON transaction_anomalies(user_id, status)`);
+
+    // Pairs of transactions that move money between the user's own accounts (see transfers.js).
+    // Each side is a transactions row or an increase_transactions row; rejected pairs stay so they aren't re-matched.
+    db.run(`
+      CREATE TABLE IF NOT EXISTS transfer_matches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL DEFAULT 'default_user',
+        outflow_source TEXT NOT NULL,
+        outflow_id TEXT NOT NULL,
+        inflow_source TEXT NOT NULL,
+        inflow_id TEXT NOT NULL,
+        amount REAL NOT NULL,
+        outflow_date TEXT,
+        inflow_date TEXT,
+        method TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'matched' CHECK (status IN ('matched', 'rejected')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (outflow_source, outflow_id, inflow_source, inflow_id)
+      )
+    `);
+
+    // What counts toward the tax report (see taxReport.js): a category, merchant or single
+    // transaction flagged with a tax type; 'none' keeps one transaction out of a flagged group
+    db.run(`
+      CREATE TABLE IF NOT EXISTS tax_flags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL DEFAULT 'default_user',
+        scope TEXT NOT NULL CHECK (scope IN ('category', 'merchant', 'transaction')),
+        value TEXT NOT NULL,
+        tax_type TEXT NOT NULL,
+        note TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, scope, value)
+      )
+    `);
+
+    // Statement import batches (one per uploaded file, so an import can be rolled back)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS import_batches (
+        batch_id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL DEFAULT 'default_user',
+        account_id TEXT NOT NULL,
+        file_name TEXT,
+        format TEXT NOT NULL,
+        row_count INTEGER DEFAULT 0,
+        imported_count INTEGER DEFAULT 0,
+        skipped_count INTEGER DEFAULT 0,
+        status TEXT DEFAULT 'completed',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        rolled_back_at TIMESTAMP
+      )
+    `);
+
     // Unit customers table
     db.run(`
       CREATE TABLE IF NOT EXISTS unit_customers (
@@ -223,6 +646,7 @@ function initializeDatabase() {
     // Create indexes for Increase tables
     db.run(`CREATE INDEX IF NOT EXISTS idx_increase_entity ON increase_accounts(increase_entity_id)`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_increase_account ON increase_transactions(increase_account_id)`);
+    addColumnIfMissing('increase_transactions', 'transfer_id', 'INTEGER');
 
     // Locus payments table
     db.run(`
@@ -320,6 +744,9 @@ function initializeDatabase() {
       )
     `);
 
+    // Cash-flow forecasts flag days when a cash account dips below this (see cashFlowForecast.js)
+    addColumnIfMissing('user_settings', 'balance_floor', 'REAL DEFAULT 0');
+
     // Rewards history table (AI-generated rewards for good behavior)
     db.run(`
       CREATE TABLE IF NOT EXISTS rewards_history (
@@ -360,7 +787,15 @@ function initializeDatabase() {
         (4, 'The Ocean Cleanup', 'Removing plastic from oceans', '0xOceanCleanup...', 'Environment', 'https://theoceancleanup.com')
     `);
 
-    console.log('Database tables initialized');
+    // Serialized, so this runs after every statement above
+    db.run(`SELECT 1`, (err) => {
+      if (err) {
+        markFailed(err);
+        return;
+      }
+      console.log('Database tables initialized');
+      markReady();
+    });
   });
 }
 
@@ -392,17 +827,77 @@ const dbAll = (sql, params = []) => {
   });
 };
 
+// Run a query row by row without loading the whole result (resolves with the row count)
+const dbEach = (sql, params = [], onRow) => {
+  return new Promise((resolve, reject) => {
+    db.each(sql, params, (err, row) => {
+      if (err) reject(err);
+      else onRow(row);
+    }, (err, count) => {
+      if (err) reject(err);
+      else resolve(count);
+    });
+  });
+};
+
 // Insert or update transaction
+// Plaid-sourced columns are overwritten on conflict; user edits (user_category, notes, reviewed_at) are left alone.
 async function saveTransaction(transaction) {
+  // A late pending update for a charge that has already posted would resurrect the duplicate
+  if (transaction.pending) {
+    const posted = await dbGet(`
+      SELECT transaction_id FROM transactions WHERE pending_transaction_id = ?
+    `, [transaction.transaction_id]);
+
+    if (posted) {
+      return null;
+    }
+  }
+
   const sql = `
-    INSERT OR REPLACE INTO transactions (
+    INSERT INTO transactions (
       transaction_id, account_id, amount, iso_currency_code, unofficial_currency_code,
       category, category_id, date, authorized_date, name, merchant_name,
       pending, pending_transaction_id, payment_channel, transaction_type, transaction_code,
       location_address, location_city, location_region, location_postal_code,
       location_country, location_lat, location_lon, payment_meta,
-      personal_finance_category, account_owner, original_description, raw_data, updated_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      personal_finance_category, account_owner, original_description, raw_data,
+      source, import_batch_id, merchant_id, suggested_category, suggestion_confidence, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(transaction_id) DO UPDATE SET
+      account_id = excluded.account_id,
+      amount = excluded.amount,
+      iso_currency_code = excluded.iso_currency_code,
+      unofficial_currency_code = excluded.unofficial_currency_code,
+      category = excluded.category,
+      category_id = excluded.category_id,
+      date = excluded.date,
+      authorized_date = excluded.authorized_date,
+      name = excluded.name,
+      merchant_name = excluded.merchant_name,
+      pending = excluded.pending,
+      pending_transaction_id = excluded.pending_transaction_id,
+      payment_channel = excluded.payment_channel,
+      transaction_type = excluded.transaction_type,
+      transaction_code = excluded.transaction_code,
+      location_address = excluded.location_address,
+      location_city = excluded.location_city,
+      location_region = excluded.location_region,
+      location_postal_code = excluded.location_postal_code,
+      location_country = excluded.location_country,
+      location_lat = excluded.location_lat,
+      location_lon = excluded.location_lon,
+      payment_meta = excluded.payment_meta,
+      personal_finance_category = excluded.personal_finance_category,
+      account_owner = excluded.account_owner,
+      original_description = excluded.original_description,
+      raw_data = excluded.raw_data,
+      source = excluded.source,
+      import_batch_id = excluded.import_batch_id,
+      merchant_id = excluded.merchant_id,
+      suggested_category = excluded.suggested_category,
+      suggestion_confidence = excluded.suggestion_confidence,
+      updated_at = CURRENT_TIMESTAMP
   `;
 
   // Extract category from personal_finance_category or fallback to legacy category
@@ -418,6 +913,35 @@ async function saveTransaction(transaction) {
     category = Array.isArray(transaction.category) ? transaction.category[0] : transaction.category;
   }
 
+  // User rules can re-categorize, rename the merchant and tag the transaction.
+  // Required here rather than at the top because categorizationRules requires this module.
+  const { applyRulesToTransaction } = require('./categorizationRules');
+  const ruleResult = await applyRulesToTransaction({ ...transaction, category });
+  if (ruleResult.category) {
+    category = ruleResult.category;
+  }
+
+  // Canonical merchant; its default category fills in when neither the bank nor a rule gave one
+  const merchantName = ruleResult.merchantName || transaction.merchant_name;
+  const { resolveMerchant } = require('./merchants');
+  const merchant = await resolveMerchant({ merchantName, name: transaction.name, logoUrl: transaction.logo_url });
+
+  // Category learned from the user's corrections: applied when confident and no rule set one
+  const { suggestCategory } = require('./learnedCategorizer');
+  const suggestion = await suggestCategory({
+    name: transaction.name,
+    merchant_name: merchantName,
+    merchant: merchant ? merchant.name : null,
+    amount: transaction.amount
+  });
+  if (suggestion?.confident && !ruleResult.category) {
+    category = suggestion.category;
+  }
+
+  if (!category && merchant?.defaultCategory) {
+    category = merchant.defaultCategory;
+  }
+
   const params = [
     transaction.transaction_id,
     transaction.account_id,
@@ -429,7 +953,7 @@ async function saveTransaction(transaction) {
     transaction.date,
     transaction.authorized_date,
     transaction.name,
-    transaction.merchant_name,
+    merchantName,
     transaction.pending ? 1 : 0,
     transaction.pending_transaction_id,
     transaction.payment_channel,
@@ -446,10 +970,84 @@ async function saveTransaction(transaction) {
     transaction.personal_finance_category ? JSON.stringify(transaction.personal_finance_category) : null,
     transaction.account_owner || null,
     transaction.original_description || null,
-    JSON.stringify(transaction)
+    JSON.stringify(transaction),
+    transaction.source || 'plaid',
+    transaction.import_batch_id || null,
+    merchant ? merchant.id : null,
+    suggestion ? suggestion.category : null,
+    suggestion ? suggestion.confidence : null
   ];
 
-  return dbRun(sql, params);
+  const result = await dbRun(sql, params);
+
+  for (const { tag, ruleId } of ruleResult.tags) {
+    await addTransactionTags(transaction.transaction_id, [tag], 'rule', ruleId);
+  }
+
+  if (!transaction.pending && transaction.pending_transaction_id) {
+    await replacePendingTransaction(transaction.pending_transaction_id, transaction.transaction_id);
+  }
+
+  return result;
+}
+
+// Move user edits from a pending row onto its posted successor, then drop the pending row
+async function replacePendingTransaction(pendingTransactionId, postedTransactionId) {
+  const pendingRow = await dbGet(`
+    SELECT user_category, notes, reviewed_at FROM transactions
+    WHERE transaction_id = ? AND pending = 1
+  `, [pendingTransactionId]);
+
+  if (!pendingRow) {
+    return false;
+  }
+
+  // Edits made on the posted row itself win over the ones made while it was pending
+  await dbRun(`
+    UPDATE transactions
+    SET user_category = COALESCE(user_category, ?),
+        notes = COALESCE(notes, ?),
+        reviewed_at = COALESCE(reviewed_at, ?)
+    WHERE transaction_id = ?
+  `, [pendingRow.user_category, pendingRow.notes, pendingRow.reviewed_at, postedTransactionId]);
+
+  // Tags move across too (ones the posted row already has are left as they are)
+  await dbRun(`
+    UPDATE OR IGNORE transaction_tags SET transaction_id = ? WHERE transaction_id = ?
+  `, [postedTransactionId, pendingTransactionId]);
+
+  // Splits only move while they still add up - a tip added on posting changes the amount
+  await dbRun(`
+    UPDATE transaction_splits SET transaction_id = ?
+    WHERE transaction_id = ?
+      AND NOT EXISTS (SELECT 1 FROM transaction_splits WHERE transaction_id = ?)
+      AND (SELECT ROUND(SUM(amount), 2) FROM transaction_splits WHERE transaction_id = ?) =
+          (SELECT ROUND(amount, 2) FROM transactions WHERE transaction_id = ?)
+  `, [postedTransactionId, pendingTransactionId, postedTransactionId, pendingTransactionId, postedTransactionId]);
+
+  await dbRun(`
+    DELETE FROM transactions WHERE transaction_id = ? AND pending = 1
+  `, [pendingTransactionId]);
+
+  return true;
+}
+
+// Replace pendings whose posted successor is already stored (e.g. saved before reconciliation existed).
+// Pendings that never post are left alone until Plaid lists them as removed: holds such as hotel and
+// car-rental deposits can stay pending for weeks.
+async function reconcilePendingTransactions() {
+  const superseded = await dbAll(`
+    SELECT pending_row.transaction_id AS pending_id, posted_row.transaction_id AS posted_id
+    FROM transactions pending_row
+    JOIN transactions posted_row ON posted_row.pending_transaction_id = pending_row.transaction_id
+    WHERE pending_row.pending = 1 AND posted_row.pending = 0
+  `);
+
+  for (const row of superseded) {
+    await replacePendingTransaction(row.pending_id, row.posted_id);
+  }
+
+  return { replaced: superseded.length };
 }
 
 // Bulk insert transactions
@@ -458,20 +1056,56 @@ async function saveTransactions(transactions) {
   return Promise.all(promises);
 }
 
+/**
+ * Normalize tags the same way everywhere: trimmed, lower case, single spaces
+ */
+function normalizeTags(tags) {
+  // Commas separate tags, so they can't appear inside one
+  const list = (Array.isArray(tags) ? tags : [tags || '']).flatMap(tag => String(tag).split(','));
+  return [...new Set(list
+    .map(tag => tag.trim().toLowerCase().replace(/\s+/g, ' '))
+    .filter(Boolean))];
+}
+
+/**
+ * Add tags to a transaction; tags it already has are kept as they are
+ */
+async function addTransactionTags(transactionId, tags, source = 'user', ruleId = null) {
+  for (const tag of normalizeTags(tags)) {
+    await dbRun(`
+      INSERT OR IGNORE INTO transaction_tags (transaction_id, tag, source, rule_id)
+      VALUES (?, ?, ?, ?)
+    `, [transactionId, tag, source, ruleId]);
+  }
+}
+
+// Delete transactions Plaid reports as removed
+async function deleteTransactions(transactionIds) {
+  const promises = transactionIds.map(async id => {
+    // Triggers remove the tags and splits; anomaly alerts would be left pointing at nothing
+    await dbRun(`DELETE FROM transaction_anomalies WHERE transaction_id = ?`, [id]);
+    return dbRun(`
+      DELETE FROM transactions WHERE transaction_id = ?
+    `, [id]);
+  });
+  return Promise.all(promises);
+}
+
 // Save recurring stream
 async function saveRecurringStream(stream, type) {
   const sql = `
     INSERT OR REPLACE INTO recurring_streams (
-      stream_id, type, description, merchant_name, frequency, status,
+      stream_id, type, account_id, description, merchant_name, frequency, status,
       first_date, last_date, average_amount, last_amount, is_active,
       transaction_count, raw_data, updated_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
   `;
 
   const streamId = `${type}_${stream.description}_${stream.first_date}`;
   const params = [
     streamId,
     type,
+    stream.account_id,
     stream.description,
     stream.merchant_name,
     stream.frequency,
@@ -490,10 +1124,16 @@ async function saveRecurringStream(stream, type) {
 
 module.exports = {
   db,
+  ready,
   dbRun,
   dbGet,
   dbAll,
+  dbEach,
   saveTransaction,
   saveTransactions,
+  deleteTransactions,
+  reconcilePendingTransactions,
+  normalizeTags,
+  addTransactionTags,
   saveRecurringStream
 };
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const { dbRun, dbGet, dbAll } = require('./database');
+const transfers = require('./transfers');
 
 // Increase API configuration
 const INCREASE_API_URL = process.env.INCREASE_API_URL || 'https://api.increase.com';
@@ -395,6 +396,16 @@ async function createAccountTransfer(fromAccountId, toAccountId, amount, descrip
       await updateAccountBalance(toAccountId, toAccountBalance.currentBalance);
     }
 
+    // Pair the two legs now, so the move never shows up as spending and income
+    const owner = await dbGet(`
+      SELECT e.user_id
+      FROM increase_accounts a
+      LEFT JOIN increase_entities e ON e.increase_entity_id = a.increase_entity_id
+      WHERE a.increase_account_id = ?
+    `, [fromAccountId]);
+    await transfers.detectTransfers((owner && owner.user_id) || 'default_user')
+      .catch(error => console.error('Error detecting transfers:', error));
+
     return {
       success: true,
       transferId,
@@ -0,0 +1,208 @@
+const { dbRun, dbGet, dbAll, dbEach } = require('./database');
+const { applyRulesToTransaction } = require('./categorizationRules');
+const { CONFIDENT_THRESHOLD, MIN_TRAINING_EXAMPLES, MIN_CATEGORIES, trainModel, predictCategory } = require('./categoryModel');
+
+/**
+ * Learned Categorizer
+ *
+ * Learns categories from the user's own corrections (rows with a
+ * user_category) with the naive Bayes model in categoryModel.js, so the app
+ * picks up their habits without any external service.
+ *
+ * saveTransaction asks for a suggestion on every save and stores it with its
+ * confidence (the model's probability for the winning category). Confident
+ * suggestions replace the bank's category unless a rule set one; the rest
+ * wait in the review queue until the user accepts, corrects or dismisses them.
+ *
+ * The model is trained on first use and retrained after the next correction.
+ * Run scripts/evaluateCategorizer.js to measure accuracy on held-out fixtures.
+ */
+
+let cachedModel = null;
+
+// ===== STORED MODEL =====
+
+/**
+ * Model trained on every manually categorized transaction, cached until the
+ * next correction. Holds the promise so concurrent saves share one training run.
+ */
+function loadModel() {
+  if (!cachedModel) {
+    cachedModel = (async () => {
+      const examples = [];
+      await dbEach(`
+        SELECT t.name, t.merchant_name, t.amount, m.name AS merchant, t.user_category AS category
+        FROM transactions t
+        LEFT JOIN merchants m ON m.id = t.merchant_id
+        WHERE t.user_category IS NOT NULL
+      `, [], row => examples.push(row));
+      return trainModel(examples);
+    })();
+    cachedModel.catch(() => { cachedModel = null; });
+  }
+  return cachedModel;
+}
+
+// Called whenever a manual category changes
+function invalidateModel() {
+  cachedModel = null;
+}
+
+/**
+ * Suggestion for a transaction about to be saved (called by saveTransaction).
+ * Resolves with { category, confidence, confident } or null.
+ */
+async function suggestCategory(transaction) {
+  const prediction = predictCategory(await loadModel(), transaction);
+  if (!prediction) {
+    return null;
+  }
+  return { ...prediction, confident: prediction.confidence >= CONFIDENT_THRESHOLD };
+}
+
+/**
+ * Run the latest model over stored transactions without a manual category,
+ * e.g. after a batch of corrections. Confident suggestions are applied unless
+ * a rule sets the category; the rest land in the review queue.
+ */
+async function refreshSuggestions() {
+  const model = await loadModel();
+  const rows = [];
+  await dbEach(`
+    SELECT t.transaction_id, t.account_id, t.date, t.name, t.merchant_name, t.amount, t.category,
+      COALESCE(json_extract(t.raw_data, '$.merchant_name'), t.merchant_name) AS original_merchant_name,
+      m.name AS merchant
+    FROM transactions t
+    LEFT JOIN merchants m ON m.id = t.merchant_id
+    WHERE t.user_category IS NULL
+  `, [], row => rows.push(row));
+
+  let suggested = 0;
+  let applied = 0;
+  for (const row of rows) {
+    const prediction = predictCategory(model, row);
+    if (!prediction) continue;
+    suggested++;
+
+    await dbRun(`
+      UPDATE transactions SET suggested_category = ?, suggestion_confidence = ? WHERE transaction_id = ?
+    `, [prediction.category, prediction.confidence, row.transaction_id]);
+
+    if (prediction.confidence < CONFIDENT_THRESHOLD || prediction.category === row.category) continue;
+
+    // Rules match Plaid's merchant, as they do at ingest
+    const ruleResult = await applyRulesToTransaction({ ...row, merchant_name: row.original_merchant_name });
+    if (!ruleResult.category) {
+      await dbRun(`
+        UPDATE transactions SET category = ?, updated_at = CURRENT_TIMESTAMP WHERE transaction_id = ?
+      `, [prediction.category, row.transaction_id]);
+      applied++;
+    }
+  }
+
+  return { checked: rows.length, suggested, applied };
+}
+
+// ===== REVIEW QUEUE =====
+
+// Unsure suggestions that disagree with the current category and haven't been looked at
+const REVIEW_CONDITION = `
+  t.suggested_category IS NOT NULL
+  AND t.suggestion_confidence < ${CONFIDENT_THRESHOLD}
+  AND t.user_category IS NULL
+  AND t.reviewed_at IS NULL
+  AND (t.category IS NULL OR t.suggested_category != t.category)
+`;
+
+async function getModelStatus() {
+  const model = await loadModel();
+  return {
+    trainingExamples: model.documents,
+    categories: model.classes.size,
+    ready: model.documents >= MIN_TRAINING_EXAMPLES && model.classes.size >= MIN_CATEGORIES,
+    minTrainingExamples: MIN_TRAINING_EXAMPLES,
+    confidentThreshold: CONFIDENT_THRESHOLD
+  };
+}
+
+/**
+ * Transactions waiting for review, newest first
+ */
+async function getReviewQueue({ limit = 50 } = {}) {
+  const rows = await dbAll(`
+    SELECT
+      t.transaction_id, t.date, t.name, t.amount, t.category,
+      t.suggested_category, t.suggestion_confidence,
+      COALESCE(m.name, t.merchant_name) AS merchant
+    FROM transactions t
+    LEFT JOIN merchants m ON m.id = t.merchant_id
+    WHERE ${REVIEW_CONDITION}
+    ORDER BY t.date DESC, t.transaction_id DESC
+    LIMIT ?
+  `, [limit]);
+  const { count } = await dbGet(`SELECT COUNT(*) AS count FROM transactions t WHERE ${REVIEW_CONDITION}`);
+
+  return {
+    total: count,
+    model: await getModelStatus(),
+    transactions: rows.map(row => ({
+      transactionId: row.transaction_id,
+      date: row.date,
+      name: row.name,
+      merchant: row.merchant,
+      amount: row.amount,
+      category: row.category,
+      suggestedCategory: row.suggested_category,
+      confidence: row.suggestion_confidence
+    }))
+  };
+}
+
+async function getReviewRow(transactionId) {
+  const row = await dbGet(`
+    SELECT transaction_id, suggested_category FROM transactions WHERE transaction_id = ?
+  `, [transactionId]);
+  if (!row) {
+    throw new Error('Transaction not found');
+  }
+  return row;
+}
+
+/**
+ * Settle a queued transaction with the suggested category, or another one
+ * the user picked. Either way it becomes a training example.
+ */
+async function acceptSuggestion(transactionId, category = null) {
+  const row = await getReviewRow(transactionId);
+  const chosen = category ? String(category).trim() : row.suggested_category;
+  if (!chosen) {
+    throw new Error('No category to accept');
+  }
+
+  await dbRun(`
+    UPDATE transactions SET user_category = ?, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE transaction_id = ?
+  `, [chosen, transactionId]);
+
+  invalidateModel();
+  return { transactionId, category: chosen };
+}
+
+/**
+ * Keep the current category and take the transaction off the queue
+ */
+async function dismissSuggestion(transactionId) {
+  await getReviewRow(transactionId);
+  await dbRun(`UPDATE transactions SET reviewed_at = CURRENT_TIMESTAMP WHERE transaction_id = ?`, [transactionId]);
+  return { transactionId, dismissed: true };
+}
+
+module.exports = {
+  suggestCategory,
+  invalidateModel,
+  refreshSuggestions,
+  getModelStatus,
+  getReviewQueue,
+  acceptSuggestion,
+  dismissSuggestion
+};
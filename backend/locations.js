@@ -0,0 +1,381 @@
+const { dbAll } = require('./database');
+const { buildAccountFilter, buildTagFilter, buildTransferFilter } = require('./transactionFilters');
+const { round, addDays, daysBetween, resolveRange } = require('./analyticsHelpers');
+
+/**
+ * Locations
+ *
+ * Where the money was spent, from the location Plaid sends with in-store
+ * transactions (location_city, location_region, location_lat, location_lon):
+ * - places: spending per city (or per coordinate when there is no city) and per region
+ * - clusters: places within CLUSTER_RADIUS_KM of each other merged into one
+ *   area ("Denver" and "Aurora"), with a center for the map
+ * - trips: runs of days with in-store spending away from home
+ *
+ * Home is the place with in-store spending on the most days over the year
+ * before the range ends, unless the caller names it. A place is away from home
+ * when it is more than TRAVEL_DISTANCE_KM from it or, without coordinates, in
+ * another region or country. Away days at most MAX_TRIP_GAP_DAYS apart, with
+ * no spending at home in between, make one trip; a trip's spending is
+ * everything posted on its days (online orders and all) except purchases at home.
+ *
+ * Spending is posted money out from transaction_lines, leaving out transfers.
+ */
+
+const HOME_HISTORY_DAYS = 365;
+const CLUSTER_RADIUS_KM = 40;
+const TRAVEL_DISTANCE_KM = 100;
+const MAX_TRIP_GAP_DAYS = 2;
+
+const roundCoordinate = value => parseFloat(value.toFixed(3));
+
+function distanceKm(a, b) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+const hasCoordinates = item => item.lat !== null && item.lat !== undefined && item.lon !== null && item.lon !== undefined;
+const isLocated = row => Boolean(row.city) || hasCoordinates(row);
+
+// ===== PLACES =====
+
+/**
+ * Posted spending lines in a range with the location of their transaction
+ * (splits share their transaction's location)
+ */
+async function loadSpending(range, filters = {}) {
+  const accountFilter = buildAccountFilter(filters, 'l.account_id');
+  const tagFilter = buildTagFilter(filters, 'l.transaction_id');
+  const transferFilter = buildTransferFilter(filters, 'l.transfer_id');
+
+  return dbAll(`
+    SELECT l.transaction_id, l.date, l.amount, l.name, COALESCE(l.merchant, l.name) AS merchant,
+      COALESCE(l.category, 'Uncategorized') AS category, l.payment_channel,
+      t.location_city AS city, t.location_region AS region, t.location_country AS country,
+      t.location_lat AS lat, t.location_lon AS lon
+    FROM transaction_lines l
+    JOIN transactions t ON t.transaction_id = l.transaction_id
+    WHERE l.amount > 0
+      AND l.pending = 0
+      AND l.date BETWEEN ? AND ?${accountFilter.clause}${tagFilter.clause}${transferFilter.clause}
+    ORDER BY l.date ASC, l.transaction_id ASC
+  `, [range.startDate, range.endDate, ...accountFilter.params, ...tagFilter.params, ...transferFilter.params]);
+}
+
+// One place per city; a transaction with coordinates but no city gets a place of its own
+function placeKey(row) {
+  if (row.city) {
+    return [row.city, row.region, row.country].map(part => (part || '').toLowerCase()).join('|');
+  }
+  return `@${row.lat.toFixed(2)},${row.lon.toFixed(2)}`;
+}
+
+function placeName(place) {
+  if (!place.city) return `${place.lat.toFixed(2)}, ${place.lon.toFixed(2)}`;
+  return [place.city, place.region].filter(Boolean).join(', ');
+}
+
+/**
+ * Group located lines into places with their total, transaction count, the
+ * days money was spent there in person, and mean coordinates when known
+ */
+function buildPlaces(rows) {
+  const places = new Map();
+  for (const row of rows.filter(isLocated)) {
+    const key = placeKey(row);
+    if (!places.has(key)) {
+      places.set(key, {
+        key, city: row.city, region: row.region, country: row.country,
+        total: 0, transactions: new Set(), inStoreDays: new Set(), latSum: 0, lonSum: 0, located: 0
+      });
+    }
+    const place = places.get(key);
+    place.total += row.amount;
+    place.transactions.add(row.transaction_id);
+    if (row.payment_channel !== 'online') place.inStoreDays.add(row.date);
+    if (hasCoordinates(row)) {
+      place.latSum += row.lat;
+      place.lonSum += row.lon;
+      place.located += 1;
+    }
+  }
+
+  return [...places.values()].map(place => {
+    const lat = place.located > 0 ? place.latSum / place.located : null;
+    const lon = place.located > 0 ? place.lonSum / place.located : null;
+    const result = {
+      key: place.key,
+      city: place.city,
+      region: place.region,
+      country: place.country,
+      lat: lat !== null ? roundCoordinate(lat) : null,
+      lon: lon !== null ? roundCoordinate(lon) : null,
+      total: place.total,
+      count: place.transactions.size,
+      inStoreDays: place.inStoreDays.size
+    };
+    return { ...result, name: placeName(result) };
+  });
+}
+
+/**
+ * Whether a place matches what the user called it: "Denver" matches the city
+ * (or a region or country of that name), "Denver, CO" also needs the region to match
+ */
+function matchesPlace(place, query) {
+  const [cityPart, regionPart] = query.split(',').map(part => part.trim().toLowerCase());
+  const city = (place.city || '').toLowerCase();
+  const region = (place.region || '').toLowerCase();
+  const country = (place.country || '').toLowerCase();
+
+  const first = (city && city.includes(cityPart)) || region === cityPart || country === cityPart;
+  if (!first) return false;
+  return !regionPart || region === regionPart || country === regionPart;
+}
+
+// ===== HOME =====
+
+/**
+ * The user's home place: the one named (when it matches a place they've spent
+ * at) or the one with in-store spending on the most days in the year before endDate
+ */
+async function findHome(endDate, home, filters) {
+  const rows = await loadSpending({ startDate: addDays(endDate, -HOME_HISTORY_DAYS), endDate }, filters);
+  const places = buildPlaces(rows);
+
+  const candidates = home ? places.filter(place => matchesPlace(place, home)) : places;
+  const [best] = candidates.sort((a, b) => b.inStoreDays - a.inStoreDays || b.total - a.total);
+  if (best) return best;
+
+  // A named home the user hasn't spent at still counts by name
+  if (home) {
+    const [city, region] = home.split(',').map(part => part.trim());
+    return { key: null, city, region: region || null, country: null, lat: null, lon: null, name: home };
+  }
+  return null;
+}
+
+/**
+ * How far a place is from home in km (null without coordinates for both),
+ * and whether it counts as away
+ */
+function compareWithHome(place, home) {
+  if (!home) return { distanceKm: null, away: false };
+  if (place.key && place.key === home.key) return { distanceKm: 0, away: false };
+
+  if (hasCoordinates(place) && hasCoordinates(home)) {
+    const distance = Math.round(distanceKm(home, place));
+    return { distanceKm: distance, away: distance > TRAVEL_DISTANCE_KM };
+  }
+
+  const same = (a, b) => !a || !b || a.toLowerCase() === b.toLowerCase();
+  if (place.city && home.city && place.city.toLowerCase() === home.city.toLowerCase() && same(place.region, home.region)) {
+    return { distanceKm: 0, away: false };
+  }
+  // Without coordinates only another region or country is clearly away; the next town over isn't a trip
+  return { distanceKm: null, away: !same(place.region, home.region) || !same(place.country, home.country) };
+}
+
+// ===== CLUSTERS =====
+
+/**
+ * Merge places with coordinates into areas: biggest places first, each joining
+ * the first area whose center is within CLUSTER_RADIUS_KM. Centers are
+ * weighted by spending.
+ */
+function buildClusters(places) {
+  const clusters = [];
+  const located = places.filter(hasCoordinates).sort((a, b) => b.total - a.total);
+
+  for (const place of located) {
+    const cluster = clusters.find(candidate => distanceKm(candidate, place) <= CLUSTER_RADIUS_KM);
+    if (cluster) {
+      cluster.places.push(place);
+      cluster.total += place.total;
+      cluster.lat += (place.lat - cluster.lat) * (place.total / cluster.total);
+      cluster.lon += (place.lon - cluster.lon) * (place.total / cluster.total);
+    } else {
+      clusters.push({ lat: place.lat, lon: place.lon, total: place.total, places: [place] });
+    }
+  }
+
+  return clusters.map(cluster => ({
+    name: cluster.places[0].name,
+    lat: roundCoordinate(cluster.lat),
+    lon: roundCoordinate(cluster.lon),
+    total: round(cluster.total),
+    count: cluster.places.reduce((sum, place) => sum + place.count, 0),
+    places: cluster.places.map(place => place.name)
+  }));
+}
+
+function groupRegions(places) {
+  const regions = new Map();
+  for (const place of places) {
+    const name = place.region || place.country || 'Unknown region';
+    const key = `${name}|${place.country || ''}`.toLowerCase();
+    const region = regions.get(key) || { region: name, country: place.country, total: 0, count: 0 };
+    region.total += place.total;
+    region.count += place.count;
+    regions.set(key, region);
+  }
+  return [...regions.values()]
+    .map(region => ({ ...region, total: round(region.total) }))
+    .sort((a, b) => b.total - a.total);
+}
+
+// ===== SPENDING BY LOCATION =====
+
+/**
+ * Spending per place, region and area between startDate and endDate (default:
+ * the last year), for the map and "where do I spend?".
+ *
+ * place: narrow to matching places ("Denver", "Denver, CO", "CO")
+ * home:  the user's home ("Austin, TX") instead of the detected one
+ * plus the account, tag and transfer filters
+ */
+async function getLocationSpending({ startDate = null, endDate = null, place = null, home = null, ...filters } = {}) {
+  const range = resolveRange(startDate, endDate, HOME_HISTORY_DAYS);
+  const rows = await loadSpending(range, filters);
+  const homePlace = await findHome(range.endDate, home, filters);
+
+  let places = buildPlaces(rows);
+  if (place) {
+    places = places.filter(item => matchesPlace(item, place));
+  }
+
+  const locatedTotal = places.reduce((sum, item) => sum + item.total, 0);
+  const total = rows.reduce((sum, row) => sum + row.amount, 0);
+  const unlocated = rows.filter(row => !isLocated(row));
+
+  return {
+    ...range,
+    place,
+    home: homePlace ? { name: homePlace.name, city: homePlace.city, region: homePlace.region, lat: homePlace.lat, lon: homePlace.lon } : null,
+    total: round(place ? locatedTotal : total),
+    located: { total: round(locatedTotal), count: places.reduce((sum, item) => sum + item.count, 0) },
+    // Online purchases and banks that send no location
+    unlocated: place ? null : {
+      total: round(unlocated.reduce((sum, row) => sum + row.amount, 0)),
+      count: new Set(unlocated.map(row => row.transaction_id)).size
+    },
+    places: places
+      .sort((a, b) => b.total - a.total)
+      .map(({ key, inStoreDays, ...item }) => {
+        const fromHome = compareWithHome({ key, ...item }, homePlace);
+        return {
+          ...item,
+          total: round(item.total),
+          share: locatedTotal > 0 ? round((item.total / locatedTotal) * 100) : 0,
+          isHome: Boolean(homePlace) && fromHome.distanceKm === 0,
+          away: fromHome.away,
+          distanceFromHomeKm: fromHome.distanceKm
+        };
+      }),
+    regions: groupRegions(places),
+    clusters: buildClusters(places)
+  };
+}
+
+// ===== TRIPS =====
+
+/**
+ * Group the days of lines marked away into trips, oldest first: away days at
+ * most MAX_TRIP_GAP_DAYS apart with no spending at home in between
+ */
+function groupTripDays(marked) {
+  const awayDays = [...new Set(marked.filter(row => row.away).map(row => row.date))].sort();
+  const homeDays = new Set(marked.filter(row => row.atHome).map(row => row.date));
+
+  const runs = [];
+  for (const day of awayDays) {
+    const run = runs[runs.length - 1];
+    const previous = run ? run[run.length - 1] : null;
+    const backHomeBetween = previous && [...homeDays].some(homeDay => homeDay > previous && homeDay < day);
+    if (run && daysBetween(previous, day) <= MAX_TRIP_GAP_DAYS + 1 && !backHomeBetween) {
+      run.push(day);
+    } else {
+      runs.push([day]);
+    }
+  }
+  return runs;
+}
+
+function summarizeTrip(days, rows, home) {
+  const startDate = days[0];
+  const endDate = days[days.length - 1];
+  const tripRows = rows.filter(row => row.date >= startDate && row.date <= endDate && !row.atHome);
+  const awayRows = tripRows.filter(row => row.away);
+
+  const destinations = buildPlaces(awayRows)
+    .sort((a, b) => b.total - a.total)
+    .map(place => ({ name: place.name, city: place.city, region: place.region, lat: place.lat, lon: place.lon, total: round(place.total) }));
+
+  const categories = new Map();
+  for (const row of tripRows) {
+    categories.set(row.category, (categories.get(row.category) || 0) + row.amount);
+  }
+
+  return {
+    startDate,
+    endDate,
+    days: daysBetween(startDate, endDate) + 1,
+    destination: destinations.length > 0 ? destinations[0].name : null,
+    destinations,
+    total: round(tripRows.reduce((sum, row) => sum + row.amount, 0)),
+    spentAtDestination: round(awayRows.reduce((sum, row) => sum + row.amount, 0)),
+    count: new Set(tripRows.map(row => row.transaction_id)).size,
+    topCategories: [...categories.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([category, total]) => ({ category, total: round(total) })),
+    distanceFromHomeKm: home && destinations.length > 0 ? compareWithHome(destinations[0], home).distanceKm : null
+  };
+}
+
+/**
+ * Periods of spending away from home between startDate and endDate (default:
+ * the last year), newest first. place keeps trips with a matching destination;
+ * home and the filters work as in getLocationSpending.
+ */
+async function getTrips({ startDate = null, endDate = null, place = null, home = null, ...filters } = {}) {
+  const range = resolveRange(startDate, endDate, HOME_HISTORY_DAYS);
+  const homePlace = await findHome(range.endDate, home, filters);
+  if (!homePlace) {
+    return { ...range, place, home: null, trips: [], total: 0, note: 'No in-store spending with a location yet, so home is unknown' };
+  }
+
+  const rows = await loadSpending(range, filters);
+  const places = new Map(buildPlaces(rows).map(item => [item.key, item]));
+
+  // Mark each in-store located line as at home or away
+  const marked = rows.map(row => {
+    if (row.payment_channel === 'online' || !isLocated(row)) return { ...row, away: false, atHome: false };
+    const { away } = compareWithHome(places.get(placeKey(row)), homePlace);
+    return { ...row, away, atHome: !away };
+  });
+
+  let trips = groupTripDays(marked).map(days => summarizeTrip(days, marked, homePlace));
+  if (place) {
+    trips = trips.filter(trip => trip.destinations.some(destination => matchesPlace(destination, place)));
+  }
+  trips.reverse();
+
+  return {
+    ...range,
+    place,
+    home: { name: homePlace.name, city: homePlace.city, region: homePlace.region, lat: homePlace.lat, lon: homePlace.lon },
+    trips,
+    total: round(trips.reduce((sum, trip) => sum + trip.total, 0))
+  };
+}
+
+module.exports = {
+  compareWithHome,
+  groupTripDays,
+  getLocationSpending,
+  getTrips
+};
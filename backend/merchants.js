@@ -0,0 +1,446 @@
+const { dbRun, dbGet, dbAll, dbEach } = require('./database');
+
+/**
+ * Merchants
+ *
+ * Canonical merchants, so "AMZN Mktp US*2K4", "Amazon.com" and "AMAZON PRIME"
+ * count as one Amazon in analytics. saveTransaction resolves every transaction
+ * to a merchant_id, trying in order:
+ *
+ * 1. Alias patterns - case-insensitive regular expressions tested against the
+ *    merchant name (after categorization rules) and the transaction name
+ * 2. Alias keys - the normalized name ("amzn mktp us"), recorded for every
+ *    merchant created here
+ * 3. Otherwise a new merchant named after the transaction's merchant
+ *
+ * A merchant's default category fills in the category when neither the bank
+ * nor a rule provides one (statement imports, mostly). Merging merchants moves
+ * their transactions and aliases onto the one kept, so later syncs resolve to it too.
+ */
+
+// Seeded into an empty merchants table; ordered so Uber Eats is tried before Uber
+const KNOWN_MERCHANTS = [
+  { name: 'Amazon', pattern: '^(amzn|amazon)\\b', defaultCategory: 'General Merchandise' },
+  { name: 'Walmart', pattern: '^(wal-?mart|wm supercenter)\\b', defaultCategory: 'General Merchandise' },
+  { name: 'Uber Eats', pattern: '^uber\\s*\\*?\\s*eats\\b', defaultCategory: 'Food And Drink' },
+  { name: 'Uber', pattern: '^uber\\b', defaultCategory: 'Transportation' },
+  { name: 'Starbucks', pattern: '^starbucks\\b', defaultCategory: 'Food And Drink' },
+  { name: "McDonald's", pattern: "^mc ?donald'?s\\b", defaultCategory: 'Food And Drink' }
+];
+
+// Card processor prefixes in front of the real merchant ("SQ *BLUE BOTTLE")
+const PROCESSOR_PREFIX = /^(sq|tst|sp|pp|paypal)\s*\*\s*/;
+
+let cachedAliases = null;
+
+// ===== NORMALIZATION =====
+
+/**
+ * Reduce a merchant or transaction name to the key aliases are stored under:
+ * lower case, without processor prefixes, references after "*", store
+ * numbers, web domains and punctuation.
+ */
+function normalizeMerchantKey(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(PROCESSOR_PREFIX, '')
+    .replace(/\*.*$/, '')
+    .replace(/#\s*\d+/g, '')
+    .replace(/\.(com|net|org)\b/g, '')
+    .replace(/\d{3,}/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function titleCase(value) {
+  return value.replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(`Invalid alias pattern: ${error.message}`);
+  }
+}
+
+function formatMerchant(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    logoUrl: row.logo_url,
+    defaultCategory: row.default_category,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// ===== RESOLUTION =====
+
+async function seedKnownMerchants() {
+  const { count } = await dbGet(`SELECT COUNT(*) AS count FROM merchants`);
+  if (count > 0) return;
+
+  for (const known of KNOWN_MERCHANTS) {
+    const merchant = await findOrCreateMerchant(known.name, { defaultCategory: known.defaultCategory });
+    await dbRun(`
+      INSERT OR IGNORE INTO merchant_aliases (merchant_id, alias, is_pattern) VALUES (?, ?, 1)
+    `, [merchant.id, known.pattern]);
+  }
+}
+
+/**
+ * Every merchant and alias, loaded once and kept until merchants change.
+ * Holds the promise so concurrent saves share one load.
+ */
+function loadAliases() {
+  if (!cachedAliases) {
+    cachedAliases = (async () => {
+      await seedKnownMerchants();
+
+      const merchants = await dbAll(`SELECT * FROM merchants`);
+      const aliases = await dbAll(`SELECT * FROM merchant_aliases ORDER BY id ASC`);
+
+      return {
+        merchants: new Map(merchants.map(row => [row.id, formatMerchant(row)])),
+        patterns: aliases
+          .filter(alias => alias.is_pattern === 1)
+          .map(alias => ({ merchantId: alias.merchant_id, regex: compilePattern(alias.alias) })),
+        keys: new Map(aliases.filter(alias => alias.is_pattern === 0).map(alias => [alias.alias, alias.merchant_id]))
+      };
+    })();
+    cachedAliases.catch(() => { cachedAliases = null; });
+  }
+  return cachedAliases;
+}
+
+function invalidateAliases() {
+  cachedAliases = null;
+}
+
+async function addKeyAlias(merchantId, name) {
+  const key = normalizeMerchantKey(name);
+  if (!key) return;
+  await dbRun(`
+    INSERT OR IGNORE INTO merchant_aliases (merchant_id, alias, is_pattern) VALUES (?, ?, 0)
+  `, [merchantId, key]);
+}
+
+// Merchant by name (case-insensitive), created if missing; safe to race with itself
+async function findOrCreateMerchant(name, { logoUrl = null, defaultCategory = null } = {}) {
+  await dbRun(`
+    INSERT OR IGNORE INTO merchants (name, logo_url, default_category) VALUES (?, ?, ?)
+  `, [name, logoUrl, defaultCategory]);
+
+  const row = await dbGet(`SELECT * FROM merchants WHERE name = ? COLLATE NOCASE`, [name]);
+  await addKeyAlias(row.id, name);
+
+  return formatMerchant(row);
+}
+
+/**
+ * Canonical merchant for a transaction about to be saved (called by saveTransaction).
+ * merchantName is the merchant after rules, name the transaction name and
+ * logoUrl Plaid's logo, used for merchants created here.
+ * Resolves with { id, name, logoUrl, defaultCategory }, or null when there is no usable name.
+ */
+async function resolveMerchant({ merchantName, name, logoUrl = null } = {}) {
+  const aliases = await loadAliases();
+  const candidates = [merchantName, name].filter(Boolean);
+
+  for (const pattern of aliases.patterns) {
+    if (candidates.some(candidate => pattern.regex.test(candidate))) {
+      return aliases.merchants.get(pattern.merchantId);
+    }
+  }
+
+  for (const candidate of candidates) {
+    const merchantId = aliases.keys.get(normalizeMerchantKey(candidate));
+    if (merchantId) {
+      return aliases.merchants.get(merchantId);
+    }
+  }
+
+  const key = normalizeMerchantKey(candidates[0]);
+  if (!key) {
+    return null;
+  }
+
+  // Plaid's merchant name is already presentable; a raw transaction name is not
+  const merchant = await findOrCreateMerchant(merchantName || titleCase(key), { logoUrl });
+  aliases.merchants.set(merchant.id, merchant);
+  aliases.keys.set(key, merchant.id);
+  aliases.keys.set(normalizeMerchantKey(merchant.name), merchant.id);
+  return merchant;
+}
+
+/**
+ * Resolve transactions saved without a merchant (stored before merchants
+ * existed). Resolves with how many were matched.
+ */
+async function assignMissingMerchants() {
+  const rows = [];
+  await dbEach(`
+    SELECT transaction_id, merchant_name, name, json_extract(raw_data, '$.logo_url') AS logo_url
+    FROM transactions
+    WHERE merchant_id IS NULL
+  `, [], row => rows.push(row));
+
+  let assigned = 0;
+  for (const row of rows) {
+    const merchant = await resolveMerchant({ merchantName: row.merchant_name, name: row.name, logoUrl: row.logo_url });
+    if (!merchant) continue;
+
+    await dbRun(`UPDATE transactions SET merchant_id = ? WHERE transaction_id = ?`, [merchant.id, row.transaction_id]);
+    assigned++;
+  }
+
+  return assigned;
+}
+
+// ===== ADMIN =====
+
+async function getMerchantRow(merchantId) {
+  const row = await dbGet(`SELECT * FROM merchants WHERE id = ?`, [merchantId]);
+  if (!row) {
+    throw new Error('Merchant not found');
+  }
+  return row;
+}
+
+/**
+ * Merchants with their transaction count and spending, most spent first.
+ * search narrows by canonical name or alias.
+ */
+async function listMerchants({ search = null, limit = 100 } = {}) {
+  const params = [];
+  let searchClause = '';
+  if (search) {
+    searchClause = `WHERE m.name LIKE ? OR m.id IN (SELECT merchant_id FROM merchant_aliases WHERE alias LIKE ?)`;
+    params.push(`%${search}%`, `%${search}%`);
+  }
+
+  const rows = await dbAll(`
+    SELECT
+      m.*,
+      COUNT(t.transaction_id) AS transaction_count,
+      COALESCE(SUM(CASE WHEN t.amount > 0 THEN t.amount ELSE 0 END), 0) AS total_spent
+    FROM merchants m
+    LEFT JOIN transactions t ON t.merchant_id = m.id
+    ${searchClause}
+    GROUP BY m.id
+    ORDER BY total_spent DESC, m.name ASC
+    LIMIT ?
+  `, [...params, limit]);
+
+  return rows.map(row => ({
+    ...formatMerchant(row),
+    transactionCount: row.transaction_count,
+    totalSpent: parseFloat(row.total_spent.toFixed(2))
+  }));
+}
+
+/**
+ * One merchant with its aliases and the bank names seen for it
+ */
+async function getMerchant(merchantId) {
+  const row = await getMerchantRow(merchantId);
+  const aliases = await dbAll(`
+    SELECT id, alias, is_pattern FROM merchant_aliases WHERE merchant_id = ? ORDER BY is_pattern DESC, alias ASC
+  `, [merchantId]);
+  const names = await dbAll(`
+    SELECT COALESCE(json_extract(raw_data, '$.merchant_name'), name) AS bank_name, COUNT(*) AS count
+    FROM transactions
+    WHERE merchant_id = ?
+    GROUP BY bank_name
+    ORDER BY count DESC
+    LIMIT 20
+  `, [merchantId]);
+
+  return {
+    ...formatMerchant(row),
+    aliases: aliases.map(alias => ({ id: alias.id, alias: alias.alias, isPattern: alias.is_pattern === 1 })),
+    bankNames: names.map(name => ({ name: name.bank_name, count: name.count }))
+  };
+}
+
+function toMerchantColumns(input, current = {}) {
+  const name = input.name !== undefined ? String(input.name || '').trim() : current.name;
+  if (!name) {
+    throw new Error('Merchant name is required');
+  }
+
+  return {
+    name,
+    logo_url: input.logoUrl !== undefined ? input.logoUrl || null : current.logoUrl || null,
+    default_category: input.defaultCategory !== undefined
+      ? (input.defaultCategory ? String(input.defaultCategory).trim() : null)
+      : current.defaultCategory || null
+  };
+}
+
+async function assertNameAvailable(name, merchantId = null) {
+  const existing = await dbGet(`SELECT id FROM merchants WHERE name = ? COLLATE NOCASE`, [name]);
+  if (existing && existing.id !== Number(merchantId)) {
+    throw new Error(`A merchant named "${name}" already exists - merge into it instead`);
+  }
+}
+
+// Transactions the bank and rules left uncategorized pick up the default category
+async function fillDefaultCategory(merchantId, defaultCategory) {
+  if (!defaultCategory) return;
+  await dbRun(`
+    UPDATE transactions SET category = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE merchant_id = ? AND category IS NULL
+  `, [defaultCategory, merchantId]);
+}
+
+/**
+ * Create a merchant. input: { name, logoUrl, defaultCategory, patterns }
+ */
+async function createMerchant(input = {}) {
+  const columns = toMerchantColumns(input);
+  await assertNameAvailable(columns.name);
+  for (const pattern of input.patterns || []) {
+    compilePattern(pattern);
+  }
+
+  const merchant = await findOrCreateMerchant(columns.name, {
+    logoUrl: columns.logo_url,
+    defaultCategory: columns.default_category
+  });
+  invalidateAliases();
+
+  for (const pattern of input.patterns || []) {
+    await addAlias(merchant.id, pattern);
+  }
+  return getMerchant(merchant.id);
+}
+
+/**
+ * Rename a merchant or change its logo or default category (fields not sent keep their value)
+ */
+async function updateMerchant(merchantId, input = {}) {
+  const current = formatMerchant(await getMerchantRow(merchantId));
+  const columns = toMerchantColumns(input, current);
+  await assertNameAvailable(columns.name, merchantId);
+
+  await dbRun(`
+    UPDATE merchants SET name = ?, logo_url = ?, default_category = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [columns.name, columns.logo_url, columns.default_category, merchantId]);
+  await addKeyAlias(merchantId, columns.name);
+  await fillDefaultCategory(merchantId, columns.default_category);
+
+  invalidateAliases();
+  return getMerchant(merchantId);
+}
+
+/**
+ * Fold other merchants into this one: their transactions, aliases, logo and
+ * default category (where this one has none) move over and they are deleted.
+ */
+async function mergeMerchants(merchantId, sourceIds = []) {
+  const target = await getMerchantRow(merchantId);
+  const ids = [...new Set((sourceIds || []).map(Number))].filter(id => id !== target.id);
+  if (ids.length === 0) {
+    throw new Error('Pick at least one other merchant to merge');
+  }
+
+  const sources = [];
+  for (const id of ids) {
+    sources.push(await getMerchantRow(id));
+  }
+  const placeholders = ids.map(() => '?').join(', ');
+
+  await dbRun(`UPDATE transactions SET merchant_id = ? WHERE merchant_id IN (${placeholders})`, [target.id, ...ids]);
+  await dbRun(`UPDATE merchant_aliases SET merchant_id = ? WHERE merchant_id IN (${placeholders})`, [target.id, ...ids]);
+
+  const logoUrl = target.logo_url || sources.map(source => source.logo_url).find(Boolean) || null;
+  const defaultCategory = target.default_category || sources.map(source => source.default_category).find(Boolean) || null;
+  await dbRun(`
+    UPDATE merchants SET logo_url = ?, default_category = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `, [logoUrl, defaultCategory, target.id]);
+
+  await dbRun(`DELETE FROM merchants WHERE id IN (${placeholders})`, ids);
+  await fillDefaultCategory(target.id, defaultCategory);
+
+  invalidateAliases();
+  return { ...(await getMerchant(target.id)), merged: sources.map(source => source.name) };
+}
+
+/**
+ * Add an alias pattern and move stored transactions it matches onto the
+ * merchant. Merchants left without transactions are merged in.
+ */
+async function addAlias(merchantId, pattern) {
+  await getMerchantRow(merchantId);
+  if (!pattern || !String(pattern).trim()) {
+    throw new Error('Alias pattern is required');
+  }
+  const regex = compilePattern(String(pattern).trim());
+
+  const existing = await dbGet(`
+    SELECT merchant_id FROM merchant_aliases WHERE alias = ? AND is_pattern = 1
+  `, [String(pattern).trim()]);
+  if (existing && existing.merchant_id !== Number(merchantId)) {
+    throw new Error('That pattern already belongs to another merchant');
+  }
+
+  await dbRun(`
+    INSERT OR IGNORE INTO merchant_aliases (merchant_id, alias, is_pattern) VALUES (?, ?, 1)
+  `, [merchantId, String(pattern).trim()]);
+  invalidateAliases();
+
+  const moved = [];
+  await dbEach(`
+    SELECT transaction_id, merchant_id, merchant_name, name
+    FROM transactions
+    WHERE merchant_id IS NULL OR merchant_id != ?
+  `, [merchantId], row => {
+    if ([row.merchant_name, row.name].some(candidate => candidate && regex.test(candidate))) {
+      moved.push(row);
+    }
+  });
+
+  for (const row of moved) {
+    await dbRun(`UPDATE transactions SET merchant_id = ? WHERE transaction_id = ?`, [merchantId, row.transaction_id]);
+  }
+
+  const previousIds = [...new Set(moved.map(row => row.merchant_id).filter(Boolean))];
+  const emptied = [];
+  for (const id of previousIds) {
+    const remaining = await dbGet(`SELECT COUNT(*) AS count FROM transactions WHERE merchant_id = ?`, [id]);
+    if (remaining.count === 0) emptied.push(id);
+  }
+  if (emptied.length > 0) {
+    await mergeMerchants(merchantId, emptied);
+  }
+
+  return { ...(await getMerchant(merchantId)), reassigned: moved.length };
+}
+
+async function deleteAlias(merchantId, aliasId) {
+  const result = await dbRun(`
+    DELETE FROM merchant_aliases WHERE id = ? AND merchant_id = ?
+  `, [aliasId, merchantId]);
+  if (result.changes === 0) {
+    throw new Error('Alias not found');
+  }
+
+  invalidateAliases();
+  return getMerchant(merchantId);
+}
+
+module.exports = {
+  normalizeMerchantKey,
+  resolveMerchant,
+  assignMissingMerchants,
+  listMerchants,
+  getMerchant,
+  createMerchant,
+  updateMerchant,
+  mergeMerchants,
+  addAlias,
+  deleteAlias
+};
@@ -0,0 +1,247 @@
+const { dbRun, dbGet, dbAll } = require('./database');
+const { round, today } = require('./analyticsHelpers');
+
+/**
+ * Net Worth
+ *
+ * Adds up the balances stored from every place money lives:
+ * - Plaid accounts (accounts table, refreshed by syncs and /api/accounts)
+ * - Increase accounts and vaults (increase_accounts)
+ * - Unit accounts and vaults (unit_accounts)
+ * - the Locus wallet (user_settings.locus_wallet_balance)
+ *
+ * Credit cards and loans are liabilities: their balance is what is owed, so
+ * it counts against net worth (a card with a credit balance counts for it).
+ *
+ * One snapshot per account per day goes into net_worth_snapshots. Taking a
+ * snapshot again the same day replaces that day's values, so it is safe to
+ * take one after every sync and whenever net worth is read.
+ */
+
+const LIABILITY_TYPES = ['credit', 'loan'];
+const SNAPSHOT_CHECK_MS = 60 * 60 * 1000;
+
+// ===== BALANCES =====
+
+/**
+ * Every balance right now, as { source, accountKey, name, institution, type, kind, balance, value }.
+ * balance is as reported; value is what it adds to net worth (negative for debt).
+ */
+async function collectBalances(userId = 'default_user') {
+  const balances = [];
+
+  const plaidAccounts = await dbAll(`
+    SELECT a.account_id, a.name, a.mask, a.type, a.subtype, a.current_balance,
+      COALESCE(u.institution_name, a.institution_name) AS institution_name
+    FROM accounts a
+    LEFT JOIN user_data u ON u.item_id = a.item_id
+    WHERE a.user_id = ? AND a.current_balance IS NOT NULL
+  `, [userId]);
+  for (const account of plaidAccounts) {
+    const isLiability = LIABILITY_TYPES.includes(account.type);
+    balances.push({
+      source: 'plaid',
+      accountKey: account.account_id,
+      name: account.mask ? `${account.name} (...${account.mask})` : account.name,
+      institution: account.institution_name,
+      type: account.subtype || account.type,
+      kind: isLiability ? 'liability' : 'asset',
+      balance: account.current_balance,
+      value: isLiability ? -account.current_balance : account.current_balance
+    });
+  }
+
+  // Increase and Unit accounts have the same shape; entities without a user_id predate multi-user support
+  const bankingSources = [
+    { source: 'increase', institution: 'Increase', table: 'increase_accounts', idColumn: 'increase_account_id', owners: 'increase_entities', ownerColumn: 'increase_entity_id' },
+    { source: 'unit', institution: 'Unit', table: 'unit_accounts', idColumn: 'unit_account_id', owners: 'unit_customers', ownerColumn: 'unit_customer_id' }
+  ];
+  for (const banking of bankingSources) {
+    const accounts = await dbAll(`
+      SELECT a.${banking.idColumn} AS account_key, a.name, a.account_type, a.balance
+      FROM ${banking.table} a
+      LEFT JOIN ${banking.owners} o ON o.${banking.ownerColumn} = a.${banking.ownerColumn}
+      WHERE a.status != 'Closed' AND (o.user_id = ? OR o.user_id IS NULL)
+    `, [userId]);
+    for (const account of accounts) {
+      balances.push({
+        source: banking.source,
+        accountKey: account.account_key,
+        name: account.name,
+        institution: banking.institution,
+        type: account.account_type,
+        kind: 'asset',
+        balance: account.balance || 0,
+        value: account.balance || 0
+      });
+    }
+  }
+
+  const settings = await dbGet(`SELECT locus_wallet_balance FROM user_settings WHERE user_id = ?`, [userId]);
+  if (settings && settings.locus_wallet_balance) {
+    balances.push({
+      source: 'locus',
+      accountKey: 'wallet',
+      name: 'Locus wallet',
+      institution: 'Locus',
+      type: 'wallet',
+      kind: 'asset',
+      balance: settings.locus_wallet_balance,
+      value: settings.locus_wallet_balance
+    });
+  }
+
+  return balances;
+}
+
+// ===== SNAPSHOTS =====
+
+/**
+ * Record today's balances (replacing any taken earlier today). Resolves with the snapshot date.
+ * Rows are replaced rather than only inserted, as a sync and a request can snapshot at the same time.
+ */
+async function takeSnapshot(userId = 'default_user') {
+  const date = today();
+  const balances = await collectBalances(userId);
+
+  await dbRun(`DELETE FROM net_worth_snapshots WHERE user_id = ? AND snapshot_date = ?`, [userId, date]);
+  for (const item of balances) {
+    await dbRun(`
+      INSERT OR REPLACE INTO net_worth_snapshots (
+        user_id, snapshot_date, source, account_key, name, institution, account_type, kind, balance, value
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [userId, date, item.source, item.accountKey, item.name, item.institution, item.type, item.kind, item.balance, item.value]);
+  }
+
+  return date;
+}
+
+/**
+ * Take a snapshot now and check hourly for a new day, so history has a point
+ * per day while the server runs (called once the server is listening)
+ */
+function startDailySnapshots(userId = 'default_user') {
+  let lastDate = null;
+  const check = () => {
+    if (lastDate === today()) return;
+    takeSnapshot(userId)
+      .then(date => { lastDate = date; })
+      .catch(error => console.error('Error taking net worth snapshot:', error));
+  };
+
+  check();
+  return setInterval(check, SNAPSHOT_CHECK_MS);
+}
+
+// ===== REPORTING =====
+
+function summarize(rows) {
+  const assets = rows.filter(row => row.kind === 'asset').reduce((sum, row) => sum + row.value, 0);
+  const liabilities = rows.filter(row => row.kind === 'liability').reduce((sum, row) => sum - row.value, 0);
+  return { assets: round(assets), liabilities: round(liabilities), netWorth: round(assets - liabilities) };
+}
+
+function groupTotals(rows, key) {
+  const groups = new Map();
+  for (const row of rows) {
+    groups.set(row[key], (groups.get(row[key]) || 0) + row.value);
+  }
+  return [...groups.entries()]
+    .map(([name, value]) => ({ [key]: name, value: round(value) }))
+    .sort((a, b) => b.value - a.value);
+}
+
+function periodKey(date, interval) {
+  if (interval === 'month') return date.slice(0, 7);
+  if (interval === 'week') {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day.toISOString().slice(0, 10);
+  }
+  return date;
+}
+
+/**
+ * Net worth today with breakdowns, its history between startDate and endDate
+ * (default: the last 12 months) and the change over that range. interval
+ * (day, week or month) keeps the last snapshot of each period.
+ */
+async function getNetWorth({ startDate = null, endDate = null, interval = 'day', userId = 'default_user' } = {}) {
+  if (!['day', 'week', 'month'].includes(interval)) {
+    throw new Error('Interval must be day, week or month');
+  }
+
+  await takeSnapshot(userId);
+
+  const end = endDate || today();
+  let start = startDate;
+  if (!start) {
+    const yearAgo = new Date(`${end}T00:00:00Z`);
+    yearAgo.setUTCFullYear(yearAgo.getUTCFullYear() - 1);
+    start = yearAgo.toISOString().slice(0, 10);
+  }
+
+  const rows = await dbAll(`
+    SELECT snapshot_date, source, account_key, name, institution, account_type, kind, balance, value
+    FROM net_worth_snapshots
+    WHERE user_id = ? AND snapshot_date BETWEEN ? AND ?
+    ORDER BY snapshot_date ASC
+  `, [userId, start, end]);
+
+  const byDate = new Map();
+  for (const row of rows) {
+    if (!byDate.has(row.snapshot_date)) byDate.set(row.snapshot_date, []);
+    byDate.get(row.snapshot_date).push(row);
+  }
+
+  // Last snapshot of each period
+  const periods = new Map();
+  for (const [date, snapshot] of byDate) {
+    periods.set(periodKey(date, interval), { date, snapshot });
+  }
+  const series = [...periods.values()].map(({ date, snapshot }) => ({ date, ...summarize(snapshot) }));
+
+  // The change runs from the earliest snapshot in range, whatever the interval
+  const snapshots = [...byDate.entries()];
+  const latest = snapshots.length > 0 ? snapshots[snapshots.length - 1][1] : [];
+  const first = snapshots.length > 0 ? { date: snapshots[0][0], ...summarize(snapshots[0][1]) } : null;
+  const last = series[series.length - 1];
+
+  return {
+    startDate: start,
+    endDate: end,
+    interval,
+    historyStartsOn: first ? first.date : null,
+    current: {
+      date: last ? last.date : null,
+      ...summarize(latest),
+      bySource: groupTotals(latest, 'source'),
+      byType: groupTotals(latest, 'account_type').map(({ account_type: type, value }) => ({ type, value })),
+      accounts: latest.map(row => ({
+        source: row.source,
+        name: row.name,
+        institution: row.institution,
+        type: row.account_type,
+        kind: row.kind,
+        balance: row.balance,
+        value: row.value
+      }))
+    },
+    change: first && last ? {
+      from: first.date,
+      to: last.date,
+      amount: round(last.netWorth - first.netWorth),
+      percent: first.netWorth !== 0 ? round(((last.netWorth - first.netWorth) / Math.abs(first.netWorth)) * 100) : null,
+      assets: round(last.assets - first.assets),
+      liabilities: round(last.liabilities - first.liabilities)
+    } : null,
+    series
+  };
+}
+
+module.exports = {
+  collectBalances,
+  takeSnapshot,
+  startDailySnapshots,
+  getNetWorth
+};
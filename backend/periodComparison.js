@@ -0,0 +1,231 @@
+const { dbAll } = require('./database');
+const { buildAccountFilter, buildTagFilter, buildTransferFilter } = require('./transactionFilters');
+const { round, addDays, daysBetween } = require('./analyticsHelpers');
+
+/**
+ * Period Comparison
+ *
+ * Compares spending between two date ranges: in total, per category and per
+ * merchant, with the biggest movers either way. The previous range is given
+ * explicitly or derived from the current one:
+ * - previous_period: the same number of days right before (default)
+ * - previous_year:   the same dates a year earlier ("this October vs last
+ *   October", or a whole year for year-over-year)
+ *
+ * Dates may be given as months (YYYY-MM), meaning the whole month.
+ * Spending is posted money out from transaction_lines (so splits count
+ * under their own categories), leaving out transfers between the user's accounts.
+ */
+
+const COMPARE_TO = ['previous_period', 'previous_year'];
+const DEFAULT_MOVERS = 5;
+
+// ===== RANGES =====
+
+function lastDayOfMonth(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber, 0)).toISOString().slice(0, 10);
+}
+
+// YYYY-MM becomes the month's first or last day; YYYY-MM-DD is kept
+function parseDate(value, edge, name) {
+  if (/^\d{4}-(0[1-9]|1[0-2])$/.test(value || '')) {
+    return edge === 'start' ? `${value}-01` : lastDayOfMonth(value);
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+    throw new Error(`${name} must be a date (YYYY-MM-DD) or a month (YYYY-MM)`);
+  }
+  return value;
+}
+
+// The same date a year earlier; Feb 29 becomes Feb 28
+function shiftYear(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year - 1, month, 0)).getUTCDate();
+  return `${year - 1}-${String(month).padStart(2, '0')}-${String(Math.min(day, lastDay)).padStart(2, '0')}`;
+}
+
+/**
+ * Resolve both ranges. A month-aligned range compared with the previous
+ * period moves back by whole months (March vs February, not vs 31 days before).
+ */
+function resolveRanges({ startDate, endDate, compareTo, previousStartDate, previousEndDate }) {
+  const current = { startDate: parseDate(startDate, 'start', 'startDate'), endDate: parseDate(endDate || startDate, 'end', 'endDate') };
+  if (current.startDate > current.endDate) {
+    throw new Error('startDate must be on or before endDate');
+  }
+
+  if (previousStartDate || previousEndDate) {
+    const previous = {
+      startDate: parseDate(previousStartDate || previousEndDate, 'start', 'previousStartDate'),
+      endDate: parseDate(previousEndDate || previousStartDate, 'end', 'previousEndDate')
+    };
+    if (previous.startDate > previous.endDate) {
+      throw new Error('previousStartDate must be on or before previousEndDate');
+    }
+    return { current, previous, compareTo: 'custom' };
+  }
+
+  if (!COMPARE_TO.includes(compareTo)) {
+    throw new Error(`compareTo must be one of: ${COMPARE_TO.join(', ')}`);
+  }
+
+  if (compareTo === 'previous_year') {
+    return { current, previous: { startDate: shiftYear(current.startDate), endDate: shiftYear(current.endDate) }, compareTo };
+  }
+
+  const wholeMonths = current.startDate.endsWith('-01') && current.endDate === lastDayOfMonth(current.endDate.slice(0, 7));
+  if (wholeMonths) {
+    const [startYear, startMonth] = current.startDate.split('-').map(Number);
+    const [endYear, endMonth] = current.endDate.split('-').map(Number);
+    const months = (endYear - startYear) * 12 + (endMonth - startMonth) + 1;
+    const previousStart = new Date(Date.UTC(startYear, startMonth - 1 - months, 1)).toISOString().slice(0, 10);
+    return { current, previous: { startDate: previousStart, endDate: addDays(current.startDate, -1) }, compareTo };
+  }
+
+  const length = daysBetween(current.startDate, current.endDate);
+  const previousEnd = addDays(current.startDate, -1);
+  return { current, previous: { startDate: addDays(previousEnd, -length), endDate: previousEnd }, compareTo };
+}
+
+// ===== SPENDING =====
+
+/**
+ * Spending in a range grouped by category or merchant, as a Map of name -> { total, count }.
+ * category and merchant narrow it (partial match, like the other analytics).
+ */
+async function loadSpending(range, groupBy, { category, merchant, ...filters }) {
+  const accountFilter = buildAccountFilter(filters);
+  const tagFilter = buildTagFilter(filters);
+  const transferFilter = buildTransferFilter(filters);
+  const conditions = [];
+  const params = [];
+  if (category) {
+    conditions.push('category LIKE ?');
+    params.push(`%${category}%`);
+  }
+  if (merchant) {
+    conditions.push('merchant LIKE ?');
+    params.push(`%${merchant}%`);
+  }
+
+  const group = groupBy === 'merchant'
+    ? { name: `COALESCE(merchant, 'Unknown merchant')`, key: 'COALESCE(merchant_id, merchant)' }
+    : { name: `COALESCE(category, 'Uncategorized')`, key: 'category' };
+
+  const rows = await dbAll(`
+    SELECT ${group.name} AS name, SUM(amount) AS total, COUNT(DISTINCT transaction_id) AS count
+    FROM transaction_lines
+    WHERE amount > 0
+      AND pending = 0
+      AND date BETWEEN ? AND ?${conditions.map(condition => ` AND ${condition}`).join('')}${accountFilter.clause}${tagFilter.clause}${transferFilter.clause}
+    GROUP BY ${group.key}
+  `, [range.startDate, range.endDate, ...params, ...accountFilter.params, ...tagFilter.params, ...transferFilter.params]);
+
+  const groups = new Map();
+  for (const row of rows) {
+    const entry = groups.get(row.name) || { total: 0, count: 0 };
+    groups.set(row.name, { total: entry.total + row.total, count: entry.count + row.count });
+  }
+  return groups;
+}
+
+function percentChange(current, previous) {
+  return previous > 0 ? round(((current - previous) / previous) * 100) : null;
+}
+
+/**
+ * One row per name in either period, biggest change (either way) first.
+ * percentageChange is null when there was nothing to compare with.
+ */
+function compareGroups(current, previous, key) {
+  const names = new Set([...current.keys(), ...previous.keys()]);
+  return [...names]
+    .map(name => {
+      const now = current.get(name) || { total: 0, count: 0 };
+      const before = previous.get(name) || { total: 0, count: 0 };
+      return {
+        [key]: name,
+        current: round(now.total),
+        previous: round(before.total),
+        difference: round(now.total - before.total),
+        percentageChange: percentChange(now.total, before.total),
+        currentCount: now.count,
+        previousCount: before.count
+      };
+    })
+    .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+}
+
+const sumTotals = groups => [...groups.values()].reduce((sum, group) => sum + group.total, 0);
+
+/**
+ * Compare spending between two ranges.
+ *
+ * startDate, endDate: the current range (dates or months; endDate defaults to startDate)
+ * compareTo:          previous_period (default) or previous_year, when no previous range is given
+ * previousStartDate, previousEndDate: an explicit range to compare with
+ * category, merchant: narrow both periods to a category or merchant
+ * movers:             how many of the biggest increases and decreases to list (default 5)
+ * plus the account, tag and transfer filters
+ */
+async function comparePeriods({
+  startDate,
+  endDate = null,
+  compareTo = 'previous_period',
+  previousStartDate = null,
+  previousEndDate = null,
+  category = null,
+  merchant = null,
+  movers = DEFAULT_MOVERS,
+  ...filters
+} = {}) {
+  const ranges = resolveRanges({ startDate, endDate, compareTo, previousStartDate, previousEndDate });
+  const narrow = { category, merchant, ...filters };
+
+  const [currentCategories, previousCategories, currentMerchants, previousMerchants] = await Promise.all([
+    loadSpending(ranges.current, 'category', narrow),
+    loadSpending(ranges.previous, 'category', narrow),
+    loadSpending(ranges.current, 'merchant', narrow),
+    loadSpending(ranges.previous, 'merchant', narrow)
+  ]);
+
+  const currentTotal = sumTotals(currentCategories);
+  const previousTotal = sumTotals(previousCategories);
+  const difference = currentTotal - previousTotal;
+
+  const categories = compareGroups(currentCategories, previousCategories, 'category');
+  const merchants = compareGroups(currentMerchants, previousMerchants, 'merchant');
+  const limit = Math.max(parseInt(movers, 10) || DEFAULT_MOVERS, 1);
+  const rankMovers = direction => [
+    ...categories.map(item => ({ kind: 'category', name: item.category, ...item })),
+    ...merchants.map(item => ({ kind: 'merchant', name: item.merchant, ...item }))
+  ]
+    .filter(item => direction * item.difference > 0)
+    .sort((a, b) => direction * (b.difference - a.difference))
+    .slice(0, limit)
+    .map(({ kind, name, current, previous, difference: change, percentageChange }) => ({
+      kind, name, current, previous, difference: change, percentageChange
+    }));
+
+  return {
+    compareTo: ranges.compareTo,
+    current: { ...ranges.current, total: round(currentTotal) },
+    previous: { ...ranges.previous, total: round(previousTotal) },
+    category,
+    merchant,
+    difference: round(difference),
+    percentageChange: percentChange(currentTotal, previousTotal),
+    trend: difference > 0 ? 'increased' : difference < 0 ? 'decreased' : 'unchanged',
+    categories,
+    merchants,
+    biggestIncreases: rankMovers(1),
+    biggestDecreases: rankMovers(-1)
+  };
+}
+
+module.exports = {
+  COMPARE_TO,
+  resolveRanges,
+  comparePeriods
+};
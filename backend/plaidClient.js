@@ -0,0 +1,16 @@
+const { Configuration, PlaidApi, PlaidEnvironments } = require('plaid');
+
+// Plaid client configuration
+const configuration = new Configuration({
+  basePath: PlaidEnvironments[process.env.PLAID_ENV],
+  baseOptions: {
+    headers: {
+      'PLAID-CLIENT-ID': process.env.PLAID_CLIENT_ID,
+      'PLAID-SECRET': process.env.PLAID_SECRET,
+    },
+  },
+});
+
+const plaidClient = new PlaidApi(configuration);
+
+module.exports = plaidClient;
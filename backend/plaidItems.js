@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const plaidClient = require('./plaidClient');
+const { dbRun, dbGet, dbAll } = require('./database');
+
+/**
+ * Plaid Items Store
+ *
+ * Access tokens live only on the server, in user_data, encrypted with
+ * AES-256-GCM using PLAID_TOKEN_ENCRYPTION_KEY. The browser only ever
+ * sees item IDs.
+ *
+ * A user can link several items (one per institution login). Each item keeps
+ * its institution metadata here and its accounts in the accounts table.
+ */
+
+const TOKEN_FORMAT_VERSION = 'v1';
+
+// Read the 32-byte key from the environment (hex or base64)
+function getEncryptionKey() {
+  const rawKey = process.env.PLAID_TOKEN_ENCRYPTION_KEY;
+
+  if (!rawKey) {
+    throw new Error('PLAID_TOKEN_ENCRYPTION_KEY is not configured');
+  }
+
+  const key = /^[0-9a-fA-F]{64}$/.test(rawKey)
+    ? Buffer.from(rawKey, 'hex')
+    : Buffer.from(rawKey, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('PLAID_TOKEN_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+  }
+
+  return key;
+}
+
+/**
+ * Encrypt an access token as "v1:<iv>:<auth tag>:<ciphertext>"
+ */
+function encryptToken(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [
+    TOKEN_FORMAT_VERSION,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+}
+
+/**
+ * Decrypt a token produced by encryptToken
+ */
+function decryptToken(stored) {
+  const [version, iv, authTag, ciphertext] = stored.split(':');
+
+  if (version !== TOKEN_FORMAT_VERSION) {
+    throw new Error(`Unsupported access token format: ${version}`);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * Store (or replace) an item's access token
+ */
+async function saveItem({ userId = 'default_user', itemId, accessToken, institutionId = null, institutionName = null }) {
+  await dbRun(`
+    INSERT INTO user_data (item_id, user_id, access_token, institution_id, institution_name)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(item_id) DO UPDATE SET
+      user_id = excluded.user_id,
+      access_token = excluded.access_token,
+      institution_id = COALESCE(excluded.institution_id, user_data.institution_id),
+      institution_name = COALESCE(excluded.institution_name, user_data.institution_name),
+      updated_at = CURRENT_TIMESTAMP
+  `, [itemId, userId, encryptToken(accessToken), institutionId, institutionName]);
+}
+
+/**
+ * Look up an institution's display name (null if Plaid can't tell us)
+ */
+async function fetchInstitutionName(institutionId) {
+  if (!institutionId) {
+    return null;
+  }
+
+  try {
+    const response = await plaidClient.institutionsGetById({
+      institution_id: institutionId,
+      country_codes: ['US'],
+    });
+    return response.data.institution.name;
+  } catch (error) {
+    console.log(`Institution name not available for ${institutionId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Store the institution name for an item that was linked without one
+ */
+async function setInstitutionName(itemId, institutionName) {
+  await dbRun(`
+    UPDATE user_data SET institution_name = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE item_id = ?
+  `, [institutionName, itemId]);
+}
+
+/**
+ * Store (or refresh) the accounts Plaid returned for an item
+ */
+async function saveAccounts(userId, itemId, accounts) {
+  for (const account of accounts) {
+    await dbRun(`
+      INSERT INTO accounts (
+        account_id, item_id, user_id, name, official_name, mask, type, subtype,
+        current_balance, available_balance, iso_currency_code
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(account_id) DO UPDATE SET
+        item_id = excluded.item_id,
+        user_id = excluded.user_id,
+        name = excluded.name,
+        official_name = excluded.official_name,
+        mask = excluded.mask,
+        type = excluded.type,
+        subtype = excluded.subtype,
+        current_balance = excluded.current_balance,
+        available_balance = excluded.available_balance,
+        iso_currency_code = excluded.iso_currency_code,
+        updated_at = CURRENT_TIMESTAMP
+    `, [
+      account.account_id,
+      itemId,
+      userId,
+      account.name,
+      account.official_name,
+      account.mask,
+      account.type,
+      account.subtype,
+      account.balances?.current,
+      account.balances?.available,
+      account.balances?.iso_currency_code
+    ]);
+  }
+}
+
+/**
+ * List a user's accounts across all linked items (and manual import accounts), with their institution
+ */
+async function listAccounts(userId = 'default_user') {
+  const accounts = await dbAll(`
+    SELECT a.*, u.institution_id,
+           COALESCE(u.institution_name, a.institution_name) AS institution_name
+    FROM accounts a
+    LEFT JOIN user_data u ON u.item_id = a.item_id
+    WHERE a.user_id = ?
+    ORDER BY COALESCE(u.created_at, a.created_at) ASC, a.name ASC
+  `, [userId]);
+
+  return accounts.map(account => ({
+    accountId: account.account_id,
+    itemId: account.item_id,
+    institutionId: account.institution_id,
+    institutionName: account.institution_name,
+    source: account.source,
+    name: account.name,
+    officialName: account.official_name,
+    mask: account.mask,
+    type: account.type,
+    subtype: account.subtype,
+    currentBalance: account.current_balance,
+    availableBalance: account.available_balance,
+    isoCurrencyCode: account.iso_currency_code
+  }));
+}
+
+/**
+ * Get the decrypted access token for a user's item (null if not found)
+ */
+async function getAccessToken(userId, itemId) {
+  const row = await dbGet(`
+    SELECT access_token FROM user_data
+    WHERE user_id = ? AND item_id = ?
+  `, [userId, itemId]);
+
+  if (!row) {
+    return null;
+  }
+
+  // Tokens saved before encryption was added are stored as plain text - encrypt them now
+  if (!row.access_token.startsWith(`${TOKEN_FORMAT_VERSION}:`)) {
+    await dbRun(`
+      UPDATE user_data SET access_token = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE item_id = ?
+    `, [encryptToken(row.access_token), itemId]);
+    return row.access_token;
+  }
+
+  return decryptToken(row.access_token);
+}
+
+/**
+ * Flag (or clear) an item as needing the user to re-authenticate through Link update mode
+ */
+async function setItemReauth(itemId, needsReauth, reason = null) {
+  await dbRun(`
+    UPDATE user_data
+    SET needs_reauth = ?, reauth_reason = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE item_id = ?
+  `, [needsReauth ? 1 : 0, needsReauth ? reason : null, itemId]);
+}
+
+/**
+ * List a user's items without their tokens
+ */
+async function listItems(userId = 'default_user') {
+  const items = await dbAll(`
+    SELECT item_id, institution_id, institution_name, needs_reauth, reauth_reason, last_synced_at, created_at
+    FROM user_data
+    WHERE user_id = ?
+    ORDER BY created_at ASC
+  `, [userId]);
+
+  const accounts = await listAccounts(userId);
+
+  return items.map(item => ({
+    itemId: item.item_id,
+    institutionId: item.institution_id,
+    institutionName: item.institution_name,
+    accounts: accounts.filter(account => account.itemId === item.item_id),
+    needsReauth: item.needs_reauth === 1,
+    reauthReason: item.reauth_reason,
+    lastSyncedAt: item.last_synced_at,
+    createdAt: item.created_at
+  }));
+}
+
+module.exports = {
+  saveItem,
+  fetchInstitutionName,
+  setInstitutionName,
+  getAccessToken,
+  setItemReauth,
+  saveAccounts,
+  listAccounts,
+  listItems
+};
@@ -0,0 +1,271 @@
+const plaidClient = require('./plaidClient');
+const plaidItems = require('./plaidItems');
+const budgets = require('./budgets');
+const netWorth = require('./netWorth');
+const transfers = require('./transfers');
+const anomalies = require('./anomalies');
+const {
+  dbRun,
+  dbGet,
+  dbAll,
+  saveTransactions,
+  deleteTransactions,
+  reconcilePendingTransactions,
+  saveRecurringStream
+} = require('./database');
+
+/**
+ * Plaid Sync Engine
+ *
+ * Incremental sync built on /transactions/sync. Each item keeps its own cursor
+ * in user_data, so every run only pulls what was added, modified or removed
+ * since the previous one - no row limit, and edits/removals are picked up.
+ */
+
+const SYNC_PAGE_SIZE = 500;
+const MAX_PAGINATION_RESTARTS = 3;
+
+// Syncs for the same item run one after another so they never race on the cursor
+const syncQueues = new Map();
+
+/**
+ * Page through /transactions/sync starting at the given cursor.
+ * If Plaid reports the data changed mid-pagination, restart from the original cursor.
+ */
+async function fetchSyncUpdates(accessToken, cursor) {
+  let restarts = 0;
+
+  while (true) {
+    const updates = { added: [], modified: [], removed: [], accounts: [], nextCursor: cursor };
+    let hasMore = true;
+
+    try {
+      while (hasMore) {
+        const response = await plaidClient.transactionsSync({
+          access_token: accessToken,
+          cursor: updates.nextCursor || undefined,
+          count: SYNC_PAGE_SIZE
+        });
+
+        const data = response.data;
+        updates.added.push(...data.added);
+        updates.modified.push(...data.modified);
+        updates.removed.push(...data.removed);
+        updates.accounts = data.accounts || updates.accounts;
+        updates.nextCursor = data.next_cursor;
+        hasMore = data.has_more;
+      }
+
+      return updates;
+    } catch (error) {
+      const errorCode = error.response?.data?.error_code;
+      if (errorCode === 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION' && restarts < MAX_PAGINATION_RESTARTS) {
+        restarts++;
+        console.log(`Transactions changed during sync pagination, restarting (attempt ${restarts})`);
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Refresh recurring streams for an item (not every product/institution supports it)
+ */
+async function syncRecurringStreams(accessToken) {
+  try {
+    const response = await plaidClient.transactionsRecurringGet({
+      access_token: accessToken,
+    });
+
+    for (const stream of response.data.inflow_streams || []) {
+      await saveRecurringStream(stream, 'inflow');
+    }
+
+    for (const stream of response.data.outflow_streams || []) {
+      await saveRecurringStream(stream, 'outflow');
+    }
+  } catch (error) {
+    console.log('Recurring transactions not available or error:', error.message);
+  }
+}
+
+/**
+ * Run an incremental sync for one item and store the new cursor
+ */
+function syncItem(userId, itemId) {
+  const previous = syncQueues.get(itemId) || Promise.resolve();
+  const run = previous.catch(() => {}).then(() => runItemSync(userId, itemId));
+
+  syncQueues.set(itemId, run);
+  run.catch(() => {}).then(() => {
+    if (syncQueues.get(itemId) === run) {
+      syncQueues.delete(itemId);
+    }
+  });
+
+  return run;
+}
+
+async function runItemSync(userId, itemId) {
+  const accessToken = await plaidItems.getAccessToken(userId, itemId);
+  if (!accessToken) {
+    throw new Error(`Plaid item ${itemId} not found`);
+  }
+
+  const item = await dbGet(`SELECT * FROM user_data WHERE item_id = ?`, [itemId]);
+
+  let updates;
+  try {
+    updates = await fetchSyncUpdates(accessToken, item.sync_cursor);
+  } catch (error) {
+    // The stored cursor is kept, so the next sync after re-auth resumes where this one stopped
+    if (error.response?.data?.error_code === 'ITEM_LOGIN_REQUIRED') {
+      await plaidItems.setItemReauth(itemId, true, 'ITEM_LOGIN_REQUIRED');
+    }
+    throw error;
+  }
+
+  const { added, modified, removed, accounts, nextCursor } = updates;
+
+  await plaidItems.saveAccounts(userId, itemId, accounts);
+  if (!item.institution_name) {
+    const institutionName = await plaidItems.fetchInstitutionName(item.institution_id);
+    if (institutionName) {
+      await plaidItems.setInstitutionName(itemId, institutionName);
+    }
+  }
+
+  // Posted transactions replace their pending rows as they are saved, so save before deleting
+  await saveTransactions(added);
+  await saveTransactions(modified);
+  await deleteTransactions(removed.map(txn => txn.transaction_id));
+  const pendingResult = await reconcilePendingTransactions();
+
+  // Only advance the cursor once the changes are safely written
+  await dbRun(`
+    UPDATE user_data
+    SET sync_cursor = ?,
+        last_synced_at = CURRENT_TIMESTAMP,
+        last_sync_added = ?,
+        last_sync_modified = ?,
+        last_sync_removed = ?,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE item_id = ?
+  `, [nextCursor, added.length, modified.length, removed.length, item.item_id]);
+
+  await syncRecurringStreams(accessToken);
+
+  // Pair moves between the user's own accounts before anything adds up spending
+  const transferResult = await transfers.detectTransfers(userId);
+
+  // Score the new spending for the anomalies feed
+  const anomalyResult = await anomalies.scanTransactions(userId);
+
+  // New spending may cross a budget threshold
+  const budgetAlerts = await budgets.checkBudgetAlerts(userId);
+
+  // Fresh balances for today's net worth
+  await netWorth.takeSnapshot(userId);
+
+  return {
+    itemId: item.item_id,
+    institutionName: item.institution_name,
+    added: added.length,
+    modified: modified.length,
+    removed: removed.length,
+    pendingReplaced: pendingResult.replaced,
+    transfersMatched: transferResult.matched,
+    anomalies: anomalyResult.found,
+    budgetAlerts,
+    isInitialSync: !item.sync_cursor
+  };
+}
+
+/**
+ * Sync every item a user has linked. Items needing re-auth are skipped -
+ * Plaid would only reject them until the user reconnects.
+ */
+async function syncAllItems(userId = 'default_user') {
+  const items = await dbAll(`
+    SELECT item_id, institution_name, needs_reauth FROM user_data
+    WHERE user_id = ?
+    ORDER BY created_at ASC
+  `, [userId]);
+
+  const results = [];
+  for (const item of items) {
+    if (item.needs_reauth === 1) {
+      results.push({ itemId: item.item_id, institutionName: item.institution_name, skipped: 'needs_reauth' });
+      continue;
+    }
+
+    try {
+      results.push(await syncItem(userId, item.item_id));
+    } catch (error) {
+      console.error(`Error syncing item ${item.item_id}:`, error.message);
+      results.push({ itemId: item.item_id, institutionName: item.institution_name, error: error.message });
+    }
+  }
+
+  return {
+    items: results,
+    added: results.reduce((sum, r) => sum + (r.added || 0), 0),
+    modified: results.reduce((sum, r) => sum + (r.modified || 0), 0),
+    removed: results.reduce((sum, r) => sum + (r.removed || 0), 0)
+  };
+}
+
+/**
+ * Report last sync time per item and row counts in the local database
+ */
+async function getSyncStatus(userId = 'default_user') {
+  const items = await dbAll(`
+    SELECT item_id, institution_id, institution_name, sync_cursor, last_synced_at,
+           last_sync_added, last_sync_modified, last_sync_removed
+    FROM user_data
+    WHERE user_id = ?
+    ORDER BY created_at ASC
+  `, [userId]);
+
+  const transactionStats = await dbGet(`
+    SELECT
+      COUNT(*) as total,
+      SUM(CASE WHEN pending = 1 THEN 1 ELSE 0 END) as pending,
+      MIN(date) as oldest_date,
+      MAX(date) as newest_date
+    FROM transactions
+  `);
+
+  const recurringStats = await dbGet(`
+    SELECT COUNT(*) as total FROM recurring_streams
+  `);
+
+  return {
+    items: items.map(item => ({
+      itemId: item.item_id,
+      institutionId: item.institution_id,
+      institutionName: item.institution_name,
+      hasCursor: !!item.sync_cursor,
+      lastSyncedAt: item.last_synced_at,
+      lastSync: {
+        added: item.last_sync_added,
+        modified: item.last_sync_modified,
+        removed: item.last_sync_removed
+      }
+    })),
+    transactions: {
+      total: transactionStats.total || 0,
+      pending: transactionStats.pending || 0,
+      oldestDate: transactionStats.oldest_date,
+      newestDate: transactionStats.newest_date
+    },
+    recurringStreams: recurringStats.total || 0
+  };
+}
+
+module.exports = {
+  syncItem,
+  syncAllItems,
+  getSyncStatus
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const plaidClient = require('./plaidClient');
+const plaidItems = require('./plaidItems');
+const plaidSync = require('./plaidSync');
+const { dbRun, dbGet } = require('./database');
+
+/**
+ * Plaid Webhook Receiver
+ *
+ * Verifies the JWT Plaid sends in the Plaid-Verification header, then reacts:
+ * - SYNC_UPDATES_AVAILABLE: background incremental sync of the item
+ * - ITEM_LOGIN_REQUIRED / PENDING_EXPIRATION / PENDING_DISCONNECT: flag the item for re-auth
+ * - LOGIN_REPAIRED: clear the flag
+ *
+ * For offline replay, set PLAID_WEBHOOK_LOCAL_KEY_FILE to a JWK file (see
+ * scripts/replayPlaidWebhook.js) and the signature is checked against that key
+ * instead of one fetched from Plaid. Ignored in production.
+ */
+
+const MAX_WEBHOOK_AGE_SECONDS = 5 * 60;
+// How long a fetched key is trusted before asking Plaid again whether it has expired
+const VERIFICATION_KEY_TTL_MS = 10 * 60 * 1000;
+
+// Verification keys fetched from Plaid, by key ID, as { key, fetchedAt }
+const verificationKeys = new Map();
+
+function base64UrlDecode(segment) {
+  return Buffer.from(segment, 'base64url');
+}
+
+/**
+ * Load the local JWK used to replay recorded webhooks (null when not configured)
+ */
+function getLocalVerificationKey(keyId) {
+  const keyFile = process.env.PLAID_WEBHOOK_LOCAL_KEY_FILE;
+  if (!keyFile || process.env.PLAID_ENV === 'production') {
+    return null;
+  }
+
+  const jwk = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+  return jwk.kid === keyId ? jwk : null;
+}
+
+/**
+ * Get the public JWK for a key ID, from the local replay key or Plaid.
+ * Null when Plaid has expired the key (a rotated key must not verify anything);
+ * a cached key is checked with Plaid again once it is VERIFICATION_KEY_TTL_MS old.
+ */
+async function getVerificationKey(keyId) {
+  const localKey = getLocalVerificationKey(keyId);
+  if (localKey) {
+    return localKey;
+  }
+
+  // Only keys that were current when fetched are cached, and only for a while
+  const cached = verificationKeys.get(keyId);
+  if (cached && Date.now() - cached.fetchedAt < VERIFICATION_KEY_TTL_MS) {
+    return cached.key;
+  }
+
+  const response = await plaidClient.webhookVerificationKeyGet({ key_id: keyId });
+  const key = response.data.key;
+  if (!key || key.expired_at) {
+    verificationKeys.delete(keyId);
+    return null;
+  }
+
+  verificationKeys.set(keyId, { key, fetchedAt: Date.now() });
+  return key;
+}
+
+/**
+ * Verify a webhook's signed JWT against the raw request body
+ */
+async function verifyWebhook(signedJwt, rawBody) {
+  if (!signedJwt) {
+    return { valid: false, reason: 'Missing Plaid-Verification header' };
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = signedJwt.split('.');
+  if (!encodedHeader || !encodedPayload || !encodedSignature) {
+    return { valid: false, reason: 'Malformed verification token' };
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(base64UrlDecode(encodedHeader).toString('utf8'));
+    claims = JSON.parse(base64UrlDecode(encodedPayload).toString('utf8'));
+  } catch (error) {
+    return { valid: false, reason: 'Malformed verification token' };
+  }
+
+  if (header.alg !== 'ES256') {
+    return { valid: false, reason: `Unexpected signing algorithm: ${header.alg}` };
+  }
+
+  const jwk = await getVerificationKey(header.kid);
+  if (!jwk) {
+    return { valid: false, reason: `Unknown or expired verification key: ${header.kid}` };
+  }
+
+  // Public part only - the local replay key file also holds the private component
+  const { kty, crv, x, y } = jwk;
+  const publicKey = crypto.createPublicKey({ key: { kty, crv, x, y }, format: 'jwk' });
+
+  const signatureValid = crypto.verify(
+    'sha256',
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    { key: publicKey, dsaEncoding: 'ieee-p1363' },
+    base64UrlDecode(encodedSignature)
+  );
+
+  if (!signatureValid) {
+    return { valid: false, reason: 'Invalid signature' };
+  }
+
+  const ageSeconds = Math.floor(Date.now() / 1000) - claims.iat;
+  if (!claims.iat || ageSeconds > MAX_WEBHOOK_AGE_SECONDS) {
+    return { valid: false, reason: 'Webhook is too old' };
+  }
+
+  const bodyHash = crypto.createHash('sha256').update(rawBody || '').digest('hex');
+  const expectedHash = String(claims.request_body_sha256 || '');
+  if (bodyHash.length !== expectedHash.length ||
+      !crypto.timingSafeEqual(Buffer.from(bodyHash), Buffer.from(expectedHash))) {
+    return { valid: false, reason: 'Body hash does not match' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Act on a verified webhook payload
+ */
+async function handleWebhook(payload) {
+  const { webhook_type, webhook_code, item_id } = payload;
+
+  const item = await dbGet(`
+    SELECT item_id, user_id FROM user_data WHERE item_id = ?
+  `, [item_id]);
+
+  if (!item) {
+    console.log(`Ignoring ${webhook_type}/${webhook_code} webhook for unknown item ${item_id}`);
+    return { handled: false, reason: 'Unknown item' };
+  }
+
+  await dbRun(`
+    UPDATE user_data SET last_webhook_at = CURRENT_TIMESTAMP WHERE item_id = ?
+  `, [item_id]);
+
+  if (webhook_type === 'TRANSACTIONS' && webhook_code === 'SYNC_UPDATES_AVAILABLE') {
+    const result = await plaidSync.syncItem(item.user_id, item_id);
+    console.log(`Webhook sync for ${item_id}: +${result.added} ~${result.modified} -${result.removed}`);
+    return { handled: true, action: 'synced', ...result };
+  }
+
+  if (webhook_type === 'ITEM') {
+    if (webhook_code === 'ERROR' && payload.error?.error_code === 'ITEM_LOGIN_REQUIRED') {
+      await plaidItems.setItemReauth(item_id, true, 'ITEM_LOGIN_REQUIRED');
+      return { handled: true, action: 'flagged_reauth' };
+    }
+
+    if (webhook_code === 'PENDING_EXPIRATION' || webhook_code === 'PENDING_DISCONNECT') {
+      await plaidItems.setItemReauth(item_id, true, webhook_code);
+      return { handled: true, action: 'flagged_reauth' };
+    }
+
+    if (webhook_code === 'LOGIN_REPAIRED') {
+      await plaidItems.setItemReauth(item_id, false);
+      return { handled: true, action: 'cleared_reauth' };
+    }
+  }
+
+  return { handled: false, reason: `No handler for ${webhook_type}/${webhook_code}` };
+}
+
+module.exports = {
+  verifyWebhook,
+  handleWebhook
+};
@@ -1,4 +1,5 @@
 const { dbRun, dbGet, dbAll } = require('./database');
+const spendingPatterns = require('./spendingPatterns');
 
 /**
  * AI Savings Agent - Triple Play
@@ -8,6 +9,9 @@ const { dbRun, dbGet, dbAll } = require('./database');
  * 3. Soft Lock: Withdrawal delays + impact messaging
  */
 
+// Transfers between the user's own accounts (flagged by transfers.js) are neither income nor spending
+const withoutTransfers = transactions => transactions.filter(t => !t.is_transfer && !t.transfer_id);
+
 // ===== 1. WINDFALL WALLET =====
 
 /**
@@ -16,6 +20,8 @@ const { dbRun, dbGet, dbAll } = require('./database');
  */
 async function detectWindfall(transactions) {
   try {
+    transactions = withoutTransfers(transactions);
+
     // Calculate median positive transactions (income)
     const incomeTransactions = transactions
       .filter(t => t.amount < 0) // Plaid: negative = income/credit
@@ -47,7 +53,7 @@ async function detectWindfall(transactions) {
         amount: Math.abs(t.amount),
         date: t.date,
         name: t.name,
-        merchant: t.merchant_name
+        merchant: t.merchant || t.merchant_name // canonical merchant when the list provides it
       }));
 
     if (recentLargeDeposits.length > 0) {
@@ -57,7 +63,7 @@ async function detectWindfall(transactions) {
         amount: windfall.amount,
         medianIncome: median,
         multiplier: (windfall.amount / median).toFixed(1),
-        source: windfall.name || windfall.merchant || 'Unknown',
+        source: windfall.merchant || windfall.name || 'Unknown',
         date: windfall.date,
         suggestedSavings: windfall.amount * 0.2, // Suggest 20%
         reason: `Detected ${windfall.source}: $${windfall.amount.toFixed(2)} (${(windfall.amount / median).toFixed(1)}x your typical income)`
@@ -107,6 +113,7 @@ async function analyzeWeeklySweep(transactions) {
     const now = new Date();
     const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
     const fiveWeeksAgo = new Date(now.getTime() - 35 * 24 * 60 * 60 * 1000);
+    transactions = withoutTransfers(transactions);
 
     // This week's spending (positive amounts = debit/spending in Plaid)
     const thisWeekSpending = transactions
@@ -139,12 +146,19 @@ async function analyzeWeeklySweep(transactions) {
     if (unspentAmount > 5) { // Reduced from $20 to $5 for testing
       const suggestedSavings = unspentAmount * 0.5; // Suggest saving 50% of unspent
 
+      // When to sweep, from when the user usually spends (on payday if most goes right after it)
+      const timing = await spendingPatterns.getSweepTiming().catch(error => {
+        console.error('Error timing sweep:', error);
+        return null;
+      });
+
       return {
         hasSweepOpportunity: true,
         thisWeekSpending: thisWeekSpending,
         avgWeeklySpending: avgWeeklySpending,
         unspentAmount: unspentAmount,
         suggestedSavings: suggestedSavings,
+        timing: timing,
         reason: `You spent $${unspentAmount.toFixed(2)} less than usual this week!`
       };
     }
@@ -168,11 +182,13 @@ async function analyzeWeeklySweep(transactions) {
  * Generate smart sweep prompt
  */
 function generateSweepPrompt(sweepData) {
-  const { unspentAmount, suggestedSavings, avgWeeklySpending } = sweepData;
+  const { unspentAmount, suggestedSavings, avgWeeklySpending, timing } = sweepData;
 
   return {
     title: '🎯 Smart Sweep Available!',
-    message: `Great self-control! You spent $${unspentAmount.toFixed(2)} less than your usual $${avgWeeklySpending.toFixed(2)}/week.\n\nWant to stash some of that win?`,
+    message: `Great self-control! You spent $${unspentAmount.toFixed(2)} less than your usual $${avgWeeklySpending.toFixed(2)}/week.\n\nWant to stash some of that win?`
+      + (timing ? `\n\n⏰ ${timing.reason}.` : ''),
+    sweepDate: timing ? timing.date : null,
     options: [
       { label: `Save $${suggestedSavings.toFixed(2)}`, value: suggestedSavings },
       { label: `Save $${(suggestedSavings / 2).toFixed(2)}`, value: suggestedSavings / 2 },
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIDENT_THRESHOLD, evaluateModel } = require('../categoryModel');
+
+/**
+ * Measure the learned categorizer's accuracy on held-out fixtures
+ *
+ * Usage:
+ *   node scripts/evaluateCategorizer.js [--train <file>] [--test <file>] [--threshold 0.8] [--min-accuracy 0.85]
+ *
+ * Fixtures are JSON arrays of { name, merchant_name, merchant, amount, category },
+ * category being what the user corrected the transaction to. The defaults in
+ * scripts/fixtures/categorizer hold out one transaction per merchant plus a few
+ * merchants the training set never saw. Exits with 1 when accuracy falls below
+ * --min-accuracy, so it can gate changes to categoryModel.js.
+ */
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'categorizer');
+
+function parseArgs(argv) {
+  const args = {
+    train: path.join(FIXTURES_DIR, 'training.json'),
+    test: path.join(FIXTURES_DIR, 'heldout.json'),
+    threshold: CONFIDENT_THRESHOLD,
+    minAccuracy: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--train') {
+      args.train = argv[++i];
+    } else if (argv[i] === '--test') {
+      args.test = argv[++i];
+    } else if (argv[i] === '--threshold') {
+      args.threshold = parseFloat(argv[++i]);
+    } else if (argv[i] === '--min-accuracy') {
+      args.minAccuracy = parseFloat(argv[++i]);
+    }
+  }
+
+  return args;
+}
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const training = JSON.parse(fs.readFileSync(args.train, 'utf8'));
+  const heldOut = JSON.parse(fs.readFileSync(args.test, 'utf8'));
+
+  const result = evaluateModel(training, heldOut, { threshold: args.threshold });
+
+  console.log(`Trained on ${result.trainingExamples} corrections, tested on ${result.testExamples}\n`);
+  console.log(`${'Accuracy:'.padEnd(24)}${percent(result.accuracy)}`);
+  console.log(`${`Applied (>= ${args.threshold}):`.padEnd(24)}${percent(result.coverage)} of transactions`);
+  console.log(`${'Accuracy when applied:'.padEnd(24)}${percent(result.confidentAccuracy)}\n`);
+
+  console.log('By category:');
+  for (const [category, stats] of Object.entries(result.byCategory)) {
+    console.log(`  ${category.padEnd(16)} ${stats.correct}/${stats.total}  ${percent(stats.accuracy)}`);
+  }
+
+  if (result.mistakes.length > 0) {
+    console.log('\nMistakes:');
+    for (const mistake of result.mistakes) {
+      console.log(`  ${mistake.name}: expected ${mistake.expected}, got ${mistake.predicted || 'no suggestion'}`);
+    }
+  }
+
+  if (args.minAccuracy !== null && result.accuracy < args.minAccuracy) {
+    console.error(`\n❌ Accuracy ${percent(result.accuracy)} is below ${percent(args.minAccuracy)}`);
+    process.exit(1);
+  }
+}
+
+main();
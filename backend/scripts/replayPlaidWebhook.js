@@ -0,0 +1,99 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Replay a recorded Plaid webhook against the local server, signed with a local key
+ *
+ * Usage:
+ *   node scripts/replayPlaidWebhook.js scripts/webhooks/sync_updates_available.json [--item <item_id>] [--url <webhook url>]
+ *
+ * The first run creates an ES256 key at PLAID_WEBHOOK_LOCAL_KEY_FILE
+ * (default: .plaid-webhook-key.json). Start the server with the same
+ * PLAID_WEBHOOK_LOCAL_KEY_FILE so it verifies replays against that key.
+ */
+
+const LOCAL_KEY_ID = 'local-replay-key';
+
+function parseArgs(argv) {
+  const args = { payloadFile: null, itemId: null, url: `http://localhost:${process.env.PORT || 5001}/api/plaid/webhook` };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--item') {
+      args.itemId = argv[++i];
+    } else if (argv[i] === '--url') {
+      args.url = argv[++i];
+    } else {
+      args.payloadFile = argv[i];
+    }
+  }
+
+  return args;
+}
+
+// Load the local signing key, creating it on first use
+function loadOrCreateKey(keyFile) {
+  if (fs.existsSync(keyFile)) {
+    return JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+  }
+
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = { ...privateKey.export({ format: 'jwk' }), kid: LOCAL_KEY_ID, alg: 'ES256' };
+  fs.writeFileSync(keyFile, JSON.stringify(jwk, null, 2), { mode: 0o600 });
+  console.log(`Created local webhook key at ${keyFile}`);
+  return jwk;
+}
+
+// Build the Plaid-Verification JWT for a request body
+function signBody(body, jwk) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  const header = encode({ alg: 'ES256', kid: jwk.kid, typ: 'JWT' });
+  const claims = encode({
+    iat: Math.floor(Date.now() / 1000),
+    request_body_sha256: crypto.createHash('sha256').update(body).digest('hex')
+  });
+
+  const privateKey = crypto.createPrivateKey({ key: jwk, format: 'jwk' });
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key: privateKey,
+    dsaEncoding: 'ieee-p1363'
+  });
+
+  return `${header}.${claims}.${signature.toString('base64url')}`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.payloadFile) {
+    console.error('Usage: node scripts/replayPlaidWebhook.js <payload.json> [--item <item_id>] [--url <webhook url>]');
+    process.exit(1);
+  }
+
+  const keyFile = path.resolve(process.env.PLAID_WEBHOOK_LOCAL_KEY_FILE || '.plaid-webhook-key.json');
+  const jwk = loadOrCreateKey(keyFile);
+
+  const payload = JSON.parse(fs.readFileSync(args.payloadFile, 'utf8'));
+  if (args.itemId) {
+    payload.item_id = args.itemId;
+  }
+
+  const body = JSON.stringify(payload);
+  const response = await fetch(args.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Plaid-Verification': signBody(body, jwk)
+    },
+    body
+  });
+
+  console.log(`${payload.webhook_type}/${payload.webhook_code} -> ${response.status}`, await response.text());
+}
+
+main().catch(error => {
+  console.error('Error replaying webhook:', error);
+  process.exit(1);
+});
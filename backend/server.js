@@ -2,246 +2,1103 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const { Configuration, PlaidApi, PlaidEnvironments } = require('plaid');
 const OpenAI = require('openai');
-const { saveTransactions, saveRecurringStream } = require('./database');
+const plaidClient = require('./plaidClient');
+const plaidItems = require('./plaidItems');
+const plaidSync = require('./plaidSync');
+const plaidWebhook = require('./plaidWebhook');
 const analytics = require('./analytics');
 const unitClient = require('./unitClient');
 const increaseClient = require('./increaseClient');
 const savingsAgent = require('./savingsAgent');
-const { dbGet, dbAll, dbRun } = require('./database');
+const statementImport = require('./statementImport');
+const transactionExport = require('./transactionExport');
+const transactionQuery = require('./transactionQuery');
+const categorizationRules = require('./categorizationRules');
+const transactionAnnotations = require('./transactionAnnotations');
+const transactionSplits = require('./transactionSplits');
+const merchants = require('./merchants');
+const learnedCategorizer = require('./learnedCategorizer');
+const budgets = require('./budgets');
+const cashFlowForecast = require('./cashFlowForecast');
+const subscriptions = require('./subscriptions');
+const netWorth = require('./netWorth');
+const transfers = require('./transfers');
+const anomalies = require('./anomalies');
+const periodComparison = require('./periodComparison');
+const taxReport = require('./taxReport');
+const locations = require('./locations');
+const spendingPatterns = require('./spendingPatterns');
+const { FILTER_KEYS, extractFilters } = require('./transactionFilters');
+const { ready, dbGet, dbAll, dbRun } = require('./database');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+  // Statement imports send the file contents as JSON
+  limit: '10mb',
+  // Keep the exact bytes of Plaid webhooks - their signature covers the raw body
+  verify: (req, res, buf) => {
+    if (req.originalUrl === '/api/plaid/webhook') {
+      req.rawBody = buf;
+    }
+  }
+}));
+
+// OpenAI client configuration
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY
+});
+
+// Look up the stored Plaid access token for the item named in the request body
+async function requireItemAccessToken(req, res, next) {
+  try {
+    const { item_id, userId = 'default_user' } = req.body;
+
+    if (!item_id) {
+      return res.status(400).json({ error: 'Item ID is required' });
+    }
+
+    const accessToken = await plaidItems.getAccessToken(userId, item_id);
+
+    if (!accessToken) {
+      return res.status(404).json({ error: 'Plaid item not found' });
+    }
+
+    req.accessToken = accessToken;
+    next();
+  } catch (error) {
+    console.error('Error loading Plaid access token:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Create Link Token (pass item_id to get an update-mode token for re-authentication)
+app.post('/api/create_link_token', async (req, res) => {
+  try {
+    const { item_id, userId = 'default_user' } = req.body || {};
+
+    const request = {
+      user: {
+        client_user_id: userId,
+      },
+      client_name: 'Transaction Viewer',
+      country_codes: ['US'],
+      language: 'en',
+    };
+
+    if (item_id) {
+      // Update mode: re-authenticate the existing item instead of creating a new one
+      const accessToken = await plaidItems.getAccessToken(userId, item_id);
+
+      if (!accessToken) {
+        return res.status(404).json({ error: 'Plaid item not found' });
+      }
+
+      request.access_token = accessToken;
+    } else {
+      request.products = ['transactions'];
+      request.transactions = {
+        days_requested: 730, // Full two years of history for /transactions/sync
+      };
+    }
+
+    if (process.env.PLAID_WEBHOOK_URL) {
+      request.webhook = process.env.PLAID_WEBHOOK_URL;
+    }
+
+    const response = await plaidClient.linkTokenCreate(request);
+    res.json({ link_token: response.data.link_token });
+  } catch (error) {
+    console.error('Error creating link token:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Exchange public token for access token (stored server-side, never returned)
+app.post('/api/exchange_public_token', async (req, res) => {
+  try {
+    const { public_token, userId = 'default_user' } = req.body;
+
+    const response = await plaidClient.itemPublicTokenExchange({
+      public_token: public_token,
+    });
+
+    const accessToken = response.data.access_token;
+    const itemId = response.data.item_id;
+
+    const itemResponse = await plaidClient.itemGet({
+      access_token: accessToken,
+    });
+    const institutionId = itemResponse.data.item.institution_id;
+
+    await plaidItems.saveItem({
+      userId,
+      itemId,
+      accessToken,
+      institutionId,
+      institutionName: await plaidItems.fetchInstitutionName(institutionId)
+    });
+
+    res.json({
+      item_id: itemId
+    });
+  } catch (error) {
+    console.error('Error exchanging public token:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List linked Plaid items (no tokens)
+app.get('/api/items', async (req, res) => {
+  try {
+    const userId = req.query.userId || 'default_user';
+    const items = await plaidItems.listItems(userId);
+    res.json({ items });
+  } catch (error) {
+    console.error('Error listing Plaid items:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sync every linked item into the database
+app.post('/api/items/sync', async (req, res) => {
+  try {
+    const { userId = 'default_user' } = req.body;
+
+    console.log('Syncing all linked items to database...');
+
+    const result = await plaidSync.syncAllItems(userId);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error syncing items:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Item was re-authenticated through Link update mode: clear the flag and resume syncing
+app.post('/api/items/:itemId/reconnected', async (req, res) => {
+  try {
+    const { userId = 'default_user' } = req.body;
+    const { itemId } = req.params;
+
+    const accessToken = await plaidItems.getAccessToken(userId, itemId);
+    if (!accessToken) {
+      return res.status(404).json({ error: 'Plaid item not found' });
+    }
+
+    await plaidItems.setItemReauth(itemId, false);
+
+    // Picks up from the stored cursor, so nothing already synced is added twice
+    const result = await plaidSync.syncItem(userId, itemId);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error resuming reconnected item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get Transactions
+app.post('/api/transactions', requireItemAccessToken, async (req, res) => {
+  try {
+    const {
+      start_date,
+      end_date,
+      count
+    } = req.body;
+
+    const request = {
+      access_token: req.accessToken,
+      start_date: start_date,
+      end_date: end_date,
+      options: {
+        count: count || 100,
+        offset: 0,
+      },
+    };
+
+    const response = await plaidClient.transactionsGet(request);
+
+    res.json({
+      transactions: response.data.transactions,
+      accounts: response.data.accounts,
+      total_transactions: response.data.total_transactions,
+    });
+  } catch (error) {
+    console.error('Error fetching transactions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get Account Info
+app.post('/api/accounts', requireItemAccessToken, async (req, res) => {
+  try {
+    const { item_id, userId = 'default_user' } = req.body;
+
+    const response = await plaidClient.accountsGet({
+      access_token: req.accessToken,
+    });
+
+    // Keep stored balances fresh for account filters and the chat tools
+    await plaidItems.saveAccounts(userId, item_id, response.data.accounts);
 
-// Plaid client configuration
-const configuration = new Configuration({
-  basePath: PlaidEnvironments[process.env.PLAID_ENV],
-  baseOptions: {
-    headers: {
-      'PLAID-CLIENT-ID': process.env.PLAID_CLIENT_ID,
-      'PLAID-SECRET': process.env.PLAID_SECRET,
-    },
-  },
+    res.json({ accounts: response.data.accounts });
+  } catch (error) {
+    console.error('Error fetching accounts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get Item (shows available products for this connection)
+app.post('/api/item', requireItemAccessToken, async (req, res) => {
+  try {
+    const response = await plaidClient.itemGet({
+      access_token: req.accessToken,
+    });
+
+    res.json({ item: response.data.item });
+  } catch (error) {
+    console.error('Error fetching item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get Recurring Transactions
+app.post('/api/recurring_transactions', requireItemAccessToken, async (req, res) => {
+  try {
+    const response = await plaidClient.transactionsRecurringGet({
+      access_token: req.accessToken,
+    });
+
+    res.json({
+      inflow_streams: response.data.inflow_streams,
+      outflow_streams: response.data.outflow_streams,
+    });
+  } catch (error) {
+    console.error('Error fetching recurring transactions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sync transactions to database (incremental, cursor-based)
+app.post('/api/sync_to_database', requireItemAccessToken, async (req, res) => {
+  try {
+    const { item_id, userId = 'default_user' } = req.body;
+
+    console.log('Syncing transactions to database...');
+
+    const result = await plaidSync.syncItem(userId, item_id);
+
+    res.json({
+      success: true,
+      message: 'Data synced to database',
+      ...result,
+      transactionCount: result.added + result.modified
+    });
+  } catch (error) {
+    console.error('Error syncing to database:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get sync status (last sync per item and local row counts)
+app.get('/api/sync/status', async (req, res) => {
+  try {
+    const userId = req.query.userId || 'default_user';
+    const status = await plaidSync.getSyncStatus(userId);
+    res.json({ success: true, ...status });
+  } catch (error) {
+    console.error('Error getting sync status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Plaid webhook receiver (signature-verified)
+app.post('/api/plaid/webhook', async (req, res) => {
+  try {
+    const verification = await plaidWebhook.verifyWebhook(req.get('Plaid-Verification'), req.rawBody);
+
+    if (!verification.valid) {
+      console.log('Rejected Plaid webhook:', verification.reason);
+      return res.status(401).json({ error: verification.reason });
+    }
+
+    // Acknowledge right away - Plaid expects a quick response, syncs can take a while
+    res.json({ received: true });
+
+    plaidWebhook.handleWebhook(req.body).catch(error => {
+      console.error('Error handling Plaid webhook:', error);
+    });
+  } catch (error) {
+    console.error('Error verifying Plaid webhook:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== Statement Import Routes =====
+
+// Accounts that statements can be imported into (banks Plaid can't reach)
+app.get('/api/import/accounts', async (req, res) => {
+  try {
+    const userId = req.query.userId || 'default_user';
+    const accounts = await statementImport.listImportAccounts(userId);
+    res.json({ accounts });
+  } catch (error) {
+    console.error('Error listing import accounts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/import/accounts', async (req, res) => {
+  try {
+    const { userId = 'default_user', name, institutionName, type, subtype, mask } = req.body;
+    const account = await statementImport.createImportAccount({ userId, name, institutionName, type, subtype, mask });
+    res.json({ success: true, account });
+  } catch (error) {
+    console.error('Error creating import account:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Parse a file without saving it (CSV headers, suggested mapping, sample rows)
+app.post('/api/import/preview', async (req, res) => {
+  try {
+    const { fileName, content, format, mapping } = req.body;
+
+    if (!content) {
+      return res.status(400).json({ error: 'File content is required' });
+    }
+
+    const preview = statementImport.previewStatement({ fileName, content, format, mapping });
+    res.json({ success: true, ...preview });
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import a CSV / OFX / QFX / QIF file into an account as one batch
+app.post('/api/import', async (req, res) => {
+  try {
+    const { userId = 'default_user', accountId, fileName, content, format, mapping } = req.body;
+
+    if (!content) {
+      return res.status(400).json({ error: 'File content is required' });
+    }
+
+    const result = await statementImport.importStatement({ userId, accountId, fileName, content, format, mapping });
+
+    console.log(`Imported ${result.imported} transactions from ${fileName} (${result.skipped} already present)`);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error importing statement:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/import/batches', async (req, res) => {
+  try {
+    const userId = req.query.userId || 'default_user';
+    const batches = await statementImport.listImportBatches(userId);
+    res.json({ batches });
+  } catch (error) {
+    console.error('Error listing import batches:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove every transaction an import batch added
+app.post('/api/import/batches/:batchId/rollback', async (req, res) => {
+  try {
+    const { userId = 'default_user' } = req.body;
+    const result = await statementImport.rollbackImportBatch(req.params.batchId, userId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error rolling back import batch:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== Categorization Rule Routes =====
+
+app.get('/api/rules', async (req, res) => {
+  try {
+    const userId = req.query.userId || 'default_user';
+    const rules = await categorizationRules.listRules(userId);
+    res.json({ rules });
+  } catch (error) {
+    console.error('Error listing rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/rules', async (req, res) => {
+  try {
+    const { userId = 'default_user', ...input } = req.body;
+    const rule = await categorizationRules.createRule(input, userId);
+    res.json({ success: true, rule });
+  } catch (error) {
+    console.error('Error creating rule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/rules/:ruleId', async (req, res) => {
+  try {
+    const { userId = 'default_user', ...input } = req.body;
+    const rule = await categorizationRules.updateRule(req.params.ruleId, input, userId);
+    res.json({ success: true, rule });
+  } catch (error) {
+    console.error('Error updating rule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/rules/:ruleId', async (req, res) => {
+  try {
+    const userId = req.query.userId || 'default_user';
+    const result = await categorizationRules.deleteRule(req.params.ruleId, userId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error deleting rule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stored transactions a rule would change, before applying it to history
+app.post('/api/rules/:ruleId/preview', async (req, res) => {
+  try {
+    const { userId = 'default_user', limit } = req.body;
+    const preview = await categorizationRules.previewRule(req.params.ruleId, userId, limit);
+    res.json({ success: true, ...preview });
+  } catch (error) {
+    console.error('Error previewing rule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/rules/:ruleId/apply', async (req, res) => {
+  try {
+    const { userId = 'default_user' } = req.body;
+    const result = await categorizationRules.applyRuleToHistory(req.params.ruleId, userId);
+
+    console.log(`Rule ${result.ruleId} updated ${result.updated} of ${result.matched} matching transactions`);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error applying rule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== Merchant Routes =====
+
+// Canonical merchants with transaction counts and spending. Query: search, limit
+app.get('/api/merchants', async (req, res) => {
+  try {
+    const { search, limit } = req.query;
+    const result = await merchants.listMerchants({ search, limit: parseInt(limit, 10) || 100 });
+    res.json({ merchants: result });
+  } catch (error) {
+    console.error('Error listing merchants:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { name, logoUrl, defaultCategory, patterns }
+app.post('/api/merchants', async (req, res) => {
+  try {
+    const merchant = await merchants.createMerchant(req.body);
+    res.json({ success: true, merchant });
+  } catch (error) {
+    console.error('Error creating merchant:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/merchants/:merchantId', async (req, res) => {
+  try {
+    const merchant = await merchants.getMerchant(req.params.merchantId);
+    res.json({ merchant });
+  } catch (error) {
+    console.error('Error loading merchant:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { name, logoUrl, defaultCategory } - fields not sent keep their value
+app.put('/api/merchants/:merchantId', async (req, res) => {
+  try {
+    const merchant = await merchants.updateMerchant(req.params.merchantId, req.body);
+    res.json({ success: true, merchant });
+  } catch (error) {
+    console.error('Error updating merchant:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fold other merchants into this one. Body: { merchantIds: [...] }
+app.post('/api/merchants/:merchantId/merge', async (req, res) => {
+  try {
+    const merchant = await merchants.mergeMerchants(req.params.merchantId, req.body.merchantIds);
+
+    console.log(`Merged ${merchant.merged.join(', ')} into ${merchant.name}`);
+
+    res.json({ success: true, merchant });
+  } catch (error) {
+    console.error('Error merging merchants:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add an alias pattern (regex) and move matching transactions to the merchant. Body: { pattern }
+app.post('/api/merchants/:merchantId/aliases', async (req, res) => {
+  try {
+    const merchant = await merchants.addAlias(req.params.merchantId, req.body.pattern);
+    res.json({ success: true, merchant });
+  } catch (error) {
+    console.error('Error adding merchant alias:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/merchants/:merchantId/aliases/:aliasId', async (req, res) => {
+  try {
+    const merchant = await merchants.deleteAlias(req.params.merchantId, req.params.aliasId);
+    res.json({ success: true, merchant });
+  } catch (error) {
+    console.error('Error deleting merchant alias:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== Learned Categorizer Routes =====
+
+// Transactions whose learned category suggestion was too unsure to apply. Query: limit
+app.get('/api/categorizer/review', async (req, res) => {
+  try {
+    const result = await learnedCategorizer.getReviewQueue({ limit: parseInt(req.query.limit, 10) || 50 });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error loading review queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accept the suggestion, or another category. Body: { category } (optional)
+app.post('/api/categorizer/review/:transactionId/accept', async (req, res) => {
+  try {
+    const result = await learnedCategorizer.acceptSuggestion(req.params.transactionId, req.body.category);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error accepting suggestion:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Keep the current category
+app.post('/api/categorizer/review/:transactionId/dismiss', async (req, res) => {
+  try {
+    const result = await learnedCategorizer.dismissSuggestion(req.params.transactionId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error dismissing suggestion:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-run the latest model over stored transactions
+app.post('/api/categorizer/refresh', async (req, res) => {
+  try {
+    const result = await learnedCategorizer.refreshSuggestions();
+
+    console.log(`Categorizer checked ${result.checked} transactions, applied ${result.applied} categories`);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error refreshing suggestions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== Budget Routes =====
+
+app.get('/api/budgets', async (req, res) => {
+  try {
+    const userId = req.query.userId || 'default_user';
+    const result = await budgets.listBudgets(userId);
+    res.json({ budgets: result });
+  } catch (error) {
+    console.error('Error listing budgets:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { category, monthlyLimit, rollover, alertThresholds (percentages), startMonth }
+app.post('/api/budgets', async (req, res) => {
+  try {
+    const { userId = 'default_user', ...input } = req.body;
+    const budget = await budgets.createBudget(input, userId);
+    res.json({ success: true, budget });
+  } catch (error) {
+    console.error('Error creating budget:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Spent, remaining and projected per budget. Query: month (YYYY-MM), category, plus the account and tag filters
+app.get('/api/budgets/status', async (req, res) => {
+  try {
+    const result = await budgets.getBudgetStatus(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error loading budget status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Alerts not yet dismissed (checks for new ones first)
+app.get('/api/budgets/alerts', async (req, res) => {
+  try {
+    const userId = req.query.userId || 'default_user';
+    await budgets.checkBudgetAlerts(userId);
+    const alerts = await budgets.listAlerts(userId);
+    res.json({ alerts });
+  } catch (error) {
+    console.error('Error loading budget alerts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/budgets/alerts/:alertId/dismiss', async (req, res) => {
+  try {
+    const { userId = 'default_user' } = req.body;
+    const result = await budgets.dismissAlert(req.params.alertId, userId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error dismissing budget alert:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/budgets/:budgetId', async (req, res) => {
+  try {
+    const { userId = 'default_user', ...input } = req.body;
+    const budget = await budgets.updateBudget(req.params.budgetId, input, userId);
+    res.json({ success: true, budget });
+  } catch (error) {
+    console.error('Error updating budget:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/budgets/:budgetId', async (req, res) => {
+  try {
+    const userId = req.query.userId || 'default_user';
+    const result = await budgets.deleteBudget(req.params.budgetId, userId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== Cash-Flow Forecast Routes =====
+
+// Daily projected balances. Query: days (default 30), floor (default: the saved floor), plus the account filters
+app.get('/api/forecast', async (req, res) => {
+  try {
+    const result = await cashFlowForecast.getCashFlowForecast(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error forecasting cash flow:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/forecast/floor', async (req, res) => {
+  try {
+    const floor = await cashFlowForecast.getBalanceFloor(req.query.userId || 'default_user');
+    res.json({ floor });
+  } catch (error) {
+    console.error('Error loading balance floor:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { floor } - the balance a cash account shouldn't drop below
+app.put('/api/forecast/floor', async (req, res) => {
+  try {
+    const { floor, userId = 'default_user' } = req.body;
+    const result = await cashFlowForecast.setBalanceFloor(floor, userId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error saving balance floor:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== Subscription Routes =====
+
+// Recurring outflows as subscriptions, with totals and alerts. Query: status (keep, cancel, cancelled, unreviewed), plus the account filters
+app.get('/api/subscriptions', async (req, res) => {
+  try {
+    const result = await subscriptions.getSubscriptions(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error loading subscriptions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { status: 'keep' | 'cancel' | 'cancelled' | null, cancelledOn (YYYY-MM-DD) }
+app.put('/api/subscriptions/:streamId/status', async (req, res) => {
+  try {
+    const { status, cancelledOn, userId = 'default_user' } = req.body;
+    const result = await subscriptions.setSubscriptionStatus(req.params.streamId, status, { cancelledOn }, userId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error updating subscription:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== Net Worth Routes =====
+
+// Net worth across Plaid, Increase, Unit and Locus with breakdowns and history.
+// Query: startDate, endDate (default: the last 12 months), interval (day, week, month)
+app.get('/api/networth', async (req, res) => {
+  try {
+    const { startDate, endDate, interval, userId = 'default_user' } = req.query;
+    const result = await netWorth.getNetWorth({ startDate, endDate, interval, userId });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error loading net worth:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== Transfer Routes =====
+
+// Matched transfers between the user's own accounts. Query: startDate, endDate, limit
+app.get('/api/transfers', async (req, res) => {
+  try {
+    const result = await transfers.listTransfers(req.query);
+    res.json({ success: true, transfers: result });
+  } catch (error) {
+    console.error('Error listing transfers:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Look for new transfers now (also runs after every sync and statement import)
+app.post('/api/transfers/detect', async (req, res) => {
+  try {
+    const result = await transfers.detectTransfers(req.body.userId || 'default_user');
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error detecting transfers:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pair two transactions by hand. Body: { transactionIds: [id, id] }
+app.post('/api/transfers', async (req, res) => {
+  try {
+    const { transactionIds, userId = 'default_user' } = req.body;
+    if (!Array.isArray(transactionIds) || transactionIds.length !== 2) {
+      return res.status(400).json({ error: 'Two transaction IDs are required' });
+    }
+    const result = await transfers.pairTransactions(transactionIds[0], transactionIds[1], userId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error pairing transfer:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-const plaidClient = new PlaidApi(configuration);
-
-// OpenAI client configuration
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
+// Unpair a transfer, so both sides count as spending and income again
+app.delete('/api/transfers/:transferId', async (req, res) => {
+  try {
+    const result = await transfers.unpairTransfer(req.params.transferId, req.query.userId || 'default_user');
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error unpairing transfer:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Store access tokens (in production, use a database)
-const accessTokens = {};
+// ===== Anomaly Routes =====
 
-// Create Link Token
-app.post('/api/create_link_token', async (req, res) => {
+// Unusual transactions found by the scan after each sync (POST /api/anomalies/scan runs it now).
+// Query: status (open, expected, dismissed; default open),
+// type (unusual_amount, duplicate, new_merchant, unusual_location), startDate, endDate, limit, plus the account filters
+app.get('/api/anomalies', async (req, res) => {
   try {
-    const request = {
-      user: {
-        client_user_id: 'user-' + Date.now(),
-      },
-      client_name: 'Transaction Viewer',
-      products: ['transactions'],
-      country_codes: ['US'],
-      language: 'en',
-    };
+    const result = await anomalies.listAnomalies(req.query);
+    res.json({ anomalies: result });
+  } catch (error) {
+    console.error('Error loading anomalies:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const response = await plaidClient.linkTokenCreate(request);
-    res.json({ link_token: response.data.link_token });
+app.post('/api/anomalies/scan', async (req, res) => {
+  try {
+    const result = await anomalies.scanTransactions(req.body.userId || 'default_user');
+    res.json({ success: true, ...result });
   } catch (error) {
-    console.error('Error creating link token:', error);
+    console.error('Error scanning for anomalies:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Exchange public token for access token
-app.post('/api/exchange_public_token', async (req, res) => {
+// Body: { status: 'expected' | 'dismissed' | 'open' } - expected teaches the scan that this is normal
+app.put('/api/anomalies/:anomalyId/status', async (req, res) => {
   try {
-    const { public_token } = req.body;
+    const { status, userId = 'default_user' } = req.body;
+    const result = await anomalies.setAnomalyStatus(req.params.anomalyId, status, userId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error updating anomaly:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const response = await plaidClient.itemPublicTokenExchange({
-      public_token: public_token,
-    });
+// ===== Period Comparison Routes =====
 
-    const accessToken = response.data.access_token;
-    const itemId = response.data.item_id;
+// Spending in one range vs another, per category and merchant, with the biggest movers.
+// Query: startDate, endDate (dates or YYYY-MM months), compareTo (previous_period, previous_year) or
+// previousStartDate/previousEndDate, category, merchant, movers, plus the account and tag filters
+app.get('/api/compare', async (req, res) => {
+  try {
+    const result = await periodComparison.comparePeriods(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error comparing periods:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Store access token (in production, save to database with user association)
-    accessTokens[itemId] = accessToken;
+// ===== Tax Routes =====
 
-    res.json({
-      access_token: accessToken,
-      item_id: itemId
-    });
+// Categories, merchants and transactions flagged as tax-relevant, and the tax types they can have
+app.get('/api/tax/flags', async (req, res) => {
+  try {
+    const { userId = 'default_user' } = req.query;
+    const flags = await taxReport.listTaxFlags(userId);
+    res.json({ flags, taxTypes: taxReport.TAX_TYPES });
   } catch (error) {
-    console.error('Error exchanging public token:', error);
+    console.error('Error listing tax flags:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get Transactions
-app.post('/api/transactions', async (req, res) => {
+// Flag a category, merchant or transaction. Body: { scope, value, taxType, note };
+// a null taxType removes the flag, 'none' keeps a transaction out of a flagged category or merchant
+app.put('/api/tax/flags', async (req, res) => {
   try {
-    const {
-      access_token,
-      start_date,
-      end_date,
-      count
-    } = req.body;
-
-    if (!access_token) {
-      return res.status(400).json({ error: 'Access token is required' });
-    }
-
-    const request = {
-      access_token: access_token,
-      start_date: start_date,
-      end_date: end_date,
-      options: {
-        count: count || 100,
-        offset: 0,
-      },
-    };
-
-    const response = await plaidClient.transactionsGet(request);
+    const { scope, value, taxType, note, userId = 'default_user' } = req.body;
+    const flag = await taxReport.setTaxFlag({ scope, value, taxType, note }, userId);
+    res.json({ success: true, flag });
+  } catch (error) {
+    console.error('Error saving tax flag:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json({
-      transactions: response.data.transactions,
-      accounts: response.data.accounts,
-      total_transactions: response.data.total_transactions,
-    });
+app.delete('/api/tax/flags/:flagId', async (req, res) => {
+  try {
+    const { userId = 'default_user' } = req.query;
+    const result = await taxReport.deleteTaxFlag(req.params.flagId, userId);
+    res.json({ success: true, ...result });
   } catch (error) {
-    console.error('Error fetching transactions:', error);
+    console.error('Error removing tax flag:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get Account Info
-app.post('/api/accounts', async (req, res) => {
+// Tax-relevant spending and Locus donations for a year (default: last year).
+// Query: year, plus the account and tag filters
+app.get('/api/tax/report', async (req, res) => {
   try {
-    const { access_token } = req.body;
+    const { year, userId = 'default_user' } = req.query;
+    const report = await taxReport.getTaxReport({ year, userId, ...extractFilters(req.query) });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Error building tax report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (!access_token) {
-      return res.status(400).json({ error: 'Access token is required' });
+// The tax report as a CSV download or a printable HTML page (print it to PDF).
+// Query: year, format (csv, html), plus the account and tag filters
+app.get('/api/tax/report/export', async (req, res) => {
+  try {
+    const { year, format = 'csv', userId = 'default_user' } = req.query;
+    if (!['csv', 'html'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be csv or html' });
     }
 
-    const response = await plaidClient.accountsGet({
-      access_token: access_token,
-    });
+    const report = await taxReport.getTaxReport({ year, userId, ...extractFilters(req.query) });
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(taxReport.toHtml(report));
+    }
 
-    res.json({ accounts: response.data.accounts });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="tax-report-${report.year}.csv"`);
+    res.send(taxReport.toCsv(report));
   } catch (error) {
-    console.error('Error fetching accounts:', error);
+    console.error('Error exporting tax report:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get Item (shows available products for this connection)
-app.post('/api/item', async (req, res) => {
-  try {
-    const { access_token } = req.body;
-
-    if (!access_token) {
-      return res.status(400).json({ error: 'Access token is required' });
-    }
+// ===== Location Routes =====
 
-    const response = await plaidClient.itemGet({
-      access_token: access_token,
-    });
+// Spending per city, region and area (nearby places merged) for the map.
+// Query: startDate, endDate (default: the last year), place ("Denver", "Denver, CO"),
+// home (instead of the detected home), plus the account and tag filters
+app.get('/api/locations/spending', async (req, res) => {
+  try {
+    const result = await locations.getLocationSpending(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error loading spending by location:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json({ item: response.data.item });
+// Trips: runs of days with in-store spending away from home, newest first. Same query as above
+app.get('/api/locations/trips', async (req, res) => {
+  try {
+    const result = await locations.getTrips(req.query);
+    res.json({ success: true, ...result });
   } catch (error) {
-    console.error('Error fetching item:', error);
+    console.error('Error detecting trips:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get Recurring Transactions
-app.post('/api/recurring_transactions', async (req, res) => {
+// ===== Spending Pattern Routes =====
+
+// When discretionary spending happens: by weekday, week of month, day of month (with a weekday x week
+// heatmap) and days after payday. Query: startDate, endDate (default: the last 180 days), category,
+// plus the account and tag filters
+app.get('/api/patterns', async (req, res) => {
   try {
-    const { access_token } = req.body;
+    const result = await spendingPatterns.getSpendingPatterns(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error analyzing spending patterns:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (!access_token) {
-      return res.status(400).json({ error: 'Access token is required' });
-    }
+// ===== Transaction Query Routes =====
 
-    const response = await plaidClient.transactionsRecurringGet({
-      access_token: access_token,
-    });
+// Paginated transactions from the local database for the transactions list
+// Query: sort, cursor, limit, query (text), startDate, endDate, category, merchant, minAmount,
+// maxAmount, direction, pending, transfers (exclude, only), plus the account filters
+app.get('/api/db/transactions', async (req, res) => {
+  try {
+    const { sort, cursor, limit, ...filters } = req.query;
+    const result = await transactionQuery.queryTransactions({ filters, sort, cursor, limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error querying transactions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json({
-      inflow_streams: response.data.inflow_streams,
-      outflow_streams: response.data.outflow_streams,
-    });
+// Set a transaction's own category, notes and tags (kept across re-syncs).
+// Body: any of { category, notes, tags } - an empty category or notes clears it
+app.patch('/api/db/transactions/:transactionId', async (req, res) => {
+  try {
+    const { category, notes, tags } = req.body;
+    const annotations = await transactionAnnotations.updateAnnotations(req.params.transactionId, { category, notes, tags });
+    res.json({ success: true, ...annotations });
   } catch (error) {
-    console.error('Error fetching recurring transactions:', error);
+    console.error('Error updating transaction:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Sync transactions to database
-app.post('/api/sync_to_database', async (req, res) => {
+// Splits of a transaction across categories
+app.get('/api/db/transactions/:transactionId/splits', async (req, res) => {
   try {
-    const { access_token, start_date, end_date } = req.body;
+    const result = await transactionSplits.getSplits(req.params.transactionId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error loading splits:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (!access_token) {
-      return res.status(400).json({ error: 'Access token is required' });
-    }
+// Replace a transaction's splits. Body: { splits: [{ category, amount, note }] } adding up to its amount
+app.put('/api/db/transactions/:transactionId/splits', async (req, res) => {
+  try {
+    const result = await transactionSplits.setSplits(req.params.transactionId, req.body.splits);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error saving splits:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    console.log('Syncing transactions to database...');
+app.delete('/api/db/transactions/:transactionId/splits', async (req, res) => {
+  try {
+    const result = await transactionSplits.clearSplits(req.params.transactionId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error removing splits:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Fetch transactions from Plaid
-    const txnResponse = await plaidClient.transactionsGet({
-      access_token: access_token,
-      start_date: start_date,
-      end_date: end_date,
-      options: {
-        count: 500,
-        offset: 0,
-      },
-    });
+// Tags in use with how many transactions carry each
+app.get('/api/tags', async (req, res) => {
+  try {
+    const tags = await transactionAnnotations.listTags();
+    res.json({ tags });
+  } catch (error) {
+    console.error('Error listing tags:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Save transactions to database
-    await saveTransactions(txnResponse.data.transactions);
+// ===== Export Routes =====
 
-    // Fetch and save recurring transactions
-    try {
-      const recurringResponse = await plaidClient.transactionsRecurringGet({
-        access_token: access_token,
-      });
+// Stream stored transactions as CSV, OFX or JSON
+// Query: format, startDate, endDate, category, merchant, minAmount, maxAmount, direction, transfers,
+// plus the account filters (accountId, itemId, account, institution, accountType)
+app.get('/api/export/transactions', async (req, res) => {
+  try {
+    const { format = 'csv', ...filters } = req.query;
+    const { contentType, fileName } = transactionExport.getExportInfo(format, filters);
 
-      // Save inflow streams
-      if (recurringResponse.data.inflow_streams) {
-        for (const stream of recurringResponse.data.inflow_streams) {
-          await saveRecurringStream(stream, 'inflow');
-        }
-      }
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
 
-      // Save outflow streams
-      if (recurringResponse.data.outflow_streams) {
-        for (const stream of recurringResponse.data.outflow_streams) {
-          await saveRecurringStream(stream, 'outflow');
-        }
-      }
-    } catch (recurringError) {
-      console.log('Recurring transactions not available or error:', recurringError.message);
-    }
+    const count = await transactionExport.streamTransactions(format, filters, chunk => res.write(chunk));
+    res.end();
 
-    res.json({
-      success: true,
-      message: 'Data synced to database',
-      transactionCount: txnResponse.data.transactions.length,
-      totalTransactions: txnResponse.data.total_transactions
-    });
+    console.log(`Exported ${count} transactions as ${format}`);
   } catch (error) {
-    console.error('Error syncing to database:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Error exporting transactions:', error);
+    if (res.headersSent) {
+      // Part of the file is already out - abort so the download fails instead of looking complete
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: error.message });
+    }
   }
 });
 
@@ -254,6 +1111,21 @@ app.post('/api/chat', async (req, res) => {
       return res.status(400).json({ error: 'Message is required' });
     }
 
+    // Optional account/institution filter accepted by every analytics function
+    const accountFilterProperties = {
+      accountId: { type: 'string', description: 'Exact account ID from getAccounts' },
+      account: { type: 'string', description: 'Account name or last 4 digits (e.g., "Sapphire", "1234")' },
+      institution: { type: 'string', description: 'Bank or institution name (e.g., "Chase", "Wells Fargo")' },
+      accountType: { type: 'string', description: 'Account type or subtype (e.g., "credit", "checking", "savings")' }
+    };
+
+    // Transaction-based functions can also be narrowed to a tag the user added,
+    // and can count transfers between the user's own accounts (left out by default)
+    const tagFilterProperties = {
+      tag: { type: 'string', description: 'Only transactions with this tag (e.g., "vacation", "business")' },
+      includeTransfers: { type: 'boolean', description: 'Also count transfers between the user\'s own accounts (card payments, moves to savings) - only when asked' }
+    };
+
     // Define available functions for OpenAI
     const functions = [
       {
@@ -264,7 +1136,9 @@ app.post('/api/chat', async (req, res) => {
           properties: {
             category: { type: 'string', description: 'Category name (e.g., "Food", "Travel", "Shopping")' },
             startDate: { type: 'string', description: 'Start date in YYYY-MM-DD format' },
-            endDate: { type: 'string', description: 'End date in YYYY-MM-DD format' }
+            endDate: { type: 'string', description: 'End date in YYYY-MM-DD format' },
+            ...accountFilterProperties,
+            ...tagFilterProperties
           },
           required: ['category', 'startDate', 'endDate']
         }
@@ -276,20 +1150,24 @@ app.post('/api/chat', async (req, res) => {
           type: 'object',
           properties: {
             startDate: { type: 'string', description: 'Start date in YYYY-MM-DD format' },
-            endDate: { type: 'string', description: 'End date in YYYY-MM-DD format' }
+            endDate: { type: 'string', description: 'End date in YYYY-MM-DD format' },
+            ...accountFilterProperties,
+            ...tagFilterProperties
           },
           required: ['startDate', 'endDate']
         }
       },
       {
         name: 'getTopMerchants',
-        description: 'Get top merchants by spending amount',
+        description: 'Get top merchants by spending amount. Merchants are canonical: bank spellings like "AMZN Mktp US*2K4" and "Amazon.com" are combined under one name (Amazon).',
         parameters: {
           type: 'object',
           properties: {
             limit: { type: 'number', description: 'Number of merchants to return (default 10)' },
             startDate: { type: 'string', description: 'Start date in YYYY-MM-DD format' },
-            endDate: { type: 'string', description: 'End date in YYYY-MM-DD format' }
+            endDate: { type: 'string', description: 'End date in YYYY-MM-DD format' },
+            ...accountFilterProperties,
+            ...tagFilterProperties
           },
           required: ['startDate', 'endDate']
         }
@@ -300,7 +1178,9 @@ app.post('/api/chat', async (req, res) => {
         parameters: {
           type: 'object',
           properties: {
-            months: { type: 'number', description: 'Number of months to analyze (default 6)' }
+            months: { type: 'number', description: 'Number of months to analyze (default 6)' },
+            ...accountFilterProperties,
+            ...tagFilterProperties
           }
         }
       },
@@ -311,7 +1191,9 @@ app.post('/api/chat', async (req, res) => {
           type: 'object',
           properties: {
             startDate: { type: 'string', description: 'Start date in YYYY-MM-DD format' },
-            endDate: { type: 'string', description: 'End date in YYYY-MM-DD format' }
+            endDate: { type: 'string', description: 'End date in YYYY-MM-DD format' },
+            ...accountFilterProperties,
+            ...tagFilterProperties
           },
           required: ['startDate', 'endDate']
         }
@@ -323,7 +1205,9 @@ app.post('/api/chat', async (req, res) => {
           type: 'object',
           properties: {
             startDate: { type: 'string', description: 'Start date in YYYY-MM-DD format' },
-            endDate: { type: 'string', description: 'End date in YYYY-MM-DD format' }
+            endDate: { type: 'string', description: 'End date in YYYY-MM-DD format' },
+            ...accountFilterProperties,
+            ...tagFilterProperties
           },
           required: ['startDate', 'endDate']
         }
@@ -335,22 +1219,183 @@ app.post('/api/chat', async (req, res) => {
           type: 'object',
           properties: {
             startDate: { type: 'string', description: 'Start date in YYYY-MM-DD format' },
-            endDate: { type: 'string', description: 'End date in YYYY-MM-DD format' }
+            endDate: { type: 'string', description: 'End date in YYYY-MM-DD format' },
+            ...accountFilterProperties,
+            ...tagFilterProperties
           },
           required: ['startDate', 'endDate']
         }
       },
       {
         name: 'searchTransactions',
-        description: 'Search for transactions by keyword in name, merchant, or category',
+        description: 'Full-text search of transactions by keywords in the name, merchant, bank description, category or notes. Results are ranked best match first; words match as prefixes, and misspelled words are corrected when nothing matches (see correctedQuery). Each result has a match snippet with the matched words wrapped in <mark>.',
         parameters: {
           type: 'object',
           properties: {
-            query: { type: 'string', description: 'Search query' },
-            limit: { type: 'number', description: 'Maximum results (default 50)' }
+            query: { type: 'string', description: 'Search keywords, e.g. "starbucks" or "uber airport"' },
+            limit: { type: 'number', description: 'Maximum results (default 50)' },
+            ...accountFilterProperties,
+            ...tagFilterProperties
           },
           required: ['query']
         }
+      },
+      {
+        name: 'getBudgetStatus',
+        description: 'Budget status for the month: limit, rollover carried in, spent, remaining, projected month-end spending and status (on_track, at_risk, over) per budgeted category. Use it for questions like "am I on budget for dining?"',
+        parameters: {
+          type: 'object',
+          properties: {
+            category: { type: 'string', description: 'Budget category to check, e.g. "dining" (omit for every budget)' },
+            month: { type: 'string', description: 'Month in YYYY-MM format (default: this month)' },
+            ...accountFilterProperties,
+            ...tagFilterProperties
+          }
+        }
+      },
+      {
+        name: 'getCashFlowForecast',
+        description: 'Forecast account balances over the next days from recurring income and bills plus typical day-to-day spending. Returns cash at the 30/60/90-day marks, each account\'s lowest projected balance, dates when cash dips below the balance floor, and the upcoming recurring payments. Use it for questions like "will I have enough for rent?" or "how much cash will I have next month?"',
+        parameters: {
+          type: 'object',
+          properties: {
+            days: { type: 'number', description: 'How many days ahead to forecast (default 30, e.g. 60 or 90)' },
+            floor: { type: 'number', description: 'Balance to warn below (default: the user\'s saved floor)' },
+            ...accountFilterProperties
+          }
+        }
+      },
+      {
+        name: 'getSubscriptions',
+        description: 'Subscriptions and other recurring charges with price, monthly and annual cost, last and next charge, and the user\'s status (keep, cancel, cancelled, unreviewed). Includes totals and alerts for price increases, free trials that turned into paid subscriptions, and charges after the user cancelled.',
+        parameters: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: ['keep', 'cancel', 'cancelled', 'unreviewed'], description: 'Only subscriptions with this status (omit for all)' },
+            ...accountFilterProperties
+          }
+        }
+      },
+      {
+        name: 'getNetWorth',
+        description: 'Net worth across linked banks, cards and loans (Plaid) plus Increase and Unit vaults and the Locus wallet: current assets, liabilities and net worth by source and account type, the change between two dates and month-end history. Use it for questions like "how has my net worth changed this year?"',
+        parameters: {
+          type: 'object',
+          properties: {
+            startDate: { type: 'string', description: 'Start date (YYYY-MM-DD), e.g. January 1 for "this year" (default: a year ago)' },
+            endDate: { type: 'string', description: 'End date (YYYY-MM-DD, default: today)' }
+          }
+        }
+      },
+      {
+        name: 'getAnomalies',
+        description: 'Unusual transactions: amounts far above what the merchant or category usually costs, likely duplicate charges, large first charges at new merchants and in-store charges far from where the user usually shops. Use it for questions like "anything weird on my card?" or "was I charged twice?"',
+        parameters: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: ['unusual_amount', 'duplicate', 'new_merchant', 'unusual_location'], description: 'Only this kind of anomaly (omit for all)' },
+            status: { type: 'string', enum: ['open', 'expected', 'dismissed'], description: 'Alerts with this status (default: open)' },
+            ...accountFilterProperties
+          }
+        }
+      },
+      {
+        name: 'comparePeriods',
+        description: 'Compare spending between two date ranges: totals, per-category and per-merchant changes with percentages, and the biggest increases and decreases. Use it for "how does this October compare to last October for groceries?", year-over-year, or any two custom ranges.',
+        parameters: {
+          type: 'object',
+          properties: {
+            startDate: { type: 'string', description: 'Start of the current range (YYYY-MM-DD, or YYYY-MM for a whole month)' },
+            endDate: { type: 'string', description: 'End of the current range (YYYY-MM-DD or YYYY-MM; default: same as startDate)' },
+            compareTo: { type: 'string', enum: ['previous_period', 'previous_year'], description: 'What to compare with when no previous range is given: the same length right before (default) or the same dates last year' },
+            previousStartDate: { type: 'string', description: 'Start of an explicit range to compare with (YYYY-MM-DD or YYYY-MM)' },
+            previousEndDate: { type: 'string', description: 'End of the explicit range to compare with' },
+            category: { type: 'string', description: 'Only this category (e.g., "Groceries")' },
+            merchant: { type: 'string', description: 'Only this merchant (e.g., "Amazon")' },
+            ...accountFilterProperties,
+            ...tagFilterProperties
+          },
+          required: ['startDate']
+        }
+      },
+      {
+        name: 'getTaxReport',
+        description: 'Get tax-relevant spending for a tax year, totalled by tax type (business expense, charitable, medical, education, childcare, other), from what the user flagged as tax-relevant plus charity donations sent from the Locus wallet.',
+        parameters: {
+          type: 'object',
+          properties: {
+            year: { type: 'string', description: 'Tax year (YYYY; default: last year)' },
+            taxType: { type: 'string', enum: Object.keys(taxReport.TAX_TYPES), description: 'Only list items of this tax type (the summary still covers all)' },
+            ...accountFilterProperties,
+            tag: tagFilterProperties.tag
+          }
+        }
+      },
+      {
+        name: 'getSpendingByLocation',
+        description: 'Get spending by city, region and area from where in-store purchases were made. With a place, also the trips there and everything spent during them. Use it for "how much did I spend while in Denver?" or "where do I spend the most?".',
+        parameters: {
+          type: 'object',
+          properties: {
+            startDate: { type: 'string', description: 'Start date (YYYY-MM-DD; default: a year ago)' },
+            endDate: { type: 'string', description: 'End date (YYYY-MM-DD; default: today)' },
+            place: { type: 'string', description: 'City, "City, ST" or region (e.g., "Denver", "Denver, CO", "CO")' },
+            ...accountFilterProperties,
+            ...tagFilterProperties
+          }
+        }
+      },
+      {
+        name: 'getTravelPeriods',
+        description: 'Find trips: periods of in-store spending away from home, with dates, destinations, total spent and top categories.',
+        parameters: {
+          type: 'object',
+          properties: {
+            startDate: { type: 'string', description: 'Start date (YYYY-MM-DD; default: a year ago)' },
+            endDate: { type: 'string', description: 'End date (YYYY-MM-DD; default: today)' },
+            place: { type: 'string', description: 'Only trips to this place (e.g., "Denver")' },
+            ...accountFilterProperties,
+            ...tagFilterProperties
+          }
+        }
+      },
+      {
+        name: 'getSpendingPatterns',
+        description: 'Get when discretionary spending happens: average per day for each weekday and week of the month, the most expensive days of the month, and insights. Recurring bills and transfers are left out.',
+        parameters: {
+          type: 'object',
+          properties: {
+            startDate: { type: 'string', description: 'Start date (YYYY-MM-DD; default: 180 days ago)' },
+            endDate: { type: 'string', description: 'End date (YYYY-MM-DD; default: today)' },
+            category: { type: 'string', description: 'Only this category (e.g., "Dining")' },
+            ...accountFilterProperties,
+            ...tagFilterProperties
+          }
+        }
+      },
+      {
+        name: 'getPaydayCycle',
+        description: 'Get discretionary spending by days since payday (paydays come from recurring income), the share spent in the first 3 days after payday against an even pace, and the next payday.',
+        parameters: {
+          type: 'object',
+          properties: {
+            startDate: { type: 'string', description: 'Start date (YYYY-MM-DD; default: 180 days ago)' },
+            endDate: { type: 'string', description: 'End date (YYYY-MM-DD; default: today)' },
+            category: { type: 'string', description: 'Only this category (e.g., "Dining")' },
+            ...accountFilterProperties,
+            ...tagFilterProperties
+          }
+        }
+      },
+      {
+        name: 'getAccounts',
+        description: 'List linked accounts with their institution, type, last 4 digits and balances. Use it to find which account the user means.',
+        parameters: {
+          type: 'object',
+          properties: {
+            ...accountFilterProperties
+          }
+        }
       }
     ];
 
@@ -367,6 +1412,18 @@ CRITICAL RULES:
 4. When showing numbers, always cite the source (date range, category, etc.)
 5. Be concise but informative
 6. Today's date is ${new Date().toISOString().split('T')[0]}
+7. The user may have several banks and accounts linked. When they name one ("my Chase card", "checking"), pass it as institution/account/accountType; call getAccounts if unsure which account they mean
+8. Users tag transactions (e.g., "vacation", "business", "reimbursable"). For questions about a tag, pass it as tag
+9. For budget questions ("am I on budget for dining?", "how much can I still spend on groceries?") call getBudgetStatus; report spent vs available and the projected month-end amount
+10. For questions about future balances ("can I afford rent next week?", "will I run low this month?") call getCashFlowForecast and point out any dates below the floor
+11. For subscription questions ("what am I subscribed to?", "did any subscription get more expensive?") call getSubscriptions and mention any alerts
+12. For net worth questions ("how has my net worth changed this year?") call getNetWorth; credit cards and loans count against it
+13. Transfers between the user's own accounts (checking to savings, credit card payments) are not spending or income and are left out of totals; set includeTransfers only when the user asks about them
+14. For unusual or suspicious charges ("anything odd this month?", "was I charged twice at the gas station?") call getAnomalies and say why each one stands out
+15. For comparisons between periods ("this October vs last October for groceries", "how does this year compare to last year?") call comparePeriods with compareTo previous_year for the same dates last year, and mention the biggest movers
+16. For tax questions ("how much did I give to charity last year?", "what are my deductible business expenses for 2025?") call getTaxReport; only what the user flagged as tax-relevant is included, so say so, and point them to the tax report export for filing
+17. For questions about places and travel ("how much did I spend while in Denver?", "what did my last trip cost?") call getSpendingByLocation with place, or getTravelPeriods; spending during a trip includes online purchases made on those days, while spending in a place only counts purchases made there
+18. For questions about when money goes out ("which day of the week do I spend the most?", "do I blow through my paycheck?") call getSpendingPatterns or getPaydayCycle; compare averages per day rather than totals
 
 When interpreting dates:
 - "last month" = previous calendar month
@@ -407,10 +1464,15 @@ FORMATTING RULES (Use Markdown):
 
       console.log(`Calling function: ${functionName}`, functionArgs);
 
-      // Execute the function
+      // Execute the function: positional args in schema order, account filters as a trailing object
       let functionResult;
       try {
-        functionResult = await analytics[functionName](...Object.values(functionArgs));
+        const definition = functions.find(fn => fn.name === functionName);
+        const positionalArgs = Object.keys(definition.parameters.properties)
+          .filter(key => !FILTER_KEYS.includes(key))
+          .map(key => functionArgs[key]);
+
+        functionResult = await analytics[functionName](...positionalArgs, extractFilters(functionArgs));
       } catch (error) {
         functionResult = { error: error.message };
       }
@@ -1184,27 +2246,52 @@ app.post('/api/locus/streak/increment', async (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`\n🚀 Server running on port ${PORT}`);
-  console.log(`\n📊 API Integrations:`);
-  console.log(`  ├─ Plaid: ${process.env.PLAID_ENV} mode`);
-  console.log(`  ├─ OpenAI: ${process.env.OPENAI_API_KEY ? '✓ Configured' : '✗ Not configured'}`);
-  console.log(`  ├─ Unit: ${process.env.UNIT_API_TOKEN && process.env.UNIT_API_TOKEN !== 'your_unit_sandbox_token_here' ? '✓ Configured' : '✗ Not configured'}`);
-  console.log(`  ├─ Increase: ${process.env.INCREASE_API_KEY && process.env.INCREASE_API_KEY !== 'your_increase_sandbox_key_here' ? '✓ Configured' : '✗ Not configured'}`);
-
-  const locusConfigured = process.env.LOCUS_API_KEY && process.env.LOCUS_WALLET_ADDRESS;
-  if (locusConfigured) {
-    console.log(`  └─ Locus: ✓ Configured (Demo Mode)`);
-    console.log(`      • API Key: ${process.env.LOCUS_API_KEY.substring(0, 20)}...`);
-    console.log(`      • Wallet: ${process.env.LOCUS_WALLET_ADDRESS}`);
-    console.log(`      • Mode: Simulated transactions for hackathon demo`);
-  } else {
-    console.log(`  └─ Locus: ✗ Not configured (add to .env)`);
-  }
+// Serve once the database schema (and any migration of it) is in place
+ready
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`\n🚀 Server running on port ${PORT}`);
+      console.log(`\n📊 API Integrations:`);
+      console.log(`  ├─ Plaid: ${process.env.PLAID_ENV} mode`);
+      console.log(`  ├─ OpenAI: ${process.env.OPENAI_API_KEY ? '✓ Configured' : '✗ Not configured'}`);
+      console.log(`  ├─ Unit: ${process.env.UNIT_API_TOKEN && process.env.UNIT_API_TOKEN !== 'your_unit_sandbox_token_here' ? '✓ Configured' : '✗ Not configured'}`);
+      console.log(`  ├─ Increase: ${process.env.INCREASE_API_KEY && process.env.INCREASE_API_KEY !== 'your_increase_sandbox_key_here' ? '✓ Configured' : '✗ Not configured'}`);
+
+      const locusConfigured = process.env.LOCUS_API_KEY && process.env.LOCUS_WALLET_ADDRESS;
+      if (locusConfigured) {
+        console.log(`  └─ Locus: ✓ Configured (Demo Mode)`);
+        console.log(`      • API Key: ${process.env.LOCUS_API_KEY.substring(0, 20)}...`);
+        console.log(`      • Wallet: ${process.env.LOCUS_WALLET_ADDRESS}`);
+        console.log(`      • Mode: Simulated transactions for hackathon demo`);
+      } else {
+        console.log(`  └─ Locus: ✗ Not configured (add to .env)`);
+      }
 
-  console.log(`\n💡 AI Wallet Features:`);
-  console.log(`  • Streak-based rewards`);
-  console.log(`  • Charitable giving via Locus`);
-  console.log(`  • Wallet funding from Increase`);
-  console.log(`\n✨ Ready for hackathon demo!\n`);
-});
+      console.log(`\n💡 AI Wallet Features:`);
+      console.log(`  • Streak-based rewards`);
+      console.log(`  • Charitable giving via Locus`);
+      console.log(`  • Wallet funding from Increase`);
+      console.log(`\n✨ Ready for hackathon demo!\n`);
+
+      // A net worth snapshot now and one per day after that
+      netWorth.startDailySnapshots();
+
+      // Transactions stored before merchants existed get one now
+      merchants.assignMissingMerchants()
+        .then(count => {
+          if (count > 0) console.log(`🏪 Matched ${count} transactions to merchants`);
+        })
+        .catch(error => console.error('Error assigning merchants:', error));
+
+      // Pair transfers between the user's accounts already in the database
+      transfers.detectTransfers()
+        .then(result => {
+          if (result.matched > 0) console.log(`🔁 Matched ${result.matched} transfers between accounts`);
+        })
+        .catch(error => console.error('Error detecting transfers:', error));
+    });
+  })
+  .catch(error => {
+    console.error('Database failed to initialize:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,319 @@
+const { dbAll } = require('./database');
+const { buildAccountFilter, buildTagFilter } = require('./transactionFilters');
+const { NON_DISCRETIONARY_CATEGORIES, nextOccurrence } = require('./cashFlowForecast');
+const { round, today, addDays, daysBetween, resolveRange } = require('./analyticsHelpers');
+
+/**
+ * Spending Patterns
+ *
+ * When money goes out, over a range of days (default: the last 180):
+ * - byWeekday:         Monday to Sunday
+ * - byWeekOfMonth:     days 1-7, 8-14, 15-21, 22-28 and 29-31
+ * - byDayOfMonth and a weekday x week-of-month heatmap
+ * - paydayCycle:       spending by days since the last payday, from the
+ *   deposits of the recurring inflow streams (see syncRecurringStreams), and
+ *   the share spent in the first PAYDAY_WINDOW_DAYS days of each cycle
+ *
+ * Only discretionary spending counts: posted money out that isn't a transfer,
+ * a loan payment or part of a recurring stream (bills land on fixed dates and
+ * would drown out habits). Buckets are compared by their average per calendar
+ * day, as the range holds more Mondays than 31sts.
+ *
+ * getSweepTiming turns this into when the savings agent should suggest a
+ * sweep: on payday when spending rushes out right after it, otherwise the
+ * day before the user's busiest weekday.
+ */
+
+const DEFAULT_DAYS = 180;
+const SWEEP_TIMING_DAYS = 90;
+const PAYDAY_WINDOW_DAYS = 3;
+const MAX_CYCLE_DAYS = 35;
+const MIN_PAYDAY_GAP_DAYS = 3; // deposits closer together (two jobs, a split paycheck) are one payday
+const FRONT_LOADED_RATIO = 1.25; // window share vs an even pace before a cycle counts as front-loaded
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const WEEKS_OF_MONTH = ['1-7', '8-14', '15-21', '22-28', '29-31'];
+
+// Monday is 0
+const weekdayIndex = date => (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+const dayOfMonth = date => Number(date.slice(8, 10));
+const weekOfMonthIndex = date => Math.min(Math.floor((dayOfMonth(date) - 1) / 7), 4);
+
+function eachDay(range, callback) {
+  for (let date = range.startDate; date <= range.endDate; date = addDays(date, 1)) {
+    callback(date);
+  }
+}
+
+// ===== INPUTS =====
+
+async function loadStreams(filters) {
+  const accountFilter = buildAccountFilter(filters);
+  const rows = await dbAll(`
+    SELECT stream_id, type, account_id, description, merchant_name, frequency, last_date, average_amount, is_active, raw_data
+    FROM recurring_streams
+    WHERE 1 = 1${accountFilter.clause}
+  `, accountFilter.params);
+
+  return rows.map(row => {
+    const raw = row.raw_data ? JSON.parse(row.raw_data) : {};
+    return { ...row, predictedNextDate: raw.predicted_next_date || null, transactionIds: raw.transaction_ids || [] };
+  });
+}
+
+/**
+ * Discretionary spending per day in the range, as a Map of date -> { total, count }
+ */
+async function loadDailySpending(range, streams, { category, ...filters }) {
+  const accountFilter = buildAccountFilter(filters, 't.account_id');
+  const tagFilter = buildTagFilter(filters, 't.transaction_id');
+  const recurringIds = new Set(streams.flatMap(stream => stream.transactionIds));
+
+  const conditions = [];
+  const params = [];
+  if (category) {
+    conditions.push('COALESCE(t.user_category, t.category) LIKE ?');
+    params.push(`%${category}%`);
+  }
+
+  const rows = await dbAll(`
+    SELECT t.transaction_id, t.date, t.amount
+    FROM transactions t
+    WHERE t.amount > 0
+      AND t.pending = 0
+      AND t.transfer_id IS NULL
+      AND t.date BETWEEN ? AND ?
+      AND COALESCE(t.user_category, t.category, '') NOT IN (${NON_DISCRETIONARY_CATEGORIES.map(() => '?').join(', ')})${conditions.map(condition => ` AND ${condition}`).join('')}${accountFilter.clause}${tagFilter.clause}
+  `, [range.startDate, range.endDate, ...NON_DISCRETIONARY_CATEGORIES, ...params, ...accountFilter.params, ...tagFilter.params]);
+
+  const days = new Map();
+  for (const row of rows.filter(row => !recurringIds.has(row.transaction_id))) {
+    const day = days.get(row.date) || { total: 0, count: 0 };
+    days.set(row.date, { total: day.total + row.amount, count: day.count + 1 });
+  }
+  return days;
+}
+
+/**
+ * Paydays: the dates the active recurring inflow streams were paid, from a
+ * cycle before the range up to its end, plus the next expected payday
+ */
+async function loadPaydays(range, streams) {
+  const inflows = streams.filter(stream => stream.type === 'inflow' && stream.is_active === 1);
+  const transactionIds = inflows.flatMap(stream => stream.transactionIds);
+
+  let dates = [];
+  if (transactionIds.length > 0) {
+    const rows = await dbAll(`
+      SELECT DISTINCT date FROM transactions
+      WHERE transaction_id IN (${transactionIds.map(() => '?').join(', ')})
+        AND amount < 0
+        AND date BETWEEN ? AND ?
+      ORDER BY date ASC
+    `, [...transactionIds, addDays(range.startDate, -MAX_CYCLE_DAYS), range.endDate]);
+    dates = rows.map(row => row.date);
+  }
+
+  const paydays = [];
+  for (const date of dates) {
+    if (paydays.length === 0 || daysBetween(paydays[paydays.length - 1], date) >= MIN_PAYDAY_GAP_DAYS) {
+      paydays.push(date);
+    }
+  }
+
+  // The soonest expected deposit from today, by Plaid's prediction or the stream's frequency
+  const from = today();
+  const upcoming = inflows
+    .map(stream => {
+      let date = stream.predictedNextDate || (stream.last_date && nextOccurrence(stream.last_date, stream.frequency));
+      while (date && date < from) {
+        date = nextOccurrence(date, stream.frequency, stream.last_date);
+      }
+      return date;
+    })
+    .filter(Boolean)
+    .sort();
+
+  return { paydays, nextPayday: upcoming[0] || null, streams: inflows.map(stream => stream.merchant_name || stream.description) };
+}
+
+// ===== DISTRIBUTIONS =====
+
+/**
+ * Spread spending over buckets: bucketOf(date) names the bucket of a day
+ * (or null to skip it). Each bucket gets its total, the days it covers and the
+ * average per day.
+ */
+function distribute(range, daily, size, bucketOf) {
+  const buckets = Array.from({ length: size }, () => ({ total: 0, count: 0, days: 0 }));
+  eachDay(range, date => {
+    const index = bucketOf(date);
+    if (index === null) return;
+    const spent = daily.get(date);
+    buckets[index].days += 1;
+    if (spent) {
+      buckets[index].total += spent.total;
+      buckets[index].count += spent.count;
+    }
+  });
+
+  const total = buckets.reduce((sum, bucket) => sum + bucket.total, 0);
+  return buckets.map(bucket => ({
+    total: round(bucket.total),
+    count: bucket.count,
+    days: bucket.days,
+    averagePerDay: bucket.days > 0 ? round(bucket.total / bucket.days) : 0,
+    share: total > 0 ? round((bucket.total / total) * 100) : 0
+  }));
+}
+
+function buildHeatmap(range, daily) {
+  const cells = distribute(range, daily, WEEKDAYS.length * WEEKS_OF_MONTH.length,
+    date => weekdayIndex(date) * WEEKS_OF_MONTH.length + weekOfMonthIndex(date));
+
+  return {
+    rows: WEEKDAYS,
+    columns: WEEKS_OF_MONTH,
+    // cells[weekday][week]: average spent per day
+    cells: WEEKDAYS.map((weekday, row) => cells
+      .slice(row * WEEKS_OF_MONTH.length, (row + 1) * WEEKS_OF_MONTH.length)
+      .map(cell => cell.averagePerDay))
+  };
+}
+
+/**
+ * Spending by days since the last payday, or null with fewer than two paydays
+ */
+function buildPaydayCycle(range, daily, paydayInfo) {
+  const { paydays, nextPayday, streams } = paydayInfo;
+  if (paydays.length < 2) return null;
+
+  const gaps = paydays.slice(1).map((date, index) => daysBetween(paydays[index], date)).filter(gap => gap < MAX_CYCLE_DAYS);
+  const averageCycleDays = gaps.length > 0 ? gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length : null;
+
+  // Days since the latest payday on or before the date; days more than a cycle after one don't count
+  let cursor = 0;
+  const sincePayday = date => {
+    while (cursor + 1 < paydays.length && paydays[cursor + 1] <= date) cursor += 1;
+    if (paydays[cursor] > date) return null;
+    const days = daysBetween(paydays[cursor], date);
+    return days < MAX_CYCLE_DAYS ? days : null;
+  };
+  const buckets = distribute(range, daily, MAX_CYCLE_DAYS, sincePayday);
+
+  const covered = buckets.reduce((sum, bucket) => sum + bucket.total, 0);
+  const coveredDays = buckets.reduce((sum, bucket) => sum + bucket.days, 0);
+  if (coveredDays === 0) return null;
+
+  const windowBuckets = buckets.slice(0, PAYDAY_WINDOW_DAYS);
+  const windowShare = covered > 0 ? (windowBuckets.reduce((sum, bucket) => sum + bucket.total, 0) / covered) * 100 : 0;
+  const evenShare = (windowBuckets.reduce((sum, bucket) => sum + bucket.days, 0) / coveredDays) * 100;
+  const lastUsedDay = buckets.reduce((last, bucket, index) => (bucket.days > 0 ? index : last), 0);
+
+  return {
+    paydays: paydays.filter(date => date >= range.startDate),
+    lastPayday: paydays[paydays.length - 1],
+    nextPayday,
+    incomeStreams: streams,
+    averageCycleDays: averageCycleDays !== null ? round(averageCycleDays) : null,
+    windowDays: PAYDAY_WINDOW_DAYS,
+    windowShare: round(windowShare),
+    evenShare: round(evenShare),
+    frontLoaded: windowShare >= evenShare * FRONT_LOADED_RATIO,
+    byDaysAfterPayday: buckets.slice(0, lastUsedDay + 1).map((bucket, day) => ({ day, ...bucket }))
+  };
+}
+
+function describe(byWeekday, byWeekOfMonth, paydayCycle) {
+  const insights = [];
+  const weekdays = byWeekday.filter(day => day.days > 0);
+  if (weekdays.some(day => day.total > 0)) {
+    const busiest = weekdays.reduce((best, day) => (day.averagePerDay > best.averagePerDay ? day : best));
+    const quietest = weekdays.reduce((best, day) => (day.averagePerDay < best.averagePerDay ? day : best));
+    insights.push(`You spend the most on ${busiest.weekday}s ($${busiest.averagePerDay.toFixed(2)} a day on average) and the least on ${quietest.weekday}s ($${quietest.averagePerDay.toFixed(2)})`);
+
+    const weeks = byWeekOfMonth.filter(week => week.days > 0);
+    const peak = weeks.reduce((best, week) => (week.averagePerDay > best.averagePerDay ? week : best));
+    insights.push(`Days ${peak.daysOfMonth} are the most expensive part of the month ($${peak.averagePerDay.toFixed(2)} a day on average)`);
+  }
+
+  if (paydayCycle) {
+    insights.push(`You spend ${Math.round(paydayCycle.windowShare)}% of your discretionary spending in the ${PAYDAY_WINDOW_DAYS} days after payday`
+      + ` (an even pace would be ${Math.round(paydayCycle.evenShare)}%)`);
+  }
+  return insights;
+}
+
+// ===== PATTERNS =====
+
+/**
+ * Discretionary spending by weekday, week of month, day of month and days
+ * after payday between startDate and endDate (default: the last 180 days).
+ * category narrows it (partial match); plus the account and tag filters.
+ */
+async function getSpendingPatterns({ startDate = null, endDate = null, category = null, ...filters } = {}) {
+  const range = resolveRange(startDate, endDate, DEFAULT_DAYS);
+  const streams = await loadStreams(filters);
+  const daily = await loadDailySpending(range, streams, { category, ...filters });
+  const paydayInfo = await loadPaydays(range, streams);
+
+  const byWeekday = distribute(range, daily, WEEKDAYS.length, weekdayIndex)
+    .map((bucket, index) => ({ weekday: WEEKDAYS[index], ...bucket }));
+  const byWeekOfMonth = distribute(range, daily, WEEKS_OF_MONTH.length, weekOfMonthIndex)
+    .map((bucket, index) => ({ week: index + 1, daysOfMonth: WEEKS_OF_MONTH[index], ...bucket }));
+  const byDayOfMonth = distribute(range, daily, 31, date => dayOfMonth(date) - 1)
+    .map((bucket, index) => ({ day: index + 1, ...bucket }));
+  const paydayCycle = buildPaydayCycle(range, daily, paydayInfo);
+
+  const totals = [...daily.values()];
+  return {
+    ...range,
+    category,
+    total: round(totals.reduce((sum, day) => sum + day.total, 0)),
+    count: totals.reduce((sum, day) => sum + day.count, 0),
+    byWeekday,
+    byWeekOfMonth,
+    byDayOfMonth,
+    heatmap: buildHeatmap(range, daily),
+    paydayCycle,
+    paydayNote: paydayCycle ? undefined : 'No recurring income with at least two paydays in this range, so the payday cycle is unknown',
+    insights: describe(byWeekday, byWeekOfMonth, paydayCycle)
+  };
+}
+
+/**
+ * When to suggest moving money to savings, from the last SWEEP_TIMING_DAYS of
+ * spending: { date, reason }, or null without enough spending to tell
+ */
+async function getSweepTiming() {
+  const patterns = await getSpendingPatterns({ startDate: addDays(today(), -SWEEP_TIMING_DAYS + 1) });
+  if (patterns.total === 0) return null;
+
+  const cycle = patterns.paydayCycle;
+  if (cycle && cycle.frontLoaded && cycle.nextPayday) {
+    return {
+      date: cycle.nextPayday,
+      basis: 'payday',
+      reason: `You usually spend ${Math.round(cycle.windowShare)}% of your discretionary money in the ${PAYDAY_WINDOW_DAYS} days after payday, so sweep on payday (${cycle.nextPayday}) before it goes`
+    };
+  }
+
+  // The day before the next occurrence of the busiest weekday (today at the latest)
+  const busiest = patterns.byWeekday.reduce((best, day) => (day.averagePerDay > best.averagePerDay ? day : best));
+  const busiestIndex = WEEKDAYS.indexOf(busiest.weekday);
+  let date = addDays(today(), 1);
+  while (weekdayIndex(date) !== busiestIndex) date = addDays(date, 1);
+
+  const before = WEEKDAYS[(busiestIndex + 6) % 7];
+  return {
+    date: addDays(date, -1),
+    basis: 'weekday',
+    reason: `${busiest.weekday} is when you spend the most, so sweep by ${before} while the money is still there`
+  };
+}
+
+module.exports = {
+  WEEKDAYS,
+  getSpendingPatterns,
+  getSweepTiming
+};
@@ -0,0 +1,579 @@
+const crypto = require('crypto');
+const { dbRun, dbGet, dbAll, saveTransaction } = require('./database');
+const transfers = require('./transfers');
+
+/**
+ * Statement Import
+ *
+ * Imports CSV, OFX/QFX and QIF statement files for accounts Plaid can't reach.
+ * Every format is parsed into the same transaction shape Plaid returns, so rows
+ * go through saveTransaction like synced ones:
+ * - amount is positive for money out and negative for money in (Plaid convention)
+ * - transaction_id is a stable hash, so importing the same file twice adds nothing
+ * - each row carries source (csv/ofx/qif) and import_batch_id, so a whole file
+ *   can be rolled back
+ */
+
+const SUPPORTED_FORMATS = ['csv', 'ofx', 'qif'];
+const PREVIEW_ROWS = 10;
+
+// ===== FORMAT DETECTION =====
+
+/**
+ * Work out the file format from its extension, falling back to its content
+ */
+function detectFormat(fileName = '', content = '') {
+  const extension = fileName.split('.').pop().toLowerCase();
+
+  if (extension === 'ofx' || extension === 'qfx') return 'ofx';
+  if (extension === 'qif') return 'qif';
+  if (extension === 'csv') return 'csv';
+
+  const head = content.slice(0, 500).toUpperCase();
+  if (head.includes('OFXHEADER') || head.includes('<OFX>')) return 'ofx';
+  if (head.trimStart().startsWith('!TYPE:') || head.trimStart().startsWith('!ACCOUNT')) return 'qif';
+  return 'csv';
+}
+
+// ===== SHARED HELPERS =====
+
+/**
+ * Parse an amount like "1,234.56", "$-12.00", "-$12.00", "12.00-" or "(12.00)" (null if not a number)
+ */
+function parseAmount(value) {
+  if (value === undefined || value === null) return null;
+
+  // Currency symbols and separators first, so the sign is found wherever they put it
+  let text = String(value).replace(/[$€£\s,]/g, '');
+  if (!text) return null;
+
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-') || text.endsWith('-');
+  text = text.replace(/[()+-]/g, '');
+
+  const amount = parseFloat(text);
+  if (isNaN(amount)) return null;
+  return negative ? -amount : amount;
+}
+
+/**
+ * Normalize a date to YYYY-MM-DD.
+ * dateFormat is 'MDY', 'DMY', 'YMD' or 'auto' (ISO first, then US order unless the first part is over 12).
+ */
+function parseDate(value, dateFormat = 'auto') {
+  if (!value) return null;
+
+  const text = String(value).trim().replace(/'/g, '/').replace(/\s+/g, '');
+
+  // Compact OFX-style dates: 20240115 or 20240115120000[-5:EST]
+  const compact = text.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (compact && !/[/.-]/.test(text.slice(0, 8))) {
+    return `${compact[1]}-${compact[2]}-${compact[3]}`;
+  }
+
+  const parts = text.split(/[/.-]/).map(part => parseInt(part, 10));
+  if (parts.length < 3 || parts.some(isNaN)) return null;
+
+  let year;
+  let month;
+  let day;
+  if (dateFormat === 'YMD' || (dateFormat === 'auto' && /^\d{4}[/.-]/.test(text))) {
+    [year, month, day] = parts;
+  } else if (dateFormat === 'DMY' || (dateFormat === 'auto' && parts[0] > 12)) {
+    [day, month, year] = parts;
+  } else {
+    [month, day, year] = parts;
+  }
+
+  if (year < 100) {
+    year += year < 70 ? 2000 : 1900;
+  }
+
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function normalizeDescription(description) {
+  return String(description || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Give every parsed row a stable transaction ID.
+ * Rows with a bank-issued ID (OFX FITID) hash that; others hash their content
+ * plus how many identical rows came before them, so two identical coffees on
+ * the same day stay two rows while a re-import still maps onto the same IDs.
+ */
+function assignTransactionIds(rows, accountId) {
+  const occurrences = new Map();
+
+  return rows.map(row => {
+    let key;
+    if (row.externalId) {
+      key = [accountId, 'fitid', row.externalId].join('|');
+    } else {
+      const contentKey = [accountId, row.date, row.amount.toFixed(2), normalizeDescription(row.description)].join('|');
+      const occurrence = occurrences.get(contentKey) || 0;
+      occurrences.set(contentKey, occurrence + 1);
+      key = `${contentKey}|${occurrence}`;
+    }
+
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return { ...row, transactionId: `import_${hash.slice(0, 32)}` };
+  });
+}
+
+// ===== CSV =====
+
+/**
+ * Split CSV text into rows of cells (quoted cells, escaped quotes, CRLF)
+ */
+function parseCsvRows(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell.trim());
+  if (row.some(value => value !== '')) rows.push(row);
+
+  return rows;
+}
+
+/**
+ * Guess which CSV column holds which field from the header names
+ */
+function suggestCsvMapping(headers) {
+  const find = (pattern, exclude) => {
+    const index = headers.findIndex(header => pattern.test(header) && !(exclude && exclude.test(header)));
+    return index === -1 ? null : headers[index];
+  };
+
+  const debit = find(/debit|withdrawal|money out|paid out/i);
+  const credit = find(/credit|deposit|money in|paid in/i, /card/i);
+
+  return {
+    date: find(/posted|transaction date|^date$/i) || find(/date/i),
+    description: find(/desc|payee|details|narrative|^name$/i) || find(/memo/i),
+    amount: debit && credit ? null : find(/amount|value/i),
+    debit: debit && credit ? debit : null,
+    credit: debit && credit ? credit : null,
+    category: find(/category/i),
+    merchant: find(/merchant/i),
+    dateFormat: 'auto',
+    // Most bank exports show spending as negative amounts
+    amountSign: 'negative_is_spending'
+  };
+}
+
+/**
+ * Parse CSV text with a column mapping
+ */
+function parseCsv(text, mapping = {}) {
+  const [headers, ...dataRows] = parseCsvRows(text);
+  if (!headers) {
+    throw new Error('The CSV file is empty');
+  }
+
+  const column = (name) => (name ? headers.indexOf(name) : -1);
+  const dateColumn = column(mapping.date);
+  const descriptionColumn = column(mapping.description);
+  const amountColumn = column(mapping.amount);
+  const debitColumn = column(mapping.debit);
+  const creditColumn = column(mapping.credit);
+  const categoryColumn = column(mapping.category);
+  const merchantColumn = column(mapping.merchant);
+
+  if (dateColumn === -1 || descriptionColumn === -1) {
+    throw new Error('Map the date and description columns before importing');
+  }
+  if (amountColumn === -1 && debitColumn === -1 && creditColumn === -1) {
+    throw new Error('Map an amount column, or debit and credit columns, before importing');
+  }
+
+  const rows = [];
+  const errors = [];
+
+  dataRows.forEach((cells, index) => {
+    const date = parseDate(cells[dateColumn], mapping.dateFormat);
+
+    let amount;
+    if (amountColumn !== -1) {
+      amount = parseAmount(cells[amountColumn]);
+      if (amount !== null && mapping.amountSign !== 'positive_is_spending') {
+        amount = -amount;
+      }
+    } else {
+      const debitAmount = Math.abs(parseAmount(cells[debitColumn]) || 0);
+      const creditAmount = Math.abs(parseAmount(cells[creditColumn]) || 0);
+      amount = debitAmount || creditAmount ? debitAmount - creditAmount : null;
+    }
+
+    if (!date || amount === null) {
+      errors.push({ row: index + 2, reason: !date ? 'Unreadable date' : 'Unreadable amount' });
+      return;
+    }
+
+    rows.push({
+      date,
+      amount,
+      description: cells[descriptionColumn] || 'Imported transaction',
+      merchant: merchantColumn !== -1 ? cells[merchantColumn] || null : null,
+      category: categoryColumn !== -1 ? cells[categoryColumn] || null : null
+    });
+  });
+
+  return { rows, errors };
+}
+
+// ===== OFX / QFX =====
+
+// Leaf value of an OFX element - works for SGML (OFX 1.x, unclosed tags) and XML (OFX 2.x)
+function ofxValue(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  if (!match) return null;
+
+  return match[1].trim()
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse an OFX or QFX statement
+ */
+function parseOfx(text) {
+  const rows = [];
+  const errors = [];
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  blocks.forEach((block, index) => {
+    const date = parseDate(ofxValue(block, 'DTPOSTED'));
+    const amount = parseAmount(ofxValue(block, 'TRNAMT'));
+
+    if (!date || amount === null) {
+      errors.push({ row: index + 1, reason: !date ? 'Unreadable date' : 'Unreadable amount' });
+      return;
+    }
+
+    const name = ofxValue(block, 'NAME') || ofxValue(block, 'PAYEE');
+    const memo = ofxValue(block, 'MEMO');
+
+    rows.push({
+      externalId: ofxValue(block, 'FITID'),
+      date,
+      // OFX amounts are negative for debits; flip to Plaid's positive-is-spending
+      amount: -amount,
+      description: name || memo || 'Imported transaction',
+      originalDescription: [name, memo].filter(Boolean).join(' - ') || null,
+      merchant: name,
+      category: null
+    });
+  });
+
+  return {
+    rows,
+    errors,
+    currency: ofxValue(text, 'CURDEF'),
+    statementAccount: ofxValue(text, 'ACCTID')
+  };
+}
+
+// ===== QIF =====
+
+/**
+ * Parse a QIF file (records end with "^", one field per line keyed by its first letter)
+ */
+function parseQif(text, dateFormat = 'auto') {
+  const rows = [];
+  const errors = [];
+  let record = {};
+  let recordNumber = 0;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('!')) continue;
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    if (code !== '^') {
+      // Split lines (S/E/$) repeat per split; the record-level fields are what we import
+      if (!(code in record)) record[code] = value;
+      continue;
+    }
+
+    recordNumber++;
+    const date = parseDate(record.D, dateFormat);
+    const amount = parseAmount(record.T || record.U);
+
+    if (!date || amount === null) {
+      errors.push({ row: recordNumber, reason: !date ? 'Unreadable date' : 'Unreadable amount' });
+    } else {
+      rows.push({
+        date,
+        // QIF amounts are negative for money out
+        amount: -amount,
+        description: record.P || record.M || 'Imported transaction',
+        originalDescription: [record.P, record.M].filter(Boolean).join(' - ') || null,
+        merchant: record.P || null,
+        category: record.L && !record.L.startsWith('[') ? record.L.split(':')[0] : null,
+        checkNumber: record.N || null
+      });
+    }
+    record = {};
+  }
+
+  return { rows, errors };
+}
+
+// ===== IMPORT =====
+
+/**
+ * Parse a file into normalized rows with whichever parser matches its format
+ */
+function parseStatement({ fileName, content, format, mapping }) {
+  const resolvedFormat = format || detectFormat(fileName, content);
+
+  if (!SUPPORTED_FORMATS.includes(resolvedFormat)) {
+    throw new Error(`Unsupported statement format: ${resolvedFormat}`);
+  }
+
+  let parsed;
+  if (resolvedFormat === 'ofx') {
+    parsed = parseOfx(content);
+  } else if (resolvedFormat === 'qif') {
+    parsed = parseQif(content, mapping?.dateFormat);
+  } else {
+    parsed = parseCsv(content, mapping || suggestCsvMapping(parseCsvRows(content)[0] || []));
+  }
+
+  return { format: resolvedFormat, ...parsed };
+}
+
+/**
+ * Preview a file before importing: detected format, CSV headers and suggested
+ * column mapping, and the first rows as they would be imported
+ */
+function previewStatement({ fileName, content, format, mapping }) {
+  const resolvedFormat = format || detectFormat(fileName, content);
+  const preview = { format: resolvedFormat };
+
+  if (resolvedFormat === 'csv') {
+    const [headers = [], ...dataRows] = parseCsvRows(content);
+    preview.headers = headers;
+    preview.sampleRows = dataRows.slice(0, PREVIEW_ROWS);
+    preview.mapping = mapping || suggestCsvMapping(headers);
+  }
+
+  try {
+    const parsed = parseStatement({ fileName, content, format: resolvedFormat, mapping: preview.mapping || mapping });
+    preview.rowCount = parsed.rows.length;
+    preview.rows = parsed.rows.slice(0, PREVIEW_ROWS);
+    preview.errors = parsed.errors;
+    preview.statementAccount = parsed.statementAccount || null;
+  } catch (error) {
+    // An incomplete CSV mapping is expected at this stage - report it instead of failing
+    preview.rowCount = 0;
+    preview.rows = [];
+    preview.errors = [{ reason: error.message }];
+  }
+
+  return preview;
+}
+
+/**
+ * Import a statement file into an account as one batch.
+ * Rows already in the database (same stable ID, or a FITID that is a stored
+ * transaction ID as in this app's OFX exports) are skipped.
+ */
+async function importStatement({ userId = 'default_user', accountId, fileName, content, format, mapping }) {
+  const account = await dbGet(`SELECT * FROM accounts WHERE account_id = ? AND user_id = ?`, [accountId, userId]);
+  if (!account) {
+    throw new Error('Choose an account to import into');
+  }
+
+  const parsed = parseStatement({ fileName, content, format, mapping });
+  const rows = assignTransactionIds(parsed.rows, accountId);
+  const batchId = `batch_${crypto.randomBytes(8).toString('hex')}`;
+
+  let imported = 0;
+  let skipped = 0;
+
+  for (const row of rows) {
+    const existing = await dbGet(`SELECT 1 FROM transactions WHERE transaction_id = ?`, [row.transactionId]);
+    // Our own OFX exports use the transaction ID as FITID, so a re-imported export maps onto the original rows
+    const exported = !existing && row.externalId && await dbGet(`
+      SELECT 1 FROM transactions t JOIN accounts a ON a.account_id = t.account_id
+      WHERE t.transaction_id = ? AND a.user_id = ?
+    `, [row.externalId, userId]);
+    if (existing || exported) {
+      skipped++;
+      continue;
+    }
+
+    await saveTransaction({
+      transaction_id: row.transactionId,
+      account_id: accountId,
+      amount: parseFloat(row.amount.toFixed(2)),
+      iso_currency_code: parsed.currency || account.iso_currency_code || 'USD',
+      category: row.category ? [row.category] : null,
+      date: row.date,
+      name: row.description,
+      merchant_name: row.merchant || null,
+      pending: false,
+      payment_channel: 'other',
+      transaction_code: row.checkNumber ? 'check' : null,
+      original_description: row.originalDescription || row.description,
+      source: parsed.format,
+      import_batch_id: batchId
+    });
+    imported++;
+  }
+
+  await dbRun(`
+    INSERT INTO import_batches (batch_id, user_id, account_id, file_name, format, row_count, imported_count, skipped_count)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [batchId, userId, accountId, fileName, parsed.format, rows.length, imported, skipped]);
+
+  // Imported rows may be the other side of a transfer from a synced account
+  const transferResult = await transfers.detectTransfers(userId);
+
+  return {
+    batchId,
+    format: parsed.format,
+    rowCount: rows.length,
+    imported,
+    skipped,
+    transfersMatched: transferResult.matched,
+    errors: parsed.errors
+  };
+}
+
+/**
+ * List a user's import batches, newest first
+ */
+async function listImportBatches(userId = 'default_user') {
+  return dbAll(`
+    SELECT b.*, a.name AS account_name
+    FROM import_batches b
+    LEFT JOIN accounts a ON a.account_id = b.account_id
+    WHERE b.user_id = ?
+    ORDER BY b.created_at DESC
+  `, [userId]);
+}
+
+/**
+ * Remove every transaction a batch imported
+ */
+async function rollbackImportBatch(batchId, userId = 'default_user') {
+  const batch = await dbGet(`
+    SELECT * FROM import_batches WHERE batch_id = ? AND user_id = ?
+  `, [batchId, userId]);
+
+  if (!batch) {
+    throw new Error('Import batch not found');
+  }
+  if (batch.status === 'rolled_back') {
+    return { batchId, removed: 0, alreadyRolledBack: true };
+  }
+
+  const result = await dbRun(`DELETE FROM transactions WHERE import_batch_id = ?`, [batchId]);
+
+  await dbRun(`
+    UPDATE import_batches SET status = 'rolled_back', rolled_back_at = CURRENT_TIMESTAMP
+    WHERE batch_id = ?
+  `, [batchId]);
+
+  // Frees the other side of any transfer the removed rows were part of
+  await transfers.detectTransfers(userId);
+
+  return { batchId, removed: result.changes };
+}
+
+// ===== MANUAL ACCOUNTS =====
+
+/**
+ * Create an account to import statements into (no Plaid item behind it)
+ */
+async function createImportAccount({ userId = 'default_user', name, institutionName = null, type = 'depository', subtype = null, mask = null }) {
+  if (!name) {
+    throw new Error('Account name is required');
+  }
+
+  const accountId = `manual_${crypto.randomBytes(8).toString('hex')}`;
+
+  await dbRun(`
+    INSERT INTO accounts (account_id, item_id, user_id, name, mask, type, subtype, source, institution_name)
+    VALUES (?, 'manual', ?, ?, ?, ?, ?, 'import', ?)
+  `, [accountId, userId, name, mask, type, subtype, institutionName]);
+
+  return { accountId, name, institutionName, type, subtype, mask };
+}
+
+/**
+ * List accounts created for statement imports
+ */
+async function listImportAccounts(userId = 'default_user') {
+  const accounts = await dbAll(`
+    SELECT account_id, name, institution_name, mask, type, subtype
+    FROM accounts
+    WHERE user_id = ? AND source = 'import'
+    ORDER BY created_at ASC
+  `, [userId]);
+
+  return accounts.map(account => ({
+    accountId: account.account_id,
+    name: account.name,
+    institutionName: account.institution_name,
+    mask: account.mask,
+    type: account.type,
+    subtype: account.subtype
+  }));
+}
+
+module.exports = {
+  detectFormat,
+  parseAmount,
+  parseDate,
+  parseStatement,
+  assignTransactionIds,
+  previewStatement,
+  importStatement,
+  listImportBatches,
+  rollbackImportBatch,
+  createImportAccount,
+  listImportAccounts
+};
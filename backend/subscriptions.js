@@ -0,0 +1,303 @@
+const { dbRun, dbGet, dbAll } = require('./database');
+const { buildAccountFilter } = require('./transactionFilters');
+const { nextOccurrence } = require('./cashFlowForecast');
+const { round, addDays } = require('./analyticsHelpers');
+
+/**
+ * Subscriptions
+ *
+ * Presents recurring outflows (recurring_streams of type outflow) as
+ * subscriptions with their monthly and annualized cost, last charge and next
+ * expected charge. The user marks each one keep, cancel (meaning to) or
+ * cancelled; unmarked ones are "unreviewed".
+ *
+ * Charges are the stream's own transactions (Plaid's transaction_ids), plus
+ * other charges from the same merchant on the same account for the checks
+ * Plaid wouldn't group with the stream. Three things raise an alert:
+ * - price_increase: a charge higher than the steady price before it (last 90 days)
+ * - trial_converted: a new subscription that started after a small or $0 trial charge
+ * - charged_after_cancel: a charge from the merchant after the user marked it cancelled
+ */
+
+const STATUSES = ['keep', 'cancel', 'cancelled'];
+const FREQUENCY_PER_YEAR = { WEEKLY: 52, BIWEEKLY: 26, SEMI_MONTHLY: 24, MONTHLY: 12, ANNUALLY: 1 };
+
+const ALERT_WINDOW_DAYS = 90;
+const TRIAL_WINDOW_DAYS = 45;
+const TRIAL_MAX_AMOUNT = 1;
+const TRIAL_MAX_SHARE = 0.25; // of the regular price, e.g. $3 for a $12.99 plan
+const MIN_PRICE_INCREASE_PERCENT = 1;
+
+// ===== CHARGES =====
+
+async function loadStreamCharges(transactionIds) {
+  if (transactionIds.length === 0) return [];
+  return dbAll(`
+    SELECT t.transaction_id, t.date, t.amount, t.merchant_id, m.name AS merchant, m.logo_url
+    FROM transactions t
+    LEFT JOIN merchants m ON m.id = t.merchant_id
+    WHERE t.transaction_id IN (${transactionIds.map(() => '?').join(', ')})
+    ORDER BY t.date ASC
+  `, transactionIds);
+}
+
+// Every charge (including $0 ones) from the stream's merchant on its account
+async function loadMerchantCharges(stream, merchantIds) {
+  if (!stream.merchant_name && merchantIds.length === 0) return [];
+
+  const conditions = ['t.merchant_name = ? COLLATE NOCASE'];
+  const params = [stream.merchant_name];
+  if (merchantIds.length > 0) {
+    conditions.push(`t.merchant_id IN (${merchantIds.map(() => '?').join(', ')})`);
+    params.push(...merchantIds);
+  }
+
+  return dbAll(`
+    SELECT t.transaction_id, t.date, t.amount
+    FROM transactions t
+    WHERE t.amount >= 0
+      AND (? IS NULL OR t.account_id = ?)
+      AND (${conditions.join(' OR ')})
+    ORDER BY t.date ASC
+  `, [stream.account_id, stream.account_id, ...params]);
+}
+
+// ===== CHECKS =====
+
+/**
+ * Increases over a steady price: the two charges before must match, so
+ * bills that vary every month (utilities) don't count
+ */
+function findPriceIncreases(charges) {
+  const increases = [];
+  for (let i = 2; i < charges.length; i++) {
+    const previous = charges[i - 1].amount;
+    const current = charges[i].amount;
+    const steady = Math.abs(charges[i - 2].amount - previous) < 0.01;
+    const percent = previous > 0 ? ((current - previous) / previous) * 100 : 0;
+
+    if (steady && current - previous >= 0.01 && percent >= MIN_PRICE_INCREASE_PERCENT) {
+      increases.push({
+        date: charges[i].date,
+        from: round(previous),
+        to: round(current),
+        increase: round(current - previous),
+        percent: round(percent)
+      });
+    }
+  }
+  return increases;
+}
+
+/**
+ * The small or $0 charge shortly before the first full-price one, when the
+ * subscription is new (its first full charge is recent)
+ */
+function findTrial(charges, merchantCharges, regularPrice, today) {
+  const trialLimit = Math.max(TRIAL_MAX_AMOUNT, regularPrice * TRIAL_MAX_SHARE);
+  const firstFull = charges.find(charge => charge.amount > trialLimit);
+  if (!firstFull || firstFull.date < addDays(today, -ALERT_WINDOW_DAYS)) return null;
+
+  const windowStart = addDays(firstFull.date, -TRIAL_WINDOW_DAYS);
+  const trial = [...charges, ...merchantCharges]
+    .filter(charge => charge.amount <= trialLimit && charge.date >= windowStart && charge.date <= firstFull.date)
+    .sort((a, b) => a.date.localeCompare(b.date))[0];
+
+  return trial ? { date: trial.date, amount: round(trial.amount), convertedOn: firstFull.date, price: round(firstFull.amount) } : null;
+}
+
+function nextExpectedCharge(stream, predictedNextDate, today) {
+  let date = predictedNextDate || nextOccurrence(stream.last_date, stream.frequency);
+  while (date && date < today) {
+    date = nextOccurrence(date, stream.frequency, stream.last_date);
+  }
+  return date || null;
+}
+
+// ===== SUBSCRIPTIONS =====
+
+async function buildSubscription(stream, today) {
+  const raw = stream.raw_data ? JSON.parse(stream.raw_data) : {};
+  const charges = await loadStreamCharges(raw.transaction_ids || []);
+  const merchantIds = [...new Set(charges.map(charge => charge.merchant_id).filter(Boolean))];
+  const merchantCharges = await loadMerchantCharges(stream, merchantIds);
+
+  const regularPrice = Math.abs(stream.average_amount ?? stream.last_amount ?? 0);
+  const perYear = FREQUENCY_PER_YEAR[stream.frequency];
+  const latest = charges[charges.length - 1];
+  const status = stream.user_status || 'unreviewed';
+
+  let chargedAfterCancel = [];
+  if (status === 'cancelled' && stream.cancelled_on) {
+    const seen = new Set();
+    chargedAfterCancel = [...charges, ...merchantCharges]
+      .filter(charge => charge.date > stream.cancelled_on && charge.amount > 0)
+      .filter(charge => !seen.has(charge.transaction_id) && seen.add(charge.transaction_id))
+      .map(charge => ({ transactionId: charge.transaction_id, date: charge.date, amount: round(charge.amount) }));
+  }
+
+  return {
+    streamId: stream.stream_id,
+    name: (latest && latest.merchant) || stream.merchant_name || stream.description,
+    description: stream.description,
+    logoUrl: (latest && latest.logo_url) || null,
+    accountId: stream.account_id,
+    frequency: stream.frequency,
+    active: stream.is_active === 1,
+    status,
+    cancelledOn: stream.cancelled_on || null,
+    price: round(regularPrice),
+    monthlyCost: perYear ? round((regularPrice * perYear) / 12) : null,
+    annualCost: perYear ? round(regularPrice * perYear) : null,
+    lastCharge: latest
+      ? { date: latest.date, amount: round(latest.amount) }
+      : { date: stream.last_date, amount: round(Math.abs(stream.last_amount ?? regularPrice)) },
+    nextCharge: status === 'cancelled' || stream.is_active !== 1
+      ? null
+      : nextExpectedCharge(stream, raw.predicted_next_date, today),
+    chargeCount: charges.length || stream.transaction_count,
+    priceIncreases: findPriceIncreases(charges),
+    trial: findTrial(charges, merchantCharges, regularPrice, today),
+    chargedAfterCancel
+  };
+}
+
+function buildAlerts(subscriptions, today) {
+  const alerts = [];
+  const since = addDays(today, -ALERT_WINDOW_DAYS);
+
+  for (const subscription of subscriptions) {
+    const { streamId, name } = subscription;
+    const increase = subscription.priceIncreases[subscription.priceIncreases.length - 1];
+
+    if (increase && increase.date >= since && subscription.status !== 'cancelled') {
+      alerts.push({
+        type: 'price_increase',
+        streamId,
+        name,
+        date: increase.date,
+        amount: increase.to,
+        message: `${name} went up from $${increase.from.toFixed(2)} to $${increase.to.toFixed(2)} (+${increase.percent}%)`
+      });
+    }
+
+    if (subscription.trial && subscription.status === 'unreviewed') {
+      const { trial } = subscription;
+      alerts.push({
+        type: 'trial_converted',
+        streamId,
+        name,
+        date: trial.convertedOn,
+        amount: trial.price,
+        message: `${name} started charging $${trial.price.toFixed(2)} on ${trial.convertedOn} after a $${trial.amount.toFixed(2)} trial`
+      });
+    }
+
+    for (const charge of subscription.chargedAfterCancel) {
+      alerts.push({
+        type: 'charged_after_cancel',
+        streamId,
+        name,
+        date: charge.date,
+        amount: charge.amount,
+        message: `${name} charged $${charge.amount.toFixed(2)} on ${charge.date}, after you cancelled it on ${subscription.cancelledOn}`
+      });
+    }
+  }
+
+  return alerts.sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Recurring outflows as subscriptions, with totals and alerts.
+ * Shows active streams plus any the user has marked (so charges after
+ * cancelling still surface). status narrows to keep, cancel, cancelled or unreviewed.
+ * The account filters narrow to some accounts; tags label single charges, not streams, so they're ignored.
+ */
+async function getSubscriptions({ status = null, userId = 'default_user', ...filters } = {}) {
+  if (status && status !== 'unreviewed' && !STATUSES.includes(status)) {
+    throw new Error(`Status must be one of: unreviewed, ${STATUSES.join(', ')}`);
+  }
+
+  const accountFilter = buildAccountFilter(filters, 's.account_id');
+  const streams = await dbAll(`
+    SELECT s.*, ss.status AS user_status, ss.cancelled_on
+    FROM recurring_streams s
+    LEFT JOIN subscription_statuses ss ON ss.stream_id = s.stream_id AND ss.user_id = ?
+    WHERE s.type = 'outflow'
+      AND (s.is_active = 1 OR ss.status IS NOT NULL)${accountFilter.clause}
+  `, [userId, ...accountFilter.params]);
+
+  const today = new Date().toISOString().slice(0, 10);
+  let subscriptions = [];
+  for (const stream of streams) {
+    subscriptions.push(await buildSubscription(stream, today));
+  }
+  subscriptions.sort((a, b) => (b.monthlyCost || 0) - (a.monthlyCost || 0));
+
+  const alerts = buildAlerts(subscriptions, today);
+  if (status) {
+    subscriptions = subscriptions.filter(subscription => subscription.status === status);
+  }
+
+  const current = subscriptions.filter(subscription => subscription.status !== 'cancelled');
+  const monthly = current.reduce((sum, subscription) => sum + (subscription.monthlyCost || 0), 0);
+  const toCancel = current
+    .filter(subscription => subscription.status === 'cancel')
+    .reduce((sum, subscription) => sum + (subscription.monthlyCost || 0), 0);
+
+  return {
+    subscriptions,
+    totals: {
+      count: current.length,
+      monthly: round(monthly),
+      annual: round(monthly * 12),
+      toCancelMonthly: round(toCancel)
+    },
+    alerts: status ? alerts.filter(alert => subscriptions.some(item => item.streamId === alert.streamId)) : alerts
+  };
+}
+
+/**
+ * Mark a subscription keep, cancel or cancelled (null clears it back to unreviewed).
+ * cancelledOn (YYYY-MM-DD, default today) is when it was cancelled; later charges raise an alert.
+ */
+async function setSubscriptionStatus(streamId, status, { cancelledOn = null } = {}, userId = 'default_user') {
+  const stream = await dbGet(`SELECT stream_id FROM recurring_streams WHERE stream_id = ? AND type = 'outflow'`, [streamId]);
+  if (!stream) {
+    throw new Error('Subscription not found');
+  }
+
+  if (!status) {
+    await dbRun(`DELETE FROM subscription_statuses WHERE stream_id = ? AND user_id = ?`, [streamId, userId]);
+    return { streamId, status: 'unreviewed', cancelledOn: null };
+  }
+  if (!STATUSES.includes(status)) {
+    throw new Error(`Status must be one of: ${STATUSES.join(', ')}`);
+  }
+  if (cancelledOn && !/^\d{4}-\d{2}-\d{2}$/.test(cancelledOn)) {
+    throw new Error('cancelledOn must be in YYYY-MM-DD format');
+  }
+
+  // Re-marking a cancelled subscription keeps its original cancellation date
+  const existing = await dbGet(`SELECT cancelled_on FROM subscription_statuses WHERE stream_id = ? AND user_id = ?`, [streamId, userId]);
+  const cancelled = status === 'cancelled'
+    ? cancelledOn || (existing && existing.cancelled_on) || new Date().toISOString().slice(0, 10)
+    : null;
+
+  await dbRun(`
+    INSERT INTO subscription_statuses (stream_id, user_id, status, cancelled_on)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(stream_id) DO UPDATE SET
+      status = excluded.status,
+      cancelled_on = excluded.cancelled_on,
+      updated_at = CURRENT_TIMESTAMP
+  `, [streamId, userId, status, cancelled]);
+
+  return { streamId, status, cancelledOn: cancelled };
+}
+
+module.exports = {
+  getSubscriptions,
+  setSubscriptionStatus
+};
@@ -0,0 +1,348 @@
+const { dbRun, dbGet, dbAll } = require('./database');
+const { buildScopeFilter } = require('./transactionFilters');
+const { round } = require('./analyticsHelpers');
+
+/**
+ * Tax Report
+ *
+ * Users flag what is tax-relevant - a whole category, a merchant or a single
+ * transaction - with a tax type (business expense, charitable, medical...).
+ * The most specific flag wins: a transaction's own flag over its merchant's
+ * over its category's, and a transaction flagged "none" is left out even if
+ * its category is flagged. Category flags apply per split, so half of a
+ * receipt can be a business expense.
+ *
+ * The report for a tax year adds up posted transactions by tax type (refunds
+ * at a flagged merchant reduce the total; transfers never count) plus the
+ * charity donations sent from the Locus wallet (locus_payments recorded by
+ * sendCharityDonation). It exports as CSV and as a printable HTML summary
+ * that the browser can save as PDF.
+ *
+ * The account and tag filters narrow the report to some accounts or a tag
+ * (e.g. "business"); Locus donations aren't on a Plaid account and carry no
+ * tags, so a filtered report leaves them out.
+ */
+
+const TAX_TYPES = {
+  business: 'Business expense',
+  charitable: 'Charitable donation',
+  medical: 'Medical',
+  education: 'Education',
+  childcare: 'Childcare',
+  other: 'Other deductible'
+};
+const SCOPES = ['category', 'merchant', 'transaction'];
+const NOT_TAX_RELEVANT = 'none';
+
+const CSV_COLUMNS = ['date', 'tax_type', 'description', 'merchant', 'category', 'account', 'amount', 'source', 'flagged_by', 'reference', 'note'];
+
+// ===== FLAGS =====
+
+function formatFlag(row) {
+  return {
+    id: row.id,
+    scope: row.scope,
+    value: row.value,
+    taxType: row.tax_type,
+    label: TAX_TYPES[row.tax_type] || 'Not tax-relevant',
+    note: row.note,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function listTaxFlags(userId = 'default_user') {
+  const rows = await dbAll(`
+    SELECT * FROM tax_flags WHERE user_id = ? ORDER BY scope ASC, value COLLATE NOCASE ASC
+  `, [userId]);
+  return rows.map(formatFlag);
+}
+
+/**
+ * Flag a category, merchant or transaction with a tax type, replacing its
+ * current flag. A null taxType removes the flag; "none" (transactions only)
+ * keeps one transaction out of a flagged category or merchant.
+ */
+async function setTaxFlag({ scope, value, taxType, note = null }, userId = 'default_user') {
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`Scope must be one of: ${SCOPES.join(', ')}`);
+  }
+  const target = String(value || '').trim();
+  if (!target) {
+    throw new Error(`A ${scope} is required`);
+  }
+
+  if (taxType === null || taxType === undefined || taxType === '') {
+    await dbRun(`DELETE FROM tax_flags WHERE user_id = ? AND scope = ? AND value = ? COLLATE NOCASE`, [userId, scope, target]);
+    return { scope, value: target, taxType: null };
+  }
+
+  if (!TAX_TYPES[taxType] && !(taxType === NOT_TAX_RELEVANT && scope === 'transaction')) {
+    throw new Error(`Tax type must be one of: ${Object.keys(TAX_TYPES).join(', ')}${scope === 'transaction' ? `, ${NOT_TAX_RELEVANT}` : ''}`);
+  }
+  if (scope === 'transaction') {
+    const transaction = await dbGet(`
+      SELECT 1 FROM transactions t JOIN accounts a ON a.account_id = t.account_id
+      WHERE t.transaction_id = ? AND a.user_id = ?
+    `, [target, userId]);
+    if (!transaction) {
+      throw new Error('Transaction not found');
+    }
+  }
+
+  // Categories and merchants match ignoring case, so "groceries" updates a "Groceries" flag
+  const existing = await dbGet(`
+    SELECT id FROM tax_flags WHERE user_id = ? AND scope = ? AND value = ? COLLATE NOCASE
+  `, [userId, scope, target]);
+  let flagId;
+  if (existing) {
+    await dbRun(`
+      UPDATE tax_flags SET tax_type = ?, note = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [taxType, note, existing.id]);
+    flagId = existing.id;
+  } else {
+    const result = await dbRun(`
+      INSERT INTO tax_flags (user_id, scope, value, tax_type, note) VALUES (?, ?, ?, ?, ?)
+    `, [userId, scope, target, taxType, note]);
+    flagId = result.lastID;
+  }
+
+  return formatFlag(await dbGet(`SELECT * FROM tax_flags WHERE id = ?`, [flagId]));
+}
+
+async function deleteTaxFlag(flagId, userId = 'default_user') {
+  const result = await dbRun(`DELETE FROM tax_flags WHERE id = ? AND user_id = ?`, [flagId, userId]);
+  if (result.changes === 0) {
+    throw new Error('Tax flag not found');
+  }
+  return { id: Number(flagId), deleted: true };
+}
+
+// ===== REPORT =====
+
+function parseYear(year) {
+  const value = String(year || new Date().getFullYear() - 1);
+  if (!/^\d{4}$/.test(value)) {
+    throw new Error('Year must be in YYYY format');
+  }
+  return value;
+}
+
+// Lookup of flags by scope, keyed by lowercased category and merchant name, or transaction_id
+async function loadFlagLookup(userId) {
+  const flags = await listTaxFlags(userId);
+  const lookup = { category: new Map(), merchant: new Map(), transaction: new Map() };
+  for (const flag of flags) {
+    lookup[flag.scope].set(flag.scope === 'transaction' ? flag.value : flag.value.toLowerCase(), flag);
+  }
+  return lookup;
+}
+
+function classify(line, lookup) {
+  const own = lookup.transaction.get(line.transaction_id);
+  if (own) return { flag: own, flaggedBy: 'transaction' };
+
+  const merchant = line.merchant && lookup.merchant.get(line.merchant.toLowerCase());
+  if (merchant) return { flag: merchant, flaggedBy: 'merchant' };
+
+  const category = line.category && lookup.category.get(line.category.toLowerCase());
+  if (category) return { flag: category, flaggedBy: 'category' };
+
+  return null;
+}
+
+async function loadDonations(year) {
+  // Donations are payments to a listed charity's wallet; sendCharityDonation also marks its IDs
+  return dbAll(`
+    SELECT p.locus_payment_id, p.amount, p.currency, p.description, date(p.created_at) AS date, c.name AS charity_name
+    FROM locus_payments p
+    LEFT JOIN charity_recipients c ON c.wallet_address = p.to_address
+    WHERE p.status = 'completed'
+      AND (c.id IS NOT NULL OR p.locus_payment_id LIKE 'charity_%')
+      AND strftime('%Y', p.created_at) = ?
+    ORDER BY p.created_at ASC
+  `, [year]);
+}
+
+/**
+ * Tax-relevant spending in a calendar year (default: last year), itemized and
+ * totalled by tax type. Summary counts are of transactions, not split parts.
+ */
+async function getTaxReport({ year = null, userId = 'default_user', ...filters } = {}) {
+  const taxYear = parseYear(year);
+  const lookup = await loadFlagLookup(userId);
+  // Transfers never count, whatever includeTransfers says
+  const scopeFilter = buildScopeFilter({ ...filters, includeTransfers: false }, 'l');
+
+  const lines = await dbAll(`
+    SELECT l.transaction_id, l.split_id, l.date, l.name, l.merchant, l.category, l.amount, l.split_note,
+      a.name AS account_name
+    FROM transaction_lines l
+    JOIN accounts a ON a.account_id = l.account_id
+    WHERE a.user_id = ?
+      AND l.pending = 0
+      AND l.date BETWEEN ? AND ?${scopeFilter.clause}
+    ORDER BY l.date ASC, l.transaction_id ASC
+  `, [userId, `${taxYear}-01-01`, `${taxYear}-12-31`, ...scopeFilter.params]);
+
+  const items = [];
+  for (const line of lines) {
+    const match = classify(line, lookup);
+    if (!match || match.flag.taxType === NOT_TAX_RELEVANT) continue;
+
+    items.push({
+      date: line.date,
+      taxType: match.flag.taxType,
+      label: TAX_TYPES[match.flag.taxType],
+      description: line.split_note ? `${line.name} (${line.split_note})` : line.name,
+      merchant: line.merchant,
+      category: line.category,
+      account: line.account_name,
+      amount: round(line.amount),
+      source: 'transaction',
+      flaggedBy: match.flaggedBy,
+      reference: line.transaction_id,
+      note: match.flag.note
+    });
+  }
+
+  // Every account and tag filter has a parameter, so none means the report covers everything
+  const donations = scopeFilter.params.length === 0 ? await loadDonations(taxYear) : [];
+  for (const donation of donations) {
+    items.push({
+      date: donation.date,
+      taxType: 'charitable',
+      label: TAX_TYPES.charitable,
+      description: donation.description,
+      merchant: donation.charity_name,
+      category: null,
+      account: `Locus wallet (${donation.currency || 'USDC'})`,
+      amount: round(donation.amount),
+      source: 'locus',
+      flaggedBy: 'donation',
+      reference: donation.locus_payment_id,
+      note: null
+    });
+  }
+  items.sort((a, b) => a.date.localeCompare(b.date));
+
+  const summary = Object.entries(TAX_TYPES)
+    .map(([taxType, label]) => {
+      const ofType = items.filter(item => item.taxType === taxType);
+      const count = new Set(ofType.map(item => `${item.source}:${item.reference}`)).size;
+      return { taxType, label, total: round(ofType.reduce((sum, item) => sum + item.amount, 0)), count };
+    })
+    .filter(entry => entry.count > 0);
+
+  return {
+    year: taxYear,
+    generatedAt: new Date().toISOString(),
+    summary,
+    total: round(summary.reduce((sum, entry) => sum + entry.total, 0)),
+    items
+  };
+}
+
+// ===== EXPORT =====
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(report) {
+  const rows = report.items.map(item => ({
+    date: item.date,
+    tax_type: item.label,
+    description: item.description,
+    merchant: item.merchant,
+    category: item.category,
+    account: item.account,
+    amount: item.amount.toFixed(2),
+    source: item.source,
+    flagged_by: item.flaggedBy,
+    reference: item.reference,
+    note: item.note
+  }));
+  return [CSV_COLUMNS.join(','), ...rows.map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(','))].join('\r\n') + '\r\n';
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const money = amount => `$${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// A standalone page laid out for printing; the browser's "Save as PDF" makes the PDF
+function toHtml(report) {
+  const summaryRows = report.summary.map(entry => `
+        <tr><td>${escapeHtml(entry.label)}</td><td class="number">${entry.count}</td><td class="number">${money(entry.total)}</td></tr>`).join('');
+
+  const sections = report.summary.map(entry => {
+    const rows = report.items.filter(item => item.taxType === entry.taxType).map(item => `
+          <tr>
+            <td>${escapeHtml(item.date)}</td>
+            <td>${escapeHtml(item.description)}${item.note ? `<div class="note">${escapeHtml(item.note)}</div>` : ''}</td>
+            <td>${escapeHtml(item.merchant)}</td>
+            <td>${escapeHtml(item.account)}</td>
+            <td class="number">${money(item.amount)}</td>
+          </tr>`).join('');
+    return `
+    <h2>${escapeHtml(entry.label)}</h2>
+    <table>
+      <thead><tr><th>Date</th><th>Description</th><th>Merchant / recipient</th><th>Account</th><th class="number">Amount</th></tr></thead>
+      <tbody>${rows}
+      </tbody>
+      <tfoot><tr><td colspan="4">Total</td><td class="number">${money(entry.total)}</td></tr></tfoot>
+    </table>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Tax summary ${escapeHtml(report.year)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; max-width: 900px; margin: 2rem auto; padding: 0 1rem; }
+    h1 { margin-bottom: 0.25rem; }
+    h2 { margin-top: 2rem; border-bottom: 2px solid #667eea; padding-bottom: 0.25rem; }
+    .generated { color: #6b7280; margin-top: 0; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 0.4rem 0.5rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    tfoot td { font-weight: 700; border-top: 2px solid #1f2937; }
+    .number { text-align: right; white-space: nowrap; }
+    .note { color: #6b7280; font-size: 0.8rem; }
+    .print-button { margin: 1rem 0; padding: 0.5rem 1rem; background: #667eea; color: white; border: none; border-radius: 8px; cursor: pointer; }
+    @media print { .print-button { display: none; } body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <h1>Tax summary ${escapeHtml(report.year)}</h1>
+  <p class="generated">Generated ${escapeHtml(report.generatedAt.slice(0, 10))} from your flagged transactions and Locus donations. Check amounts against your receipts before filing.</p>
+  <button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+  <table>
+    <thead><tr><th>Tax type</th><th class="number">Items</th><th class="number">Total</th></tr></thead>
+    <tbody>${summaryRows}
+    </tbody>
+    <tfoot><tr><td colspan="2">Total</td><td class="number">${money(report.total)}</td></tr></tfoot>
+  </table>${sections || '\n  <p>Nothing flagged as tax-relevant in this year.</p>'}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  TAX_TYPES,
+  classify,
+  listTaxFlags,
+  setTaxFlag,
+  deleteTaxFlag,
+  getTaxReport,
+  toCsv,
+  toHtml
+};
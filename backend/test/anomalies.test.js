@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Only pure scoring is tested here; an in-memory database keeps the real one untouched
+process.env.DATABASE_PATH = ':memory:';
+
+const { scoreAmount, checkAmount } = require('../anomalies');
+
+const NOTHING_EXPECTED = { amounts: new Map(), duplicateMerchants: new Set(), places: [] };
+
+// Past charges as loadSpending returns them
+function history(merchantKey, category, amounts) {
+  return amounts.map(amount => ({ merchant_key: merchantKey, category, amount }));
+}
+
+function charge(amount, overrides = {}) {
+  return { merchant_key: 'name:corner bistro', merchant: 'Corner Bistro', category: 'Food And Drink', amount, ...overrides };
+}
+
+test('scoreAmount uses the median and MAD, so one big past charge does not hide a new one', () => {
+  const usual = history('m', null, [40, 42, 45, 50, 41]);
+  const withOutlier = history('m', null, [40, 42, 45, 41, 1000]);
+
+  assert.deepEqual(scoreAmount(300, usual, 4), { median: 42, mad: 2, score: 82.87, count: 5 });
+  assert.deepEqual(scoreAmount(300, withOutlier, 4), { median: 42, mad: 2, score: 82.87, count: 5 });
+  assert.equal(scoreAmount(300, usual, 6), null);
+});
+
+test('identical past amounts get a minimum spread instead of dividing by zero', () => {
+  const same = history('m', null, [42, 42, 42, 42]);
+
+  assert.equal(scoreAmount(42, same, 4).score, 0);
+  // 5% of the median: $10 more than a fixed $42 charge is not extreme
+  assert.equal(scoreAmount(52, same, 4).score, 3.21);
+});
+
+test('checkAmount flags charges far above the merchant, falling back to the category', () => {
+  const merchantHistory = history('name:corner bistro', 'Food And Drink', [40, 42, 45, 50, 41]);
+
+  const flagged = checkAmount(charge(300), merchantHistory, NOTHING_EXPECTED);
+  assert.equal(flagged.type, 'unusual_amount');
+  assert.equal(flagged.details.basis, 'merchant');
+  assert.equal(flagged.message, '$300.00 at Corner Bistro is far above the usual $42.00 at Corner Bistro');
+
+  // Two visits aren't enough merchant history; eight dinners elsewhere in the category are
+  const categoryHistory = [
+    ...history('name:corner bistro', 'Food And Drink', [40, 44]),
+    ...history('name:other', 'Food And Drink', [30, 35, 38, 41, 36, 33])
+  ];
+  assert.equal(checkAmount(charge(300), categoryHistory, NOTHING_EXPECTED).details.basis, 'category');
+  assert.equal(checkAmount(charge(300), categoryHistory.slice(0, 7), NOTHING_EXPECTED), null);
+});
+
+test('checkAmount skips small excesses and amounts the user marked expected', () => {
+  const coffees = history('name:cafe', 'Coffee', [4, 4.5, 5, 4.2]);
+  assert.equal(checkAmount(charge(18, { merchant_key: 'name:cafe', category: 'Coffee' }), coffees, NOTHING_EXPECTED), null);
+
+  const merchantHistory = history('name:corner bistro', 'Food And Drink', [40, 42, 45, 50, 41]);
+  const expected = { ...NOTHING_EXPECTED, amounts: new Map([['name:corner bistro', [280]]]) };
+  assert.equal(checkAmount(charge(300), merchantHistory, expected), null);
+  assert.notEqual(checkAmount(charge(400), merchantHistory, expected), null);
+});
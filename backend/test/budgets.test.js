@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before database.js opens one
+const DB_FILE = path.join(os.tmpdir(), `budgets-${process.pid}.db`);
+process.env.DATABASE_PATH = DB_FILE;
+
+const { db, ready, saveTransactions } = require('../database');
+const { createBudget, getBudgetStatus, checkBudgetAlerts, listAlerts } = require('../budgets');
+const { setSplits } = require('../transactionSplits');
+
+// Shaped like the added entries of /transactions/sync
+function plaidTransaction(overrides) {
+  return {
+    account_id: 'acc_checking',
+    iso_currency_code: 'USD',
+    unofficial_currency_code: null,
+    category: null,
+    category_id: null,
+    authorized_date: null,
+    payment_channel: 'in store',
+    transaction_type: 'place',
+    transaction_code: null,
+    location: { address: null, city: null, region: null, postal_code: null, country: null, lat: null, lon: null },
+    payment_meta: { reference_number: null },
+    account_owner: null,
+    pending: false,
+    pending_transaction_id: null,
+    personal_finance_category: { primary: 'FOOD_AND_DRINK', detailed: 'FOOD_AND_DRINK_RESTAURANT' },
+    ...overrides
+  };
+}
+
+before(() => ready);
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+  fs.rmSync(DB_FILE, { force: true });
+});
+
+test('unspent money rolls over month to month and splits count toward the budget', async () => {
+  await saveTransactions([
+    plaidTransaction({ transaction_id: 'txn_jun', amount: 200, date: '2025-06-12', name: 'BISTRO' }),
+    plaidTransaction({ transaction_id: 'txn_jul', amount: 350, date: '2025-07-20', name: 'BISTRO' }),
+    plaidTransaction({ transaction_id: 'txn_aug', amount: 100, date: '2025-08-02', name: 'BISTRO' }),
+    plaidTransaction({ transaction_id: 'txn_aug_refund', amount: -20, date: '2025-08-05', name: 'BISTRO REFUND' }),
+    plaidTransaction({ transaction_id: 'txn_aug_costco', amount: 90, date: '2025-08-09', name: 'COSTCO',
+      personal_finance_category: { primary: 'GENERAL_MERCHANDISE', detailed: 'GENERAL_MERCHANDISE_SUPERSTORES' } })
+  ]);
+  await setSplits('txn_aug_costco', [
+    { category: 'Food And Drink', amount: 30 },
+    { category: 'Household', amount: 60 }
+  ]);
+
+  await createBudget({ category: 'food and drink', monthlyLimit: 300, rollover: true, startMonth: '2025-06' });
+
+  // June leaves 100 unspent; July has 400 to spend and leaves 50
+  const july = (await getBudgetStatus({ month: '2025-07', category: 'food' })).budgets[0];
+  assert.equal(july.carryover, 100);
+  assert.equal(july.available, 400);
+  assert.equal(july.remaining, 50);
+  assert.equal(july.status, 'on_track');
+
+  const august = (await getBudgetStatus({ month: '2025-08', category: 'food' })).budgets[0];
+  assert.equal(august.carryover, 50);
+  assert.equal(august.available, 350);
+  assert.equal(august.spent, 110);
+  assert.equal(august.daysElapsed, 31);
+  assert.equal(august.projected, 110);
+});
+
+test('overspending a month does not carry a debt into the next one', async () => {
+  await saveTransactions([
+    plaidTransaction({ transaction_id: 'txn_gas_jun', amount: 180, date: '2025-06-03', name: 'SHELL',
+      personal_finance_category: { primary: 'TRANSPORTATION', detailed: 'TRANSPORTATION_GAS' } })
+  ]);
+  await createBudget({ category: 'Transportation', monthlyLimit: 100, rollover: true, startMonth: '2025-06' });
+
+  const june = await getBudgetStatus({ month: '2025-06', category: 'transport' });
+  assert.equal(june.budgets[0].status, 'over');
+  assert.deepEqual(june.overBudget, ['Transportation']);
+
+  const july = (await getBudgetStatus({ month: '2025-07', category: 'transport' })).budgets[0];
+  assert.equal(july.carryover, 0);
+  assert.equal(july.available, 100);
+});
+
+test('each alert threshold fires once a month', async () => {
+  const today = new Date().toISOString().slice(0, 10);
+  await saveTransactions([
+    plaidTransaction({ transaction_id: 'txn_gym', amount: 85, date: today, name: 'GYM',
+      personal_finance_category: { primary: 'PERSONAL_CARE', detailed: 'PERSONAL_CARE_GYMS_AND_FITNESS_CENTERS' } })
+  ]);
+  await createBudget({ category: 'Personal Care', monthlyLimit: 100, alertThresholds: '50,80,100' });
+
+  const fired = await checkBudgetAlerts();
+  assert.deepEqual(fired.map(alert => [alert.category, alert.threshold]), [['Personal Care', 50], ['Personal Care', 80]]);
+  assert.deepEqual(await checkBudgetAlerts(), []);
+  assert.equal((await listAlerts()).length, 2);
+});
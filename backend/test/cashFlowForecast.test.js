@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Only pure date maths is tested here; an in-memory database keeps the real one untouched
+process.env.DATABASE_PATH = ':memory:';
+
+const { nextOccurrence } = require('../cashFlowForecast');
+
+// Chain occurrences the way the forecast does, anchored on the stream's last date
+function chain(lastDate, frequency, count) {
+  const dates = [];
+  let date = lastDate;
+  for (let i = 0; i < count; i++) {
+    date = nextOccurrence(date, frequency, lastDate);
+    dates.push(date);
+  }
+  return dates;
+}
+
+test('semi-monthly streams paid on the 15th and last day stay there through February', () => {
+  assert.deepEqual(chain('2026-01-15', 'SEMI_MONTHLY', 6), [
+    '2026-01-31', '2026-02-15', '2026-02-28', '2026-03-15', '2026-03-31', '2026-04-15'
+  ]);
+  assert.deepEqual(chain('2026-02-28', 'SEMI_MONTHLY', 3), ['2026-03-15', '2026-03-31', '2026-04-15']);
+});
+
+test('semi-monthly streams on the 1st and 16th do not drift', () => {
+  assert.deepEqual(chain('2026-01-01', 'SEMI_MONTHLY', 7), [
+    '2026-01-16', '2026-02-01', '2026-02-16', '2026-03-01', '2026-03-16', '2026-04-01', '2026-04-16'
+  ]);
+  assert.deepEqual(chain('2026-01-25', 'SEMI_MONTHLY', 4), ['2026-02-10', '2026-02-25', '2026-03-10', '2026-03-25']);
+});
+
+test('monthly streams come back to their day after a short month', () => {
+  assert.deepEqual(chain('2026-01-31', 'MONTHLY', 3), ['2026-02-28', '2026-03-31', '2026-04-30']);
+  assert.deepEqual(chain('2024-02-29', 'ANNUALLY', 2), ['2025-02-28', '2026-02-28']);
+});
+
+test('weekly streams and unknown frequencies', () => {
+  assert.deepEqual(chain('2026-12-29', 'WEEKLY', 2), ['2027-01-05', '2027-01-12']);
+  assert.equal(nextOccurrence('2026-01-01', 'UNKNOWN'), null);
+});
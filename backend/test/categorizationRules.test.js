@@ -0,0 +1,146 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before database.js opens one
+const DB_FILE = path.join(os.tmpdir(), `categorization-rules-${process.pid}.db`);
+process.env.DATABASE_PATH = DB_FILE;
+
+const { db, ready, dbGet, dbAll, saveTransactions } = require('../database');
+const { compileRule, applyRules, createRule, previewRule, applyRuleToHistory } = require('../categorizationRules');
+const { updateAnnotations } = require('../transactionAnnotations');
+
+const ACCOUNT_ID = 'acc_checking';
+
+// Shaped like the added entries of /transactions/sync
+function plaidTransaction(overrides) {
+  return {
+    account_id: ACCOUNT_ID,
+    iso_currency_code: 'USD',
+    unofficial_currency_code: null,
+    category: null,
+    category_id: null,
+    authorized_date: null,
+    payment_channel: 'online',
+    transaction_type: 'special',
+    transaction_code: null,
+    location: { address: null, city: null, region: null, postal_code: null, country: null, lat: null, lon: null },
+    payment_meta: { reference_number: null },
+    account_owner: null,
+    pending: false,
+    pending_transaction_id: null,
+    personal_finance_category: { primary: 'TRANSFER_OUT', detailed: 'TRANSFER_OUT_ACCOUNT_TRANSFER' },
+    ...overrides
+  };
+}
+
+// A stored rule row as compileRule reads it
+function ruleRow(overrides) {
+  return {
+    id: 1,
+    name: 'Rule',
+    priority: 100,
+    enabled: 1,
+    merchant_pattern: null,
+    name_pattern: null,
+    min_amount: null,
+    max_amount: null,
+    direction: null,
+    account_id: null,
+    start_date: null,
+    end_date: null,
+    set_category: null,
+    set_merchant: null,
+    add_tags: null,
+    ...overrides
+  };
+}
+
+function tagsOf(transactionId) {
+  return dbAll(`SELECT tag, source FROM transaction_tags WHERE transaction_id = ? ORDER BY tag`, [transactionId]);
+}
+
+before(() => ready);
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+  fs.rmSync(DB_FILE, { force: true });
+});
+
+test('every condition of a rule must hold', () => {
+  const rule = compileRule(ruleRow({
+    merchant_pattern: '^venmo',
+    min_amount: 1500,
+    max_amount: 2000,
+    direction: 'spending',
+    start_date: '2026-01-01',
+    set_category: 'Rent'
+  }));
+  const rent = { merchant_name: 'Venmo', name: 'VENMO PAYMENT', amount: 1800, account_id: ACCOUNT_ID, date: '2026-03-01' };
+
+  assert.deepEqual(applyRules([rule], rent).ruleIds, [1]);
+  assert.deepEqual(applyRules([rule], { ...rent, merchant_name: 'VENMO INC' }).ruleIds, [1]);
+  assert.deepEqual(applyRules([rule], { ...rent, merchant_name: 'Zelle' }).ruleIds, []);
+  assert.deepEqual(applyRules([rule], { ...rent, amount: 25 }).ruleIds, []);
+  assert.deepEqual(applyRules([rule], { ...rent, amount: -1800 }).ruleIds, []);
+  assert.deepEqual(applyRules([rule], { ...rent, date: '2025-12-01' }).ruleIds, []);
+});
+
+test('the first matching rule sets the category while tags come from every match', () => {
+  const rules = [
+    compileRule(ruleRow({ id: 1, priority: 10, name_pattern: 'venmo', set_category: 'Rent', add_tags: '["housing"]' })),
+    compileRule(ruleRow({ id: 2, priority: 20, name_pattern: 'venmo', set_category: 'Gifts', set_merchant: 'Landlord', add_tags: '["housing","venmo"]' })),
+    compileRule(ruleRow({ id: 3, priority: 30, name_pattern: 'zelle', set_category: 'Transfer' }))
+  ];
+
+  const result = applyRules(rules, { name: 'VENMO *J SMITH', merchant_name: null, amount: 1800, date: '2026-03-01' });
+
+  assert.equal(result.category, 'Rent');
+  assert.equal(result.merchantName, 'Landlord');
+  assert.deepEqual(result.ruleIds, [1, 2]);
+  assert.deepEqual(result.tags, [{ tag: 'housing', ruleId: 1 }, { tag: 'venmo', ruleId: 2 }]);
+});
+
+test('a rule previews its changes to history before applying them, then applies at ingest', async () => {
+  await saveTransactions([
+    plaidTransaction({ transaction_id: 'txn_rent_jan', amount: 1800, date: '2026-01-01', name: 'VENMO PAYMENT', merchant_name: 'Venmo' }),
+    plaidTransaction({ transaction_id: 'txn_rent_feb', amount: 1800, date: '2026-02-01', name: 'VENMO PAYMENT', merchant_name: 'Venmo' }),
+    plaidTransaction({ transaction_id: 'txn_venmo_lunch', amount: 14, date: '2026-02-03', name: 'VENMO PAYMENT', merchant_name: 'Venmo' })
+  ]);
+  await updateAnnotations('txn_rent_feb', { category: 'Housing' });
+
+  const rule = await createRule({
+    name: 'Rent to landlord',
+    merchantPattern: 'venmo',
+    minAmount: 1500,
+    direction: 'spending',
+    setCategory: 'Rent',
+    addTags: ['Housing']
+  });
+
+  const preview = await previewRule(rule.id);
+  assert.equal(preview.matched, 2);
+  assert.deepEqual(preview.transactions.map(change => [change.transactionId, change.after.category, change.categoryOverridden]), [
+    ['txn_rent_feb', 'Rent', true],
+    ['txn_rent_jan', 'Rent', false]
+  ]);
+  assert.deepEqual(preview.transactions[1].after.tags, ['housing']);
+
+  // Previewing changes nothing
+  assert.equal((await dbGet(`SELECT category FROM transactions WHERE transaction_id = 'txn_rent_jan'`)).category, 'Transfer Out');
+  assert.deepEqual(await tagsOf('txn_rent_jan'), []);
+
+  assert.deepEqual(await applyRuleToHistory(rule.id), { ruleId: rule.id, matched: 2, updated: 2 });
+  assert.equal((await dbGet(`SELECT category FROM transactions WHERE transaction_id = 'txn_rent_jan'`)).category, 'Rent');
+  assert.equal((await dbGet(`SELECT category FROM transactions WHERE transaction_id = 'txn_venmo_lunch'`)).category, 'Transfer Out');
+  assert.deepEqual(await tagsOf('txn_rent_jan'), [{ tag: 'housing', source: 'rule' }]);
+  assert.equal((await previewRule(rule.id)).changed, 0);
+
+  await saveTransactions([
+    plaidTransaction({ transaction_id: 'txn_rent_mar', amount: 1800, date: '2026-03-01', name: 'VENMO PAYMENT', merchant_name: 'Venmo' })
+  ]);
+  assert.equal((await dbGet(`SELECT category FROM transactions WHERE transaction_id = 'txn_rent_mar'`)).category, 'Rent');
+  assert.deepEqual(await tagsOf('txn_rent_mar'), [{ tag: 'housing', source: 'rule' }]);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Only pure trip detection is tested here; an in-memory database keeps the real one untouched
+process.env.DATABASE_PATH = ':memory:';
+
+const { compareWithHome, groupTripDays } = require('../locations');
+
+const DENVER = { key: 'denver|co|us', city: 'Denver', region: 'CO', country: 'US', lat: 39.739, lon: -104.99 };
+
+// Spending lines as getTrips marks them
+const away = date => ({ date, away: true, atHome: false });
+const atHome = date => ({ date, away: false, atHome: true });
+const online = date => ({ date, away: false, atHome: false });
+
+test('places more than 100 km from home are away', () => {
+  assert.deepEqual(compareWithHome(DENVER, DENVER), { distanceKm: 0, away: false });
+  assert.deepEqual(compareWithHome({ key: 'boulder|co|us', city: 'Boulder', region: 'CO', lat: 40.015, lon: -105.271 }, DENVER), { distanceKm: 39, away: false });
+  assert.deepEqual(compareWithHome({ key: 'vail|co|us', city: 'Vail', region: 'CO', lat: 39.64, lon: -106.374 }, DENVER), { distanceKm: 119, away: true });
+});
+
+test('without coordinates only another region or country is away', () => {
+  const place = (city, region, country = 'US') => ({ key: `${city}|${region}`, city, region, country, lat: null, lon: null });
+
+  assert.equal(compareWithHome(place('Aurora', 'CO'), DENVER).away, false);
+  assert.equal(compareWithHome(place('denver', 'co'), DENVER).distanceKm, 0);
+  assert.equal(compareWithHome(place('Santa Fe', 'NM'), DENVER).away, true);
+  assert.equal(compareWithHome(place('Toronto', 'ON', 'CA'), DENVER).away, true);
+  assert.equal(compareWithHome(place('Santa Fe', 'NM'), null).away, false);
+});
+
+test('away days up to two days apart make one trip', () => {
+  const runs = groupTripDays([
+    away('2026-07-03'), away('2026-07-03'), online('2026-07-04'), away('2026-07-06'),
+    away('2026-07-10')
+  ]);
+
+  assert.deepEqual(runs, [['2026-07-03', '2026-07-06'], ['2026-07-10']]);
+});
+
+test('spending at home between away days ends the trip', () => {
+  const runs = groupTripDays([away('2026-07-03'), atHome('2026-07-04'), away('2026-07-05'), away('2026-07-06')]);
+
+  assert.deepEqual(runs, [['2026-07-03'], ['2026-07-05', '2026-07-06']]);
+  assert.deepEqual(groupTripDays([atHome('2026-07-03'), online('2026-07-04')]), []);
+});
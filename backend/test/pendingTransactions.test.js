@@ -0,0 +1,227 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before database.js opens one
+const DB_FILE = path.join(os.tmpdir(), `pending-transactions-${process.pid}.db`);
+process.env.DATABASE_PATH = DB_FILE;
+
+const { db, ready, dbRun, dbGet, dbAll, saveTransactions, deleteTransactions, reconcilePendingTransactions } = require('../database');
+const { updateAnnotations, getAnnotations } = require('../transactionAnnotations');
+const { setSplits, getSplits } = require('../transactionSplits');
+
+const ACCOUNT_ID = 'acc_checking';
+
+// Shaped like the added/modified entries of /transactions/sync
+function plaidTransaction(overrides) {
+  return {
+    account_id: ACCOUNT_ID,
+    iso_currency_code: 'USD',
+    unofficial_currency_code: null,
+    category: null,
+    category_id: null,
+    authorized_date: null,
+    payment_channel: 'in store',
+    transaction_type: 'place',
+    transaction_code: null,
+    location: { address: null, city: null, region: null, postal_code: null, country: null, lat: null, lon: null },
+    payment_meta: { reference_number: null },
+    account_owner: null,
+    pending_transaction_id: null,
+    ...overrides
+  };
+}
+
+// What a sync does with one page of changes (see plaidSync.js)
+async function applySync({ added = [], modified = [], removed = [] }) {
+  await saveTransactions(added);
+  await saveTransactions(modified);
+  await deleteTransactions(removed);
+  return reconcilePendingTransactions();
+}
+
+async function countRows(table, transactionId) {
+  const row = await dbGet(`SELECT COUNT(*) AS count FROM ${table} WHERE transaction_id = ?`, [transactionId]);
+  return row.count;
+}
+
+before(() => ready);
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+  fs.rmSync(DB_FILE, { force: true });
+});
+
+test('a posted transaction replaces its pending row and keeps the user edits', async () => {
+  await applySync({
+    added: [plaidTransaction({
+      transaction_id: 'txn_costco_pending',
+      amount: 180.0,
+      date: '2026-10-10',
+      name: 'COSTCO WHSE #0123',
+      merchant_name: 'Costco',
+      pending: true,
+      personal_finance_category: { primary: 'GENERAL_MERCHANDISE', detailed: 'GENERAL_MERCHANDISE_SUPERSTORES' }
+    })]
+  });
+
+  await updateAnnotations('txn_costco_pending', { category: 'Groceries', notes: 'Monthly stock-up', tags: ['household'] });
+  await setSplits('txn_costco_pending', [
+    { category: 'Groceries', amount: 110 },
+    { category: 'Household', amount: 70 }
+  ]);
+
+  const result = await applySync({
+    added: [plaidTransaction({
+      transaction_id: 'txn_costco_posted',
+      amount: 180.0,
+      date: '2026-10-12',
+      authorized_date: '2026-10-10',
+      name: 'COSTCO WHSE #0123',
+      merchant_name: 'Costco',
+      pending: false,
+      pending_transaction_id: 'txn_costco_pending',
+      personal_finance_category: { primary: 'GENERAL_MERCHANDISE', detailed: 'GENERAL_MERCHANDISE_SUPERSTORES' }
+    })],
+    removed: ['txn_costco_pending']
+  });
+
+  assert.equal(result.replaced, 0, 'replaced as it was saved, not by the reconcile pass');
+  assert.equal(await dbGet(`SELECT 1 FROM transactions WHERE transaction_id = ?`, ['txn_costco_pending']), undefined);
+
+  const annotations = await getAnnotations('txn_costco_posted');
+  assert.equal(annotations.userCategory, 'Groceries');
+  assert.equal(annotations.notes, 'Monthly stock-up');
+  assert.deepEqual(annotations.tags, ['household']);
+
+  const { splits, balanced } = await getSplits('txn_costco_posted');
+  assert.deepEqual(splits.map(split => [split.category, split.amount]), [['Groceries', 110], ['Household', 70]]);
+  assert.equal(balanced, true);
+
+  assert.equal(await countRows('transaction_tags', 'txn_costco_pending'), 0);
+  assert.equal(await countRows('transaction_splits', 'txn_costco_pending'), 0);
+});
+
+test('a late pending update does not bring back a replaced pending row', async () => {
+  await applySync({
+    modified: [plaidTransaction({
+      transaction_id: 'txn_costco_pending',
+      amount: 180.0,
+      date: '2026-10-10',
+      name: 'COSTCO WHSE #0123',
+      merchant_name: 'Costco',
+      pending: true
+    })]
+  });
+
+  assert.equal(await dbGet(`SELECT 1 FROM transactions WHERE transaction_id = ?`, ['txn_costco_pending']), undefined);
+});
+
+test('splits stay behind when the posted amount no longer matches them', async () => {
+  await applySync({
+    added: [plaidTransaction({
+      transaction_id: 'txn_bistro_pending',
+      amount: 60.0,
+      date: '2026-10-14',
+      name: 'BISTRO 22',
+      merchant_name: 'Bistro 22',
+      pending: true
+    })]
+  });
+  await setSplits('txn_bistro_pending', [
+    { category: 'Restaurants', amount: 40 },
+    { category: 'Gifts', amount: 20 }
+  ]);
+
+  // The tip is added when the charge posts
+  await applySync({
+    added: [plaidTransaction({
+      transaction_id: 'txn_bistro_posted',
+      amount: 72.0,
+      date: '2026-10-15',
+      name: 'BISTRO 22',
+      merchant_name: 'Bistro 22',
+      pending: false,
+      pending_transaction_id: 'txn_bistro_pending'
+    })],
+    removed: ['txn_bistro_pending']
+  });
+
+  const { splits } = await getSplits('txn_bistro_posted');
+  assert.equal(splits.length, 0);
+  assert.equal(await countRows('transaction_splits', 'txn_bistro_pending'), 0);
+});
+
+test('a posted transaction with no pending row is saved as it is', async () => {
+  const result = await applySync({
+    added: [plaidTransaction({
+      transaction_id: 'txn_rent_posted',
+      amount: 1850.0,
+      date: '2026-10-01',
+      name: 'ACH DEBIT PROPERTY MGMT',
+      payment_channel: 'other',
+      transaction_type: 'special',
+      pending: false,
+      pending_transaction_id: 'txn_rent_pending_never_seen'
+    })]
+  });
+
+  assert.equal(result.replaced, 0);
+  const row = await dbGet(`
+    SELECT pending, amount, user_category, notes FROM transactions WHERE transaction_id = ?
+  `, ['txn_rent_posted']);
+  assert.deepEqual({ ...row }, { pending: 0, amount: 1850, user_category: null, notes: null });
+});
+
+test('a pending row Plaid removes is deleted along with its tags and splits', async () => {
+  await applySync({
+    added: [plaidTransaction({
+      transaction_id: 'txn_gas_hold',
+      amount: 100.0,
+      date: '2026-10-16',
+      name: 'SHELL OIL 5744',
+      merchant_name: 'Shell',
+      pending: true
+    })]
+  });
+  await updateAnnotations('txn_gas_hold', { notes: 'Pre-authorisation', tags: ['car'] });
+  await setSplits('txn_gas_hold', [
+    { category: 'Gas', amount: 80 },
+    { category: 'Snacks', amount: 20 }
+  ]);
+
+  // The hold is released without ever posting
+  await applySync({ removed: ['txn_gas_hold'] });
+
+  assert.equal(await dbGet(`SELECT 1 FROM transactions WHERE transaction_id = ?`, ['txn_gas_hold']), undefined);
+  assert.equal(await countRows('transaction_tags', 'txn_gas_hold'), 0);
+  assert.equal(await countRows('transaction_splits', 'txn_gas_hold'), 0);
+});
+
+test('a long-running pending hold is kept until Plaid removes or posts it', async () => {
+  await applySync({
+    added: [plaidTransaction({
+      transaction_id: 'txn_hotel_hold',
+      amount: 450.0,
+      date: '2026-08-01',
+      name: 'MARRIOTT HOTEL DEPOSIT',
+      merchant_name: 'Marriott',
+      pending: true
+    })]
+  });
+  await updateAnnotations('txn_hotel_hold', { notes: 'Refundable deposit', tags: ['travel'] });
+  // Plaid hasn't sent an update for it in weeks
+  await dbRun(`UPDATE transactions SET updated_at = datetime('now', '-30 days') WHERE transaction_id = ?`, ['txn_hotel_hold']);
+
+  const result = await applySync({});
+
+  assert.equal(result.replaced, 0);
+  const annotations = await getAnnotations('txn_hotel_hold');
+  assert.equal(annotations.notes, 'Refundable deposit');
+  assert.deepEqual(annotations.tags, ['travel']);
+
+  const pending = await dbAll(`SELECT transaction_id FROM transactions WHERE pending = 1 ORDER BY transaction_id`);
+  assert.deepEqual(pending.map(row => row.transaction_id), ['txn_hotel_hold']);
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Only pure date ranges are tested here; an in-memory database keeps the real one untouched
+process.env.DATABASE_PATH = ':memory:';
+
+const { resolveRanges } = require('../periodComparison');
+
+function previous(options) {
+  return resolveRanges({ compareTo: 'previous_period', ...options }).previous;
+}
+
+test('a whole month is compared with the whole month before it', () => {
+  assert.deepEqual(resolveRanges({ startDate: '2026-03', compareTo: 'previous_period' }), {
+    current: { startDate: '2026-03-01', endDate: '2026-03-31' },
+    previous: { startDate: '2026-02-01', endDate: '2026-02-28' },
+    compareTo: 'previous_period'
+  });
+  assert.deepEqual(previous({ startDate: '2024-03-01', endDate: '2024-03-31' }), { startDate: '2024-02-01', endDate: '2024-02-29' });
+  assert.deepEqual(previous({ startDate: '2026-01' }), { startDate: '2025-12-01', endDate: '2025-12-31' });
+});
+
+test('several whole months move back by as many months, across the year boundary', () => {
+  assert.deepEqual(previous({ startDate: '2026-01', endDate: '2026-03' }), { startDate: '2025-10-01', endDate: '2025-12-31' });
+});
+
+test('other ranges move back by their number of days', () => {
+  assert.deepEqual(previous({ startDate: '2026-03-08', endDate: '2026-03-14' }), { startDate: '2026-03-01', endDate: '2026-03-07' });
+  assert.deepEqual(previous({ startDate: '2024-03-01', endDate: '2024-03-02' }), { startDate: '2024-02-28', endDate: '2024-02-29' });
+});
+
+test('the previous year keeps the dates, with Feb 29 falling back to Feb 28', () => {
+  const year = options => resolveRanges({ compareTo: 'previous_year', ...options }).previous;
+
+  assert.deepEqual(year({ startDate: '2026-10' }), { startDate: '2025-10-01', endDate: '2025-10-31' });
+  assert.deepEqual(year({ startDate: '2024-02' }), { startDate: '2023-02-01', endDate: '2023-02-28' });
+  assert.deepEqual(year({ startDate: '2024-02-29', endDate: '2024-03-06' }), { startDate: '2023-02-28', endDate: '2023-03-06' });
+});
+
+test('an explicit previous range wins and bad input is rejected', () => {
+  assert.deepEqual(resolveRanges({ startDate: '2026-09', previousStartDate: '2025-12' }), {
+    current: { startDate: '2026-09-01', endDate: '2026-09-30' },
+    previous: { startDate: '2025-12-01', endDate: '2025-12-31' },
+    compareTo: 'custom'
+  });
+
+  assert.throws(() => resolveRanges({ startDate: '2026-13', compareTo: 'previous_period' }), /startDate must be a date/);
+  assert.throws(() => resolveRanges({ startDate: '2026-03-10', endDate: '2026-03-01', compareTo: 'previous_period' }), /on or before/);
+  assert.throws(() => resolveRanges({ startDate: '2026-03', compareTo: 'last_week' }), /compareTo must be one of/);
+});
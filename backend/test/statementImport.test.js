@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Only pure parsing is tested here; an in-memory database keeps the real one untouched
+process.env.DATABASE_PATH = ':memory:';
+
+const { detectFormat, parseAmount, parseDate, parseStatement, assignTransactionIds } = require('../statementImport');
+
+test('parseAmount reads the sign wherever the currency symbol puts it', () => {
+  assert.equal(parseAmount('$-12.00'), -12);
+  assert.equal(parseAmount('-$12.00'), -12);
+  assert.equal(parseAmount('(12.00)'), -12);
+  assert.equal(parseAmount('($12.00)'), -12);
+  assert.equal(parseAmount('12.00-'), -12);
+  assert.equal(parseAmount('+12'), 12);
+});
+
+test('parseAmount handles thousands separators and rejects non-numbers', () => {
+  assert.equal(parseAmount('$1,234.56'), 1234.56);
+  assert.equal(parseAmount('£ 0.99'), 0.99);
+  assert.equal(parseAmount(''), null);
+  assert.equal(parseAmount('   '), null);
+  assert.equal(parseAmount(null), null);
+  assert.equal(parseAmount('n/a'), null);
+});
+
+test('parseDate reads ISO, US, day-first and compact OFX dates', () => {
+  assert.equal(parseDate('2024-01-15'), '2024-01-15');
+  assert.equal(parseDate('01/15/2024'), '2024-01-15');
+  assert.equal(parseDate('15/01/2024'), '2024-01-15');
+  assert.equal(parseDate('03/04/2024', 'DMY'), '2024-04-03');
+  assert.equal(parseDate("1/15'24"), '2024-01-15');
+  assert.equal(parseDate('20240115120000[-5:EST]'), '2024-01-15');
+  assert.equal(parseDate('13/13/2024'), null);
+  assert.equal(parseDate('yesterday'), null);
+});
+
+test('detectFormat falls back to the content when the extension says nothing', () => {
+  assert.equal(detectFormat('statement.QFX'), 'ofx');
+  assert.equal(detectFormat('export.txt', 'OFXHEADER:100\nDATA:OFXSGML'), 'ofx');
+  assert.equal(detectFormat('export.txt', '!Type:Bank\nD01/15/2024'), 'qif');
+  assert.equal(detectFormat('export.txt', 'Date,Amount'), 'csv');
+});
+
+test('parseStatement maps CSV columns, flips the sign and reports bad rows', () => {
+  const content = [
+    'Date,Description,Amount',
+    '2024-01-15,"Coffee, Downtown",-4.50',
+    '2024-01-16,Paycheck,"1,200.00"',
+    'not a date,Broken,1.00'
+  ].join('\r\n');
+
+  const parsed = parseStatement({ fileName: 'bank.csv', content });
+
+  assert.equal(parsed.format, 'csv');
+  assert.deepEqual(parsed.rows.map(row => [row.date, row.description, row.amount]), [
+    ['2024-01-15', 'Coffee, Downtown', 4.5],
+    ['2024-01-16', 'Paycheck', -1200]
+  ]);
+  assert.deepEqual(parsed.errors, [{ row: 4, reason: 'Unreadable date' }]);
+});
+
+test('parseStatement combines separate debit and credit columns', () => {
+  const content = 'Posted;Details;Money Out;Money In\n15/01/2024;Groceries;52.10;\n16/01/2024;Refund;;12.00';
+
+  const parsed = parseStatement({ fileName: 'bank.csv', content });
+
+  assert.deepEqual(parsed.rows.map(row => [row.date, row.amount]), [
+    ['2024-01-15', 52.1],
+    ['2024-01-16', -12]
+  ]);
+});
+
+test('parseStatement reads OFX transactions with their FITIDs', () => {
+  const content = [
+    'OFXHEADER:100',
+    '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>USD',
+    '<BANKACCTFROM><ACCTID>1234</BANKACCTFROM>',
+    '<BANKTRANLIST>',
+    '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240115<TRNAMT>-4.50<FITID>abc1<NAME>Blue Bottle &amp; Co<MEMO>Card 1234',
+    '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240116120000<TRNAMT>1200.00<FITID>abc2<NAME>Payroll',
+    '</BANKTRANLIST>'
+  ].join('\n');
+
+  const parsed = parseStatement({ fileName: 'bank.ofx', content });
+
+  assert.equal(parsed.currency, 'USD');
+  assert.equal(parsed.statementAccount, '1234');
+  assert.deepEqual(parsed.rows.map(row => [row.externalId, row.date, row.amount, row.description]), [
+    ['abc1', '2024-01-15', 4.5, 'Blue Bottle & Co'],
+    ['abc2', '2024-01-16', -1200, 'Payroll']
+  ]);
+  assert.equal(parsed.rows[0].originalDescription, 'Blue Bottle & Co - Card 1234');
+});
+
+test('parseStatement reads QIF records and their top-level category', () => {
+  const content = [
+    '!Type:Bank',
+    'D01/15/2024',
+    'T-52.10',
+    'PWhole Foods',
+    'LGroceries:Organic',
+    'N1001',
+    '^',
+    'D01/16/2024',
+    'T250.00',
+    'MTransfer in',
+    'L[Savings]',
+    '^'
+  ].join('\n');
+
+  const parsed = parseStatement({ fileName: 'bank.qif', content });
+
+  assert.deepEqual(parsed.rows.map(row => [row.date, row.amount, row.description, row.category, row.checkNumber]), [
+    ['2024-01-15', 52.1, 'Whole Foods', 'Groceries', '1001'],
+    ['2024-01-16', -250, 'Transfer in', null, null]
+  ]);
+});
+
+test('assignTransactionIds keeps identical rows apart and stable across imports', () => {
+  const coffee = { date: '2024-01-15', amount: 4.5, description: 'Coffee' };
+  const first = assignTransactionIds([coffee, { ...coffee }, { ...coffee, externalId: 'abc1' }], 'acct_1');
+  const again = assignTransactionIds([{ ...coffee, description: '  COFFEE ' }, coffee], 'acct_1');
+
+  assert.notEqual(first[0].transactionId, first[1].transactionId);
+  assert.deepEqual(again.map(row => row.transactionId), [first[0].transactionId, first[1].transactionId]);
+  assert.match(first[2].transactionId, /^import_[0-9a-f]{32}$/);
+  assert.notEqual(assignTransactionIds([coffee], 'acct_2')[0].transactionId, first[0].transactionId);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Only pure classification is tested here; an in-memory database keeps the real one untouched
+process.env.DATABASE_PATH = ':memory:';
+
+const { classify } = require('../taxReport');
+
+// Flags keyed the way loadFlagLookup keys them
+const lookup = {
+  category: new Map([['medical', { taxType: 'medical' }], ['office supplies', { taxType: 'business' }]]),
+  merchant: new Map([['cvs pharmacy', { taxType: 'medical' }], ['staples', { taxType: 'business' }], ['red cross', { taxType: 'charitable' }]]),
+  transaction: new Map([['txn_personal_paper', { taxType: 'none' }], ['txn_gift', { taxType: 'charitable' }]])
+};
+
+function line(overrides) {
+  return { transaction_id: 'txn_1', merchant: null, category: null, ...overrides };
+}
+
+function flaggedAs(overrides) {
+  const match = classify(line(overrides), lookup);
+  return match && [match.flaggedBy, match.flag.taxType];
+}
+
+test('a transaction flag beats its merchant, which beats its category', () => {
+  assert.deepEqual(flaggedAs({ transaction_id: 'txn_gift', merchant: 'Staples', category: 'Office Supplies' }), ['transaction', 'charitable']);
+  assert.deepEqual(flaggedAs({ merchant: 'Staples', category: 'Medical' }), ['merchant', 'business']);
+  assert.deepEqual(flaggedAs({ merchant: 'Target', category: 'Medical' }), ['category', 'medical']);
+});
+
+test('names match ignoring case and unflagged lines are left out', () => {
+  assert.deepEqual(flaggedAs({ merchant: 'CVS Pharmacy' }), ['merchant', 'medical']);
+  assert.deepEqual(flaggedAs({ category: 'OFFICE SUPPLIES' }), ['category', 'business']);
+  assert.equal(flaggedAs({ merchant: 'Target', category: 'Groceries' }), null);
+});
+
+test('"none" on a transaction keeps it out of a flagged merchant', () => {
+  assert.deepEqual(flaggedAs({ transaction_id: 'txn_personal_paper', merchant: 'Staples' }), ['transaction', 'none']);
+});
+
+test('each split of a transaction is classified by its own category', () => {
+  const receipt = { transaction_id: 'txn_costco', merchant: 'Costco' };
+
+  assert.deepEqual(flaggedAs({ ...receipt, category: 'Office Supplies' }), ['category', 'business']);
+  assert.equal(flaggedAs({ ...receipt, category: 'Groceries' }), null);
+});
@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before database.js opens one
+const DB_FILE = path.join(os.tmpdir(), `transaction-search-${process.pid}.db`);
+process.env.DATABASE_PATH = DB_FILE;
+
+const { db, ready, saveTransactions } = require('../database');
+const { buildMatchQuery, searchTransactions } = require('../transactionSearch');
+const { updateAnnotations } = require('../transactionAnnotations');
+
+// Shaped like the added entries of /transactions/sync
+function plaidTransaction(overrides) {
+  return {
+    account_id: 'acc_checking',
+    iso_currency_code: 'USD',
+    unofficial_currency_code: null,
+    category: null,
+    category_id: null,
+    authorized_date: null,
+    payment_channel: 'in store',
+    transaction_type: 'place',
+    transaction_code: null,
+    location: { address: null, city: null, region: null, postal_code: null, country: null, lat: null, lon: null },
+    payment_meta: { reference_number: null },
+    account_owner: null,
+    pending: false,
+    pending_transaction_id: null,
+    personal_finance_category: { primary: 'FOOD_AND_DRINK', detailed: 'FOOD_AND_DRINK_COFFEE' },
+    ...overrides
+  };
+}
+
+before(async () => {
+  await ready;
+  await saveTransactions([
+    plaidTransaction({ transaction_id: 'txn_sbux_1', amount: 5.75, date: '2026-09-01', name: 'STARBUCKS STORE 1234', merchant_name: 'Starbucks' }),
+    plaidTransaction({ transaction_id: 'txn_sbux_2', amount: 6.1, date: '2026-09-08', name: 'STARBUCKS STORE 1234', merchant_name: 'Starbucks' }),
+    plaidTransaction({ transaction_id: 'txn_grocer', amount: 64.2, date: '2026-09-03', name: 'WHOLE FOODS MARKET', merchant_name: 'Whole Foods',
+      personal_finance_category: { primary: 'FOOD_AND_DRINK', detailed: 'FOOD_AND_DRINK_GROCERIES' } })
+  ]);
+  await updateAnnotations('txn_grocer', { notes: 'Starbucks gift card for Sam' });
+});
+
+after(async () => {
+  await new Promise(resolve => db.close(resolve));
+  fs.rmSync(DB_FILE, { force: true });
+});
+
+test('buildMatchQuery quotes every word as a prefix so operators are plain text', () => {
+  assert.equal(buildMatchQuery('Star bucks'), '"star"* "bucks"*');
+  assert.equal(buildMatchQuery('coffee OR NOT "tea"'), '"coffee"* "or"* "not"* "tea"*');
+  assert.equal(buildMatchQuery('  *** '), null);
+});
+
+test('prefix search ranks name and merchant matches above notes', async () => {
+  const result = await searchTransactions('starb');
+
+  assert.equal(result.correctedQuery, null);
+  assert.deepEqual(result.transactions.map(row => row.transaction_id), ['txn_sbux_2', 'txn_sbux_1', 'txn_grocer']);
+  assert.match(result.transactions[2].snippet, /<mark>Starbucks<\/mark>/);
+});
+
+test('filters narrow the matches', async () => {
+  const result = await searchTransactions('starbucks', { filters: { startDate: '2026-09-05' } });
+
+  assert.deepEqual(result.transactions.map(row => row.transaction_id), ['txn_sbux_2']);
+});
+
+test('a misspelled word is corrected to the closest indexed word', async () => {
+  const result = await searchTransactions('whole fods');
+
+  assert.equal(result.correctedQuery, 'whole foods');
+  assert.deepEqual(result.transactions.map(row => row.transaction_id), ['txn_grocer']);
+  assert.deepEqual((await searchTransactions('zzzzzz')).transactions, []);
+});
@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Only pure pairing is tested here; an in-memory database keeps the real one untouched
+process.env.DATABASE_PATH = ':memory:';
+
+const { matchByAmount } = require('../transfers');
+
+// A candidate as loadCandidates returns it (amount positive for money out)
+function movement(id, overrides) {
+  return {
+    source: 'transaction',
+    id,
+    accountId: 'acc_checking',
+    accountType: 'depository',
+    date: '2026-09-01',
+    amount: 100,
+    name: 'Purchase',
+    category: null,
+    plaidCategory: null,
+    ...overrides
+  };
+}
+
+function pair(candidates, rejected = new Set()) {
+  return matchByAmount(candidates, new Set(), rejected).map(match => [match.outflow.id, match.inflow.id]);
+}
+
+test('checking to savings pairs on amount and date when one side looks like a transfer', () => {
+  const candidates = [
+    movement('out', { amount: 500, name: 'ONLINE TRANSFER TO SAVINGS' }),
+    movement('in_late', { accountId: 'acc_savings', amount: -500, date: '2026-09-04', name: 'Deposit' }),
+    movement('in', { accountId: 'acc_savings', amount: -500, date: '2026-09-02', name: 'Deposit' }),
+    movement('same_account', { amount: -500, name: 'Deposit' })
+  ];
+
+  assert.deepEqual(pair(candidates), [['out', 'in']]);
+});
+
+test('amounts a small fee apart still pair, but not beyond the tolerance or the date window', () => {
+  assert.deepEqual(pair([
+    movement('out', { amount: 1000, category: 'Transfer Out' }),
+    movement('in', { accountId: 'acc_broker', amount: -995.5 })
+  ]), [['out', 'in']]);
+
+  assert.deepEqual(pair([
+    movement('out', { amount: 1000, category: 'Transfer Out' }),
+    movement('in', { accountId: 'acc_broker', amount: -990 })
+  ]), []);
+
+  assert.deepEqual(pair([
+    movement('out', { amount: 1000, category: 'Transfer Out' }),
+    movement('in', { accountId: 'acc_broker', amount: -1000, date: '2026-09-06' })
+  ]), []);
+});
+
+test('a dinner and a refund of the same amount elsewhere are not a transfer', () => {
+  assert.deepEqual(pair([
+    movement('dinner', { amount: 50, name: 'OLIVE GARDEN', plaidCategory: 'Food And Drink' }),
+    movement('refund', { accountId: 'acc_savings', amount: -50, name: 'AMAZON REFUND' })
+  ]), []);
+});
+
+test('money onto a card needs a payment on both sides', () => {
+  const payment = movement('payment', { amount: 250, name: 'CHASE CREDIT CRD AUTOPAY' });
+  const card = { accountId: 'acc_card', accountType: 'credit' };
+
+  assert.deepEqual(pair([
+    payment,
+    movement('merchant_credit', { ...card, amount: -250, name: 'AMAZON MKTPLACE REFUND' })
+  ]), []);
+
+  assert.deepEqual(pair([
+    payment,
+    movement('card_payment', { ...card, amount: -250, name: 'PAYMENT THANK YOU' })
+  ]), [['payment', 'card_payment']]);
+
+  assert.deepEqual(pair([
+    movement('loan_payment', { amount: 410, name: 'NAVIENT', category: 'Loan Payments' }),
+    movement('loan_credit', { accountId: 'acc_loan', accountType: 'loan', amount: -410, plaidCategory: 'Loan Payments' })
+  ]), [['loan_payment', 'loan_credit']]);
+});
+
+test('a pair the user unpaired is not made again', () => {
+  const candidates = [
+    movement('out', { amount: 500, name: 'ONLINE TRANSFER TO SAVINGS' }),
+    movement('in', { accountId: 'acc_savings', amount: -500 })
+  ];
+
+  assert.deepEqual(pair(candidates, new Set(['transaction:out|transaction:in'])), []);
+});
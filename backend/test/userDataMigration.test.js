@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+// A database from before user_data was keyed by item_id
+const DB_FILE = path.join(os.tmpdir(), `user-data-migration-${process.pid}.db`);
+process.env.DATABASE_PATH = DB_FILE;
+
+let database;
+
+before(async () => {
+  const legacy = new sqlite3.Database(DB_FILE);
+  await new Promise((resolve, reject) => {
+    legacy.serialize(() => {
+      legacy.run(`
+        CREATE TABLE user_data (
+          user_id TEXT PRIMARY KEY,
+          access_token TEXT NOT NULL,
+          item_id TEXT,
+          institution_id TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      legacy.run(`
+        INSERT INTO user_data (user_id, access_token, item_id, institution_id)
+        VALUES ('default_user', 'access-sandbox-123', 'item_chase', 'ins_3')
+      `);
+      legacy.close(err => (err ? reject(err) : resolve()));
+    });
+  });
+
+  database = require('../database');
+  await database.ready;
+});
+
+after(async () => {
+  await new Promise(resolve => database.db.close(resolve));
+  fs.rmSync(DB_FILE, { force: true });
+});
+
+test('ready waits for the legacy user_data table to be rebuilt', async () => {
+  const columns = await database.dbAll(`PRAGMA table_info(user_data)`);
+  const primaryKey = columns.find(column => column.pk === 1);
+  assert.equal(primaryKey.name, 'item_id');
+  assert.ok(columns.some(column => column.name === 'needs_reauth'));
+
+  const legacy = await database.dbGet(`SELECT name FROM sqlite_master WHERE name = 'user_data_legacy'`);
+  assert.equal(legacy, undefined);
+
+  const rows = await database.dbAll(`SELECT item_id, user_id, access_token, institution_id FROM user_data`);
+  assert.deepEqual(rows.map(row => ({ ...row })), [
+    { item_id: 'item_chase', user_id: 'default_user', access_token: 'access-sandbox-123', institution_id: 'ins_3' }
+  ]);
+});
@@ -0,0 +1,97 @@
+const { dbRun, dbGet, dbAll, normalizeTags, addTransactionTags } = require('./database');
+const { invalidateModel } = require('./learnedCategorizer');
+
+/**
+ * Transaction Annotations
+ *
+ * The user's own category, notes and tags on a transaction. Category and
+ * notes live in the user_category and notes columns, which a Plaid re-sync
+ * never overwrites (see saveTransaction); tags live in transaction_tags next
+ * to the ones categorization rules add.
+ */
+
+async function getTransactionTags(transactionId) {
+  const rows = await dbAll(`
+    SELECT tag, source FROM transaction_tags WHERE transaction_id = ? ORDER BY tag
+  `, [transactionId]);
+  return rows;
+}
+
+async function getAnnotations(transactionId) {
+  const row = await dbGet(`
+    SELECT transaction_id, category, user_category, notes
+    FROM transactions
+    WHERE transaction_id = ?
+  `, [transactionId]);
+
+  if (!row) {
+    throw new Error('Transaction not found');
+  }
+
+  const tags = await getTransactionTags(transactionId);
+
+  return {
+    transactionId: row.transaction_id,
+    category: row.user_category || row.category,
+    plaidCategory: row.category,
+    userCategory: row.user_category,
+    notes: row.notes,
+    tags: tags.map(tag => tag.tag),
+    tagSources: tags
+  };
+}
+
+/**
+ * Update a transaction's category, notes and tags. Fields left undefined keep
+ * their value; an empty category or notes clears it (the category falls back
+ * to Plaid's). tags replaces the whole set, including tags rules added
+ * (a rule adds its tags again if Plaid later sends the transaction as modified).
+ */
+async function updateAnnotations(transactionId, { category, notes, tags } = {}) {
+  await getAnnotations(transactionId);
+
+  if (category !== undefined) {
+    await dbRun(`
+      UPDATE transactions SET user_category = ?, updated_at = CURRENT_TIMESTAMP WHERE transaction_id = ?
+    `, [category ? String(category).trim() || null : null, transactionId]);
+
+    // Manual categories are what the learned categorizer trains on
+    invalidateModel();
+  }
+
+  if (notes !== undefined) {
+    await dbRun(`
+      UPDATE transactions SET notes = ?, updated_at = CURRENT_TIMESTAMP WHERE transaction_id = ?
+    `, [notes ? String(notes).trim() || null : null, transactionId]);
+  }
+
+  if (tags !== undefined) {
+    const keep = normalizeTags(tags);
+    await dbRun(`
+      DELETE FROM transaction_tags
+      WHERE transaction_id = ?${keep.length > 0 ? ` AND tag NOT IN (${keep.map(() => '?').join(', ')})` : ''}
+    `, [transactionId, ...keep]);
+    await addTransactionTags(transactionId, keep, 'user');
+  }
+
+  return getAnnotations(transactionId);
+}
+
+/**
+ * Every tag in use, most used first
+ */
+async function listTags() {
+  const rows = await dbAll(`
+    SELECT tag, COUNT(*) AS count
+    FROM transaction_tags
+    GROUP BY tag
+    ORDER BY count DESC, tag ASC
+  `);
+  return rows;
+}
+
+module.exports = {
+  getAnnotations,
+  updateAnnotations,
+  listTags
+};
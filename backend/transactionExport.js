@@ -0,0 +1,312 @@
+const { dbAll, dbEach } = require('./database');
+const { buildTransactionFilter } = require('./transactionFilters');
+
+/**
+ * Transaction Export
+ *
+ * Streams stored transactions as CSV, OFX or JSON, narrowed with the same
+ * filters as analytics (see transactionFilters.js). CSV and JSON share one
+ * set of column names; amounts keep the Plaid convention (positive = money out).
+ * OFX is written as OFX 1.02 SGML with one statement per account, so files
+ * load into other tools and back into our own statement import. FITID is the
+ * transaction ID, which the import recognises, so re-importing an export adds nothing.
+ */
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ofx: { contentType: 'application/x-ofx', extension: 'ofx' }
+};
+
+const EXPORT_COLUMNS = [
+  'transaction_id',
+  'date',
+  'authorized_date',
+  'account_id',
+  'account_name',
+  'institution_name',
+  'name',
+  'merchant_name',
+  'category',
+  'amount',
+  'iso_currency_code',
+  'pending',
+  'payment_channel',
+  'notes',
+  'source'
+];
+
+// ===== QUERY =====
+
+function buildExportQuery(filters) {
+  const filter = buildTransactionFilter(filters, 't');
+
+  return {
+    sql: `
+      SELECT
+        t.transaction_id,
+        t.date,
+        t.authorized_date,
+        t.account_id,
+        a.name AS account_name,
+        COALESCE(u.institution_name, a.institution_name) AS institution_name,
+        a.type AS account_type,
+        t.name,
+        t.merchant_name,
+        COALESCE(t.user_category, t.category) AS category,
+        t.amount,
+        t.iso_currency_code,
+        t.pending,
+        t.payment_channel,
+        t.notes,
+        t.source,
+        t.original_description
+      FROM transactions t
+      LEFT JOIN accounts a ON a.account_id = t.account_id
+      LEFT JOIN user_data u ON u.item_id = a.item_id
+      WHERE 1 = 1${filter.clause}
+    `,
+    params: filter.params
+  };
+}
+
+// One export row with the shared column names
+function toExportRow(row) {
+  return {
+    transaction_id: row.transaction_id,
+    date: row.date,
+    authorized_date: row.authorized_date,
+    account_id: row.account_id,
+    account_name: row.account_name,
+    institution_name: row.institution_name,
+    name: row.name,
+    merchant_name: row.merchant_name,
+    category: row.category,
+    amount: row.amount,
+    iso_currency_code: row.iso_currency_code,
+    pending: row.pending === 1,
+    payment_channel: row.payment_channel,
+    notes: row.notes,
+    source: row.source
+  };
+}
+
+// ===== CSV / JSON =====
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function streamCsv(filters, write) {
+  const { sql, params } = buildExportQuery(filters);
+
+  write(EXPORT_COLUMNS.join(',') + '\r\n');
+
+  return dbEach(`${sql} ORDER BY t.date ASC, t.transaction_id ASC`, params, (row) => {
+    const exportRow = toExportRow(row);
+    write(EXPORT_COLUMNS.map(column => csvCell(exportRow[column])).join(',') + '\r\n');
+  });
+}
+
+async function streamJson(filters, write) {
+  const { sql, params } = buildExportQuery(filters);
+  let first = true;
+
+  write('[\n');
+  const count = await dbEach(`${sql} ORDER BY t.date ASC, t.transaction_id ASC`, params, (row) => {
+    write((first ? '' : ',\n') + JSON.stringify(toExportRow(row)));
+    first = false;
+  });
+  write('\n]\n');
+
+  return count;
+}
+
+// ===== OFX =====
+
+function ofxText(value, maxLength) {
+  const text = String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/[\r\n]+/g, ' ');
+  return maxLength ? text.slice(0, maxLength) : text;
+}
+
+function ofxDate(date) {
+  return String(date || '').replace(/-/g, '').slice(0, 8);
+}
+
+function ofxTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+// Credit cards need their own message set and aggregate names in OFX
+function ofxAggregates(accountType) {
+  return accountType === 'credit'
+    ? { messageSet: 'CREDITCARDMSGSRSV1', transactionWrapper: 'CCSTMTTRNRS', statement: 'CCSTMTRS', accountFrom: 'CCACCTFROM' }
+    : { messageSet: 'BANKMSGSRSV1', transactionWrapper: 'STMTTRNRS', statement: 'STMTRS', accountFrom: 'BANKACCTFROM' };
+}
+
+function ofxAccountType(account) {
+  const subtype = String(account.subtype || '').toLowerCase();
+  if (subtype === 'savings') return 'SAVINGS';
+  if (subtype === 'money market') return 'MONEYMRKT';
+  return 'CHECKING';
+}
+
+async function streamOfx(filters, write) {
+  const { sql, params } = buildExportQuery(filters);
+  const now = ofxTimestamp();
+
+  // Statement headers need each account's date range and balance before its transactions
+  const accounts = await dbAll(`
+    SELECT
+      filtered.account_id,
+      filtered.account_type,
+      MIN(filtered.date) AS first_date,
+      MAX(filtered.date) AS last_date,
+      MAX(filtered.iso_currency_code) AS currency,
+      a.subtype,
+      a.current_balance
+    FROM (${sql}) filtered
+    LEFT JOIN accounts a ON a.account_id = filtered.account_id
+    GROUP BY filtered.account_id
+  `, params);
+  const accountsById = new Map(accounts.map(account => [account.account_id, account]));
+
+  write([
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:USASCII',
+    'CHARSET:1252',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+    `<DTSERVER>${now}`,
+    '<LANGUAGE>ENG',
+    '</SONRS></SIGNONMSGSRSV1>',
+    ''
+  ].join('\r\n'));
+
+  let currentMessageSet = null;
+  let currentAccount = null;
+  let transactionUid = 0;
+
+  const closeStatement = () => {
+    if (!currentAccount) return;
+    const aggregates = ofxAggregates(currentAccount.account_type);
+    write([
+      '</BANKTRANLIST>',
+      `<LEDGERBAL><BALAMT>${(currentAccount.current_balance || 0).toFixed(2)}<DTASOF>${now}</LEDGERBAL>`,
+      `</${aggregates.statement}>`,
+      `</${aggregates.transactionWrapper}>`,
+      ''
+    ].join('\r\n'));
+  };
+
+  const openStatement = (account) => {
+    const aggregates = ofxAggregates(account.account_type);
+
+    if (currentMessageSet !== aggregates.messageSet) {
+      if (currentMessageSet) write(`</${currentMessageSet}>\r\n`);
+      write(`<${aggregates.messageSet}>\r\n`);
+      currentMessageSet = aggregates.messageSet;
+    }
+
+    const accountFrom = account.account_type === 'credit'
+      ? `<${aggregates.accountFrom}><ACCTID>${ofxText(account.account_id, 22)}</${aggregates.accountFrom}>`
+      : `<${aggregates.accountFrom}><BANKID>000000000<ACCTID>${ofxText(account.account_id, 22)}<ACCTTYPE>${ofxAccountType(account)}</${aggregates.accountFrom}>`;
+
+    write([
+      `<${aggregates.transactionWrapper}>`,
+      `<TRNUID>${++transactionUid}`,
+      '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+      `<${aggregates.statement}>`,
+      `<CURDEF>${account.currency || 'USD'}`,
+      accountFrom,
+      '<BANKTRANLIST>',
+      `<DTSTART>${ofxDate(filters.startDate || account.first_date)}`,
+      `<DTEND>${ofxDate(filters.endDate || account.last_date)}`,
+      ''
+    ].join('\r\n'));
+  };
+
+  // Bank accounts first, then credit cards, so each message set is written once
+  const count = await dbEach(`
+    ${sql}
+    ORDER BY CASE WHEN a.type = 'credit' THEN 1 ELSE 0 END, t.account_id, t.date ASC, t.transaction_id ASC
+  `, params, (row) => {
+    if (!currentAccount || currentAccount.account_id !== row.account_id) {
+      closeStatement();
+      currentAccount = accountsById.get(row.account_id) || { account_id: row.account_id, account_type: row.account_type };
+      openStatement(currentAccount);
+    }
+
+    // OFX amounts are negative for money out - the opposite of Plaid's sign
+    const amount = -row.amount;
+    const memo = row.original_description && row.original_description !== row.name ? row.original_description : null;
+
+    write([
+      '<STMTTRN>',
+      `<TRNTYPE>${amount < 0 ? 'DEBIT' : 'CREDIT'}`,
+      `<DTPOSTED>${ofxDate(row.date)}`,
+      `<TRNAMT>${amount.toFixed(2)}`,
+      `<FITID>${ofxText(row.transaction_id)}`,
+      `<NAME>${ofxText(row.merchant_name || row.name, 32)}`,
+      memo ? `<MEMO>${ofxText(memo, 255)}` : null,
+      '</STMTTRN>',
+      ''
+    ].filter(line => line !== null).join('\r\n'));
+  });
+
+  closeStatement();
+  if (currentMessageSet) write(`</${currentMessageSet}>\r\n`);
+  write('</OFX>\r\n');
+
+  return count;
+}
+
+// ===== EXPORT =====
+
+/**
+ * File name and content type for an export
+ */
+function getExportInfo(format, filters = {}) {
+  const info = EXPORT_FORMATS[format];
+  if (!info) {
+    throw new Error(`Unsupported export format: ${format}. Use csv, ofx or json`);
+  }
+
+  const range = [filters.startDate || 'start', filters.endDate || new Date().toISOString().split('T')[0]].join('_to_');
+
+  return {
+    contentType: info.contentType,
+    fileName: `transactions_${range}.${info.extension}`
+  };
+}
+
+/**
+ * Stream matching transactions in the given format through `write`.
+ * Resolves with the number of transactions written.
+ */
+async function streamTransactions(format, filters, write) {
+  if (format === 'csv') return streamCsv(filters, write);
+  if (format === 'json') return streamJson(filters, write);
+  if (format === 'ofx') return streamOfx(filters, write);
+  throw new Error(`Unsupported export format: ${format}. Use csv, ofx or json`);
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  getExportInfo,
+  streamTransactions
+};
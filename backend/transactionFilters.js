@@ -0,0 +1,226 @@
+const { normalizeTags } = require('./database');
+
+/**
+ * Transaction Filters
+ *
+ * Builds the extra WHERE conditions that narrow a query to one account or
+ * institution, so analytics and chat tools can answer "how much did I spend
+ * on my Chase card" separately from the checking account.
+ *
+ * Account filters (all optional, combined with AND):
+ * - accountId:   exact Plaid account_id
+ * - itemId:      every account of one linked item
+ * - account:     account name, official name or last 4 digits (partial match)
+ * - institution: institution name (partial match) or institution_id
+ * - accountType: account type or subtype, e.g. "credit", "depository", "checking"
+ *
+ * buildTagFilter narrows transactions to a tag (or any of several tags).
+ *
+ * buildTransferFilter leaves out transfers between the user's own accounts
+ * (see transfers.js) unless includeTransfers is set - spending and income
+ * totals use it so moving money around doesn't count as either.
+ *
+ * buildScopeFilter combines the three for spending and income queries.
+ *
+ * buildTransactionFilter adds row-level filters on top (used by exports and the transactions list):
+ * startDate, endDate, category, merchant, minAmount, maxAmount, direction, pending, tag, transfers.
+ */
+
+const FILTER_KEYS = ['accountId', 'itemId', 'account', 'institution', 'accountType', 'tag', 'includeTransfers'];
+
+/**
+ * Pick the filter keys out of an arguments object (e.g. chat function args)
+ */
+function extractFilters(args = {}) {
+  const filters = {};
+  for (const key of FILTER_KEYS) {
+    if (args[key]) {
+      filters[key] = args[key];
+    }
+  }
+  return filters;
+}
+
+/**
+ * Build " AND ..." conditions on an account_id column, plus their parameters.
+ * Returns an empty clause when no filter is set.
+ */
+function buildAccountFilter(filters = {}, column = 'account_id') {
+  const conditions = [];
+  const params = [];
+  const { accountId, itemId, account, institution, accountType } = filters || {};
+
+  if (accountId) {
+    conditions.push(`${column} = ?`);
+    params.push(accountId);
+  }
+
+  if (itemId) {
+    conditions.push(`${column} IN (SELECT account_id FROM accounts WHERE item_id = ?)`);
+    params.push(itemId);
+  }
+
+  if (account) {
+    conditions.push(`${column} IN (
+      SELECT account_id FROM accounts
+      WHERE account_id = ? OR name LIKE ? OR official_name LIKE ? OR mask = ?
+    )`);
+    // "card ending in 1234" -> 1234; no digits means no mask match
+    const mask = String(account).replace(/\D/g, '').slice(-4) || null;
+    params.push(account, `%${account}%`, `%${account}%`, mask);
+  }
+
+  if (institution) {
+    conditions.push(`${column} IN (
+      SELECT a.account_id FROM accounts a
+      LEFT JOIN user_data u ON u.item_id = a.item_id
+      WHERE COALESCE(u.institution_name, a.institution_name) LIKE ? OR u.institution_id = ?
+    )`);
+    params.push(`%${institution}%`, institution);
+  }
+
+  if (accountType) {
+    conditions.push(`${column} IN (
+      SELECT account_id FROM accounts
+      WHERE type = LOWER(?) OR subtype = LOWER(?)
+    )`);
+    params.push(accountType, accountType);
+  }
+
+  return {
+    clause: conditions.map(condition => ` AND ${condition}`).join(''),
+    params
+  };
+}
+
+/**
+ * Build an " AND ..." condition on a transaction_id column for filters.tag
+ * (a tag, a comma-separated list or an array - any of them matches)
+ */
+function buildTagFilter(filters = {}, column = 'transaction_id') {
+  const tags = normalizeTags((filters || {}).tag);
+  if (tags.length === 0) {
+    return { clause: '', params: [] };
+  }
+
+  return {
+    clause: ` AND ${column} IN (SELECT transaction_id FROM transaction_tags WHERE tag IN (${tags.map(() => '?').join(', ')}))`,
+    params: tags
+  };
+}
+
+/**
+ * Build an " AND ..." condition leaving out transfers between the user's own accounts,
+ * unless filters.includeTransfers is set (true or 'true')
+ */
+function buildTransferFilter(filters = {}, column = 'transfer_id') {
+  const { includeTransfers } = filters || {};
+  if (includeTransfers === true || includeTransfers === 'true') {
+    return { clause: '', params: [] };
+  }
+
+  return { clause: ` AND ${column} IS NULL`, params: [] };
+}
+
+/**
+ * Build the account, tag and transfer conditions together, for queries that add up
+ * transactions or transaction_lines. Pass a table alias when the query joins other tables.
+ */
+function buildScopeFilter(filters = {}, alias = null) {
+  const column = (name) => (alias ? `${alias}.${name}` : name);
+  const accountFilter = buildAccountFilter(filters, column('account_id'));
+  const tagFilter = buildTagFilter(filters, column('transaction_id'));
+  const transferFilter = buildTransferFilter(filters, column('transfer_id'));
+  return {
+    clause: accountFilter.clause + tagFilter.clause + transferFilter.clause,
+    params: [...accountFilter.params, ...tagFilter.params, ...transferFilter.params]
+  };
+}
+
+/**
+ * Build " AND ..." conditions for transaction rows: the account and tag filters plus
+ * date range, category, merchant and amount. Pass a table alias when the
+ * query joins other tables.
+ *
+ * Amounts are compared as absolute values; use direction ('spending' or
+ * 'income') to pick money out or money in, and transfers ('exclude' or
+ * 'only') to drop or keep just the transfers between the user's own accounts.
+ */
+function buildTransactionFilter(filters = {}, alias = null) {
+  const column = (name) => (alias ? `${alias}.${name}` : name);
+  const accountFilter = buildAccountFilter(filters, column('account_id'));
+  const tagFilter = buildTagFilter(filters, column('transaction_id'));
+  const conditions = [];
+  const params = [];
+  const { startDate, endDate, category, merchant, minAmount, maxAmount, direction, pending, transfers } = filters || {};
+
+  if (startDate) {
+    conditions.push(`${column('date')} >= ?`);
+    params.push(startDate);
+  }
+
+  if (endDate) {
+    conditions.push(`${column('date')} <= ?`);
+    params.push(endDate);
+  }
+
+  // A split transaction also matches the categories of its splits
+  if (category) {
+    conditions.push(`(COALESCE(${column('user_category')}, ${column('category')}) LIKE ? OR ${column('transaction_id')} IN (
+      SELECT transaction_id FROM transaction_splits WHERE category LIKE ?
+    ))`);
+    params.push(`%${category}%`, `%${category}%`);
+  }
+
+  // Canonical merchant names count too, so "amazon" finds "AMZN Mktp US*2K4"
+  if (merchant) {
+    conditions.push(`(${column('merchant_name')} LIKE ? OR ${column('name')} LIKE ? OR ${column('merchant_id')} IN (
+      SELECT id FROM merchants WHERE name LIKE ?
+    ))`);
+    params.push(`%${merchant}%`, `%${merchant}%`, `%${merchant}%`);
+  }
+
+  if (minAmount !== undefined && minAmount !== null && minAmount !== '') {
+    conditions.push(`ABS(${column('amount')}) >= ?`);
+    params.push(parseFloat(minAmount));
+  }
+
+  if (maxAmount !== undefined && maxAmount !== null && maxAmount !== '') {
+    conditions.push(`ABS(${column('amount')}) <= ?`);
+    params.push(parseFloat(maxAmount));
+  }
+
+  if (direction === 'spending') {
+    conditions.push(`${column('amount')} > 0`);
+  } else if (direction === 'income') {
+    conditions.push(`${column('amount')} < 0`);
+  }
+
+  // Accepts booleans or the 'true' / 'false' strings query parameters arrive as
+  if (pending === true || pending === 'true') {
+    conditions.push(`${column('pending')} = 1`);
+  } else if (pending === false || pending === 'false') {
+    conditions.push(`${column('pending')} = 0`);
+  }
+
+  if (transfers === 'exclude') {
+    conditions.push(`${column('transfer_id')} IS NULL`);
+  } else if (transfers === 'only') {
+    conditions.push(`${column('transfer_id')} IS NOT NULL`);
+  }
+
+  return {
+    clause: conditions.map(condition => ` AND ${condition}`).join('') + accountFilter.clause + tagFilter.clause,
+    params: [...params, ...accountFilter.params, ...tagFilter.params]
+  };
+}
+
+module.exports = {
+  FILTER_KEYS,
+  extractFilters,
+  buildAccountFilter,
+  buildTagFilter,
+  buildTransferFilter,
+  buildScopeFilter,
+  buildTransactionFilter
+};
@@ -0,0 +1,204 @@
+const { dbGet, dbAll } = require('./database');
+const { buildTransactionFilter } = require('./transactionFilters');
+const { RANK_EXPRESSION, SNIPPET_EXPRESSION, buildMatchQuery, suggestCorrection } = require('./transactionSearch');
+
+/**
+ * Transaction Query
+ *
+ * Paginated, filterable reads of the local transactions table for the
+ * transactions list. Pages use keyset pagination: the cursor holds the sort
+ * value and transaction_id of the last row, so page 500 costs the same as
+ * page 1 and rows synced in between never shift a page.
+ *
+ * Text queries go through the full-text index (see transactionSearch.js) and
+ * can be sorted by relevance.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// key is the selected column holding each row's sort value, for the cursor
+const SORTS = {
+  date_desc: { column: 't.date', key: 'date', direction: 'DESC' },
+  date_asc: { column: 't.date', key: 'date', direction: 'ASC' },
+  amount_desc: { column: 't.amount', key: 'amount', direction: 'DESC' },
+  amount_asc: { column: 't.amount', key: 'amount', direction: 'ASC' },
+  // bm25 scores are lower for better matches
+  relevance: { column: RANK_EXPRESSION, key: 'relevance', direction: 'ASC', requiresQuery: true }
+};
+
+// ===== CURSORS =====
+
+function encodeCursor(sort, row, sortKey) {
+  const value = row[sortKey];
+  return Buffer.from(JSON.stringify({ sort, value, id: row.transaction_id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (decoded.sort !== sort || decoded.id === undefined) {
+    throw new Error('Cursor does not match this sort order - start again from the first page');
+  }
+
+  return decoded;
+}
+
+// ===== ROWS =====
+
+// Stored Plaid object plus our columns, so the list can show every attribute
+function toListRow(row) {
+  let raw = {};
+  try {
+    raw = row.raw_data ? JSON.parse(row.raw_data) : {};
+  } catch (error) {
+    raw = {};
+  }
+
+  return {
+    ...raw,
+    transaction_id: row.transaction_id,
+    account_id: row.account_id,
+    account_name: row.account_name,
+    institution_name: row.institution_name,
+    date: row.date,
+    authorized_date: row.authorized_date,
+    name: row.name,
+    merchant_name: row.merchant_name,
+    merchant_id: row.merchant_id,
+    merchant: row.merchant || row.merchant_name,
+    merchant_logo_url: row.merchant_logo_url || raw.logo_url || null,
+    amount: row.amount,
+    iso_currency_code: row.iso_currency_code,
+    pending: row.pending === 1,
+    payment_channel: row.payment_channel,
+    category: row.effective_category,
+    plaid_category: raw.category || null,
+    user_category: row.user_category,
+    notes: row.notes,
+    tags: row.tags ? row.tags.split(',').sort() : [],
+    split_count: row.split_count,
+    tax_flag: row.tax_flag || null,
+    transfer_id: row.transfer_id,
+    is_transfer: row.transfer_id !== null && row.transfer_id !== undefined,
+    source: row.source,
+    snippet: row.snippet || null
+  };
+}
+
+/**
+ * Query one page of transactions.
+ *
+ * filters: query (text), startDate, endDate, category, merchant, minAmount, maxAmount,
+ *          direction, pending, tag, transfers ('exclude' or 'only'), plus the account filters (accountId, itemId, account, institution, accountType)
+ * sort:    date_desc, date_asc, amount_desc, amount_asc or relevance (needs a query);
+ *          defaults to relevance when there is a query, date_desc otherwise
+ * cursor:  nextCursor from the previous page
+ *
+ * Totals (count, spending, income, pending, transfers) cover every matching row and are
+ * only computed for the first page. Transfers between the user's own accounts
+ * are listed but left out of spending and income. A first page with a query that matches
+ * nothing also returns a spelling suggestion when one is found.
+ */
+async function queryTransactions({ filters = {}, sort = null, cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const matchQuery = buildMatchQuery(filters.query);
+  const sortName = sort || (matchQuery ? 'relevance' : 'date_desc');
+  const sortOrder = SORTS[sortName];
+  if (!sortOrder) {
+    throw new Error(`Unsupported sort: ${sortName}. Use ${Object.keys(SORTS).join(', ')}`);
+  }
+  if (sortOrder.requiresQuery && !matchQuery) {
+    throw new Error('Sorting by relevance needs a search query');
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const filter = buildTransactionFilter(filters, 't');
+
+  // Text queries start from the full-text index so snippets and ranking are available
+  const fromClause = matchQuery
+    ? 'FROM transactions_fts JOIN transactions t ON t.rowid = transactions_fts.rowid'
+    : 'FROM transactions t';
+  const whereClause = matchQuery
+    ? `WHERE transactions_fts MATCH ?${filter.clause}`
+    : `WHERE 1 = 1${filter.clause}`;
+  const whereParams = matchQuery ? [matchQuery, ...filter.params] : filter.params;
+
+  // Rows after the cursor in sort order, with transaction_id breaking ties
+  let keysetClause = '';
+  const keysetParams = [];
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor, sortName);
+    const comparison = sortOrder.direction === 'DESC' ? '<' : '>';
+    keysetClause = ` AND (${sortOrder.column} ${comparison} ? OR (${sortOrder.column} = ? AND t.transaction_id ${comparison} ?))`;
+    keysetParams.push(value, value, id);
+  }
+
+  const rows = await dbAll(`
+    SELECT
+      t.*,
+      COALESCE(t.user_category, t.category) AS effective_category,
+      (SELECT GROUP_CONCAT(tag) FROM transaction_tags WHERE transaction_id = t.transaction_id) AS tags,
+      (SELECT COUNT(*) FROM transaction_splits WHERE transaction_id = t.transaction_id) AS split_count,
+      (SELECT tax_type FROM tax_flags WHERE scope = 'transaction' AND value = t.transaction_id) AS tax_flag,
+      m.name AS merchant,
+      m.logo_url AS merchant_logo_url,
+      a.name AS account_name,
+      COALESCE(u.institution_name, a.institution_name) AS institution_name${matchQuery ? `,
+      ${SNIPPET_EXPRESSION} AS snippet,
+      ${RANK_EXPRESSION} AS relevance` : ''}
+    ${fromClause}
+    LEFT JOIN accounts a ON a.account_id = t.account_id
+    LEFT JOIN user_data u ON u.item_id = a.item_id
+    LEFT JOIN merchants m ON m.id = t.merchant_id
+    ${whereClause}${keysetClause}
+    ORDER BY ${sortOrder.column} ${sortOrder.direction}, t.transaction_id ${sortOrder.direction}
+    LIMIT ?
+  `, [...whereParams, ...keysetParams, pageSize + 1]);
+
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+
+  let totals = null;
+  if (!cursor) {
+    const summary = await dbGet(`
+      SELECT
+        COUNT(*) AS count,
+        SUM(CASE WHEN t.amount > 0 AND t.transfer_id IS NULL THEN t.amount ELSE 0 END) AS spending,
+        SUM(CASE WHEN t.amount < 0 AND t.transfer_id IS NULL THEN ABS(t.amount) ELSE 0 END) AS income,
+        SUM(CASE WHEN t.pending = 1 THEN 1 ELSE 0 END) AS pending,
+        SUM(CASE WHEN t.transfer_id IS NOT NULL THEN 1 ELSE 0 END) AS transfers
+      ${fromClause}
+      ${whereClause}
+    `, whereParams);
+
+    totals = {
+      count: summary.count || 0,
+      spending: parseFloat((summary.spending || 0).toFixed(2)),
+      income: parseFloat((summary.income || 0).toFixed(2)),
+      pending: summary.pending || 0,
+      transfers: summary.transfers || 0
+    };
+  }
+
+  let suggestion = null;
+  if (matchQuery && !cursor && page.length === 0) {
+    suggestion = await suggestCorrection(filters.query);
+  }
+
+  return {
+    transactions: page.map(toListRow),
+    nextCursor: hasMore ? encodeCursor(sortName, page[page.length - 1], sortOrder.key) : null,
+    hasMore,
+    totals,
+    suggestion
+  };
+}
+
+module.exports = {
+  queryTransactions
+};
@@ -0,0 +1,163 @@
+const { dbAll } = require('./database');
+const { buildTransactionFilter } = require('./transactionFilters');
+
+/**
+ * Transaction Search
+ *
+ * Full-text search over the transactions_fts index (name, merchant,
+ * bank description, category and notes), which triggers in database.js keep
+ * in step with the transactions table.
+ *
+ * - Every word must match, and each word also matches as a prefix ("star" finds "Starbucks")
+ * - Results are ranked with bm25, weighting name and merchant over description, category and notes
+ * - Snippets wrap matched words in <mark></mark>
+ * - When nothing matches, words missing from the index are corrected to the
+ *   closest indexed word ("starbuks" -> "starbucks")
+ */
+
+// Column weights, in transactions_fts column order: name, merchant_name, original_description, category, notes
+const RANK_EXPRESSION = 'bm25(transactions_fts, 10.0, 8.0, 4.0, 3.0, 2.0)';
+const SNIPPET_EXPRESSION = "snippet(transactions_fts, -1, '<mark>', '</mark>', '…', 12)";
+
+const DEFAULT_LIMIT = 50;
+
+// ===== QUERY PARSING =====
+
+function queryWords(query) {
+  return (String(query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+/**
+ * FTS5 MATCH expression for free text, or null when there is nothing to search for.
+ * Words are quoted so FTS5 operators in user input are matched as plain text.
+ */
+function buildMatchQuery(query) {
+  const words = queryWords(query);
+  if (words.length === 0) return null;
+  return words.map(word => `"${word}"*`).join(' ');
+}
+
+// ===== TYPO CORRECTION =====
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Replace words that match nothing in the index with the closest indexed word.
+ * Returns the corrected query, or null when no word could be improved.
+ */
+async function suggestCorrection(query) {
+  const words = queryWords(query);
+  if (words.length === 0) return null;
+
+  let changed = false;
+  const corrected = [];
+
+  for (const word of words) {
+    // Still a prefix of an indexed word - nothing to correct
+    const prefixMatch = await dbAll(
+      'SELECT term FROM transactions_fts_vocab WHERE term >= ? AND term < ? LIMIT 1',
+      [word, `${word}\uffff`]
+    );
+    if (prefixMatch.length > 0 || word.length < 3) {
+      corrected.push(word);
+      continue;
+    }
+
+    const maxDistance = word.length <= 4 ? 1 : 2;
+    const candidates = await dbAll(
+      'SELECT term, doc FROM transactions_fts_vocab WHERE length(term) BETWEEN ? AND ?',
+      [word.length - maxDistance, word.length + maxDistance]
+    );
+
+    let best = null;
+    for (const candidate of candidates) {
+      const distance = editDistance(word, candidate.term);
+      if (distance > maxDistance) continue;
+      if (!best || distance < best.distance || (distance === best.distance && candidate.doc > best.doc)) {
+        best = { term: candidate.term, doc: candidate.doc, distance };
+      }
+    }
+
+    if (best) {
+      corrected.push(best.term);
+      changed = true;
+    } else {
+      corrected.push(word);
+    }
+  }
+
+  return changed ? corrected.join(' ') : null;
+}
+
+// ===== SEARCH =====
+
+async function runSearch(matchQuery, filters, limit) {
+  const filter = buildTransactionFilter(filters, 't');
+
+  return dbAll(`
+    SELECT
+      t.*,
+      COALESCE(t.user_category, t.category) AS effective_category,
+      COALESCE(m.name, t.merchant_name) AS merchant,
+      ${SNIPPET_EXPRESSION} AS snippet,
+      ${RANK_EXPRESSION} AS relevance
+    FROM transactions_fts
+    JOIN transactions t ON t.rowid = transactions_fts.rowid
+    LEFT JOIN merchants m ON m.id = t.merchant_id
+    WHERE transactions_fts MATCH ?${filter.clause}
+    ORDER BY relevance ASC, t.date DESC
+    LIMIT ?
+  `, [matchQuery, ...filter.params, limit]);
+}
+
+/**
+ * Ranked search across stored transactions, best match first.
+ * Accepts the same filters as exports (dates, amounts, account filters...).
+ *
+ * Resolves with { query, correctedQuery, transactions }; correctedQuery is set
+ * when the original words matched nothing and a typo-corrected search was run instead.
+ */
+async function searchTransactions(query, { filters = {}, limit = DEFAULT_LIMIT } = {}) {
+  const matchQuery = buildMatchQuery(query);
+  if (!matchQuery) {
+    return { query, correctedQuery: null, transactions: [] };
+  }
+
+  let rows = await runSearch(matchQuery, filters, limit);
+  let correctedQuery = null;
+
+  if (rows.length === 0) {
+    correctedQuery = await suggestCorrection(query);
+    if (correctedQuery) {
+      rows = await runSearch(buildMatchQuery(correctedQuery), filters, limit);
+    }
+  }
+
+  return { query, correctedQuery, transactions: rows };
+}
+
+module.exports = {
+  RANK_EXPRESSION,
+  SNIPPET_EXPRESSION,
+  buildMatchQuery,
+  suggestCorrection,
+  searchTransactions
+};
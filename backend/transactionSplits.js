@@ -0,0 +1,110 @@
+const { dbRun, dbGet, dbAll } = require('./database');
+
+/**
+ * Transaction Splits
+ *
+ * Splits one transaction across categories, e.g. a $180 Costco run as $110
+ * Groceries and $70 Household. Split amounts use the transaction's sign
+ * (positive = money out) and must add up to its amount. Analytics read the
+ * transaction_lines view, which swaps a split transaction for its splits.
+ */
+
+const MIN_SPLITS = 2;
+
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+async function getTransaction(transactionId) {
+  const transaction = await dbGet(`
+    SELECT transaction_id, amount, name, COALESCE(user_category, category) AS category
+    FROM transactions
+    WHERE transaction_id = ?
+  `, [transactionId]);
+
+  if (!transaction) {
+    throw new Error('Transaction not found');
+  }
+  return transaction;
+}
+
+/**
+ * A transaction's splits. `balanced` is false when the bank has since changed
+ * the amount, in which case analytics use the whole transaction until the
+ * splits are fixed.
+ */
+async function getSplits(transactionId) {
+  const transaction = await getTransaction(transactionId);
+  const splits = await dbAll(`
+    SELECT id, category, amount, note
+    FROM transaction_splits
+    WHERE transaction_id = ?
+    ORDER BY position ASC, id ASC
+  `, [transactionId]);
+
+  const splitTotal = splits.reduce((sum, split) => sum + toCents(split.amount), 0);
+
+  return {
+    transactionId,
+    amount: transaction.amount,
+    category: transaction.category,
+    splits,
+    balanced: splits.length === 0 || splitTotal === toCents(transaction.amount)
+  };
+}
+
+/**
+ * Replace a transaction's splits. Each split needs a category and an amount;
+ * together they must add up to the transaction's amount.
+ */
+async function setSplits(transactionId, splits = []) {
+  const transaction = await getTransaction(transactionId);
+
+  if (!Array.isArray(splits) || splits.length < MIN_SPLITS) {
+    throw new Error(`A split needs at least ${MIN_SPLITS} parts`);
+  }
+
+  const cleaned = splits.map((split, index) => {
+    const category = String(split.category || '').trim();
+    const amount = parseFloat(split.amount);
+
+    if (!category) {
+      throw new Error(`Split ${index + 1} needs a category`);
+    }
+    if (Number.isNaN(amount) || amount === 0) {
+      throw new Error(`Split ${index + 1} needs a non-zero amount`);
+    }
+
+    return { category, amount: toCents(amount) / 100, note: split.note ? String(split.note).trim() : null };
+  });
+
+  const splitTotal = cleaned.reduce((sum, split) => sum + toCents(split.amount), 0);
+  if (splitTotal !== toCents(transaction.amount)) {
+    throw new Error(`Splits add up to ${(splitTotal / 100).toFixed(2)} but the transaction is ${transaction.amount.toFixed(2)}`);
+  }
+
+  await dbRun(`DELETE FROM transaction_splits WHERE transaction_id = ?`, [transactionId]);
+  for (const [position, split] of cleaned.entries()) {
+    await dbRun(`
+      INSERT INTO transaction_splits (transaction_id, category, amount, note, position)
+      VALUES (?, ?, ?, ?, ?)
+    `, [transactionId, split.category, split.amount, split.note, position]);
+  }
+
+  return getSplits(transactionId);
+}
+
+/**
+ * Remove a transaction's splits so it counts as a whole again
+ */
+async function clearSplits(transactionId) {
+  await getTransaction(transactionId);
+  await dbRun(`DELETE FROM transaction_splits WHERE transaction_id = ?`, [transactionId]);
+  return getSplits(transactionId);
+}
+
+module.exports = {
+  getSplits,
+  setSplits,
+  clearSplits
+};
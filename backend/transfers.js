@@ -0,0 +1,333 @@
+const { dbRun, dbGet, dbAll } = require('./database');
+const { round, daysBetween } = require('./analyticsHelpers');
+
+/**
+ * Transfers
+ *
+ * Finds money moving between the user's own accounts - checking to savings,
+ * credit card payments, deposits into Increase vaults - so it isn't counted
+ * as spending on one side and income on the other.
+ *
+ * A transfer is a pair: an outflow and an inflow of (nearly) the same amount
+ * on two different accounts within a few days. Either side can be a
+ * transaction (Plaid or imported) or an Increase transaction; transfers
+ * between Increase accounts made by createAccountTransfer are paired by
+ * their transfer id.
+ *
+ * Amount and date alone would pair coincidences (a $50 dinner and a $50
+ * refund elsewhere, even on the same day), so a pair also needs one side
+ * that looks like a transfer - its category (the user's or Plaid's) or its
+ * description. Money arriving on a credit card or loan needs both sides to:
+ * the payment out of checking and a payment credit on the card, as a refund
+ * or merchant credit on a card is money in too.
+ *
+ * Matched transactions get transfer_id, which analytics use to leave them
+ * out of spending and income. Unpairing rejects a match so it isn't re-made.
+ */
+
+const MAX_DAYS_APART = 4;
+const AMOUNT_TOLERANCE_SHARE = 0.005; // of the amount, for fees and rounding
+
+const TRANSFER_CATEGORIES = ['Transfer In', 'Transfer Out', 'Loan Payments'];
+const TRANSFER_NAME_PATTERN = /\b(transfer|xfer|payment|pymt|pmt|autopay|online banking|to savings|from savings|to checking|from checking)\b/i;
+const DEBT_ACCOUNT_TYPES = ['credit', 'loan'];
+
+const daysApart = (a, b) => Math.abs(daysBetween(a, b));
+
+// ===== CANDIDATES =====
+
+/**
+ * Unmatched posted movements across the user's accounts, as
+ * { source, id, accountId, accountType, date, amount, name, category, plaidCategory, raw }
+ * with amount positive for money out (Plaid's convention) on both sources
+ */
+async function loadCandidates(userId) {
+  const transactions = await dbAll(`
+    SELECT t.transaction_id AS id, t.account_id, a.type AS account_type, t.date, t.amount, t.name,
+      COALESCE(t.user_category, t.category) AS category, t.category AS plaid_category
+    FROM transactions t
+    JOIN accounts a ON a.account_id = t.account_id
+    WHERE a.user_id = ? AND t.pending = 0 AND t.transfer_id IS NULL AND t.amount != 0
+  `, [userId]);
+
+  // Increase amounts are positive for money in
+  const increaseTransactions = await dbAll(`
+    SELECT it.increase_transaction_id AS id, it.increase_account_id AS account_id,
+      COALESCE(substr(it.created_at_increase, 1, 10), date(it.created_at)) AS date,
+      -it.amount AS amount, it.description AS name, it.raw_data
+    FROM increase_transactions it
+    JOIN increase_accounts ia ON ia.increase_account_id = it.increase_account_id
+    LEFT JOIN increase_entities e ON e.increase_entity_id = ia.increase_entity_id
+    WHERE (e.user_id = ? OR e.user_id IS NULL) AND it.transfer_id IS NULL AND it.amount != 0
+  `, [userId]);
+
+  return [
+    ...transactions.map(row => ({
+      ...row, source: 'transaction', accountId: row.account_id, accountType: row.account_type, plaidCategory: row.plaid_category
+    })),
+    ...increaseTransactions.map(row => {
+      let raw = {};
+      try {
+        raw = row.raw_data ? JSON.parse(row.raw_data) : {};
+      } catch (error) {
+        raw = {};
+      }
+      return { ...row, source: 'increase', accountId: row.account_id, accountType: 'depository', category: null, plaidCategory: null, raw };
+    })
+  ];
+}
+
+const pairKey = (outflow, inflow) => `${outflow.source}:${outflow.id}|${inflow.source}:${inflow.id}`;
+
+function looksLikeTransfer(movement) {
+  return TRANSFER_CATEGORIES.includes(movement.category)
+    || TRANSFER_CATEGORIES.includes(movement.plaidCategory)
+    || TRANSFER_NAME_PATTERN.test(movement.name || '');
+}
+
+// Whether an outflow and an inflow carry enough transfer signal to pair
+function looksLikeTransferPair(outflow, inflow) {
+  if (DEBT_ACCOUNT_TYPES.includes(inflow.accountType)) {
+    return looksLikeTransfer(outflow) && looksLikeTransfer(inflow);
+  }
+  return looksLikeTransfer(outflow) || looksLikeTransfer(inflow);
+}
+
+// ===== MATCHING =====
+
+// Increase account transfers record both legs with the transfer in raw_data
+function matchIncreaseTransfers(candidates) {
+  const byId = new Map(candidates.filter(item => item.source === 'increase').map(item => [item.id, item]));
+  const pairs = [];
+
+  for (const debit of byId.values()) {
+    const creditId = debit.raw.transaction_id === debit.id ? debit.raw.destination_transaction_id : null;
+    const credit = creditId && byId.get(creditId);
+    if (credit && debit.amount > 0) {
+      pairs.push({ outflow: debit, inflow: credit, method: 'increase' });
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Pair each outflow with the closest unused inflow on another account:
+ * smallest amount difference first, then fewest days apart
+ */
+function matchByAmount(candidates, used, rejected) {
+  const outflows = candidates.filter(item => item.amount > 0 && !used.has(item)).sort((a, b) => a.date.localeCompare(b.date));
+  const inflows = candidates.filter(item => item.amount < 0 && !used.has(item));
+  const pairs = [];
+
+  for (const outflow of outflows) {
+    const tolerance = Math.max(0.01, outflow.amount * AMOUNT_TOLERANCE_SHARE);
+    let best = null;
+
+    for (const inflow of inflows) {
+      if (used.has(inflow) || inflow.accountId === outflow.accountId) continue;
+
+      const difference = Math.abs(outflow.amount + inflow.amount);
+      const gap = daysApart(outflow.date, inflow.date);
+      if (difference > tolerance + 1e-9 || gap > MAX_DAYS_APART) continue;
+      if (rejected.has(pairKey(outflow, inflow))) continue;
+
+      if (!looksLikeTransferPair(outflow, inflow)) continue;
+
+      if (!best || difference < best.difference || (difference === best.difference && gap < best.gap)) {
+        best = { inflow, difference, gap };
+      }
+    }
+
+    if (best) {
+      used.add(outflow);
+      used.add(best.inflow);
+      pairs.push({ outflow, inflow: best.inflow, method: 'auto' });
+    }
+  }
+  return pairs;
+}
+
+async function markSide(movement, matchId) {
+  if (movement.source === 'increase') {
+    await dbRun(`UPDATE increase_transactions SET transfer_id = ? WHERE increase_transaction_id = ?`, [matchId, movement.id]);
+  } else {
+    await dbRun(`UPDATE transactions SET transfer_id = ? WHERE transaction_id = ?`, [matchId, movement.id]);
+  }
+}
+
+async function saveMatch(userId, { outflow, inflow, method }) {
+  const result = await dbRun(`
+    INSERT INTO transfer_matches (
+      user_id, outflow_source, outflow_id, inflow_source, inflow_id, amount, outflow_date, inflow_date, method
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [userId, outflow.source, outflow.id, inflow.source, inflow.id, round(outflow.amount), outflow.date, inflow.date, method]);
+
+  await markSide(outflow, result.lastID);
+  await markSide(inflow, result.lastID);
+  return result.lastID;
+}
+
+/**
+ * Drop matches whose transactions are gone (removed by the bank or rolled
+ * back with an import) and free the other side
+ */
+async function removeStaleMatches(userId) {
+  const result = await dbRun(`
+    DELETE FROM transfer_matches
+    WHERE user_id = ? AND status = 'matched' AND (
+      (outflow_source = 'transaction' AND outflow_id NOT IN (SELECT transaction_id FROM transactions))
+      OR (inflow_source = 'transaction' AND inflow_id NOT IN (SELECT transaction_id FROM transactions))
+      OR (outflow_source = 'increase' AND outflow_id NOT IN (SELECT increase_transaction_id FROM increase_transactions))
+      OR (inflow_source = 'increase' AND inflow_id NOT IN (SELECT increase_transaction_id FROM increase_transactions))
+    )
+  `, [userId]);
+
+  await dbRun(`
+    UPDATE transactions SET transfer_id = NULL
+    WHERE transfer_id IS NOT NULL AND transfer_id NOT IN (SELECT id FROM transfer_matches WHERE status = 'matched')
+  `);
+  await dbRun(`
+    UPDATE increase_transactions SET transfer_id = NULL
+    WHERE transfer_id IS NOT NULL AND transfer_id NOT IN (SELECT id FROM transfer_matches WHERE status = 'matched')
+  `);
+
+  return result.changes;
+}
+
+/**
+ * Find new transfers among unmatched transactions (run after every sync and import).
+ * Resolves with { matched, removed }.
+ */
+async function detectTransfers(userId = 'default_user') {
+  const removed = await removeStaleMatches(userId);
+
+  const candidates = await loadCandidates(userId);
+  const rejectedRows = await dbAll(`
+    SELECT outflow_source, outflow_id, inflow_source, inflow_id FROM transfer_matches WHERE user_id = ? AND status = 'rejected'
+  `, [userId]);
+  const rejected = new Set(rejectedRows.map(row => `${row.outflow_source}:${row.outflow_id}|${row.inflow_source}:${row.inflow_id}`));
+
+  const increasePairs = matchIncreaseTransfers(candidates).filter(pair => !rejected.has(pairKey(pair.outflow, pair.inflow)));
+  const used = new Set(increasePairs.flatMap(pair => [pair.outflow, pair.inflow]));
+  const pairs = [...increasePairs, ...matchByAmount(candidates, used, rejected)];
+
+  for (const pair of pairs) {
+    await saveMatch(userId, pair);
+  }
+
+  return { matched: pairs.length, removed };
+}
+
+// ===== REVIEW =====
+
+// Account and description of one side of a match, from whichever table it lives in
+function sideColumns(side) {
+  return `
+    CASE WHEN m.${side}_source = 'increase' THEN ia_${side}.name ELSE a_${side}.name END AS ${side}_account,
+    CASE WHEN m.${side}_source = 'increase' THEN it_${side}.description ELSE t_${side}.name END AS ${side}_name`;
+}
+
+function sideJoins(side) {
+  return `
+    LEFT JOIN transactions t_${side} ON m.${side}_source = 'transaction' AND t_${side}.transaction_id = m.${side}_id
+    LEFT JOIN accounts a_${side} ON a_${side}.account_id = t_${side}.account_id
+    LEFT JOIN increase_transactions it_${side} ON m.${side}_source = 'increase' AND it_${side}.increase_transaction_id = m.${side}_id
+    LEFT JOIN increase_accounts ia_${side} ON ia_${side}.increase_account_id = it_${side}.increase_account_id`;
+}
+
+/**
+ * Matched transfers, newest first, with the account and description of both sides
+ */
+async function listTransfers({ startDate = null, endDate = null, limit = 100, userId = 'default_user' } = {}) {
+  const conditions = [`m.user_id = ?`, `m.status = 'matched'`];
+  const params = [userId];
+  if (startDate) {
+    conditions.push('m.outflow_date >= ?');
+    params.push(startDate);
+  }
+  if (endDate) {
+    conditions.push('m.outflow_date <= ?');
+    params.push(endDate);
+  }
+
+  const rows = await dbAll(`
+    SELECT m.*,${sideColumns('outflow')},${sideColumns('inflow')}
+    FROM transfer_matches m${sideJoins('outflow')}${sideJoins('inflow')}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY m.outflow_date DESC, m.id DESC
+    LIMIT ?
+  `, [...params, parseInt(limit, 10) || 100]);
+
+  return rows.map(row => ({
+    id: row.id,
+    amount: row.amount,
+    method: row.method,
+    from: { source: row.outflow_source, id: row.outflow_id, date: row.outflow_date, account: row.outflow_account, name: row.outflow_name },
+    to: { source: row.inflow_source, id: row.inflow_id, date: row.inflow_date, account: row.inflow_account, name: row.inflow_name }
+  }));
+}
+
+/**
+ * Pair two transactions by hand (e.g. a card payment the matcher missed).
+ * The outflow is whichever has the positive amount.
+ */
+async function pairTransactions(firstId, secondId, userId = 'default_user') {
+  const rows = await dbAll(`
+    SELECT t.transaction_id AS id, t.account_id, t.date, t.amount, t.transfer_id
+    FROM transactions t
+    JOIN accounts a ON a.account_id = t.account_id
+    WHERE a.user_id = ? AND t.transaction_id IN (?, ?)
+  `, [userId, firstId, secondId]);
+
+  if (rows.length !== 2) {
+    throw new Error('Transaction not found');
+  }
+  const outflow = rows.find(row => row.amount > 0);
+  const inflow = rows.find(row => row.amount < 0);
+  if (!outflow || !inflow) {
+    throw new Error('A transfer needs one transaction out and one in');
+  }
+  if (outflow.account_id === inflow.account_id) {
+    throw new Error('A transfer needs two different accounts');
+  }
+  if (outflow.transfer_id || inflow.transfer_id) {
+    throw new Error('One of these transactions is already part of a transfer');
+  }
+
+  // A pair rejected earlier can be confirmed by hand
+  await dbRun(`
+    DELETE FROM transfer_matches
+    WHERE outflow_source = 'transaction' AND outflow_id = ? AND inflow_source = 'transaction' AND inflow_id = ?
+  `, [outflow.id, inflow.id]);
+
+  const id = await saveMatch(userId, {
+    outflow: { ...outflow, source: 'transaction' },
+    inflow: { ...inflow, source: 'transaction' },
+    method: 'manual'
+  });
+  return { id, outflowId: outflow.id, inflowId: inflow.id };
+}
+
+/**
+ * Unpair a transfer: both sides count as spending and income again, and the
+ * matcher won't pair them again
+ */
+async function unpairTransfer(matchId, userId = 'default_user') {
+  const match = await dbGet(`SELECT id FROM transfer_matches WHERE id = ? AND user_id = ? AND status = 'matched'`, [matchId, userId]);
+  if (!match) {
+    throw new Error('Transfer not found');
+  }
+
+  await dbRun(`UPDATE transfer_matches SET status = 'rejected', updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [matchId]);
+  await dbRun(`UPDATE transactions SET transfer_id = NULL WHERE transfer_id = ?`, [matchId]);
+  await dbRun(`UPDATE increase_transactions SET transfer_id = NULL WHERE transfer_id = ?`, [matchId]);
+  return { id: Number(matchId), unpaired: true };
+}
+
+module.exports = {
+  matchByAmount,
+  detectTransfers,
+  listTransfers,
+  pairTransactions,
+  unpairTransfer
+};
@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './AnomaliesPanel.css';
+
+const STATUS_FILTERS = [
+  { value: 'open', label: 'Open' },
+  { value: 'expected', label: 'Expected' },
+  { value: 'dismissed', label: 'Dismissed' },
+];
+
+const TYPE_LABELS = {
+  unusual_amount: { icon: '💸', label: 'Unusual amount' },
+  duplicate: { icon: '👯', label: 'Possible duplicate' },
+  new_merchant: { icon: '🆕', label: 'New merchant' },
+  unusual_location: { icon: '📍', label: 'Unusual location' },
+};
+
+const formatMoney = (amount) => `$${amount.toFixed(2)}`;
+
+const formatDate = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+
+function AnomaliesPanel() {
+  const [statusFilter, setStatusFilter] = useState('open');
+  const [anomalies, setAnomalies] = useState(null);
+
+  useEffect(() => {
+    loadAnomalies(statusFilter);
+  }, [statusFilter]);
+
+  const loadAnomalies = async (status) => {
+    try {
+      const response = await axios.get('/api/anomalies', { params: { status } });
+      setAnomalies(response.data.anomalies);
+    } catch (error) {
+      console.error('Error loading anomalies:', error);
+    }
+  };
+
+  const setStatus = async (anomaly, status) => {
+    try {
+      await axios.put(`/api/anomalies/${anomaly.id}/status`, { status });
+      loadAnomalies(statusFilter);
+    } catch (error) {
+      console.error('Error updating anomaly:', error);
+      alert('Error updating alert: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  return (
+    <div className="anomalies-container">
+      <div className="anomalies-header">
+        <h1>🚨 Unusual Activity</h1>
+        <p>Charges that don't look like your usual spending. Mark the ones you expected so they stop being flagged.</p>
+      </div>
+
+      <div className="anomalies-section">
+        <div className="anomalies-filters">
+          {STATUS_FILTERS.map(filter => (
+            <button
+              key={filter.value}
+              onClick={() => setStatusFilter(filter.value)}
+              className={`anomalies-button ${statusFilter === filter.value ? '' : 'secondary'}`}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+
+        {anomalies && anomalies.length === 0 && (
+          <div className="anomalies-empty">
+            {statusFilter === 'open' ? 'Nothing unusual in your recent transactions.' : 'No alerts here.'}
+          </div>
+        )}
+
+        {anomalies && anomalies.map(anomaly => (
+          <div key={anomaly.id} className={`anomaly-card ${anomaly.type}`}>
+            <div className="anomaly-main">
+              <span className="anomaly-icon">{TYPE_LABELS[anomaly.type].icon}</span>
+              <div>
+                <div className="anomaly-type">{TYPE_LABELS[anomaly.type].label}</div>
+                <strong>{anomaly.message}</strong>
+                <div className="anomaly-meta">
+                  {anomaly.transaction.merchant || anomaly.transaction.name} · {formatDate(anomaly.transaction.date)}
+                  {anomaly.transaction.accountName && ` · ${anomaly.transaction.accountName}`}
+                </div>
+              </div>
+            </div>
+            <div className="anomaly-side">
+              <strong>{formatMoney(anomaly.transaction.amount)}</strong>
+              <div className="anomaly-actions">
+                {anomaly.status === 'open' ? (
+                  <>
+                    <button onClick={() => setStatus(anomaly, 'expected')} className="anomaly-action-button primary">
+                      Expected
+                    </button>
+                    <button onClick={() => setStatus(anomaly, 'dismissed')} className="anomaly-action-button">
+                      Dismiss
+                    </button>
+                  </>
+                ) : (
+                  <button onClick={() => setStatus(anomaly, 'open')} className="anomaly-action-button">
+                    Reopen
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default AnomaliesPanel;
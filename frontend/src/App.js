@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { usePlaidLink } from 'react-plaid-link';
 import axios from 'axios';
 import './App.css';
@@ -8,25 +8,83 @@ import SavingsSuggestions from './SavingsSuggestions';
 import LocusWallet from './LocusWallet';
 import FreshStartBanner from './FreshStartBanner';
 import WeeklyChallengeCard from './WeeklyChallengeCard';
+import ReconnectBanner from './ReconnectBanner';
+import ImportPanel from './ImportPanel';
+import RulesPanel from './RulesPanel';
+import TransactionEditor from './TransactionEditor';
+import SplitEditor from './SplitEditor';
+import ReviewQueue from './ReviewQueue';
+import BudgetsPanel from './BudgetsPanel';
+import ForecastPanel from './ForecastPanel';
+import SubscriptionsPanel from './SubscriptionsPanel';
+import AnomaliesPanel from './AnomaliesPanel';
+import TaxPanel from './TaxPanel';
+import LocationsPanel from './LocationsPanel';
+import PatternsPanel from './PatternsPanel';
+
+const PAGE_SIZE = 50;
+
+const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Best match', searchOnly: true },
+  { value: 'date_desc', label: 'Newest' },
+  { value: 'date_asc', label: 'Oldest' },
+  { value: 'amount_desc', label: 'Largest' },
+  { value: 'amount_asc', label: 'Smallest' },
+];
+
+// Search snippets wrap matched words in <mark></mark>; render them as elements rather than HTML
+function renderSnippet(snippet) {
+  return snippet.split(/(<mark>.*?<\/mark>)/g).map((part, idx) => (
+    part.startsWith('<mark>') ? <mark key={idx}>{part.slice(6, -7)}</mark> : part
+  ));
+}
 
 function App() {
   const [linkToken, setLinkToken] = useState(null);
-  const [accessToken, setAccessToken] = useState(null);
+  const [itemId, setItemId] = useState(null);
+  const [items, setItems] = useState([]);
   const [transactions, setTransactions] = useState([]);
-  const [accounts, setAccounts] = useState([]);
   const [itemInfo, setItemInfo] = useState(null);
   const [recurringTransactions, setRecurringTransactions] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [totals, setTotals] = useState(null);
   const [loadingRecurring, setLoadingRecurring] = useState(false);
   const [activeTab, setActiveTab] = useState('transactions'); // 'transactions' or 'chat'
 
   // Filter states
-  const [transactionCount, setTransactionCount] = useState(50);
-  const [startDate, setStartDate] = useState('');
-  const [endDate, setEndDate] = useState('');
+  // Default date range: last 30 days
+  const [startDate, setStartDate] = useState(() => {
+    const start = new Date();
+    start.setDate(start.getDate() - 30);
+    return start.toISOString().split('T')[0];
+  });
+  const [endDate, setEndDate] = useState(() => new Date().toISOString().split('T')[0]);
   const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [listFilters, setListFilters] = useState({
+    accountId: '',
+    category: '',
+    minAmount: '',
+    maxAmount: '',
+    pending: '',
+    tag: '',
+  });
+  const [tags, setTags] = useState([]);
+  const [sortOrder, setSortOrder] = useState(null); // null: best match while searching, newest otherwise
+  const [searchSuggestion, setSearchSuggestion] = useState(null);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exportScope, setExportScope] = useState('all'); // 'all' accounts or the 'selected' institution
+  const [exporting, setExporting] = useState(false);
   const [expandedTxn, setExpandedTxn] = useState(null);
 
+  // Latest list request, so responses for outdated filters are dropped
+  const transactionRequestRef = useRef(0);
+  const loadMoreRef = useRef(null);
+  const restoredRef = useRef(false);
+
   // Create link token on component mount
   useEffect(() => {
     async function createLinkToken() {
@@ -40,38 +98,31 @@ function App() {
     createLinkToken();
   }, []);
 
-  // Set default date range (last 30 days)
-  useEffect(() => {
-    const end = new Date();
-    const start = new Date();
-    start.setDate(start.getDate() - 30);
-
-    setEndDate(end.toISOString().split('T')[0]);
-    setStartDate(start.toISOString().split('T')[0]);
+  // Linked items with their institution and accounts, including which ones need to be reconnected
+  const fetchItems = useCallback(async () => {
+    const response = await axios.get('/api/items');
+    setItems(response.data.items);
+    return response.data.items;
   }, []);
 
+  // Switch the transactions view to another linked institution
+  const selectItem = async (id) => {
+    try {
+      await loadItem(id);
+    } catch (error) {
+      console.error('Error loading item:', error);
+      alert('Error loading accounts: ' + error.message);
+    }
+  };
+
   const onSuccess = async (public_token) => {
     try {
       setLoading(true);
+      // Linking again adds another item - existing institutions stay connected
       const response = await axios.post('/api/exchange_public_token', {
         public_token: public_token,
       });
-      setAccessToken(response.data.access_token);
-
-      // Fetch accounts
-      const accountsResponse = await axios.post('/api/accounts', {
-        access_token: response.data.access_token,
-      });
-      setAccounts(accountsResponse.data.accounts);
-
-      // Fetch item info (available products)
-      const itemResponse = await axios.post('/api/item', {
-        access_token: response.data.access_token,
-      });
-      setItemInfo(itemResponse.data.item);
-
-      // Automatically fetch transactions after connecting
-      await fetchTransactions(response.data.access_token);
+      await loadItem(response.data.item_id);
     } catch (error) {
       console.error('Error exchanging token:', error);
     } finally {
@@ -86,31 +137,164 @@ function App() {
 
   const { open, ready } = usePlaidLink(config);
 
-  const fetchTransactions = async (token = accessToken) => {
-    if (!token) {
-      alert('Please connect your bank account first');
-      return;
-    }
+  const activeSort = debouncedQuery
+    ? sortOrder || 'relevance'
+    : (sortOrder === 'relevance' ? null : sortOrder) || 'date_desc';
+
+  // One page of synced transactions from the local database; no cursor starts the list over
+  const loadTransactionPage = useCallback(async (cursor = null) => {
+    const requestId = ++transactionRequestRef.current;
 
     try {
-      setLoading(true);
-      const response = await axios.post('/api/transactions', {
-        access_token: token,
-        start_date: startDate,
-        end_date: endDate,
-        count: transactionCount,
+      if (cursor) {
+        setLoadingMore(true);
+      } else {
+        setLoading(true);
+      }
+
+      const response = await axios.get('/api/db/transactions', {
+        params: {
+          startDate,
+          endDate,
+          query: debouncedQuery || undefined,
+          accountId: listFilters.accountId || undefined,
+          category: listFilters.category || undefined,
+          minAmount: listFilters.minAmount || undefined,
+          maxAmount: listFilters.maxAmount || undefined,
+          pending: listFilters.pending || undefined,
+          tag: listFilters.tag || undefined,
+          sort: activeSort,
+          cursor: cursor || undefined,
+          limit: PAGE_SIZE,
+        },
       });
-      setTransactions(response.data.transactions);
+
+      if (requestId !== transactionRequestRef.current) return;
+
+      setTransactions(current => (cursor ? [...current, ...response.data.transactions] : response.data.transactions));
+      setNextCursor(response.data.nextCursor);
+      if (!cursor) {
+        setTotals(response.data.totals);
+        setSearchSuggestion(response.data.suggestion);
+      }
     } catch (error) {
-      console.error('Error fetching transactions:', error);
-      alert('Error fetching transactions: ' + error.message);
+      console.error('Error loading transactions:', error);
+      alert('Error loading transactions: ' + (error.response?.data?.error || error.message));
     } finally {
-      setLoading(false);
+      if (requestId === transactionRequestRef.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    }
+  }, [startDate, endDate, debouncedQuery, listFilters, activeSort]);
+
+  // Reload from the first page whenever a filter or the sort order changes
+  useEffect(() => {
+    if (itemId) {
+      loadTransactionPage();
+    }
+  }, [itemId, loadTransactionPage]);
+
+  // Wait for typing to pause before searching on the server
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(searchQuery.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  // Infinite scroll: fetch the next page when the end of the list comes into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor || loading || loadingMore) return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadTransactionPage(nextCursor);
+      }
+    }, { rootMargin: '400px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loading, loadingMore, loadTransactionPage]);
+
+  // Pull new transactions from every linked bank into the local database, then reload the list
+  const syncTransactions = useCallback(async () => {
+    try {
+      setSyncing(true);
+      await axios.post('/api/items/sync');
+    } catch (error) {
+      console.error('Error syncing transactions:', error);
+      alert('Error syncing transactions: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSyncing(false);
+    }
+    await loadTransactionPage();
+  }, [loadTransactionPage]);
+
+  // Load accounts, item info and transactions for a linked item
+  const loadItem = useCallback(async (id) => {
+    setItemId(id);
+
+    // Refresh the item's accounts and balances (stored server-side), then the grouped list
+    await axios.post('/api/accounts', {
+      item_id: id,
+    });
+    await fetchItems();
+
+    // Fetch item info (available products)
+    const itemResponse = await axios.post('/api/item', {
+      item_id: id,
+    });
+    setItemInfo(itemResponse.data.item);
+
+    // Pull the latest transactions into the local database after connecting
+    await syncTransactions();
+  }, [fetchItems, syncTransactions]);
+
+  // Restore previously linked items (their access tokens stay on the server).
+  // loadItem changes with the list filters, so the ref keeps this to the first render.
+  useEffect(() => {
+    if (restoredRef.current) return;
+    restoredRef.current = true;
+
+    async function restoreItem() {
+      try {
+        const linkedItems = await fetchItems();
+        if (linkedItems.length > 0) {
+          await loadItem(linkedItems[linkedItems.length - 1].itemId);
+        }
+      } catch (error) {
+        console.error('Error restoring linked item:', error);
+      }
+    }
+    restoreItem();
+  }, [fetchItems, loadItem]);
+
+  // Tags in use, for the tag filter
+  const fetchTags = async () => {
+    try {
+      const response = await axios.get('/api/tags');
+      setTags(response.data.tags);
+    } catch (error) {
+      console.error('Error loading tags:', error);
     }
   };
 
-  const fetchRecurringTransactions = async (token = accessToken) => {
-    if (!token) {
+  useEffect(() => {
+    fetchTags();
+  }, []);
+
+  // Show an edited transaction without reloading the list
+  const handleTransactionSaved = (updated) => {
+    setTransactions(current => current.map(txn => (txn.transaction_id === updated.transaction_id ? updated : txn)));
+    fetchTags();
+  };
+
+  const updateListFilter = (key, value) => {
+    setListFilters(current => ({ ...current, [key]: value }));
+  };
+
+  const fetchRecurringTransactions = async (id = itemId) => {
+    if (!id) {
       alert('Please connect your bank account first');
       return;
     }
@@ -118,7 +302,7 @@ function App() {
     try {
       setLoadingRecurring(true);
       const response = await axios.post('/api/recurring_transactions', {
-        access_token: token,
+        item_id: id,
       });
       setRecurringTransactions(response.data);
     } catch (error) {
@@ -129,16 +313,35 @@ function App() {
     }
   };
 
-  // Filter transactions based on search query
-  const filteredTransactions = transactions.filter(txn => {
-    const query = searchQuery.toLowerCase();
-    return (
-      txn.name.toLowerCase().includes(query) ||
-      txn.merchant_name?.toLowerCase().includes(query) ||
-      txn.category?.join(' ').toLowerCase().includes(query) ||
-      txn.amount.toString().includes(query)
-    );
-  });
+  // Download synced transactions for the current date range as CSV, OFX or JSON
+  const exportTransactions = async () => {
+    try {
+      setExporting(true);
+      const response = await axios.get('/api/export/transactions', {
+        params: {
+          format: exportFormat,
+          startDate,
+          endDate,
+          itemId: exportScope === 'selected' ? itemId : undefined,
+        },
+        responseType: 'blob',
+      });
+
+      const fileName = response.headers['content-disposition']?.match(/filename="(.+)"/)?.[1]
+        || `transactions.${exportFormat}`;
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting transactions:', error);
+      alert('Error exporting transactions: ' + error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
 
   return (
     <div className="App">
@@ -147,10 +350,17 @@ function App() {
         <p>Connect your bank account to view transactions and get AI insights</p>
       </header>
 
-      {accessToken && <FreshStartBanner />}
-      {accessToken && <WeeklyChallengeCard />}
-
-      {accessToken && (
+      <ReconnectBanner
+        items={items.filter(item => item.needsReauth)}
+        onReconnected={() => {
+          fetchItems();
+          syncTransactions();
+        }}
+      />
+      {itemId && <FreshStartBanner />}
+      {itemId && <WeeklyChallengeCard />}
+
+      {itemId && (
         <div className="tab-navigation">
           <button
             onClick={() => setActiveTab('transactions')}
@@ -182,12 +392,72 @@ function App() {
           >
             🤖 AI Wallet
           </button>
+          <button
+            onClick={() => setActiveTab('import')}
+            className={`tab-button ${activeTab === 'import' ? 'active' : ''}`}
+          >
+            📥 Import
+          </button>
+          <button
+            onClick={() => setActiveTab('rules')}
+            className={`tab-button ${activeTab === 'rules' ? 'active' : ''}`}
+          >
+            🏷️ Rules
+          </button>
+          <button
+            onClick={() => setActiveTab('review')}
+            className={`tab-button ${activeTab === 'review' ? 'active' : ''}`}
+          >
+            🧠 Review
+          </button>
+          <button
+            onClick={() => setActiveTab('budgets')}
+            className={`tab-button ${activeTab === 'budgets' ? 'active' : ''}`}
+          >
+            🎯 Budgets
+          </button>
+          <button
+            onClick={() => setActiveTab('forecast')}
+            className={`tab-button ${activeTab === 'forecast' ? 'active' : ''}`}
+          >
+            📈 Forecast
+          </button>
+          <button
+            onClick={() => setActiveTab('subscriptions')}
+            className={`tab-button ${activeTab === 'subscriptions' ? 'active' : ''}`}
+          >
+            🔁 Subscriptions
+          </button>
+          <button
+            onClick={() => setActiveTab('anomalies')}
+            className={`tab-button ${activeTab === 'anomalies' ? 'active' : ''}`}
+          >
+            🚨 Alerts
+          </button>
+          <button
+            onClick={() => setActiveTab('tax')}
+            className={`tab-button ${activeTab === 'tax' ? 'active' : ''}`}
+          >
+            🧾 Tax
+          </button>
+          <button
+            onClick={() => setActiveTab('places')}
+            className={`tab-button ${activeTab === 'places' ? 'active' : ''}`}
+          >
+            🗺️ Places
+          </button>
+          <button
+            onClick={() => setActiveTab('patterns')}
+            className={`tab-button ${activeTab === 'patterns' ? 'active' : ''}`}
+          >
+            🕒 Patterns
+          </button>
         </div>
       )}
 
-      {activeTab === 'chat' && accessToken ? (
-        <Chat accessToken={accessToken} />
-      ) : activeTab === 'savings' && accessToken ? (
+      {activeTab === 'chat' && itemId ? (
+        <Chat items={items} />
+      ) : activeTab === 'savings' && itemId ? (
         <SavingsSuggestions
           transactions={transactions}
           entityId="sandbox_entity_mypgdnyciycaoev7jpro"
@@ -196,9 +466,29 @@ function App() {
         <VaultsIncrease />
       ) : activeTab === 'wallet' ? (
         <LocusWallet entityId="sandbox_entity_mypgdnyciycaoev7jpro" />
+      ) : activeTab === 'import' ? (
+        <ImportPanel onImported={() => loadTransactionPage()} />
+      ) : activeTab === 'rules' ? (
+        <RulesPanel items={items} onApplied={() => loadTransactionPage()} />
+      ) : activeTab === 'review' ? (
+        <ReviewQueue onReviewed={() => loadTransactionPage()} />
+      ) : activeTab === 'budgets' ? (
+        <BudgetsPanel />
+      ) : activeTab === 'forecast' ? (
+        <ForecastPanel />
+      ) : activeTab === 'subscriptions' ? (
+        <SubscriptionsPanel />
+      ) : activeTab === 'anomalies' ? (
+        <AnomaliesPanel />
+      ) : activeTab === 'tax' ? (
+        <TaxPanel />
+      ) : activeTab === 'places' ? (
+        <LocationsPanel />
+      ) : activeTab === 'patterns' ? (
+        <PatternsPanel />
       ) : (
         <div className="container">
-        {!accessToken ? (
+        {!itemId ? (
           <div className="connect-section">
             <button
               onClick={() => open()}
@@ -219,6 +509,15 @@ function App() {
             <p className="vaults-cta-description">
               Create FDIC-insured accounts and sub-vaults to organize your money
             </p>
+            <button
+              onClick={() => setActiveTab('import')}
+              className="vaults-cta-button"
+            >
+              📥 Import Bank Statements
+            </button>
+            <p className="vaults-cta-description">
+              Bank not supported? Upload CSV, OFX, QFX or QIF statements instead
+            </p>
           </div>
         ) : (
           <div className="main-content">
@@ -259,16 +558,44 @@ function App() {
             )}
 
             <div className="accounts-section">
-              <h2>Connected Accounts</h2>
-              {accounts.map((account) => (
-                <div key={account.account_id} className="account-card">
-                  <div className="account-info">
-                    <strong>{account.name}</strong>
-                    <span className="account-type">{account.subtype}</span>
-                  </div>
-                  <div className="account-balance">
-                    ${account.balances.current?.toFixed(2) || '0.00'}
+              <div className="accounts-header">
+                <h2>Connected Accounts</h2>
+                <button
+                  onClick={() => open()}
+                  disabled={!ready}
+                  className="add-institution-button"
+                >
+                  + Link Another Bank
+                </button>
+              </div>
+              {items.map((item) => (
+                <div
+                  key={item.itemId}
+                  className={`institution-group ${item.itemId === itemId ? 'selected' : ''}`}
+                >
+                  <div
+                    className="institution-header"
+                    onClick={() => selectItem(item.itemId)}
+                  >
+                    <strong>{item.institutionName || item.institutionId}</strong>
+                    <span className="institution-status">
+                      {item.itemId === itemId ? 'Showing transactions' : 'View transactions'}
+                    </span>
                   </div>
+                  {item.accounts.map((account) => (
+                    <div key={account.accountId} className="account-card">
+                      <div className="account-info">
+                        <strong>
+                          {account.name}
+                          {account.mask && <span className="account-mask"> ••{account.mask}</span>}
+                        </strong>
+                        <span className="account-type">{account.subtype}</span>
+                      </div>
+                      <div className="account-balance">
+                        ${account.currentBalance?.toFixed(2) || '0.00'}
+                      </div>
+                    </div>
+                  ))}
                 </div>
               ))}
             </div>
@@ -276,21 +603,6 @@ function App() {
             <div className="filters-section">
               <h2>Filters</h2>
 
-              <div className="filter-group">
-                <label>Transaction Count:</label>
-                <div className="count-buttons">
-                  {[10, 20, 50, 100].map(count => (
-                    <button
-                      key={count}
-                      onClick={() => setTransactionCount(count)}
-                      className={transactionCount === count ? 'active' : ''}
-                    >
-                      {count}
-                    </button>
-                  ))}
-                </div>
-              </div>
-
               <div className="filter-group">
                 <label>Date Range:</label>
                 <div className="date-inputs">
@@ -312,20 +624,93 @@ function App() {
                 <label>Search:</label>
                 <input
                   type="text"
-                  placeholder="Search by name, merchant, category..."
+                  placeholder="Search by name, merchant, category, notes..."
                   value={searchQuery}
                   onChange={(e) => setSearchQuery(e.target.value)}
                   className="search-input"
                 />
               </div>
 
+              <div className="filter-group">
+                <label>Narrow Down:</label>
+                <div className="list-filters">
+                  <select
+                    value={listFilters.accountId}
+                    onChange={(e) => updateListFilter('accountId', e.target.value)}
+                  >
+                    <option value="">All accounts</option>
+                    {items.map(item => (
+                      <optgroup key={item.itemId} label={item.institutionName || 'Bank'}>
+                        {(item.accounts || []).map(account => (
+                          <option key={account.accountId} value={account.accountId}>
+                            {account.name}{account.mask ? ` ••${account.mask}` : ''}
+                          </option>
+                        ))}
+                      </optgroup>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    placeholder="Category"
+                    value={listFilters.category}
+                    onChange={(e) => updateListFilter('category', e.target.value)}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="Min $"
+                    value={listFilters.minAmount}
+                    onChange={(e) => updateListFilter('minAmount', e.target.value)}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="Max $"
+                    value={listFilters.maxAmount}
+                    onChange={(e) => updateListFilter('maxAmount', e.target.value)}
+                  />
+                  <select
+                    value={listFilters.pending}
+                    onChange={(e) => updateListFilter('pending', e.target.value)}
+                  >
+                    <option value="">Pending and posted</option>
+                    <option value="false">Posted only</option>
+                    <option value="true">Pending only</option>
+                  </select>
+                  <select
+                    value={listFilters.tag}
+                    onChange={(e) => updateListFilter('tag', e.target.value)}
+                  >
+                    <option value="">Any tag</option>
+                    {tags.map(({ tag, count }) => (
+                      <option key={tag} value={tag}>#{tag} ({count})</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="filter-group">
+                <label>Sort By:</label>
+                <div className="count-buttons">
+                  {SORT_OPTIONS.filter(option => !option.searchOnly || debouncedQuery).map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => setSortOrder(option.value)}
+                      className={activeSort === option.value ? 'active' : ''}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
               <div className="button-group">
                 <button
-                  onClick={() => fetchTransactions()}
-                  disabled={loading}
+                  onClick={() => syncTransactions()}
+                  disabled={syncing}
                   className="fetch-button"
                 >
-                  {loading ? 'Loading...' : 'Fetch Transactions'}
+                  {syncing ? 'Syncing...' : 'Sync Transactions'}
                 </button>
                 <button
                   onClick={() => fetchRecurringTransactions()}
@@ -335,6 +720,28 @@ function App() {
                   {loadingRecurring ? 'Loading...' : 'Fetch Recurring Transactions'}
                 </button>
               </div>
+
+              <div className="filter-group export-group">
+                <label>Export (synced transactions in this date range):</label>
+                <div className="export-controls">
+                  <select value={exportScope} onChange={(e) => setExportScope(e.target.value)}>
+                    <option value="all">All accounts</option>
+                    <option value="selected">This bank only</option>
+                  </select>
+                  <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+                    <option value="csv">CSV</option>
+                    <option value="ofx">OFX</option>
+                    <option value="json">JSON</option>
+                  </select>
+                  <button
+                    onClick={exportTransactions}
+                    disabled={exporting}
+                    className="fetch-button export-button"
+                  >
+                    {exporting ? 'Exporting...' : '⬇️ Export'}
+                  </button>
+                </div>
+              </div>
             </div>
 
             {recurringTransactions && (
@@ -505,24 +912,38 @@ function App() {
             <div className="transactions-section">
               <h2>
                 Transactions
-                {filteredTransactions.length > 0 && (
+                {totals && totals.count > 0 && (
                   <span className="transaction-count">
-                    ({filteredTransactions.length} of {transactions.length})
+                    ({transactions.length} of {totals.count})
                   </span>
                 )}
               </h2>
 
+              {totals && totals.count > 0 && (
+                <div className="transaction-totals">
+                  <span className="debit">Spent ${totals.spending.toFixed(2)}</span>
+                  <span className="credit">Received ${totals.income.toFixed(2)}</span>
+                  {totals.pending > 0 && <span>{totals.pending} pending</span>}
+                </div>
+              )}
+
               {loading ? (
                 <div className="loading">Loading transactions...</div>
-              ) : filteredTransactions.length === 0 ? (
+              ) : transactions.length === 0 ? (
                 <div className="no-transactions">
-                  {transactions.length === 0
-                    ? 'No transactions found. Click "Fetch Transactions" to load data.'
-                    : 'No transactions match your search criteria.'}
+                  {syncing
+                    ? 'Syncing transactions from your banks...'
+                    : 'No transactions match these filters. Click "Sync Transactions" to pull the latest data.'}
+                  {searchSuggestion && (
+                    <div className="search-suggestion">
+                      Did you mean{' '}
+                      <button onClick={() => setSearchQuery(searchSuggestion)}>{searchSuggestion}</button>?
+                    </div>
+                  )}
                 </div>
               ) : (
                 <div className="transactions-list">
-                  {filteredTransactions.map((txn) => (
+                  {transactions.map((txn) => (
                     <div key={txn.transaction_id} className="transaction-card">
                       <div
                         className="transaction-main"
@@ -531,10 +952,21 @@ function App() {
                       >
                         <div className="transaction-details">
                           <div className="transaction-name">{txn.name}</div>
-                          {txn.merchant_name && (
-                            <div className="merchant-name">{txn.merchant_name}</div>
+                          {txn.merchant && (
+                            <div className="merchant-name">
+                              {txn.merchant_logo_url && (
+                                <img src={txn.merchant_logo_url} alt="" className="merchant-logo" />
+                              )}
+                              {txn.merchant}
+                            </div>
+                          )}
+                          {txn.snippet && (
+                            <div className="search-snippet">{renderSnippet(txn.snippet)}</div>
                           )}
-                          <div className="transaction-date">{txn.date}</div>
+                          <div className="transaction-date">
+                            {txn.date}
+                            {txn.account_name && ` · ${txn.institution_name ? `${txn.institution_name} ` : ''}${txn.account_name}`}
+                          </div>
                         </div>
                         <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
                           <div className={`transaction-amount ${txn.amount > 0 ? 'debit' : 'credit'}`}>
@@ -549,9 +981,7 @@ function App() {
                       <div className="transaction-meta">
                         {txn.category && (
                           <div className="categories">
-                            {txn.category.map((cat, idx) => (
-                              <span key={idx} className="category-tag">{cat}</span>
-                            ))}
+                            <span className="category-tag">{txn.category}</span>
                           </div>
                         )}
                         {txn.payment_channel && (
@@ -560,10 +990,28 @@ function App() {
                         {txn.pending && (
                           <span className="pending-badge">Pending</span>
                         )}
+                        {txn.split_count > 0 && (
+                          <span className="split-badge">Split ×{txn.split_count}</span>
+                        )}
+                        {txn.is_transfer && (
+                          <span className="transfer-badge" title="Between your own accounts - not counted as spending or income">Transfer</span>
+                        )}
+                        {txn.tags && txn.tags.map(tag => (
+                          <span key={tag} className="user-tag">#{tag}</span>
+                        ))}
+                        {txn.notes && (
+                          <span className="transaction-note" title={txn.notes}>📝 {txn.notes}</span>
+                        )}
                       </div>
 
                       {expandedTxn === txn.transaction_id && (
                         <div className="transaction-details-expanded">
+                          <h3>Your Category, Notes & Tags</h3>
+                          <TransactionEditor transaction={txn} onSaved={handleTransactionSaved} />
+
+                          <h3>Split Across Categories</h3>
+                          <SplitEditor transaction={txn} onSaved={handleTransactionSaved} />
+
                           <h3>All Transaction Attributes</h3>
 
                           <div className="detail-grid">
@@ -587,6 +1035,13 @@ function App() {
                               <span className="detail-value">{txn.name}</span>
                             </div>
 
+                            {txn.merchant && (
+                              <div className="detail-row">
+                                <span className="detail-label">Merchant:</span>
+                                <span className="detail-value">{txn.merchant}</span>
+                              </div>
+                            )}
+
                             {txn.merchant_name && (
                               <div className="detail-row">
                                 <span className="detail-label">Merchant Name:</span>
@@ -646,10 +1101,17 @@ function App() {
                               </div>
                             )}
 
-                            {txn.category && txn.category.length > 0 && (
+                            {txn.category && (
                               <div className="detail-row">
-                                <span className="detail-label">Categories:</span>
-                                <span className="detail-value">{txn.category.join(', ')}</span>
+                                <span className="detail-label">Category:</span>
+                                <span className="detail-value">{txn.category}</span>
+                              </div>
+                            )}
+
+                            {txn.plaid_category && txn.plaid_category.length > 0 && (
+                              <div className="detail-row">
+                                <span className="detail-label">Plaid Categories:</span>
+                                <span className="detail-value">{txn.plaid_category.join(', ')}</span>
                               </div>
                             )}
 
@@ -888,6 +1350,9 @@ function App() {
                       )}
                     </div>
                   ))}
+                  <div ref={loadMoreRef} className="load-more">
+                    {loadingMore && 'Loading more transactions...'}
+                  </div>
                 </div>
               )}
             </div>
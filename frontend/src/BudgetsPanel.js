@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './BudgetsPanel.css';
+
+const EMPTY_BUDGET = {
+  category: '',
+  monthlyLimit: '',
+  rollover: false,
+  alertThresholds: '80, 100',
+};
+
+const STATUS_LABELS = {
+  on_track: 'On track',
+  at_risk: 'Projected over',
+  over: 'Over budget',
+};
+
+const formatMoney = (amount) => `$${amount.toFixed(2)}`;
+
+function BudgetsPanel() {
+  const [month, setMonth] = useState(new Date().toISOString().slice(0, 7));
+  const [status, setStatus] = useState(null);
+  const [alerts, setAlerts] = useState([]);
+  const [form, setForm] = useState(null); // budget being created or edited
+  const [editingId, setEditingId] = useState(null);
+
+  useEffect(() => {
+    loadStatus(month);
+  }, [month]);
+
+  useEffect(() => {
+    loadAlerts();
+  }, []);
+
+  const loadStatus = async (selectedMonth) => {
+    try {
+      const response = await axios.get('/api/budgets/status', { params: { month: selectedMonth } });
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Error loading budgets:', error);
+    }
+  };
+
+  const loadAlerts = async () => {
+    try {
+      const response = await axios.get('/api/budgets/alerts');
+      setAlerts(response.data.alerts);
+    } catch (error) {
+      console.error('Error loading budget alerts:', error);
+    }
+  };
+
+  const dismissAlert = async (alertId) => {
+    try {
+      await axios.post(`/api/budgets/alerts/${alertId}/dismiss`);
+      setAlerts(current => current.filter(alert => alert.id !== alertId));
+    } catch (error) {
+      console.error('Error dismissing alert:', error);
+    }
+  };
+
+  const startEditing = (budget) => {
+    setEditingId(budget.budgetId);
+    setForm({
+      category: budget.category,
+      monthlyLimit: budget.monthlyLimit,
+      rollover: budget.rollover,
+      alertThresholds: budget.alertThresholds.join(', '),
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingId) {
+        await axios.put(`/api/budgets/${editingId}`, form);
+      } else {
+        await axios.post('/api/budgets', form);
+      }
+
+      setForm(null);
+      setEditingId(null);
+      await loadStatus(month);
+      loadAlerts();
+    } catch (error) {
+      console.error('Error saving budget:', error);
+      alert('Error saving budget: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const deleteBudget = async (budget) => {
+    if (!window.confirm(`Delete the ${budget.category} budget?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/budgets/${budget.budgetId}`);
+      await loadStatus(month);
+      loadAlerts();
+    } catch (error) {
+      console.error('Error deleting budget:', error);
+      alert('Error deleting budget: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const updateForm = (key, value) => setForm({ ...form, [key]: value });
+
+  return (
+    <div className="budgets-container">
+      <div className="budgets-header">
+        <h1>🎯 Budgets</h1>
+        <p>Monthly limits per category, with rollover and alerts before you overspend</p>
+      </div>
+
+      {alerts.map(alert => (
+        <div key={alert.id} className="budget-alert">
+          <span>⚠️ {alert.message}</span>
+          <button onClick={() => dismissAlert(alert.id)} className="budget-alert-dismiss">Dismiss</button>
+        </div>
+      ))}
+
+      <div className="budgets-section">
+        <div className="budgets-section-header">
+          <h2>
+            <input type="month" value={month} onChange={(e) => e.target.value && setMonth(e.target.value)} />
+          </h2>
+          <button
+            onClick={() => { setEditingId(null); setForm(EMPTY_BUDGET); }}
+            className="budgets-button"
+          >
+            + New Budget
+          </button>
+        </div>
+
+        {status && status.budgets.length === 0 && !form && (
+          <div className="budgets-empty">No budgets yet. Try Food And Drink at $400 a month.</div>
+        )}
+
+        {status && status.budgets.map(budget => {
+          const spentWidth = Math.min(budget.percentUsed, 100);
+          const projectedLeft = budget.available > 0 ? Math.min((budget.projected / budget.available) * 100, 100) : 0;
+
+          return (
+            <div key={budget.budgetId} className={`budget-card ${budget.status}`}>
+              <div className="budget-card-header">
+                <strong>{budget.category}</strong>
+                <span className={`budget-status ${budget.status}`}>{STATUS_LABELS[budget.status]}</span>
+              </div>
+
+              <div className="budget-bar">
+                <div className="budget-bar-spent" style={{ width: `${spentWidth}%` }} />
+                {budget.daysElapsed > 0 && budget.daysElapsed < budget.daysInMonth && (
+                  <div className="budget-bar-projected" style={{ left: `${projectedLeft}%` }} title="Projected by month end" />
+                )}
+              </div>
+
+              <div className="budget-numbers">
+                <span>{formatMoney(budget.spent)} of {formatMoney(budget.available)}</span>
+                <span>
+                  {budget.remaining >= 0
+                    ? `${formatMoney(budget.remaining)} left`
+                    : `${formatMoney(-budget.remaining)} over`}
+                </span>
+                {budget.daysElapsed > 0 && budget.daysElapsed < budget.daysInMonth && (
+                  <span>Projected {formatMoney(budget.projected)}</span>
+                )}
+                {budget.carryover > 0 && (
+                  <span className="budget-carryover">incl. {formatMoney(budget.carryover)} rolled over</span>
+                )}
+              </div>
+
+              <div className="budget-actions">
+                <button onClick={() => startEditing(budget)} className="budgets-button secondary">Edit</button>
+                <button onClick={() => deleteBudget(budget)} className="budgets-button secondary">Delete</button>
+              </div>
+            </div>
+          );
+        })}
+
+        {status && status.budgets.length > 0 && (
+          <div className="budget-totals">
+            Total: {formatMoney(status.totals.spent)} of {formatMoney(status.totals.available)} spent
+          </div>
+        )}
+      </div>
+
+      {form && (
+        <form onSubmit={handleSave} className="budgets-section budget-form">
+          <h2>{editingId ? 'Edit Budget' : 'New Budget'}</h2>
+          <div className="budget-form-grid">
+            <label>
+              Category *
+              <input type="text" value={form.category} onChange={(e) => updateForm('category', e.target.value)} required />
+            </label>
+            <label>
+              Monthly limit *
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.monthlyLimit}
+                onChange={(e) => updateForm('monthlyLimit', e.target.value)}
+                required
+              />
+            </label>
+            <label>
+              Alert at (% used)
+              <input
+                type="text"
+                placeholder="80, 100"
+                value={form.alertThresholds}
+                onChange={(e) => updateForm('alertThresholds', e.target.value)}
+              />
+            </label>
+            <label className="budget-form-checkbox">
+              <input
+                type="checkbox"
+                checked={form.rollover}
+                onChange={(e) => updateForm('rollover', e.target.checked)}
+              />
+              Roll unspent money into next month
+            </label>
+          </div>
+          <div className="budget-form-buttons">
+            <button type="submit" className="budgets-button">Save Budget</button>
+            <button type="button" onClick={() => setForm(null)} className="budgets-button secondary">Cancel</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default BudgetsPanel;
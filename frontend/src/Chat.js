@@ -5,7 +5,7 @@ import remarkGfm from 'remark-gfm';
 import './Chat.css';
 import './MarkdownComponents.css';
 
-function Chat({ accessToken }) {
+function Chat({ items = [] }) {
   const [messages, setMessages] = useState([
     {
       role: 'assistant',
@@ -27,27 +27,27 @@ function Chat({ accessToken }) {
   }, [messages]);
 
   const syncToDatabase = async () => {
-    if (!accessToken) {
+    if (items.length === 0) {
       alert('Please connect your bank account first');
       return;
     }
 
     setSyncing(true);
     try {
-      const end = new Date();
-      const start = new Date();
-      start.setDate(start.getDate() - 90); // Last 90 days
-
-      const response = await axios.post('/api/sync_to_database', {
-        access_token: accessToken,
-        start_date: start.toISOString().split('T')[0],
-        end_date: end.toISOString().split('T')[0]
-      });
+      // Sync every linked institution so questions can span (or single out) any account
+      const response = await axios.post('/api/items/sync');
+
+      const { added, modified, removed } = response.data;
+      const skipped = response.data.items
+        .filter(item => item.skipped || item.error)
+        .map(item => item.institutionName || item.itemId);
 
       setSynced(true);
       setMessages(prev => [...prev, {
         role: 'system',
-        content: `✅ Synced ${response.data.transactionCount} transactions to database. You can now ask me questions about your finances!`
+        content: `✅ Synced ${items.length} linked ${items.length === 1 ? 'bank' : 'banks'} to database: ${added} new, ${modified} updated, ${removed} removed transactions.`
+          + (skipped.length > 0 ? ` ⚠️ Not synced: ${skipped.join(', ')}.` : '')
+          + ' You can now ask me questions about your finances!'
       }]);
     } catch (error) {
       console.error('Error syncing:', error);
@@ -118,7 +118,7 @@ function Chat({ accessToken }) {
         {!synced && (
           <button
             onClick={syncToDatabase}
-            disabled={syncing || !accessToken}
+            disabled={syncing || items.length === 0}
             className="sync-button"
           >
             {syncing ? 'Syncing...' : 'Sync Transactions'}
@@ -215,6 +215,9 @@ function Chat({ accessToken }) {
             <span onClick={() => setInput("What's my savings rate?")}>
               What's my savings rate?
             </span>
+            <span onClick={() => setInput("How much did I spend on my credit card this month?")}>
+              How much did I spend on my credit card this month?
+            </span>
           </div>
         </div>
       )}
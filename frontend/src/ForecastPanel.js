@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './ForecastPanel.css';
+
+const HORIZONS = [30, 60, 90];
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 260;
+const CHART_PADDING = { top: 16, right: 16, bottom: 28, left: 64 };
+
+const formatMoney = (amount) =>
+  `${amount < 0 ? '-' : ''}$${Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+// Projected cash line with the floor and a dot on each day with a recurring payment
+function ForecastChart({ daily, floor }) {
+  const balances = daily.map(day => day.cashBalance);
+  const min = Math.min(...balances, floor);
+  const max = Math.max(...balances, floor);
+  const range = max - min || 1;
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const x = (index) => CHART_PADDING.left + (index / Math.max(daily.length - 1, 1)) * plotWidth;
+  const y = (value) => CHART_PADDING.top + ((max - value) / range) * plotHeight;
+
+  const line = daily.map((day, index) => `${x(index)},${y(day.cashBalance)}`).join(' ');
+  const labelEvery = Math.ceil(daily.length / 6);
+
+  return (
+    <svg className="forecast-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img" aria-label="Projected cash balance">
+      {[max, (max + min) / 2, min].map(value => (
+        <g key={value}>
+          <line x1={CHART_PADDING.left} x2={CHART_WIDTH - CHART_PADDING.right} y1={y(value)} y2={y(value)} className="forecast-grid" />
+          <text x={CHART_PADDING.left - 8} y={y(value) + 4} textAnchor="end" className="forecast-axis-label">
+            {formatMoney(Math.round(value))}
+          </text>
+        </g>
+      ))}
+
+      <line x1={CHART_PADDING.left} x2={CHART_WIDTH - CHART_PADDING.right} y1={y(floor)} y2={y(floor)} className="forecast-floor" />
+
+      <polyline points={line} className="forecast-line" />
+
+      {daily.map((day, index) => (
+        <g key={day.date}>
+          {day.events.length > 0 && (
+            <circle cx={x(index)} cy={y(day.cashBalance)} r="4" className={day.cashBalance < floor ? 'forecast-dot low' : 'forecast-dot'}>
+              <title>
+                {`${formatDate(day.date)}: ${formatMoney(day.cashBalance)}\n`
+                  + day.events.map(event => `${event.description} ${formatMoney(event.amount)}`).join('\n')}
+              </title>
+            </circle>
+          )}
+          {index % labelEvery === 0 && (
+            <text x={x(index)} y={CHART_HEIGHT - 8} textAnchor="middle" className="forecast-axis-label">
+              {formatDate(day.date)}
+            </text>
+          )}
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+function ForecastPanel() {
+  const [days, setDays] = useState(30);
+  const [forecast, setForecast] = useState(null);
+  const [floorInput, setFloorInput] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    loadForecast(days);
+  }, [days]);
+
+  const loadForecast = async (horizon) => {
+    setLoading(true);
+    try {
+      const response = await axios.get('/api/forecast', { params: { days: horizon } });
+      setForecast(response.data);
+      setFloorInput(String(response.data.floor));
+    } catch (error) {
+      console.error('Error loading forecast:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveFloor = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.put('/api/forecast/floor', { floor: floorInput });
+      loadForecast(days);
+    } catch (error) {
+      console.error('Error saving balance floor:', error);
+      alert('Error saving balance floor: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const upcoming = forecast ? forecast.daily.flatMap(day => day.events) : [];
+
+  return (
+    <div className="forecast-container">
+      <div className="forecast-header">
+        <h1>📈 Cash-Flow Forecast</h1>
+        <p>Your balances ahead, from recurring income and bills plus your usual day-to-day spending</p>
+      </div>
+
+      <div className="forecast-section forecast-controls">
+        <div className="forecast-horizons">
+          {HORIZONS.map(horizon => (
+            <button
+              key={horizon}
+              onClick={() => setDays(horizon)}
+              className={`forecast-button ${days === horizon ? '' : 'secondary'}`}
+            >
+              {horizon} days
+            </button>
+          ))}
+        </div>
+        <form onSubmit={saveFloor} className="forecast-floor-form">
+          <label>
+            Warn me below
+            <input type="number" step="1" value={floorInput} onChange={(e) => setFloorInput(e.target.value)} />
+          </label>
+          <button type="submit" className="forecast-button secondary">Save</button>
+        </form>
+      </div>
+
+      {loading && !forecast && <div className="forecast-empty">Loading forecast...</div>}
+
+      {forecast && forecast.accounts.length === 0 && (
+        <div className="forecast-empty">Link a checking, savings or credit card account to see a forecast.</div>
+      )}
+
+      {forecast && forecast.accounts.length > 0 && (
+        <>
+          {forecast.lowBalanceAlerts.map(dip => (
+            <div key={`${dip.accountId}-${dip.startDate}`} className="forecast-alert">
+              ⚠️ {dip.name} is projected below {formatMoney(forecast.floor)}
+              {dip.startDate === dip.endDate
+                ? ` on ${formatDate(dip.startDate)}`
+                : ` from ${formatDate(dip.startDate)} to ${formatDate(dip.endDate)}`}
+              , down to {formatMoney(dip.lowestBalance)} on {formatDate(dip.lowestDate)}
+            </div>
+          ))}
+
+          <div className="forecast-checkpoints">
+            <div className="forecast-checkpoint">
+              <span>Cash today</span>
+              <strong>{formatMoney(forecast.daily[0].cashBalance)}</strong>
+            </div>
+            {Object.entries(forecast.checkpoints).map(([checkpoint, balance]) => (
+              <div key={checkpoint} className={`forecast-checkpoint ${balance < forecast.floor ? 'low' : ''}`}>
+                <span>In {checkpoint} days</span>
+                <strong>{formatMoney(balance)}</strong>
+              </div>
+            ))}
+          </div>
+
+          <div className="forecast-section">
+            <h2>Cash balance</h2>
+            <ForecastChart daily={forecast.daily} floor={forecast.floor} />
+          </div>
+
+          <div className="forecast-section">
+            <h2>Accounts</h2>
+            <table className="forecast-table">
+              <thead>
+                <tr>
+                  <th>Account</th>
+                  <th>Today</th>
+                  <th>In {forecast.days} days</th>
+                  <th>Lowest</th>
+                  <th>Daily spending</th>
+                </tr>
+              </thead>
+              <tbody>
+                {forecast.accounts.map(account => (
+                  <tr key={account.accountId}>
+                    <td>{account.name}</td>
+                    <td>{formatMoney(account.startingBalance)}</td>
+                    <td>{formatMoney(account.endingBalance)}</td>
+                    <td className={account.type === 'depository' && account.lowestBalance < forecast.floor ? 'low' : ''}>
+                      {formatMoney(account.lowestBalance)} ({formatDate(account.lowestDate)})
+                    </td>
+                    <td>{formatMoney(account.dailyDiscretionary)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="forecast-section">
+            <h2>Upcoming recurring payments</h2>
+            {upcoming.length === 0 ? (
+              <div className="forecast-empty">No recurring income or bills expected in this period.</div>
+            ) : (
+              <ul className="forecast-events">
+                {upcoming.map(event => (
+                  <li key={`${event.date}-${event.accountId}-${event.description}`}>
+                    <span>{formatDate(event.date)}</span>
+                    <span>{event.description}</span>
+                    <span className={event.amount > 0 ? 'inflow' : 'outflow'}>{formatMoney(event.amount)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ForecastPanel;
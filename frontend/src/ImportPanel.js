@@ -0,0 +1,326 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './ImportPanel.css';
+
+const MAPPING_FIELDS = [
+  { key: 'date', label: 'Date', required: true },
+  { key: 'description', label: 'Description', required: true },
+  { key: 'amount', label: 'Amount' },
+  { key: 'debit', label: 'Debit (money out)' },
+  { key: 'credit', label: 'Credit (money in)' },
+  { key: 'category', label: 'Category' },
+  { key: 'merchant', label: 'Merchant' }
+];
+
+function ImportPanel({ onImported }) {
+  const [accounts, setAccounts] = useState([]);
+  const [accountId, setAccountId] = useState('');
+  const [showNewAccount, setShowNewAccount] = useState(false);
+  const [accountForm, setAccountForm] = useState({
+    name: '',
+    institutionName: '',
+    type: 'depository'
+  });
+
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Load import accounts and past batches on mount
+  useEffect(() => {
+    loadAccounts();
+    loadBatches();
+  }, []);
+
+  const loadAccounts = async () => {
+    try {
+      const response = await axios.get('/api/import/accounts');
+      setAccounts(response.data.accounts);
+      if (response.data.accounts.length > 0) {
+        setAccountId(current => current || response.data.accounts[0].accountId);
+      }
+    } catch (error) {
+      console.error('Error loading import accounts:', error);
+    }
+  };
+
+  const loadBatches = async () => {
+    try {
+      const response = await axios.get('/api/import/batches');
+      setBatches(response.data.batches);
+    } catch (error) {
+      console.error('Error loading import batches:', error);
+    }
+  };
+
+  const handleCreateAccount = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post('/api/import/accounts', accountForm);
+      setShowNewAccount(false);
+      setAccountForm({ name: '', institutionName: '', type: 'depository' });
+      await loadAccounts();
+      setAccountId(response.data.account.accountId);
+    } catch (error) {
+      console.error('Error creating account:', error);
+      alert('Error creating account: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  // Parse the file on the server without saving anything
+  const loadPreview = async (selectedFile, selectedMapping = null) => {
+    try {
+      setLoading(true);
+      const response = await axios.post('/api/import/preview', {
+        fileName: selectedFile.name,
+        content: selectedFile.content,
+        mapping: selectedMapping
+      });
+      setPreview(response.data);
+      setMapping(response.data.mapping || null);
+    } catch (error) {
+      console.error('Error previewing file:', error);
+      alert('Error reading file: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+
+    const selectedFile = { name: selected.name, content: await selected.text() };
+    setFile(selectedFile);
+    await loadPreview(selectedFile);
+  };
+
+  const updateMapping = (key, value) => {
+    const updated = { ...mapping, [key]: value || null };
+    setMapping(updated);
+    loadPreview(file, updated);
+  };
+
+  const handleImport = async () => {
+    if (!accountId) {
+      alert('Choose or create an account to import into');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await axios.post('/api/import', {
+        accountId,
+        fileName: file.name,
+        content: file.content,
+        mapping
+      });
+
+      const { imported, skipped, errors } = response.data;
+      alert(`✅ Imported ${imported} transactions` +
+        (skipped > 0 ? `, skipped ${skipped} already imported` : '') +
+        (errors.length > 0 ? `, ${errors.length} rows could not be read` : ''));
+
+      setFile(null);
+      setPreview(null);
+      setMapping(null);
+      loadBatches();
+      if (onImported) onImported();
+    } catch (error) {
+      console.error('Error importing file:', error);
+      alert('Error importing file: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRollback = async (batch) => {
+    if (!window.confirm(`Remove the ${batch.imported_count} transactions imported from ${batch.file_name}?`)) {
+      return;
+    }
+
+    try {
+      const response = await axios.post(`/api/import/batches/${batch.batch_id}/rollback`);
+      alert(`Removed ${response.data.removed} transactions`);
+      loadBatches();
+      if (onImported) onImported();
+    } catch (error) {
+      console.error('Error rolling back import:', error);
+      alert('Error rolling back import: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  return (
+    <div className="import-container">
+      <div className="import-header">
+        <h1>📥 Import Statements</h1>
+        <p>Add transactions from banks Plaid can't reach: CSV, OFX, QFX or QIF files</p>
+      </div>
+
+      <div className="import-section">
+        <h2>1. Account</h2>
+        <div className="import-account-row">
+          <select value={accountId} onChange={(e) => setAccountId(e.target.value)}>
+            {accounts.length === 0 && <option value="">No import accounts yet</option>}
+            {accounts.map(account => (
+              <option key={account.accountId} value={account.accountId}>
+                {account.institutionName ? `${account.institutionName} - ` : ''}{account.name}
+              </option>
+            ))}
+          </select>
+          <button onClick={() => setShowNewAccount(!showNewAccount)} className="import-button secondary">
+            + New Account
+          </button>
+        </div>
+
+        {showNewAccount && (
+          <form onSubmit={handleCreateAccount} className="import-account-form">
+            <input
+              type="text"
+              placeholder="Account name (e.g., Credit Union Checking)"
+              value={accountForm.name}
+              onChange={(e) => setAccountForm({ ...accountForm, name: e.target.value })}
+              required
+            />
+            <input
+              type="text"
+              placeholder="Bank name"
+              value={accountForm.institutionName}
+              onChange={(e) => setAccountForm({ ...accountForm, institutionName: e.target.value })}
+            />
+            <select
+              value={accountForm.type}
+              onChange={(e) => setAccountForm({ ...accountForm, type: e.target.value })}
+            >
+              <option value="depository">Checking / Savings</option>
+              <option value="credit">Credit Card</option>
+              <option value="loan">Loan</option>
+              <option value="investment">Investment</option>
+            </select>
+            <button type="submit" className="import-button">Create</button>
+          </form>
+        )}
+      </div>
+
+      <div className="import-section">
+        <h2>2. File</h2>
+        <input type="file" accept=".csv,.ofx,.qfx,.qif" onChange={handleFileChange} />
+
+        {preview && preview.format === 'csv' && mapping && (
+          <div className="import-mapping">
+            <h3>Column Mapping</h3>
+            <div className="mapping-grid">
+              {MAPPING_FIELDS.map(field => (
+                <label key={field.key}>
+                  {field.label}{field.required ? ' *' : ''}
+                  <select
+                    value={mapping[field.key] || ''}
+                    onChange={(e) => updateMapping(field.key, e.target.value)}
+                  >
+                    <option value="">(none)</option>
+                    {preview.headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+              <label>
+                Date format
+                <select value={mapping.dateFormat} onChange={(e) => updateMapping('dateFormat', e.target.value)}>
+                  <option value="auto">Detect</option>
+                  <option value="MDY">MM/DD/YYYY</option>
+                  <option value="DMY">DD/MM/YYYY</option>
+                  <option value="YMD">YYYY-MM-DD</option>
+                </select>
+              </label>
+              <label>
+                Amount sign
+                <select value={mapping.amountSign} onChange={(e) => updateMapping('amountSign', e.target.value)}>
+                  <option value="negative_is_spending">Spending is negative</option>
+                  <option value="positive_is_spending">Spending is positive</option>
+                </select>
+              </label>
+            </div>
+          </div>
+        )}
+
+        {preview && (
+          <div className="import-preview">
+            <h3>
+              Preview <span className="import-format">{preview.format.toUpperCase()}</span>
+              <span className="import-count">{preview.rowCount} transactions</span>
+            </h3>
+
+            {preview.errors.length > 0 && (
+              <div className="import-errors">
+                {preview.errors.slice(0, 5).map((error, idx) => (
+                  <div key={idx}>⚠️ {error.row ? `Row ${error.row}: ` : ''}{error.reason}</div>
+                ))}
+              </div>
+            )}
+
+            <table className="import-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Description</th>
+                  <th>Category</th>
+                  <th>Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map((row, idx) => (
+                  <tr key={idx}>
+                    <td>{row.date}</td>
+                    <td>{row.description}</td>
+                    <td>{row.category || '-'}</td>
+                    <td className={row.amount > 0 ? 'debit' : 'credit'}>
+                      {row.amount > 0 ? '-' : '+'}${Math.abs(row.amount).toFixed(2)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <button
+              onClick={handleImport}
+              disabled={loading || preview.rowCount === 0}
+              className="import-button"
+            >
+              {loading ? 'Working...' : `Import ${preview.rowCount} Transactions`}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {batches.length > 0 && (
+        <div className="import-section">
+          <h2>Import History</h2>
+          {batches.map(batch => (
+            <div key={batch.batch_id} className={`import-batch ${batch.status}`}>
+              <div className="import-batch-info">
+                <strong>{batch.file_name}</strong>
+                <span>
+                  {batch.account_name} · {batch.format.toUpperCase()} · {batch.imported_count} imported
+                  {batch.skipped_count > 0 && `, ${batch.skipped_count} duplicates skipped`}
+                </span>
+                <span className="import-batch-date">{batch.created_at}</span>
+              </div>
+              {batch.status === 'rolled_back' ? (
+                <span className="import-batch-status">Rolled back</span>
+              ) : batch.imported_count > 0 && (
+                <button onClick={() => handleRollback(batch)} className="import-button secondary">
+                  Roll Back
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ImportPanel;
@@ -0,0 +1,249 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './LocationsPanel.css';
+
+const RANGES = [
+  { days: 90, label: '3 months' },
+  { days: 365, label: '12 months' },
+  { days: 1095, label: '3 years' },
+];
+
+const MAP_WIDTH = 800;
+const MAP_HEIGHT = 420;
+const MAP_PADDING = 40;
+const MIN_SPAN_DEGREES = 2;
+const GRID_STEPS = [0.5, 1, 2, 5, 10, 20, 30];
+
+const formatMoney = (amount) =>
+  `$${amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Areas as bubbles sized by spending on a lat/lon grid fitted around them (no map tiles needed)
+function SpendingMap({ clusters, home, selected, onSelect }) {
+  const points = [...clusters, ...(home && home.lat !== null ? [home] : [])];
+  const lats = points.map(point => point.lat);
+  const lons = points.map(point => point.lon);
+  const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+  const lonScale = Math.cos((midLat * Math.PI) / 180);
+
+  // Equirectangular, with longitude shrunk at this latitude so shapes and distances look right
+  const latSpan = Math.max(Math.max(...lats) - Math.min(...lats), MIN_SPAN_DEGREES);
+  const lonSpan = Math.max((Math.max(...lons) - Math.min(...lons)) * lonScale, MIN_SPAN_DEGREES);
+  const scale = Math.min((MAP_WIDTH - 2 * MAP_PADDING) / lonSpan, (MAP_HEIGHT - 2 * MAP_PADDING) / latSpan);
+  const midLon = (Math.min(...lons) + Math.max(...lons)) / 2;
+  const x = (lon) => MAP_WIDTH / 2 + (lon - midLon) * lonScale * scale;
+  const y = (lat) => MAP_HEIGHT / 2 - (lat - midLat) * scale;
+
+  const visibleLat = (MAP_HEIGHT / 2) / scale;
+  const visibleLon = (MAP_WIDTH / 2) / (scale * lonScale);
+  const step = GRID_STEPS.find(candidate => (2 * visibleLat) / candidate <= 8) || 45;
+  const gridLines = (center, half) => {
+    const lines = [];
+    for (let value = Math.ceil((center - half) / step) * step; value <= center + half; value += step) {
+      lines.push(parseFloat(value.toFixed(1)));
+    }
+    return lines;
+  };
+
+  const maxTotal = Math.max(...clusters.map(cluster => cluster.total), 1);
+  const radius = (total) => 6 + 30 * Math.sqrt(total / maxTotal);
+
+  return (
+    <svg className="locations-map" viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`} role="img" aria-label="Spending by area">
+      <rect width={MAP_WIDTH} height={MAP_HEIGHT} className="locations-map-background" />
+      {gridLines(midLat, visibleLat).map(lat => (
+        <g key={`lat${lat}`}>
+          <line x1="0" x2={MAP_WIDTH} y1={y(lat)} y2={y(lat)} className="locations-map-grid" />
+          <text x="4" y={y(lat) - 4} className="locations-map-axis-label">{`${Math.abs(lat)}°${lat >= 0 ? 'N' : 'S'}`}</text>
+        </g>
+      ))}
+      {gridLines(midLon, visibleLon).map(lon => (
+        <g key={`lon${lon}`}>
+          <line x1={x(lon)} x2={x(lon)} y1="0" y2={MAP_HEIGHT} className="locations-map-grid" />
+          <text x={x(lon) + 4} y={MAP_HEIGHT - 6} className="locations-map-axis-label">{`${Math.abs(lon)}°${lon >= 0 ? 'E' : 'W'}`}</text>
+        </g>
+      ))}
+
+      {clusters.map(cluster => (
+        <g key={cluster.name} onClick={() => onSelect(cluster)} className="locations-map-area">
+          <circle
+            cx={x(cluster.lon)}
+            cy={y(cluster.lat)}
+            r={radius(cluster.total)}
+            className={`locations-map-bubble ${selected === cluster.name ? 'selected' : ''}`}
+          >
+            <title>{`${cluster.name}: ${formatMoney(cluster.total)}\n${cluster.places.join(', ')}`}</title>
+          </circle>
+          <text x={x(cluster.lon)} y={y(cluster.lat) - radius(cluster.total) - 4} textAnchor="middle" className="locations-map-label">
+            {cluster.name}
+          </text>
+        </g>
+      ))}
+
+      {home && home.lat !== null && (
+        <text x={x(home.lon)} y={y(home.lat) + 6} textAnchor="middle" className="locations-map-home">
+          🏠
+          <title>{`Home: ${home.name}`}</title>
+        </text>
+      )}
+    </svg>
+  );
+}
+
+function LocationsPanel() {
+  const [rangeDays, setRangeDays] = useState(365);
+  const [spending, setSpending] = useState(null);
+  const [trips, setTrips] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    loadLocations(rangeDays);
+  }, [rangeDays]);
+
+  const loadLocations = async (days) => {
+    try {
+      const params = { startDate: daysAgo(days) };
+      const [spendingResponse, tripsResponse] = await Promise.all([
+        axios.get('/api/locations/spending', { params }),
+        axios.get('/api/locations/trips', { params }),
+      ]);
+      setSpending(spendingResponse.data);
+      setTrips(tripsResponse.data.trips);
+      setSelected(null);
+    } catch (error) {
+      console.error('Error loading locations:', error);
+    }
+  };
+
+  const selectedCluster = spending && spending.clusters.find(cluster => cluster.name === selected);
+  const places = spending
+    ? spending.places.filter(place => !selectedCluster || selectedCluster.places.includes(place.name))
+    : [];
+
+  return (
+    <div className="locations-container">
+      <div className="locations-header">
+        <h1>🗺️ Places</h1>
+        <p>Where you spend in person, and what your trips away from home cost.</p>
+      </div>
+
+      <div className="locations-section">
+        <div className="locations-filters">
+          {RANGES.map(range => (
+            <button
+              key={range.days}
+              onClick={() => setRangeDays(range.days)}
+              className={`locations-button ${rangeDays === range.days ? '' : 'secondary'}`}
+            >
+              {range.label}
+            </button>
+          ))}
+        </div>
+
+        {spending && spending.clusters.length === 0 && (
+          <div className="locations-empty">
+            No in-store purchases with a location in this period. Online purchases and some banks don't send one.
+          </div>
+        )}
+
+        {spending && spending.clusters.length > 0 && (
+          <>
+            <SpendingMap
+              clusters={spending.clusters}
+              home={spending.home}
+              selected={selected}
+              onSelect={(cluster) => setSelected(selected === cluster.name ? null : cluster.name)}
+            />
+            <div className="locations-summary">
+              <span>
+                {formatMoney(spending.located.total)} in {spending.places.length} {spending.places.length === 1 ? 'place' : 'places'}
+                {spending.home && ` · home: ${spending.home.name}`}
+              </span>
+              {spending.unlocated.total > 0 && (
+                <span className="locations-muted">{formatMoney(spending.unlocated.total)} online or without a location</span>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
+      {places.length > 0 && (
+        <div className="locations-section">
+          <h2>
+            {selectedCluster ? `Around ${selectedCluster.name}` : 'Top places'}
+            {selectedCluster && (
+              <button onClick={() => setSelected(null)} className="locations-clear">Show all</button>
+            )}
+          </h2>
+          <table className="locations-table">
+            <thead>
+              <tr>
+                <th>Place</th>
+                <th className="amount">Spent</th>
+                <th className="amount">Share</th>
+                <th className="amount">From home</th>
+              </tr>
+            </thead>
+            <tbody>
+              {places.slice(0, 15).map(place => (
+                <tr key={place.name}>
+                  <td>
+                    {place.name}
+                    {place.isHome && <span className="locations-home-badge">Home</span>}
+                    <div className="locations-muted">{place.count} {place.count === 1 ? 'purchase' : 'purchases'}</div>
+                  </td>
+                  <td className="amount">{formatMoney(place.total)}</td>
+                  <td className="amount">{place.share}%</td>
+                  <td className="amount">{place.distanceFromHomeKm !== null ? `${place.distanceFromHomeKm} km` : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="locations-section">
+        <h2>✈️ Trips</h2>
+        {trips && trips.length === 0 && (
+          <div className="locations-empty">No spending away from home in this period.</div>
+        )}
+        {trips && trips.map(trip => (
+          <div key={trip.startDate} className="trip-card">
+            <div>
+              <strong>{trip.destination || 'Away from home'}</strong>
+              <div className="locations-muted">
+                {formatDate(trip.startDate)}
+                {trip.endDate !== trip.startDate && ` – ${formatDate(trip.endDate)}`}
+                {` · ${trip.days} ${trip.days === 1 ? 'day' : 'days'}`}
+                {trip.distanceFromHomeKm !== null && ` · ${trip.distanceFromHomeKm} km from home`}
+              </div>
+              {trip.topCategories.length > 0 && (
+                <div className="trip-categories">
+                  {trip.topCategories.map(category => (
+                    <span key={category.category} className="trip-category">
+                      {category.category} {formatMoney(category.total)}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+            <div className="trip-total">
+              <strong>{formatMoney(trip.total)}</strong>
+              <div className="locations-muted">{trip.count} {trip.count === 1 ? 'purchase' : 'purchases'}</div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default LocationsPanel;
@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './PatternsPanel.css';
+
+const RANGES = [
+  { days: 90, label: '3 months' },
+  { days: 180, label: '6 months' },
+  { days: 365, label: '12 months' },
+];
+
+const formatMoney = (amount) => `$${amount.toFixed(2)}`;
+
+const formatDate = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+// Cell colour from white to the theme purple by its share of the busiest cell
+const heatColor = (value, max) => `rgba(102, 126, 234, ${max > 0 ? 0.08 + 0.92 * (value / max) : 0.08})`;
+const heatTextColor = (value, max) => (max > 0 && value / max > 0.55 ? 'white' : '#1f2937');
+
+function HeatCell({ value, max, title, label }) {
+  return (
+    <div
+      className="patterns-cell"
+      style={{ background: heatColor(value, max), color: heatTextColor(value, max) }}
+      title={title}
+    >
+      {label}
+    </div>
+  );
+}
+
+function PatternsPanel() {
+  const [rangeDays, setRangeDays] = useState(180);
+  const [patterns, setPatterns] = useState(null);
+
+  useEffect(() => {
+    loadPatterns(rangeDays);
+  }, [rangeDays]);
+
+  const loadPatterns = async (days) => {
+    try {
+      const response = await axios.get('/api/patterns', { params: { startDate: daysAgo(days) } });
+      setPatterns(response.data);
+    } catch (error) {
+      console.error('Error loading spending patterns:', error);
+    }
+  };
+
+  const heatMax = patterns ? Math.max(...patterns.heatmap.cells.flat()) : 0;
+  const weekdayMax = patterns ? Math.max(...patterns.byWeekday.map(day => day.averagePerDay)) : 0;
+  const monthMax = patterns ? Math.max(...patterns.byDayOfMonth.map(day => day.averagePerDay)) : 0;
+  const cycle = patterns && patterns.paydayCycle;
+  const cycleMax = cycle ? Math.max(...cycle.byDaysAfterPayday.map(day => day.averagePerDay)) : 0;
+
+  return (
+    <div className="patterns-container">
+      <div className="patterns-header">
+        <h1>🕒 Spending Patterns</h1>
+        <p>When your everyday money goes out. Bills, loan payments and transfers are left out.</p>
+      </div>
+
+      <div className="patterns-section">
+        <div className="patterns-filters">
+          {RANGES.map(range => (
+            <button
+              key={range.days}
+              onClick={() => setRangeDays(range.days)}
+              className={`patterns-button ${rangeDays === range.days ? '' : 'secondary'}`}
+            >
+              {range.label}
+            </button>
+          ))}
+        </div>
+
+        {patterns && patterns.total === 0 && (
+          <div className="patterns-empty">No discretionary spending in this period.</div>
+        )}
+
+        {patterns && patterns.insights.length > 0 && (
+          <ul className="patterns-insights">
+            {patterns.insights.map(insight => (
+              <li key={insight}>{insight}</li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {patterns && patterns.total > 0 && (
+        <>
+          <div className="patterns-section">
+            <h2>Weekday × week of month</h2>
+            <p className="patterns-hint">Average spent per day</p>
+            <div className="patterns-heatmap" style={{ gridTemplateColumns: `6rem repeat(${patterns.heatmap.columns.length}, 1fr)` }}>
+              <div />
+              {patterns.heatmap.columns.map(column => (
+                <div key={column} className="patterns-axis">Days {column}</div>
+              ))}
+              {patterns.heatmap.rows.map((weekday, row) => (
+                <React.Fragment key={weekday}>
+                  <div className="patterns-axis row">{weekday}</div>
+                  {patterns.heatmap.cells[row].map((value, column) => (
+                    <HeatCell
+                      key={patterns.heatmap.columns[column]}
+                      value={value}
+                      max={heatMax}
+                      title={`${weekday}s, days ${patterns.heatmap.columns[column]}: ${formatMoney(value)} a day`}
+                      label={`$${Math.round(value)}`}
+                    />
+                  ))}
+                </React.Fragment>
+              ))}
+            </div>
+
+            <div className="patterns-weekdays">
+              {patterns.byWeekday.map(day => (
+                <div key={day.weekday} className="patterns-weekday">
+                  <div className="patterns-bar-track">
+                    <div
+                      className="patterns-bar"
+                      style={{ height: `${weekdayMax > 0 ? (day.averagePerDay / weekdayMax) * 100 : 0}%` }}
+                      title={`${formatMoney(day.total)} in total, ${day.share}% of spending`}
+                    />
+                  </div>
+                  <strong>{formatMoney(day.averagePerDay)}</strong>
+                  <span>{day.weekday.slice(0, 3)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="patterns-section">
+            <h2>Time of month</h2>
+            <p className="patterns-hint">Average spent on each day of the month</p>
+            <div className="patterns-month">
+              {patterns.byDayOfMonth.map(day => (
+                <HeatCell
+                  key={day.day}
+                  value={day.averagePerDay}
+                  max={monthMax}
+                  title={`Day ${day.day}: ${formatMoney(day.averagePerDay)} a day (${day.share}% of spending)`}
+                  label={day.day}
+                />
+              ))}
+            </div>
+          </div>
+
+          <div className="patterns-section">
+            <h2>💵 Payday cycle</h2>
+            {!cycle && <div className="patterns-empty">{patterns.paydayNote}</div>}
+            {cycle && (
+              <>
+                <div className="patterns-cycle-summary">
+                  <div>
+                    <span>First {cycle.windowDays} days after payday</span>
+                    <strong>{Math.round(cycle.windowShare)}%</strong>
+                    <small>of spending (an even pace would be {Math.round(cycle.evenShare)}%)</small>
+                  </div>
+                  <div>
+                    <span>Paid every</span>
+                    <strong>{cycle.averageCycleDays ? `${Math.round(cycle.averageCycleDays)} days` : '—'}</strong>
+                    <small>{cycle.incomeStreams.join(', ')}</small>
+                  </div>
+                  <div>
+                    <span>Next payday</span>
+                    <strong>{cycle.nextPayday ? formatDate(cycle.nextPayday) : '—'}</strong>
+                  </div>
+                </div>
+                <div className="patterns-cycle">
+                  {cycle.byDaysAfterPayday.map(day => (
+                    <div key={day.day} className="patterns-cycle-day">
+                      <div className="patterns-bar-track">
+                        <div
+                          className={`patterns-bar ${day.day < cycle.windowDays ? 'window' : ''}`}
+                          style={{ height: `${cycleMax > 0 ? (day.averagePerDay / cycleMax) * 100 : 0}%` }}
+                          title={`${day.day === 0 ? 'Payday' : `${day.day} days after payday`}: ${formatMoney(day.averagePerDay)} a day`}
+                        />
+                      </div>
+                      <span>{day.day === 0 ? 'Pay' : `+${day.day}`}</span>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PatternsPanel;
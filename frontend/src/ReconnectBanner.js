@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { usePlaidLink } from 'react-plaid-link';
+import axios from 'axios';
+import './ReconnectBanner.css';
+
+const REAUTH_MESSAGES = {
+  ITEM_LOGIN_REQUIRED: 'Your bank login has changed or expired.',
+  PENDING_EXPIRATION: 'Your bank connection is about to expire.',
+  PENDING_DISCONNECT: 'Your bank connection is about to be disconnected.'
+};
+
+function ReconnectBanner({ items, onReconnected }) {
+  const [updateLinkToken, setUpdateLinkToken] = useState(null);
+  const [reconnectingItemId, setReconnectingItemId] = useState(null);
+
+  const onSuccess = async () => {
+    try {
+      // Update mode keeps the same item and access token - no token exchange needed
+      const response = await axios.post(`/api/items/${reconnectingItemId}/reconnected`);
+      alert(`✅ Reconnected! Synced ${response.data.added} new transactions.`);
+      onReconnected();
+    } catch (error) {
+      console.error('Error resuming reconnected item:', error);
+      alert('Reconnected, but the sync failed: ' + error.message);
+    } finally {
+      setUpdateLinkToken(null);
+      setReconnectingItemId(null);
+    }
+  };
+
+  const onExit = () => {
+    setUpdateLinkToken(null);
+    setReconnectingItemId(null);
+  };
+
+  const { open, ready } = usePlaidLink({
+    token: updateLinkToken,
+    onSuccess,
+    onExit
+  });
+
+  // Open Link as soon as the update-mode token is ready
+  useEffect(() => {
+    if (updateLinkToken && ready) {
+      open();
+    }
+  }, [updateLinkToken, ready, open]);
+
+  const handleReconnect = async (itemId) => {
+    try {
+      setReconnectingItemId(itemId);
+      const response = await axios.post('/api/create_link_token', { item_id: itemId });
+      setUpdateLinkToken(response.data.link_token);
+    } catch (error) {
+      console.error('Error creating update link token:', error);
+      alert('Error starting reconnect: ' + error.message);
+      setReconnectingItemId(null);
+    }
+  };
+
+  if (!items || items.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="reconnect-banner">
+      <div className="reconnect-icon">🔌</div>
+      <div className="reconnect-items">
+        {items.map(item => (
+          <div key={item.itemId} className="reconnect-item">
+            <div className="reconnect-text">
+              <h3>Reconnect {item.institutionName || 'your bank'}</h3>
+              <p>
+                {REAUTH_MESSAGES[item.reauthReason] || 'Your bank connection needs attention.'}
+                {' '}Transactions won't sync until you reconnect.
+              </p>
+            </div>
+            <button
+              onClick={() => handleReconnect(item.itemId)}
+              disabled={reconnectingItemId !== null}
+              className="reconnect-button"
+            >
+              {reconnectingItemId === item.itemId ? 'Opening...' : 'Reconnect'}
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ReconnectBanner;
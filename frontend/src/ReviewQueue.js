@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './ReviewQueue.css';
+
+// Categories the learned categorizer wasn't sure enough about to apply
+function ReviewQueue({ onReviewed }) {
+  const [queue, setQueue] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [model, setModel] = useState(null);
+  const [choices, setChoices] = useState({}); // transactionId -> category typed instead of the suggestion
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    loadQueue();
+  }, []);
+
+  const loadQueue = async () => {
+    try {
+      const response = await axios.get('/api/categorizer/review');
+      setQueue(response.data.transactions);
+      setTotal(response.data.total);
+      setModel(response.data.model);
+    } catch (error) {
+      console.error('Error loading review queue:', error);
+    }
+  };
+
+  const settle = async (transactionId, action, category) => {
+    try {
+      await axios.post(`/api/categorizer/review/${transactionId}/${action}`, category ? { category } : {});
+      setQueue(current => current.filter(txn => txn.transactionId !== transactionId));
+      setTotal(current => current - 1);
+      if (onReviewed) onReviewed();
+    } catch (error) {
+      console.error('Error reviewing transaction:', error);
+      alert('Error reviewing transaction: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  // Apply what the model learned so far to every stored transaction
+  const refresh = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.post('/api/categorizer/refresh');
+      alert(`✅ Checked ${response.data.checked} transactions, updated ${response.data.applied} categories`);
+      await loadQueue();
+      if (onReviewed) onReviewed();
+    } catch (error) {
+      console.error('Error refreshing suggestions:', error);
+      alert('Error refreshing suggestions: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="review-container">
+      <div className="review-header">
+        <h1>🧠 Category Review</h1>
+        <p>The app learns from the categories you fix and suggests them for new transactions</p>
+      </div>
+
+      <div className="review-section">
+        <div className="review-section-header">
+          <h2>Needs Review {total > 0 && <span className="review-count">{total}</span>}</h2>
+          <button onClick={refresh} disabled={loading || !model?.ready} className="review-button secondary">
+            {loading ? 'Checking...' : 'Re-check All Transactions'}
+          </button>
+        </div>
+
+        {model && (
+          <p className="review-model">
+            {model.ready
+              ? `Learned from ${model.trainingExamples} of your corrections across ${model.categories} categories. Suggestions above ${Math.round(model.confidentThreshold * 100)}% confidence are applied automatically.`
+              : `Fix the category of at least ${model.minTrainingExamples} transactions, across two or more categories, and the app starts suggesting them. So far: ${model.trainingExamples}.`}
+          </p>
+        )}
+
+        {queue.length === 0 ? (
+          <div className="review-empty">Nothing to review.</div>
+        ) : (
+          queue.map(txn => (
+            <div key={txn.transactionId} className="review-card">
+              <div className="review-info">
+                <strong>{txn.name}</strong>
+                <span>{txn.date}{txn.merchant ? ` · ${txn.merchant}` : ''} · ${Math.abs(txn.amount).toFixed(2)}</span>
+                <span>
+                  {txn.category || 'Uncategorized'} → <strong>{txn.suggestedCategory}</strong>
+                  <span className="review-confidence"> ({Math.round(txn.confidence * 100)}% sure)</span>
+                </span>
+              </div>
+              <div className="review-actions">
+                <button onClick={() => settle(txn.transactionId, 'accept')} className="review-button">
+                  Use {txn.suggestedCategory}
+                </button>
+                <button onClick={() => settle(txn.transactionId, 'dismiss')} className="review-button secondary">
+                  Keep {txn.category || 'Uncategorized'}
+                </button>
+                <input
+                  type="text"
+                  placeholder="Other category"
+                  value={choices[txn.transactionId] || ''}
+                  onChange={(e) => setChoices({ ...choices, [txn.transactionId]: e.target.value })}
+                />
+                <button
+                  onClick={() => settle(txn.transactionId, 'accept', choices[txn.transactionId])}
+                  disabled={!choices[txn.transactionId]}
+                  className="review-button secondary"
+                >
+                  Save
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ReviewQueue;
@@ -0,0 +1,344 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './RulesPanel.css';
+
+const EMPTY_RULE = {
+  name: '',
+  priority: 100,
+  merchantPattern: '',
+  namePattern: '',
+  minAmount: '',
+  maxAmount: '',
+  direction: '',
+  accountId: '',
+  startDate: '',
+  endDate: '',
+  setCategory: '',
+  setMerchant: '',
+  addTags: '',
+};
+
+// Plain-language summary of a rule's conditions
+function describeConditions(rule) {
+  const parts = [];
+  if (rule.merchantPattern) parts.push(`merchant matches /${rule.merchantPattern}/`);
+  if (rule.namePattern) parts.push(`name matches /${rule.namePattern}/`);
+  if (rule.minAmount !== null) parts.push(`at least $${rule.minAmount}`);
+  if (rule.maxAmount !== null) parts.push(`at most $${rule.maxAmount}`);
+  if (rule.direction) parts.push(rule.direction === 'spending' ? 'money out' : 'money in');
+  if (rule.accountId) parts.push(`account ${rule.accountId}`);
+  if (rule.startDate) parts.push(`from ${rule.startDate}`);
+  if (rule.endDate) parts.push(`until ${rule.endDate}`);
+  return parts.join(', ');
+}
+
+function describeActions(rule) {
+  const parts = [];
+  if (rule.setCategory) parts.push(`category → ${rule.setCategory}`);
+  if (rule.setMerchant) parts.push(`merchant → ${rule.setMerchant}`);
+  if (rule.addTags.length > 0) parts.push(`tags: ${rule.addTags.join(', ')}`);
+  return parts.join(', ');
+}
+
+function RulesPanel({ items = [], onApplied }) {
+  const [rules, setRules] = useState([]);
+  const [form, setForm] = useState(null); // rule being created or edited
+  const [editingId, setEditingId] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const loadRules = async () => {
+    try {
+      const response = await axios.get('/api/rules');
+      setRules(response.data.rules);
+    } catch (error) {
+      console.error('Error loading rules:', error);
+    }
+  };
+
+  const startNewRule = () => {
+    setEditingId(null);
+    setForm(EMPTY_RULE);
+  };
+
+  const startEditing = (rule) => {
+    setEditingId(rule.id);
+    setForm({
+      ...EMPTY_RULE,
+      ...Object.fromEntries(Object.entries(rule).map(([key, value]) => [key, value ?? ''])),
+      addTags: rule.addTags.join(', '),
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      const response = editingId
+        ? await axios.put(`/api/rules/${editingId}`, form)
+        : await axios.post('/api/rules', form);
+
+      setForm(null);
+      setEditingId(null);
+      await loadRules();
+      // Offer to fix past transactions right away
+      await loadPreview(response.data.rule);
+    } catch (error) {
+      console.error('Error saving rule:', error);
+      alert('Error saving rule: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const toggleRule = async (rule) => {
+    try {
+      await axios.put(`/api/rules/${rule.id}`, { enabled: !rule.enabled });
+      loadRules();
+    } catch (error) {
+      console.error('Error updating rule:', error);
+      alert('Error updating rule: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const deleteRule = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"? Transactions it already changed stay as they are.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/rules/${rule.id}`);
+      if (preview?.rule.id === rule.id) setPreview(null);
+      loadRules();
+    } catch (error) {
+      console.error('Error deleting rule:', error);
+      alert('Error deleting rule: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  // Which past transactions the rule would change, before committing anything
+  const loadPreview = async (rule) => {
+    try {
+      setLoading(true);
+      const response = await axios.post(`/api/rules/${rule.id}/preview`);
+      setPreview(response.data);
+    } catch (error) {
+      console.error('Error previewing rule:', error);
+      alert('Error previewing rule: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const applyToHistory = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.post(`/api/rules/${preview.rule.id}/apply`);
+      alert(`✅ Updated ${response.data.updated} transactions`);
+      setPreview(null);
+      if (onApplied) onApplied();
+    } catch (error) {
+      console.error('Error applying rule:', error);
+      alert('Error applying rule: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateForm = (key, value) => setForm({ ...form, [key]: value });
+
+  return (
+    <div className="rules-container">
+      <div className="rules-header">
+        <h1>🏷️ Categorization Rules</h1>
+        <p>Fix categories Plaid gets wrong, rename merchants and tag transactions automatically</p>
+      </div>
+
+      <div className="rules-section">
+        <div className="rules-section-header">
+          <h2>Your Rules</h2>
+          <button onClick={startNewRule} className="rules-button">+ New Rule</button>
+        </div>
+
+        {rules.length === 0 && !form && (
+          <div className="rules-empty">
+            No rules yet. Example: merchant matches <code>^venmo$</code>, at least $1500, money out → category Rent.
+          </div>
+        )}
+
+        {rules.map(rule => (
+          <div key={rule.id} className={`rule-card ${rule.enabled ? '' : 'disabled'}`}>
+            <div className="rule-info">
+              <strong>{rule.name}</strong>
+              <span>When {describeConditions(rule)}</span>
+              <span>Then {describeActions(rule)}</span>
+            </div>
+            <div className="rule-actions">
+              <button onClick={() => loadPreview(rule)} disabled={loading} className="rules-button">
+                Apply to History…
+              </button>
+              <button onClick={() => startEditing(rule)} className="rules-button secondary">Edit</button>
+              <button onClick={() => toggleRule(rule)} className="rules-button secondary">
+                {rule.enabled ? 'Disable' : 'Enable'}
+              </button>
+              <button onClick={() => deleteRule(rule)} className="rules-button secondary">Delete</button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {form && (
+        <form onSubmit={handleSave} className="rules-section rule-form">
+          <h2>{editingId ? 'Edit Rule' : 'New Rule'}</h2>
+
+          <div className="rule-form-grid">
+            <label>
+              Name *
+              <input type="text" value={form.name} onChange={(e) => updateForm('name', e.target.value)} required />
+            </label>
+            <label>
+              Priority (lower runs first)
+              <input type="number" value={form.priority} onChange={(e) => updateForm('priority', e.target.value)} />
+            </label>
+          </div>
+
+          <h3>When</h3>
+          <div className="rule-form-grid">
+            <label>
+              Merchant matches (regex)
+              <input
+                type="text"
+                placeholder="e.g. ^venmo$"
+                value={form.merchantPattern}
+                onChange={(e) => updateForm('merchantPattern', e.target.value)}
+              />
+            </label>
+            <label>
+              Name matches (regex)
+              <input
+                type="text"
+                placeholder="e.g. landlord|rent"
+                value={form.namePattern}
+                onChange={(e) => updateForm('namePattern', e.target.value)}
+              />
+            </label>
+            <label>
+              Min amount
+              <input type="number" min="0" value={form.minAmount} onChange={(e) => updateForm('minAmount', e.target.value)} />
+            </label>
+            <label>
+              Max amount
+              <input type="number" min="0" value={form.maxAmount} onChange={(e) => updateForm('maxAmount', e.target.value)} />
+            </label>
+            <label>
+              Direction
+              <select value={form.direction} onChange={(e) => updateForm('direction', e.target.value)}>
+                <option value="">Any</option>
+                <option value="spending">Money out</option>
+                <option value="income">Money in</option>
+              </select>
+            </label>
+            <label>
+              Account
+              <select value={form.accountId} onChange={(e) => updateForm('accountId', e.target.value)}>
+                <option value="">Any account</option>
+                {items.map(item => (
+                  <optgroup key={item.itemId} label={item.institutionName || 'Bank'}>
+                    {(item.accounts || []).map(account => (
+                      <option key={account.accountId} value={account.accountId}>
+                        {account.name}{account.mask ? ` ••${account.mask}` : ''}
+                      </option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+            </label>
+            <label>
+              From date
+              <input type="date" value={form.startDate} onChange={(e) => updateForm('startDate', e.target.value)} />
+            </label>
+            <label>
+              Until date
+              <input type="date" value={form.endDate} onChange={(e) => updateForm('endDate', e.target.value)} />
+            </label>
+          </div>
+
+          <h3>Then</h3>
+          <div className="rule-form-grid">
+            <label>
+              Set category
+              <input type="text" value={form.setCategory} onChange={(e) => updateForm('setCategory', e.target.value)} />
+            </label>
+            <label>
+              Rename merchant to
+              <input type="text" value={form.setMerchant} onChange={(e) => updateForm('setMerchant', e.target.value)} />
+            </label>
+            <label>
+              Add tags (comma separated)
+              <input type="text" value={form.addTags} onChange={(e) => updateForm('addTags', e.target.value)} />
+            </label>
+          </div>
+
+          <div className="rule-form-buttons">
+            <button type="submit" className="rules-button">Save Rule</button>
+            <button type="button" onClick={() => setForm(null)} className="rules-button secondary">Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {preview && (
+        <div className="rules-section">
+          <h2>Apply "{preview.rule.name}" to History</h2>
+          <p className="rules-preview-summary">
+            Matches {preview.matched} stored transactions; {preview.changed} would change.
+          </p>
+
+          {preview.changed > 0 && (
+            <>
+              <table className="rules-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Transaction</th>
+                    <th>Amount</th>
+                    <th>Category</th>
+                    <th>Merchant</th>
+                    <th>Tags</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.transactions.map(change => (
+                    <tr key={change.transactionId}>
+                      <td>{change.date}</td>
+                      <td>{change.name}</td>
+                      <td>${Math.abs(change.amount).toFixed(2)}</td>
+                      <td>
+                        {change.before.category || '-'} → {change.after.category || '-'}
+                        {change.categoryOverridden && <span className="rules-note"> (your manual category is kept)</span>}
+                      </td>
+                      <td>{change.before.merchantName || '-'} → {change.after.merchantName || '-'}</td>
+                      <td>{change.after.tags.join(', ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {preview.changed > preview.transactions.length && (
+                <p className="rules-note">Showing the {preview.transactions.length} most recent of {preview.changed}.</p>
+              )}
+            </>
+          )}
+
+          <div className="rule-form-buttons">
+            <button onClick={applyToHistory} disabled={loading || preview.changed === 0} className="rules-button">
+              {loading ? 'Working...' : `Update ${preview.changed} Transactions`}
+            </button>
+            <button onClick={() => setPreview(null)} className="rules-button secondary">Close</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RulesPanel;
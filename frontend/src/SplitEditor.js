@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './SplitEditor.css';
+
+const EMPTY_SPLIT = { category: '', amount: '', note: '' };
+
+const toCents = (amount) => Math.round((parseFloat(amount) || 0) * 100);
+
+// Split one transaction across categories; the parts must add up to its amount
+function SplitEditor({ transaction, onSaved }) {
+  const [splits, setSplits] = useState([]);
+  const [balanced, setBalanced] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // Amounts are edited as positive numbers and sent with the transaction's sign
+  const sign = transaction.amount < 0 ? -1 : 1;
+  const totalCents = toCents(Math.abs(transaction.amount));
+
+  useEffect(() => {
+    const loadSplits = async () => {
+      try {
+        const response = await axios.get(`/api/db/transactions/${transaction.transaction_id}/splits`);
+        setSplits(response.data.splits.map(split => ({
+          category: split.category,
+          amount: Math.abs(split.amount).toFixed(2),
+          note: split.note || '',
+        })));
+        setBalanced(response.data.balanced);
+      } catch (error) {
+        console.error('Error loading splits:', error);
+      }
+    };
+
+    loadSplits();
+  }, [transaction.transaction_id]);
+
+  const remainingCents = totalCents - splits.reduce((sum, split) => sum + toCents(split.amount), 0);
+
+  const startSplitting = () => {
+    setSplits([
+      { ...EMPTY_SPLIT, category: transaction.category || '', amount: Math.abs(transaction.amount).toFixed(2) },
+      EMPTY_SPLIT,
+    ]);
+  };
+
+  const updateSplit = (index, key, value) => {
+    setSplits(current => current.map((split, i) => (i === index ? { ...split, [key]: value } : split)));
+  };
+
+  const removeSplit = (index) => {
+    setSplits(current => current.filter((_, i) => i !== index));
+  };
+
+  // Put whatever is left over on the last part
+  const fillRemaining = () => {
+    const last = splits.length - 1;
+    updateSplit(last, 'amount', ((toCents(splits[last].amount) + remainingCents) / 100).toFixed(2));
+  };
+
+  const reportSaved = (count) => {
+    if (onSaved) {
+      onSaved({ ...transaction, split_count: count });
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await axios.put(`/api/db/transactions/${transaction.transaction_id}/splits`, {
+        splits: splits.map(split => ({ ...split, amount: sign * (parseFloat(split.amount) || 0) })),
+      });
+      setBalanced(response.data.balanced);
+      reportSaved(response.data.splits.length);
+    } catch (error) {
+      console.error('Error saving splits:', error);
+      alert('Error saving splits: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    try {
+      setSaving(true);
+      await axios.delete(`/api/db/transactions/${transaction.transaction_id}/splits`);
+      setSplits([]);
+      setBalanced(true);
+      reportSaved(0);
+    } catch (error) {
+      console.error('Error removing splits:', error);
+      alert('Error removing splits: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (splits.length === 0) {
+    return (
+      <div className="split-editor">
+        <button type="button" onClick={startSplitting} className="split-editor-button secondary">
+          Split Across Categories
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSave} className="split-editor">
+      {!balanced && (
+        <div className="split-editor-warning">
+          Your bank changed this transaction's amount, so reports count it whole until the splits add up again.
+        </div>
+      )}
+
+      {splits.map((split, index) => (
+        <div key={index} className="split-row">
+          <input
+            type="text"
+            placeholder="Category"
+            value={split.category}
+            onChange={(e) => updateSplit(index, 'category', e.target.value)}
+          />
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            placeholder="Amount"
+            value={split.amount}
+            onChange={(e) => updateSplit(index, 'amount', e.target.value)}
+          />
+          <input
+            type="text"
+            placeholder="Note (optional)"
+            value={split.note}
+            onChange={(e) => updateSplit(index, 'note', e.target.value)}
+          />
+          <button
+            type="button"
+            onClick={() => removeSplit(index)}
+            disabled={splits.length <= 2}
+            className="split-editor-button secondary"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+
+      <div className="split-editor-buttons">
+        <button type="button" onClick={() => setSplits([...splits, EMPTY_SPLIT])} className="split-editor-button secondary">
+          + Add Part
+        </button>
+        <span className={`split-remaining ${remainingCents === 0 ? 'balanced' : ''}`}>
+          {remainingCents === 0
+            ? `Adds up to $${(totalCents / 100).toFixed(2)}`
+            : `$${(Math.abs(remainingCents) / 100).toFixed(2)} ${remainingCents > 0 ? 'left to assign' : 'too much'}`}
+        </span>
+        {remainingCents !== 0 && (
+          <button type="button" onClick={fillRemaining} className="split-editor-button secondary">
+            Balance Last Part
+          </button>
+        )}
+      </div>
+
+      <div className="split-editor-buttons">
+        <button type="submit" disabled={saving || remainingCents !== 0} className="split-editor-button">
+          {saving ? 'Saving...' : 'Save Splits'}
+        </button>
+        <button type="button" onClick={handleRemove} disabled={saving} className="split-editor-button secondary">
+          Remove Splits
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default SplitEditor;
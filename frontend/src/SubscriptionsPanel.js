@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './SubscriptionsPanel.css';
+
+const STATUS_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'unreviewed', label: 'Unreviewed' },
+  { value: 'keep', label: 'Keep' },
+  { value: 'cancel', label: 'To cancel' },
+  { value: 'cancelled', label: 'Cancelled' },
+];
+
+const STATUS_ACTIONS = [
+  { value: 'keep', label: 'Keep' },
+  { value: 'cancel', label: 'Cancel' },
+  { value: 'cancelled', label: 'Cancelled' },
+];
+
+const ALERT_ICONS = {
+  price_increase: '📈',
+  trial_converted: '⏰',
+  charged_after_cancel: '🚫',
+};
+
+const FREQUENCY_LABELS = {
+  WEEKLY: 'weekly',
+  BIWEEKLY: 'every 2 weeks',
+  SEMI_MONTHLY: 'twice a month',
+  MONTHLY: 'monthly',
+  ANNUALLY: 'yearly',
+};
+
+const formatMoney = (amount) => `$${amount.toFixed(2)}`;
+
+const formatDate = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+
+function SubscriptionsPanel() {
+  const [statusFilter, setStatusFilter] = useState('');
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    loadSubscriptions(statusFilter);
+  }, [statusFilter]);
+
+  const loadSubscriptions = async (status) => {
+    try {
+      const response = await axios.get('/api/subscriptions', { params: status ? { status } : {} });
+      setResult(response.data);
+    } catch (error) {
+      console.error('Error loading subscriptions:', error);
+    }
+  };
+
+  const setStatus = async (subscription, status) => {
+    try {
+      // Clicking the current status again clears it
+      const nextStatus = subscription.status === status ? null : status;
+      await axios.put(`/api/subscriptions/${encodeURIComponent(subscription.streamId)}/status`, { status: nextStatus });
+      loadSubscriptions(statusFilter);
+    } catch (error) {
+      console.error('Error updating subscription:', error);
+      alert('Error updating subscription: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  return (
+    <div className="subscriptions-container">
+      <div className="subscriptions-header">
+        <h1>🔁 Subscriptions</h1>
+        <p>Everything that charges you on repeat, what it costs a year, and what changed</p>
+      </div>
+
+      {result && result.alerts.map(alert => (
+        <div key={`${alert.type}-${alert.streamId}-${alert.date}`} className={`subscription-alert ${alert.type}`}>
+          {ALERT_ICONS[alert.type]} {alert.message}
+        </div>
+      ))}
+
+      {result && (
+        <div className="subscriptions-totals">
+          <div className="subscriptions-total">
+            <span>Monthly</span>
+            <strong>{formatMoney(result.totals.monthly)}</strong>
+          </div>
+          <div className="subscriptions-total">
+            <span>Per year</span>
+            <strong>{formatMoney(result.totals.annual)}</strong>
+          </div>
+          <div className="subscriptions-total">
+            <span>Saved by cancelling</span>
+            <strong>{formatMoney(result.totals.toCancelMonthly * 12)}/yr</strong>
+          </div>
+        </div>
+      )}
+
+      <div className="subscriptions-section">
+        <div className="subscriptions-filters">
+          {STATUS_FILTERS.map(filter => (
+            <button
+              key={filter.value}
+              onClick={() => setStatusFilter(filter.value)}
+              className={`subscriptions-button ${statusFilter === filter.value ? '' : 'secondary'}`}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+
+        {result && result.subscriptions.length === 0 && (
+          <div className="subscriptions-empty">No subscriptions here. They appear after a sync finds recurring charges.</div>
+        )}
+
+        {result && result.subscriptions.map(subscription => (
+          <div key={subscription.streamId} className={`subscription-card ${subscription.status}`}>
+            <div className="subscription-main">
+              {subscription.logoUrl && <img src={subscription.logoUrl} alt="" className="subscription-logo" />}
+              <div>
+                <strong>{subscription.name}</strong>
+                <div className="subscription-meta">
+                  {formatMoney(subscription.price)} {FREQUENCY_LABELS[subscription.frequency] || ''}
+                  {subscription.annualCost !== null && ` · ${formatMoney(subscription.annualCost)}/yr`}
+                </div>
+                <div className="subscription-meta">
+                  Last charged {formatMoney(subscription.lastCharge.amount)} on {formatDate(subscription.lastCharge.date)}
+                  {subscription.nextCharge && ` · next ${formatDate(subscription.nextCharge)}`}
+                  {subscription.cancelledOn && ` · cancelled ${formatDate(subscription.cancelledOn)}`}
+                </div>
+              </div>
+            </div>
+            <div className="subscription-cost">
+              {subscription.monthlyCost !== null && <strong>{formatMoney(subscription.monthlyCost)}/mo</strong>}
+              <div className="subscription-actions">
+                {STATUS_ACTIONS.map(action => (
+                  <button
+                    key={action.value}
+                    onClick={() => setStatus(subscription, action.value)}
+                    className={`subscription-status-button ${subscription.status === action.value ? 'active' : ''}`}
+                  >
+                    {action.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default SubscriptionsPanel;
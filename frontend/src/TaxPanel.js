@@ -0,0 +1,252 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './TaxPanel.css';
+
+const SCOPES = [
+  { value: 'category', label: 'Category' },
+  { value: 'merchant', label: 'Merchant' },
+];
+
+const SOURCE_LABELS = {
+  category: 'category',
+  merchant: 'merchant',
+  transaction: 'this transaction',
+  donation: 'Locus donation',
+};
+
+const formatMoney = (amount) => `$${amount.toFixed(2)}`;
+
+const formatDate = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+
+// Last year first: that's the one being filed
+const currentYear = new Date().getFullYear();
+const YEARS = [currentYear - 1, currentYear, currentYear - 2, currentYear - 3];
+
+function TaxPanel() {
+  const [year, setYear] = useState(String(currentYear - 1));
+  const [report, setReport] = useState(null);
+  const [flags, setFlags] = useState([]);
+  const [taxTypes, setTaxTypes] = useState({});
+  const [newFlag, setNewFlag] = useState({ scope: 'category', value: '', taxType: 'business', note: '' });
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    loadFlags();
+  }, []);
+
+  useEffect(() => {
+    loadReport(year);
+  }, [year]);
+
+  const loadFlags = async () => {
+    try {
+      const response = await axios.get('/api/tax/flags');
+      setFlags(response.data.flags);
+      setTaxTypes(response.data.taxTypes);
+    } catch (error) {
+      console.error('Error loading tax flags:', error);
+    }
+  };
+
+  const loadReport = async (reportYear) => {
+    try {
+      const response = await axios.get('/api/tax/report', { params: { year: reportYear } });
+      setReport(response.data);
+    } catch (error) {
+      console.error('Error loading tax report:', error);
+    }
+  };
+
+  const refresh = () => {
+    loadFlags();
+    loadReport(year);
+  };
+
+  const saveFlag = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.put('/api/tax/flags', newFlag);
+      setNewFlag({ ...newFlag, value: '', note: '' });
+      refresh();
+    } catch (error) {
+      console.error('Error saving tax flag:', error);
+      alert('Error saving flag: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const removeFlag = async (flag) => {
+    try {
+      await axios.delete(`/api/tax/flags/${flag.id}`);
+      refresh();
+    } catch (error) {
+      console.error('Error removing tax flag:', error);
+      alert('Error removing flag: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  // The CSV downloads; the HTML summary opens in a new window to print or save as PDF
+  const exportReport = async (format) => {
+    try {
+      setExporting(true);
+      const response = await axios.get('/api/tax/report/export', {
+        params: { year, format },
+        responseType: 'blob',
+      });
+
+      const url = window.URL.createObjectURL(response.data);
+      if (format === 'html') {
+        window.open(url, '_blank');
+      } else {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `tax-report-${year}.csv`;
+        link.click();
+        window.URL.revokeObjectURL(url);
+      }
+    } catch (error) {
+      console.error('Error exporting tax report:', error);
+      alert('Error exporting tax report: ' + error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const groupFlags = flags.filter(flag => flag.scope !== 'transaction');
+  const transactionFlags = flags.filter(flag => flag.scope === 'transaction');
+
+  return (
+    <div className="tax-container">
+      <div className="tax-header">
+        <h1>🧾 Tax Report</h1>
+        <p>Flag what's tax-relevant, then export the year's summary for filing.</p>
+      </div>
+
+      <div className="tax-section">
+        <div className="tax-toolbar">
+          <label>
+            Tax year
+            <select value={year} onChange={(e) => setYear(e.target.value)}>
+              {YEARS.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          </label>
+          <div className="tax-export">
+            <button onClick={() => exportReport('csv')} disabled={exporting} className="tax-button secondary">
+              ⬇️ CSV
+            </button>
+            <button onClick={() => exportReport('html')} disabled={exporting} className="tax-button">
+              🖨️ Printable summary
+            </button>
+          </div>
+        </div>
+
+        {report && report.summary.length === 0 && (
+          <div className="tax-empty">
+            Nothing tax-relevant in {report.year} yet. Flag a category or merchant below, or a single transaction from its editor.
+          </div>
+        )}
+
+        {report && report.summary.length > 0 && (
+          <>
+            <div className="tax-summary">
+              {report.summary.map(entry => (
+                <div key={entry.taxType} className="tax-summary-card">
+                  <span>{entry.label}</span>
+                  <strong>{formatMoney(entry.total)}</strong>
+                  <small>{entry.count} {entry.count === 1 ? 'item' : 'items'}</small>
+                </div>
+              ))}
+              <div className="tax-summary-card total">
+                <span>Total</span>
+                <strong>{formatMoney(report.total)}</strong>
+              </div>
+            </div>
+
+            <table className="tax-items">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Description</th>
+                  <th>Type</th>
+                  <th>Flagged by</th>
+                  <th className="amount">Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.items.map(item => (
+                  <tr key={`${item.reference}-${item.description}`}>
+                    <td>{formatDate(item.date)}</td>
+                    <td>
+                      {item.description}
+                      {item.note && <div className="tax-item-note">{item.note}</div>}
+                    </td>
+                    <td>{item.label}</td>
+                    <td className="tax-item-source">{SOURCE_LABELS[item.flaggedBy]}</td>
+                    <td className="amount">{formatMoney(item.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+
+      <div className="tax-section">
+        <h2>Tax-relevant categories and merchants</h2>
+        <form onSubmit={saveFlag} className="tax-flag-form">
+          <select value={newFlag.scope} onChange={(e) => setNewFlag({ ...newFlag, scope: e.target.value })}>
+            {SCOPES.map(scope => (
+              <option key={scope.value} value={scope.value}>{scope.label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder={newFlag.scope === 'category' ? 'e.g. Office Supplies' : 'e.g. Staples'}
+            value={newFlag.value}
+            onChange={(e) => setNewFlag({ ...newFlag, value: e.target.value })}
+          />
+          <select value={newFlag.taxType} onChange={(e) => setNewFlag({ ...newFlag, taxType: e.target.value })}>
+            {Object.entries(taxTypes).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Note (optional)"
+            value={newFlag.note}
+            onChange={(e) => setNewFlag({ ...newFlag, note: e.target.value })}
+          />
+          <button type="submit" disabled={!newFlag.value.trim()} className="tax-button">
+            Flag
+          </button>
+        </form>
+
+        {groupFlags.length === 0 && <div className="tax-empty">No categories or merchants flagged yet.</div>}
+
+        {groupFlags.map(flag => (
+          <div key={flag.id} className="tax-flag">
+            <div>
+              <span className="tax-flag-scope">{flag.scope}</span>
+              <strong>{flag.value}</strong>
+              {flag.note && <span className="tax-flag-note"> · {flag.note}</span>}
+            </div>
+            <div className="tax-flag-side">
+              <span className="tax-flag-type">{flag.label}</span>
+              <button onClick={() => removeFlag(flag)} className="tax-flag-remove">Remove</button>
+            </div>
+          </div>
+        ))}
+
+        {transactionFlags.length > 0 && (
+          <p className="tax-hint">
+            {transactionFlags.length} {transactionFlags.length === 1 ? 'transaction is' : 'transactions are'} flagged individually; change those from the transaction's editor.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TaxPanel;
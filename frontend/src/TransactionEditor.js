@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import './TransactionEditor.css';
+
+// A transaction's own tax flag; without one it follows its category's or merchant's (see the Tax tab)
+const TAX_OPTIONS = [
+  { value: '', label: 'Same as its category or merchant' },
+  { value: 'business', label: 'Business expense' },
+  { value: 'charitable', label: 'Charitable donation' },
+  { value: 'medical', label: 'Medical' },
+  { value: 'education', label: 'Education' },
+  { value: 'childcare', label: 'Childcare' },
+  { value: 'other', label: 'Other deductible' },
+  { value: 'none', label: 'Not tax-relevant' },
+];
+
+// The user's own category, notes, tags and tax flag for one transaction (a re-sync keeps them)
+function TransactionEditor({ transaction, onSaved }) {
+  const [category, setCategory] = useState(transaction.user_category || '');
+  const [notes, setNotes] = useState(transaction.notes || '');
+  const [tags, setTags] = useState((transaction.tags || []).join(', '));
+  const [taxFlag, setTaxFlag] = useState(transaction.tax_flag || '');
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await axios.patch(`/api/db/transactions/${transaction.transaction_id}`, {
+        category,
+        notes,
+        tags: tags.split(','),
+      });
+
+      if (taxFlag !== (transaction.tax_flag || '')) {
+        await axios.put('/api/tax/flags', {
+          scope: 'transaction',
+          value: transaction.transaction_id,
+          taxType: taxFlag || null,
+        });
+      }
+
+      if (onSaved) {
+        onSaved({
+          ...transaction,
+          category: response.data.category,
+          user_category: response.data.userCategory,
+          notes: response.data.notes,
+          tags: response.data.tags,
+          tax_flag: taxFlag || null,
+        });
+      }
+    } catch (error) {
+      console.error('Error saving transaction:', error);
+      alert('Error saving transaction: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSave} className="transaction-editor">
+      <label>
+        Category
+        <input
+          type="text"
+          placeholder={transaction.user_category ? '' : `${transaction.category || 'Uncategorized'} (from your bank)`}
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+        />
+      </label>
+      <label>
+        Tags
+        <input
+          type="text"
+          placeholder="e.g. vacation, business"
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+        />
+      </label>
+      <label>
+        Tax
+        <select value={taxFlag} onChange={(e) => setTaxFlag(e.target.value)}>
+          {TAX_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="transaction-editor-notes">
+        Notes
+        <textarea
+          rows="2"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+        />
+      </label>
+      <div className="transaction-editor-buttons">
+        <button type="submit" disabled={saving} className="transaction-editor-save">
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        {transaction.user_category && (
+          <span className="transaction-editor-hint">Clear the category to go back to your bank's</span>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default TransactionEditor;